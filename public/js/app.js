@@ -23,10 +23,17 @@ document.querySelectorAll('.tab').forEach(tab => {
 
     document.getElementById('uploadTab').classList.toggle('hidden', target !== 'upload');
     document.getElementById('galleryTab').classList.toggle('hidden', target !== 'gallery');
+    document.getElementById('keysTab').classList.toggle('hidden', target !== 'keys');
     document.getElementById('adminTab').classList.toggle('hidden', target !== 'admin');
+    document.getElementById('auditTab').classList.toggle('hidden', target !== 'audit');
 
     if (target === 'gallery') loadImages();
-    if (target === 'admin') loadUsers();
+    if (target === 'keys') loadApiKeys();
+    if (target === 'admin') {
+      loadUsers();
+      loadBackups();
+    }
+    if (target === 'audit') loadAuditLog(1);
   });
 });
 
@@ -51,6 +58,7 @@ document.getElementById('uploadBtn').addEventListener('click', async () => {
     formData.append('files', file);
   }
   if (tags) formData.append('tags', tags);
+  formData.append('visibility', document.getElementById('fileVisibility').value);
 
   try {
     const res = await fetch(`${API_BASE}/images/upload`, {
@@ -61,7 +69,8 @@ document.getElementById('uploadBtn').addEventListener('click', async () => {
 
     const data = await res.json();
     if (res.ok) {
-      showMessage(`成功上传 ${data.images.length} 张图片`, 'success');
+      const pending = data.images.filter(img => img.status === 'pending').length;
+      showMessage(`成功上传 ${data.images.length} 张图片${pending ? `，${pending} 张后台处理中` : ''}`, 'success');
       document.getElementById('fileInput').value = '';
       document.getElementById('fileTags').value = '';
     } else {
@@ -89,14 +98,15 @@ document.getElementById('uploadUrlBtn').addEventListener('click', async () => {
         'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ urls, tags })
+      body: JSON.stringify({ urls, tags, visibility: document.getElementById('urlVisibility').value })
     });
 
     const data = await res.json();
     if (res.ok) {
-      showMessage(`成功上传 ${data.images.length} 张图片`, 'success');
+      showMessage(`已提交 ${data.jobs.length} 个下载任务`, 'success');
       document.getElementById('urlInput').value = '';
       document.getElementById('urlTags').value = '';
+      waitForJobs(data.jobs.map(j => j.jobId));
     } else {
       showMessage(data.error || '上传失败', 'error');
     }
@@ -105,104 +115,231 @@ document.getElementById('uploadUrlBtn').addEventListener('click', async () => {
   }
 });
 
-// 加载图片列表
-async function loadImages(searchKeyword = '') {
-  try {
-    const res = await fetch(`${API_BASE}/images/list`);
-    const data = await res.json();
+// 轮询后台任务直至全部结束，汇总显示结果
+async function waitForJobs(jobIds) {
+  const finished = new Map();
+  while (finished.size < jobIds.length) {
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    for (const id of jobIds) {
+      if (finished.has(id)) continue;
+      try {
+        const res = await fetch(`${API_BASE}/jobs/${id}`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (!res.ok) {
+          finished.set(id, { status: 'failed', error: '无法查询任务' });
+          continue;
+        }
+        const { job } = await res.json();
+        if (job.status === 'succeeded' || job.status === 'failed') finished.set(id, job);
+      } catch (err) {
+        // 网络错误时下一轮重试
+      }
+    }
+  }
+  const failed = [...finished.values()].filter(job => job.status === 'failed');
+  if (failed.length) {
+    showMessage(`下载完成 ${jobIds.length - failed.length} 个，失败 ${failed.length} 个：${failed[0].error || ''}`, 'error');
+  } else {
+    showMessage(`下载完成 ${jobIds.length} 个`, 'success');
+  }
+}
+
+// 图库分页状态（服务端分页，按游标加载更多）
+const GALLERY_PAGE_SIZE = 50;
+const galleryState = { keyword: '', images: [], total: 0, nextCursor: null };
 
-    const grid = document.getElementById('imageGrid');
-    grid.innerHTML = '';
+// 加载图片列表（append=true 时加载下一页并追加）
+async function loadImages(searchKeyword = '', append = false) {
+  if (!append) {
+    galleryState.keyword = searchKeyword;
+    galleryState.images = [];
+    galleryState.nextCursor = null;
+  }
+  const [sort, order] = document.getElementById('sortSelect').value.split(':');
+  const params = new URLSearchParams({ pageSize: GALLERY_PAGE_SIZE, sort, order });
+  if (galleryState.keyword) params.set('q', galleryState.keyword);
+  if (append && galleryState.nextCursor) params.set('cursor', galleryState.nextCursor);
 
-    if (!data.images || !data.images.length) {
-      grid.innerHTML = '<p>暂无图片</p>';
+  try {
+    // 携带令牌，以便列出自己的不公开/私有图片
+    const res = await fetch(`${API_BASE}/images/list?${params.toString()}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      showMessage(data.error || '加载失败', 'error');
       return;
     }
+    galleryState.images = galleryState.images.concat(data.images || []);
+    galleryState.total = data.total || 0;
+    galleryState.nextCursor = data.nextCursor || null;
+    renderGallery();
+  } catch (err) {
+    showMessage('加载失败', 'error');
+  }
+}
 
-    let filteredImages = data.images;
-
-    // 模糊搜索
-    if (searchKeyword) {
-      const keyword = searchKeyword.toLowerCase();
-      filteredImages = data.images.filter(img => {
-        const tags = (img.tags || '').toLowerCase();
-        return tags.includes(keyword);
-      });
-
-      if (!filteredImages.length) {
-        grid.innerHTML = '<p>未找到匹配的图片</p>';
-        return;
-      }
+// 可见性显示名称
+const VISIBILITY_LABELS = { public: '公开', unlisted: '不公开', private: '私有' };
+
+// 创建图片卡片
+function createImageCard(img) {
+  const card = document.createElement('div');
+  card.className = 'image-card';
+  card.innerHTML = `
+    <img src="${img.url}" loading="lazy">
+    <div class="image-info">
+      <div class="image-title"></div>
+      ${img.visibility && img.visibility !== 'public' ? `<span class="visibility-badge ${img.visibility}">${VISIBILITY_LABELS[img.visibility]}</span>` : ''}
+      <div class="image-tags">${img.tags || '无标签'}</div>
+      <div class="image-actions">
+        <button onclick="copyUrl('${img.url}')">复制链接</button>
+        <button class="edit-btn">编辑</button>
+        <button onclick="deleteImage(${img.id})">删除</button>
+      </div>
+      <div class="image-edit hidden">
+        <input type="text" class="edit-name" placeholder="文件名">
+        <input type="text" class="edit-title" placeholder="标题">
+        <textarea class="edit-description" rows="2" placeholder="描述"></textarea>
+        <input type="text" class="edit-alt" placeholder="替代文本（alt）">
+        <input type="text" class="edit-tags" placeholder="标签（逗号分隔）">
+        <select class="edit-visibility">
+          <option value="public">公开</option>
+          <option value="unlisted">不公开（仅链接可见）</option>
+          <option value="private">私有</option>
+        </select>
+        <div class="image-actions">
+          <button class="save-btn">保存</button>
+          <button class="cancel-btn">取消</button>
+        </div>
+      </div>
+    </div>
+  `;
+  // 文本内容通过 DOM 属性写入，避免特殊字符破坏结构
+  card.querySelector('img').alt = img.alt_text || img.filename;
+  // 有缩略图时由浏览器按卡片宽度选择合适尺寸，避免加载原图
+  if (img.srcset) {
+    card.querySelector('img').srcset = img.srcset;
+    card.querySelector('img').sizes = '(max-width: 480px) 100vw, 300px';
+  }
+  card.querySelector('.image-title').textContent = img.title || '';
+  const editBox = card.querySelector('.image-edit');
+  const fillForm = () => {
+    card.querySelector('.edit-name').value = img.original_name || img.filename || '';
+    card.querySelector('.edit-title').value = img.title || '';
+    card.querySelector('.edit-description').value = img.description || '';
+    card.querySelector('.edit-alt').value = img.alt_text || '';
+    card.querySelector('.edit-tags').value = img.tags || '';
+    card.querySelector('.edit-visibility').value = img.visibility || 'public';
+  };
+  card.querySelector('.edit-btn').addEventListener('click', () => {
+    fillForm();
+    editBox.classList.toggle('hidden');
+  });
+  card.querySelector('.cancel-btn').addEventListener('click', () => editBox.classList.add('hidden'));
+  card.querySelector('.save-btn').addEventListener('click', () => saveImageMeta(img, card));
+  return card;
+}
 
-      // 按匹配的标签分组
-      const groupedByTag = {};
-      filteredImages.forEach(img => {
-        const imgTags = (img.tags || '').split(',').map(t => t.trim());
-        imgTags.forEach(tag => {
-          if (tag.toLowerCase().includes(keyword)) {
-            if (!groupedByTag[tag]) {
-              groupedByTag[tag] = [];
-            }
-            if (!groupedByTag[tag].find(i => i.id === img.id)) {
-              groupedByTag[tag].push(img);
-            }
-          }
-        });
-      });
+// 保存图片元数据（标签整体替换）
+async function saveImageMeta(img, card) {
+  const body = {
+    originalName: card.querySelector('.edit-name').value,
+    title: card.querySelector('.edit-title').value,
+    description: card.querySelector('.edit-description').value,
+    altText: card.querySelector('.edit-alt').value,
+    tags: card.querySelector('.edit-tags').value,
+    visibility: card.querySelector('.edit-visibility').value
+  };
 
-      // 渲染分组
-      Object.keys(groupedByTag).forEach(tag => {
-        const group = document.createElement('div');
-        group.className = 'tag-group';
-
-        const header = document.createElement('div');
-        header.className = 'tag-group-header';
-        header.textContent = `${tag} (${groupedByTag[tag].length})`;
-        group.appendChild(header);
-
-        const tagGrid = document.createElement('div');
-        tagGrid.className = 'tag-group-grid';
-
-        groupedByTag[tag].forEach(img => {
-          const card = document.createElement('div');
-          card.className = 'image-card';
-          card.innerHTML = `
-            <img src="${img.url}" alt="${img.filename}">
-            <div class="image-info">
-              <div class="image-tags">${img.tags || '无标签'}</div>
-              <div class="image-actions">
-                <button onclick="copyUrl('${img.url}')">复制链接</button>
-                <button onclick="deleteImage(${img.id})">删除</button>
-              </div>
-            </div>
-          `;
-          tagGrid.appendChild(card);
-        });
+  try {
+    const res = await fetch(`${API_BASE}/images/${img.id}`, {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
 
-        group.appendChild(tagGrid);
-        grid.appendChild(group);
+    const data = await res.json();
+    if (res.ok) {
+      Object.assign(img, {
+        original_name: data.image.original_name,
+        title: data.image.title,
+        description: data.image.description,
+        alt_text: data.image.alt_text,
+        tags: data.image.tags.join(', '),
+        visibility: data.image.visibility,
+        url: data.image.url
       });
+      card.replaceWith(createImageCard(img));
+      showMessage('已保存', 'success');
     } else {
-      // 无搜索关键词，正常显示
-      filteredImages.forEach(img => {
-        const card = document.createElement('div');
-        card.className = 'image-card';
-        card.innerHTML = `
-          <img src="${img.url}" alt="${img.filename}">
-          <div class="image-info">
-            <div class="image-tags">${img.tags || '无标签'}</div>
-            <div class="image-actions">
-              <button onclick="copyUrl('${img.url}')">复制链接</button>
-              <button onclick="deleteImage(${img.id})">删除</button>
-            </div>
-          </div>
-        `;
-        grid.appendChild(card);
-      });
+      showMessage(data.error || '保存失败', 'error');
     }
   } catch (err) {
-    showMessage('加载失败', 'error');
+    showMessage('网络错误', 'error');
+  }
+}
+
+// 渲染已加载的图片（有搜索关键词时按匹配标签分组）
+function renderGallery() {
+  const grid = document.getElementById('imageGrid');
+  const images = galleryState.images;
+  const keyword = galleryState.keyword.toLowerCase();
+  grid.innerHTML = '';
+
+  const pager = document.getElementById('galleryPager');
+  pager.classList.toggle('hidden', !images.length);
+  document.getElementById('galleryCount').textContent = `已加载 ${images.length} / 共 ${galleryState.total} 张`;
+  document.getElementById('loadMoreBtn').classList.toggle('hidden', !galleryState.nextCursor);
+
+  if (!images.length) {
+    grid.innerHTML = keyword ? '<p>未找到匹配的图片</p>' : '<p>暂无图片</p>';
+    return;
+  }
+
+  if (!keyword) {
+    // 无搜索关键词，正常显示
+    images.forEach(img => grid.appendChild(createImageCard(img)));
+    return;
   }
+
+  // 按匹配的标签分组
+  const groupedByTag = {};
+  images.forEach(img => {
+    const imgTags = (img.tags || '').split(',').map(t => t.trim());
+    imgTags.forEach(tag => {
+      if (tag.toLowerCase().includes(keyword)) {
+        if (!groupedByTag[tag]) {
+          groupedByTag[tag] = [];
+        }
+        if (!groupedByTag[tag].find(i => i.id === img.id)) {
+          groupedByTag[tag].push(img);
+        }
+      }
+    });
+  });
+
+  // 渲染分组
+  Object.keys(groupedByTag).forEach(tag => {
+    const group = document.createElement('div');
+    group.className = 'tag-group';
+
+    const header = document.createElement('div');
+    header.className = 'tag-group-header';
+    header.textContent = `${tag} (${groupedByTag[tag].length})`;
+    group.appendChild(header);
+
+    const tagGrid = document.createElement('div');
+    tagGrid.className = 'tag-group-grid';
+    groupedByTag[tag].forEach(img => tagGrid.appendChild(createImageCard(img)));
+
+    group.appendChild(tagGrid);
+    grid.appendChild(group);
+  });
 }
 
 // 搜索图片
@@ -216,6 +353,16 @@ document.getElementById('refreshBtn').addEventListener('click', () => {
   loadImages();
 });
 
+// 切换排序
+document.getElementById('sortSelect').addEventListener('change', () => {
+  loadImages(galleryState.keyword);
+});
+
+// 加载更多
+document.getElementById('loadMoreBtn').addEventListener('click', () => {
+  loadImages(galleryState.keyword, true);
+});
+
 // 随机一张图片
 document.getElementById('randomBtn').addEventListener('click', async () => {
   const tags = document.getElementById('searchTags').value;
@@ -243,7 +390,7 @@ window.deleteImage = async function(id) {
 
     if (res.ok) {
       showMessage('删除成功', 'success');
-      loadImages();
+      loadImages(galleryState.keyword);
     } else {
       const data = await res.json();
       showMessage(data.error || '删除失败', 'error');
@@ -253,6 +400,95 @@ window.deleteImage = async function(id) {
   }
 };
 
+// 加载 API 密钥列表
+async function loadApiKeys() {
+  try {
+    const res = await fetch(`${API_BASE}/keys`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      showMessage(data.error || '加载失败', 'error');
+      return;
+    }
+
+    const list = document.getElementById('keyList');
+    list.innerHTML = '';
+    if (!data.keys.length) list.textContent = '暂无密钥';
+
+    data.keys.forEach(key => {
+      const item = document.createElement('div');
+      item.className = 'user-item';
+      const info = document.createElement('span');
+      const state = key.revoked_at ? '已吊销' : (key.expires_at ? `有效期至 ${key.expires_at.slice(0, 10)}` : '永久有效');
+      info.textContent = `${key.name}（${key.prefix}…）[${key.scopes.join(', ')}] ${state}` +
+        (key.last_used_at ? `，最近使用 ${key.last_used_at.slice(0, 19).replace('T', ' ')}` : '');
+      item.appendChild(info);
+      if (!key.revoked_at) {
+        const btn = document.createElement('button');
+        btn.textContent = '吊销';
+        btn.addEventListener('click', () => revokeApiKey(key.id));
+        item.appendChild(btn);
+      }
+      list.appendChild(item);
+    });
+  } catch (err) {
+    showMessage('加载失败', 'error');
+  }
+}
+
+// 创建 API 密钥（明文仅显示一次）
+document.getElementById('createKeyBtn').addEventListener('click', async () => {
+  const name = document.getElementById('keyName').value.trim();
+  const scopes = Array.from(document.querySelectorAll('.key-scope:checked')).map(el => el.value);
+  const expiresInDays = document.getElementById('keyExpires').value;
+
+  try {
+    const res = await fetch(`${API_BASE}/keys`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ name, scopes, expiresInDays: expiresInDays ? Number(expiresInDays) : undefined })
+    });
+
+    const data = await res.json();
+    if (res.ok) {
+      const box = document.getElementById('newKey');
+      box.textContent = `新密钥（仅显示一次，请妥善保存）：\n${data.key}`;
+      box.classList.remove('hidden');
+      document.getElementById('keyName').value = '';
+      loadApiKeys();
+    } else {
+      showMessage(data.error || '创建失败', 'error');
+    }
+  } catch (err) {
+    showMessage('网络错误', 'error');
+  }
+});
+
+// 吊销 API 密钥
+async function revokeApiKey(id) {
+  if (!confirm('确定吊销该密钥？使用该密钥的客户端将立即失效')) return;
+
+  try {
+    const res = await fetch(`${API_BASE}/keys/${id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await res.json();
+    if (res.ok) {
+      showMessage('已吊销', 'success');
+      loadApiKeys();
+    } else {
+      showMessage(data.error || '操作失败', 'error');
+    }
+  } catch (err) {
+    showMessage('网络错误', 'error');
+  }
+}
+
 // 加载用户列表
 async function loadUsers() {
   try {
@@ -268,10 +504,14 @@ async function loadUsers() {
       const item = document.createElement('div');
       item.className = 'user-item';
       item.innerHTML = `
-        <span>${user.username} ${user.is_admin ? '(管理员)' : ''}</span>
-        <button onclick="toggleUserStatus(${user.id}, '${user.status}')">
-          ${user.status === 'active' ? '禁用' : '启用'}
-        </button>
+        <span>${user.username} ${user.role === 'admin' ? '(管理员)' : ''}</span>
+        <span class="user-usage">${formatUsage(user.usage, user.limits)}</span>
+        <span>
+          <button onclick="editUserQuota(${user.id})">配额</button>
+          <button onclick="toggleUserStatus(${user.id}, '${user.status}')">
+            ${user.status === 'active' ? '禁用' : '启用'}
+          </button>
+        </span>
       `;
       list.appendChild(item);
     });
@@ -280,6 +520,58 @@ async function loadUsers() {
   }
 }
 
+// 格式化字节数
+function formatBytes(n) {
+  if (n >= 1024 * 1024 * 1024) return `${(n / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  if (n >= 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  if (n >= 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${n} B`;
+}
+
+// 格式化用量与配额（0 表示不限制）
+function formatUsage(usage, limits) {
+  const limit = (v, fmt) => (v ? fmt(v) : '不限');
+  return `容量 ${formatBytes(usage.usedBytes)} / ${limit(limits.maxBytes, formatBytes)}，` +
+    `图片 ${usage.imageCount} / ${limit(limits.maxImages, String)}，` +
+    `24 小时上传 ${usage.uploads24h} / ${limit(limits.dailyUploads, String)}`;
+}
+
+// 覆盖用户配额（留空恢复默认，0 表示不限制）
+window.editUserQuota = async function(id) {
+  const ask = (label) => {
+    const v = prompt(`${label}（留空恢复默认，0 表示不限制）`);
+    if (v === null) return undefined;
+    return v.trim() === '' ? null : Number(v);
+  };
+  const maxBytes = ask('存储容量上限（字节）');
+  if (maxBytes === undefined) return;
+  const maxImages = ask('图片数上限');
+  if (maxImages === undefined) return;
+  const dailyUploads = ask('每日上传数上限');
+  if (dailyUploads === undefined) return;
+
+  try {
+    const res = await fetch(`${API_BASE}/users/${id}`, {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ maxBytes, maxImages, dailyUploads })
+    });
+
+    const data = await res.json();
+    if (res.ok) {
+      showMessage('配额已更新', 'success');
+      loadUsers();
+    } else {
+      showMessage(data.error || '操作失败', 'error');
+    }
+  } catch (err) {
+    showMessage('网络错误', 'error');
+  }
+};
+
 // 切换用户状态
 window.toggleUserStatus = async function(id, currentStatus) {
   const newStatus = currentStatus === 'active' ? 'disabled' : 'active';
@@ -320,11 +612,102 @@ document.getElementById('dbStatusBtn').addEventListener('click', async () => {
   }
 });
 
-// 导出备份
+// 补全缩略图（为尚无缩略图的历史图片入队后台任务）
+document.getElementById('backfillVariantsBtn').addEventListener('click', async () => {
+  const force = document.getElementById('backfillForce').checked;
+  try {
+    const res = await fetch(`${API_BASE}/admin/variants/backfill`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ force })
+    });
+    const data = await res.json();
+    if (res.ok) {
+      showMessage(`已提交 ${data.queued} 个缩略图任务`, 'success');
+    } else {
+      showMessage(data.error || '提交失败', 'error');
+    }
+  } catch (err) {
+    showMessage('网络错误', 'error');
+  }
+});
+
+// 生成备份
 document.getElementById('exportBtn').addEventListener('click', async () => {
+  const type = document.getElementById('backupType').value;
+  const btn = document.getElementById('exportBtn');
+  btn.disabled = true;
   try {
-    const res = await fetch(`${API_BASE}/admin/backup/export`, {
+    const res = await fetch(`${API_BASE}/admin/backups`, {
       method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ type })
+    });
+
+    const data = await res.json();
+    if (res.ok) {
+      const label = data.backup.type === 'full' ? '完整' : '增量';
+      showMessage(`${label}备份已生成（${data.backup.file_count} 个文件）`, 'success');
+      loadBackups();
+    } else {
+      showMessage(data.error || '备份失败', 'error');
+    }
+  } catch (err) {
+    showMessage('网络错误', 'error');
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+// 加载备份列表与定时备份配置
+async function loadBackups() {
+  try {
+    const res = await fetch(`${API_BASE}/admin/backups`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await res.json();
+
+    const { schedule } = data;
+    document.getElementById('backupSchedule').textContent =
+      `定时完整备份：${schedule.full || '未配置'}，定时增量备份：${schedule.incremental || '未配置'}，` +
+      `保留：最近 ${schedule.keepDaily} 天每天 + 最近 ${schedule.keepWeekly} 周每周`;
+
+    const list = document.getElementById('backupList');
+    list.innerHTML = '';
+    const statusLabels = { running: '进行中', completed: '已完成', failed: '失败' };
+    data.backups.forEach(backup => {
+      const item = document.createElement('div');
+      item.className = 'user-item';
+      const info = backup.status === 'completed'
+        ? `${backup.image_count} 张图片，${formatBytes(backup.size_bytes)}${backup.verified_at ? '，已校验' : ''}`
+        : (backup.error || '');
+      item.innerHTML = `
+        <span>${backup.filename}</span>
+        <span class="user-usage">${backup.type === 'full' ? '完整' : '增量'} · ${statusLabels[backup.status] || backup.status} · ${info}</span>
+        <span>
+          ${backup.status === 'completed' ? `<button onclick="downloadBackup(${backup.id}, '${backup.filename}')">下载</button>
+          <button onclick="verifyBackup(${backup.id})">校验</button>
+          <button onclick="restoreBackup(${backup.id})">恢复</button>` : ''}
+          <button onclick="deleteBackup(${backup.id})">删除</button>
+        </span>
+      `;
+      list.appendChild(item);
+    });
+  } catch (err) {
+    showMessage('加载失败', 'error');
+  }
+}
+
+// 下载备份
+window.downloadBackup = async function(id, filename) {
+  try {
+    const res = await fetch(`${API_BASE}/admin/backups/${id}/download`, {
       headers: { 'Authorization': `Bearer ${token}` }
     });
 
@@ -333,16 +716,97 @@ document.getElementById('exportBtn').addEventListener('click', async () => {
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `backup-${Date.now()}.zip`;
+      a.download = filename;
       a.click();
-      showMessage('备份已导出', 'success');
+      window.URL.revokeObjectURL(url);
     } else {
-      showMessage('导出失败', 'error');
+      const data = await res.json();
+      showMessage(data.error || '下载失败', 'error');
     }
   } catch (err) {
     showMessage('网络错误', 'error');
   }
-});
+};
+
+// 校验备份（归档与各条目的校验值）
+window.verifyBackup = async function(id) {
+  try {
+    const res = await fetch(`${API_BASE}/admin/backups/${id}/verify`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    const data = await res.json();
+    if (!res.ok) {
+      showMessage(data.error || '校验失败', 'error');
+    } else if (data.ok) {
+      showMessage(`校验通过（${data.entries.checked} 个条目）`, 'success');
+    } else {
+      const failed = data.entries.failed.map(f => `${f.name}: ${f.reason}`);
+      if (!data.archive.ok) failed.unshift('归档校验值不一致');
+      if (data.error) failed.unshift(data.error);
+      alert(`备份校验未通过：\n${failed.join('\n')}`);
+    }
+    loadBackups();
+  } catch (err) {
+    showMessage('网络错误', 'error');
+  }
+};
+
+// 恢复服务器上的备份（增量备份按备份链恢复，模式与试运行取导入选项）
+window.restoreBackup = async function(id) {
+  const mode = document.getElementById('importMode').value;
+  const dryRun = document.getElementById('importDryRun').checked;
+  if (mode === 'replace' && !dryRun && !confirm('替换模式将删除现有全部图片、标签与相册，确定继续？')) return;
+  const reportEl = document.getElementById('importReport');
+
+  try {
+    const res = await fetch(`${API_BASE}/admin/backups/${id}/restore`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ mode, dryRun })
+    });
+
+    const data = await res.json();
+    if (res.ok) {
+      reportEl.textContent = formatImportReport(data.report);
+      showMessage(dryRun ? '试运行完成（未写入）' : `备份已恢复（备份链 ${data.chain.length} 个备份）`, 'success');
+      loadBackups();
+    } else {
+      reportEl.textContent = (data.details || []).join('\n');
+      showMessage(data.error || '恢复失败', 'error');
+    }
+  } catch (err) {
+    showMessage('网络错误', 'error');
+  }
+};
+
+// 删除备份（存在依赖它的增量备份时确认后一并删除）
+window.deleteBackup = async function(id, force = false) {
+  if (!force && !confirm('确定删除该备份？')) return;
+
+  try {
+    const res = await fetch(`${API_BASE}/admin/backups/${id}${force ? '?force=true' : ''}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    const data = await res.json();
+    if (res.ok) {
+      showMessage(`已删除 ${data.deleted.length} 个备份`, 'success');
+      loadBackups();
+    } else if (res.status === 409 && data.dependents) {
+      if (confirm(`有 ${data.dependents.length} 个增量备份基于该备份，将一并删除，确定继续？`)) deleteBackup(id, true);
+    } else {
+      showMessage(data.error || '删除失败', 'error');
+    }
+  } catch (err) {
+    showMessage('网络错误', 'error');
+  }
+};
 
 // 导入备份
 document.getElementById('importBtn').addEventListener('click', async () => {
@@ -352,8 +816,15 @@ document.getElementById('importBtn').addEventListener('click', async () => {
     return;
   }
 
+  const mode = document.getElementById('importMode').value;
+  const dryRun = document.getElementById('importDryRun').checked;
+  if (mode === 'replace' && !dryRun && !confirm('替换模式将删除现有全部图片、标签与相册，确定继续？')) return;
+
   const formData = new FormData();
   formData.append('backupZip', file);
+  formData.append('mode', mode);
+  formData.append('dryRun', String(dryRun));
+  const reportEl = document.getElementById('importReport');
 
   try {
     const res = await fetch(`${API_BASE}/admin/backup/import`, {
@@ -364,9 +835,11 @@ document.getElementById('importBtn').addEventListener('click', async () => {
 
     const data = await res.json();
     if (res.ok) {
-      showMessage('备份已导入', 'success');
-      document.getElementById('importInput').value = '';
+      reportEl.textContent = formatImportReport(data.report);
+      showMessage(dryRun ? '试运行完成（未写入）' : '备份已导入', 'success');
+      if (!dryRun) document.getElementById('importInput').value = '';
     } else {
+      reportEl.textContent = (data.details || []).join('\n');
       showMessage(data.error || '导入失败', 'error');
     }
   } catch (err) {
@@ -374,9 +847,123 @@ document.getElementById('importBtn').addEventListener('click', async () => {
   }
 });
 
+// 格式化导入报告：各类数量与冲突明细
+function formatImportReport(report) {
+  const labels = { users: '用户', tags: '标签', images: '图片' };
+  const lines = [`模式：${report.mode === 'replace' ? '替换' : '合并'}${report.dryRun ? '（试运行）' : ''}`];
+  for (const [key, label] of Object.entries(labels)) {
+    const s = report.summary[key];
+    const parts = [`新增 ${s.added}`, `跳过 ${s.skipped}`, `冲突 ${s.conflicts}`];
+    if (s.updated != null) parts.splice(1, 0, `覆盖 ${s.updated}`);
+    lines.push(`${label}：${parts.join('，')}`);
+  }
+  lines.push(`标签关联：新增 ${report.imageTags.added}，跳过 ${report.imageTags.skipped}`);
+  if (report.albums) {
+    lines.push(`相册：新增 ${report.albums.added.length}，跳过 ${report.albums.skipped.length}；` +
+      `相册收录：新增 ${report.albumImages.added}，跳过 ${report.albumImages.skipped}`);
+  }
+  if (report.variants) lines.push(`缩略图：恢复 ${report.variants.added}，跳过 ${report.variants.skipped}，待生成 ${report.jobs.queued}`);
+  lines.push(`文件：写入 ${report.files.written}，复用 ${report.files.reused}，改名 ${report.files.renamed}，删除 ${report.files.removed}`);
+  for (const [key, label] of Object.entries(labels)) {
+    for (const c of report[key].conflicts) {
+      lines.push(`冲突 ${label} ${c.username || c.name || c.token || ''}：${c.reason}`);
+    }
+  }
+  return lines.join('\n');
+}
+
 function showMessage(text, type) {
   const msg = document.getElementById('uploadMessage');
   msg.textContent = text;
   msg.className = `message ${type}`;
   setTimeout(() => msg.className = 'message', 3000);
 }
+
+// 审计日志（当前页与总数）
+let auditPage = 1;
+let auditTotal = 0;
+const AUDIT_PAGE_SIZE = 50;
+
+// 加载审计日志
+async function loadAuditLog(page) {
+  const params = new URLSearchParams({ page, pageSize: AUDIT_PAGE_SIZE });
+  const action = document.getElementById('auditAction').value;
+  const actor = document.getElementById('auditActor').value.trim();
+  const ip = document.getElementById('auditIp').value.trim();
+  const from = document.getElementById('auditFrom').value;
+  const to = document.getElementById('auditTo').value;
+  if (action) params.set('action', action);
+  if (actor) params.set('actor', actor);
+  if (ip) params.set('ip', ip);
+  // 日期按本地时间解释，结束日期包含当天
+  if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+  if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+
+  try {
+    const res = await fetch(`${API_BASE}/admin/audit-log?${params}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      showMessage(data.error || '加载失败', 'error');
+      return;
+    }
+
+    fillAuditActions(data.actions);
+    auditPage = data.page;
+    auditTotal = data.total;
+
+    const list = document.getElementById('auditList');
+    list.innerHTML = '';
+    data.entries.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'user-item';
+      // 日志内容含用户输入（用户名、User-Agent 等），以文本方式写入
+      const who = document.createElement('span');
+      who.textContent = `${new Date(entry.created_at).toLocaleString()} · ${entry.actor ? entry.actor.username || `#${entry.actor.id}` : '匿名'}`;
+      const what = document.createElement('span');
+      what.className = 'user-usage';
+      const target = entry.target ? ` · ${entry.target.type} ${entry.target.label || entry.target.id || ''}` : '';
+      what.textContent = `${entry.action_label}${target}`;
+      const details = document.createElement('span');
+      details.className = 'audit-details';
+      details.textContent = entry.details ? JSON.stringify(entry.details) : '';
+      const client = document.createElement('span');
+      client.textContent = entry.ip || '';
+      client.title = entry.user_agent || '';
+      item.append(who, what, details, client);
+      list.appendChild(item);
+    });
+
+    const pages = Math.max(1, Math.ceil(auditTotal / AUDIT_PAGE_SIZE));
+    document.getElementById('auditPager').classList.toggle('hidden', auditTotal === 0);
+    document.getElementById('auditCount').textContent = `第 ${auditPage}/${pages} 页，共 ${auditTotal} 条`;
+    document.getElementById('auditPrevBtn').disabled = auditPage <= 1;
+    document.getElementById('auditNextBtn').disabled = auditPage >= pages;
+  } catch (err) {
+    showMessage('加载失败', 'error');
+  }
+}
+
+// 填充操作类型下拉框（仅首次加载时）
+function fillAuditActions(actions) {
+  const select = document.getElementById('auditAction');
+  if (select.options.length > 1) return;
+  const groups = new Set(actions.map(a => a.action.split('.')[0]));
+  groups.forEach(group => {
+    const option = document.createElement('option');
+    option.value = `${group}.*`;
+    option.textContent = `${group}.*（全部）`;
+    select.appendChild(option);
+  });
+  actions.forEach(a => {
+    const option = document.createElement('option');
+    option.value = a.action;
+    option.textContent = `${a.label}（${a.action}）`;
+    select.appendChild(option);
+  });
+}
+
+document.getElementById('auditSearchBtn').addEventListener('click', () => loadAuditLog(1));
+document.getElementById('auditPrevBtn').addEventListener('click', () => loadAuditLog(auditPage - 1));
+document.getElementById('auditNextBtn').addEventListener('click', () => loadAuditLog(auditPage + 1));
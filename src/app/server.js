@@ -12,6 +12,22 @@
 // 
 // 修改历史:
 // 2025-11-06 - 初始版本
+// 2026-10-19 - 上传文件先写入暂存目录，由存储驱动（本地/S3）保存；启动时将历史绝对路径改写为存储对象键
+// 2026-10-19 - 标签路由迁移至 TagController，新增标签管理接口
+// 2026-10-19 - 新增图片元数据编辑接口
+// 2026-10-19 - 图片可见性：列表/获取接口可选认证，新增签名链接接口
+// 2026-10-19 - 新增个人 API 密钥接口，图片与标签接口按密钥权限范围限制
+// 2026-10-19 - 上传限制单文件大小与类型，multer 错误返回 JSON；新增用户配额覆盖接口
+// 2026-10-19 - 暂存文件名不再沿用客户端扩展名（由控制器按识别出的真实格式补齐）
+// 2026-10-19 - 启动后台任务队列（图片处理、URL 下载），新增任务状态查询接口
+// 2026-10-19 - 新增缩略图补全接口
+// 2026-10-19 - 启动时补全历史图片元数据
+// 2026-10-19 - 新增图片详情接口
+// 2026-10-19 - 新增全文搜索接口
+// 2026-10-19 - 随机图片接口解析可选令牌（按用户区分不重复窗口）
+// 2026-10-19 - 新增相册接口
+// 2026-10-19 - 启动定时备份；新增备份列表、生成、下载、校验、删除与按备份链恢复接口；导入备份限制上传大小（BACKUP_MAX_UPLOAD_SIZE）与文件数
+// 2026-10-19 - 新增审计日志查询接口；按 TRUST_PROXY 信任反向代理传递的客户端 IP
 // ================================================================
 const express = require('express');
 const cors = require('cors');
@@ -25,14 +41,36 @@ const { AuthMiddleware } = require('../middleware/auth');
 const { AuthController } = require('../controllers/authController');
 const { ImageController } = require('../controllers/imageController');
 const { AdminController } = require('../controllers/adminController');
+const { TagController } = require('../controllers/tagController');
+const { AlbumController } = require('../controllers/albumController');
+const { ApiKeyController } = require('../controllers/apiKeyController');
+const { JobController } = require('../controllers/jobController');
+const { JobQueue } = require('../services/jobQueue');
+const { BackupScheduler } = require('../services/backupScheduler');
 const { UserRepository } = require('../repositories/userRepository');
+const { StorageKeys } = require('../storage/storageKeys');
 
 async function Bootstrap() {
   const cfg = Config.Get();
   await Database.Get().Init();
   await UserRepository.EnsureAdminSeed();
+  await StorageKeys.MigrateLegacyPaths();
+  // 后台任务：优化版本生成、URL 下载（持久化于 jobs 表，重启后继续执行）
+  const jobs = JobQueue.Get();
+  jobs.Register('image.process', ImageController.ProcessImageJob, { onFailed: ImageController.OnProcessImageFailed });
+  jobs.Register('image.fetch', ImageController.FetchImageJob);
+  await jobs.Start();
+  // 定时备份（BACKUP_SCHEDULE / BACKUP_INCREMENTAL_SCHEDULE）
+  await BackupScheduler.Get().Start();
+  // 后台为历史图片补算内容哈希，随后补全元数据（不阻塞启动；元数据补全可能改写原图，需在哈希补算之后）
+  ImageController.BackfillContentHashes()
+    .catch((err) => console.error('内容哈希补算失败:', err))
+    .then(() => ImageController.BackfillImageMetadata())
+    .catch((err) => console.error('图片元数据补全失败:', err));
 
   const app = express();
+  // 经反向代理部署时按配置信任 X-Forwarded-For，使 req.ip 为真实客户端地址（审计日志、随机图片不重复窗口）
+  app.set('trust proxy', cfg.m_TrustProxy);
   app.use(cors());
   app.use(express.json({ limit: '10mb' }));
   app.use(morgan('dev'));
@@ -40,45 +78,101 @@ async function Bootstrap() {
   // 静态文件服务
   app.use(express.static(path.join(__dirname, '../../public')));
 
-  // 文件上传存储配置
+  // 文件上传暂存配置（处理完成后由存储驱动保存到本地上传目录或对象存储）
   const storage = multer.diskStorage({
     destination: function (req, file, cb) {
-      cb(null, cfg.m_UploadsDir);
+      cb(null, cfg.m_TmpDir);
     },
     filename: function (req, file, cb) {
-      const ext = path.extname(file.originalname) || '';
-      const name = Date.now() + '-' + Math.random().toString(36).slice(2) + ext;
+      const name = Date.now() + '-' + Math.random().toString(36).slice(2);
       cb(null, name);
     }
   });
-  const upload = multer({ storage });
+  // 图片上传：限制单文件大小与文件数，仅接受 image/* 类型
+  const upload = multer({
+    storage,
+    limits: { fileSize: cfg.m_UploadMaxFileSize, files: 50 },
+    fileFilter: function (req, file, cb) {
+      if (String(file.mimetype || '').startsWith('image/')) return cb(null, true);
+      const err = new Error(`不支持的文件类型: ${file.originalname}（${file.mimetype}）`);
+      err.status = 415;
+      cb(err);
+    }
+  });
+  // 备份导入：ZIP 文件不受图片大小与类型限制，仅接受单个文件，大小上限单独配置
+  const backupUpload = multer({
+    storage,
+    limits: { fileSize: cfg.m_BackupMaxUploadSize, files: 1 },
+  });
+
+  // 将 multer 错误（超出大小/数量、类型不支持）转换为 JSON 响应；maxFileSize 用于超出大小时的提示
+  const HandleUpload = (middleware, maxFileSize = cfg.m_UploadMaxFileSize) => (req, res, next) => middleware(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `单个文件不能超过 ${maxFileSize} 字节` });
+      }
+      return res.status(400).json({ error: `上传参数错误: ${err.message}` });
+    }
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    next(err);
+  });
 
   // ------------------ 认证 ------------------
   app.post('/api/auth/register', AuthController.Register);
   app.post('/api/auth/login', AuthController.Login);
 
+  // ------------------ 个人 API 密钥（仅登录令牌可管理） ------------------
+  app.get('/api/keys', AuthMiddleware.VerifyToken, AuthMiddleware.RequireSession, ApiKeyController.ListKeys);
+  app.post('/api/keys', AuthMiddleware.VerifyToken, AuthMiddleware.RequireSession, ApiKeyController.CreateKey);
+  app.delete('/api/keys/:id', AuthMiddleware.VerifyToken, AuthMiddleware.RequireSession, ApiKeyController.RevokeKey);
+
   // ------------------ 图片上传与管理 ------------------
-  app.post('/api/images/upload', AuthMiddleware.VerifyToken, upload.array('files', 50), ImageController.UploadLocal);
-  app.post('/api/images/upload-url', AuthMiddleware.VerifyToken, ImageController.UploadByUrl);
+  app.post('/api/images/upload', AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('upload'), HandleUpload(upload.array('files', 50)), ImageController.UploadLocal);
+  app.post('/api/images/upload-url', AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('upload'), ImageController.UploadByUrl);
 
-  app.get('/api/images/list', ImageController.ListImages); // 获取图片列表（JSON）
-  app.get('/api/images', ImageController.GetImages); // 随机图片（带查询参数）
-  app.get('/api/images/:token', ImageController.GetImageByToken); // 通过token获取图片
-  app.delete('/api/images/:id', AuthMiddleware.VerifyToken, ImageController.DeleteImage); // 删除图片
+  app.get('/api/images/list', AuthMiddleware.OptionalToken, ImageController.ListImages); // 获取图片列表（JSON）
+  app.get('/api/images', AuthMiddleware.OptionalToken, ImageController.GetImages); // 随机图片（带查询参数）
+  app.get('/api/search', AuthMiddleware.OptionalToken, ImageController.SearchImages); // 全文搜索（JSON）
+  app.get('/api/images/:token', AuthMiddleware.OptionalToken, ImageController.GetImageByToken); // 通过token获取图片
+  app.get('/api/images/:id/info', AuthMiddleware.OptionalToken, ImageController.GetImageInfo); // 图片详情（JSON）
+  app.post('/api/images/:id/sign', AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('read'), ImageController.SignImageUrl); // 生成签名链接
+  app.patch('/api/images/:id', AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('write'), ImageController.UpdateImage); // 编辑图片元数据与标签
+  app.delete('/api/images/:id', AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('write'), ImageController.DeleteImage); // 删除图片
+  app.get('/api/jobs/:id', AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('read'), JobController.GetJob); // 查询后台任务状态
 
   // ------------------ 标签 ------------------
-  const { TagRepository } = require('../repositories/tagRepository');
-  app.get('/api/tags', async (req, res) => {
-    const tags = await TagRepository.ListTags();
-    res.json({ tags });
-  });
+  app.get('/api/tags', TagController.ListTags);
+  app.post('/api/tags/merge', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, TagController.MergeTags);
+  app.delete('/api/tags/unused', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, TagController.DeleteUnusedTags);
+  app.patch('/api/tags/:id', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, TagController.UpdateTag);
+  app.delete('/api/tags/:id', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, TagController.DeleteTag);
+
+  // ------------------ 相册 ------------------
+  app.get('/api/albums', AuthMiddleware.OptionalToken, AlbumController.ListAlbums);
+  app.post('/api/albums', AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('write'), AlbumController.CreateAlbum);
+  app.get('/api/albums/:id', AuthMiddleware.OptionalToken, AlbumController.GetAlbum); // 相册信息与图片（ID或分享令牌）
+  app.patch('/api/albums/:id', AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('write'), AlbumController.UpdateAlbum);
+  app.delete('/api/albums/:id', AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('write'), AlbumController.DeleteAlbum);
+  app.post('/api/albums/:id/images', AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('write'), AlbumController.AddImages);
+  app.delete('/api/albums/:id/images/:imageId', AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('write'), AlbumController.RemoveImage);
+  app.put('/api/albums/:id/order', AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('write'), AlbumController.ReorderImages);
 
   // ------------------ 管理员接口 ------------------
   app.get('/api/users', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.ListUsers);
   app.patch('/api/users/:id/status', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.UpdateUserStatus);
+  app.patch('/api/users/:id', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.UpdateUserQuota);
   app.get('/api/admin/status/db', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.DbStatus);
+  app.post('/api/admin/variants/backfill', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.BackfillVariants);
   app.post('/api/admin/backup/export', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.ExportBackup);
-  app.post('/api/admin/backup/import', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, upload.single('backupZip'), AdminController.ImportBackup);
+  app.post('/api/admin/backup/import', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, HandleUpload(backupUpload.single('backupZip'), cfg.m_BackupMaxUploadSize), AdminController.ImportBackup);
+  app.get('/api/admin/backups', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.ListBackups);
+  app.post('/api/admin/backups', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.CreateBackup);
+  app.get('/api/admin/backups/:id/download', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.DownloadBackup);
+  app.post('/api/admin/backups/:id/verify', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.VerifyBackup);
+  app.post('/api/admin/backups/:id/restore', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.RestoreBackup);
+  app.delete('/api/admin/backups/:id', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.DeleteBackup);
+  app.get('/api/admin/audit-log', AuthMiddleware.VerifyToken, AuthMiddleware.RequireAdmin, AdminController.ListAuditLog);
 
   app.listen(cfg.m_Port, '0.0.0.0', () => {
     console.log(`Azumi Image Host 运行中: http://localhost:${cfg.m_Port}/`);
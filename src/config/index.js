@@ -4,7 +4,7 @@
 // 文件名称: Config.js
 // 作者: AzumiYumeichi
 // 创建日期: 2025-11-06
-// 版本: 1.1
+// 版本: 1.18
 // 
 // 描述: 应用的配置中心，负责统一管理端口、JWT密钥、数据目录、
 //       上传目录、备份目录以及数据库文件路径。初始化时自动创建
@@ -13,9 +13,27 @@
 // 修改历史:
 // 2025-11-06 - 初始版本
 // 2025-11-06 - 默认端口改为3000
+// 2026-10-19 - 新增图片变换缓存目录、缓存大小上限、未命中缓存限流与变换尺寸上限
+// 2026-10-19 - 新增上传压缩配置（开关、大小上限、质量下限、最小宽度）
+// 2026-10-19 - 新增存储驱动配置（local/s3）与上传暂存目录
+// 2026-10-19 - 新增图片响应 Cache-Control 配置
+// 2026-10-19 - 新增图片默认可见性与签名链接密钥/最长有效期
+// 2026-10-19 - 新增单文件大小上限与用户默认配额（容量、图片数、每日上传数）
+// 2026-10-19 - 新增远程抓取（URL 上传）安全配置：主机允许/拒绝列表、内网放行、超时与重定向次数
+// 2026-10-19 - 新增允许上传的图片格式白名单
+// 2026-10-19 - 新增后台任务队列配置（并发数、重试次数、轮询间隔、重试退避）
+// 2026-10-19 - 新增缩略图/响应式版本配置（宽度列表、输出格式、质量）
+// 2026-10-19 - 新增上传时清除隐私元数据（EXIF/GPS）开关
+// 2026-10-19 - 新增对外访问地址（生成嵌入代码的绝对 URL）
+// 2026-10-19 - 新增随机图片配置（默认不重复窗口、窗口上限、JSON 模式单次数量上限）
+// 2026-10-19 - 新增数据库日志模式、忙等待超时与预编译语句缓存配置
+// 2026-10-19 - 新增定时备份配置（完整/增量备份 cron 表达式、按日/按周保留份数）与导入备份上传大小上限
+// 2026-10-19 - 新增反向代理信任配置（TRUST_PROXY）
+// 2026-10-19 - 导入备份上传大小上限默认提高到 4GB（不支持 ZIP64 的 ZIP 格式上限）
 // ================================================================
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 class Config {
   /**
@@ -23,30 +41,135 @@ class Config {
    */
   constructor() {
     /** @type {number} */ this.m_Port = parseInt(process.env.PORT || '3000', 10);
+    // 对外访问地址（如 https://img.example.com），用于生成嵌入代码中的绝对 URL；未设置时取请求的协议与主机
+    /** @type {string} */ this.m_PublicBaseUrl = String(process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
     /** @type {string} */ this.m_AdminPassword = process.env.ADMIN_PASSWORD || '';
     /** @type {string} */ this.m_AdminUsername = process.env.ADMIN_USERNAME || 'admin';
     /** @type {string} */ this.m_JwtSecret = process.env.JWT_SECRET || 'azumi-image-host-secret';
+    // 私有图片签名链接密钥：未单独配置时由 JWT 密钥派生（更换 JWT 密钥会使已发放链接失效）
+    /** @type {string} */ this.m_SignedUrlSecret = process.env.SIGNED_URL_SECRET
+      || crypto.createHmac('sha256', this.m_JwtSecret).update('signed-url').digest('hex');
+    /** @type {number} */ this.m_SignedUrlMaxTtl = parseInt(process.env.SIGNED_URL_MAX_TTL || String(7 * 24 * 3600), 10);
+    // 新上传图片的默认可见性：public（公开）/ unlisted（不公开列出）/ private（私有）
+    /** @type {string} */ this.m_DefaultVisibility = String(process.env.DEFAULT_VISIBILITY || 'public').toLowerCase();
+    // 信任的反向代理（Express trust proxy）：false（默认，直接使用连接地址）、true、代理层数或逗号分隔的地址/网段（如 loopback）
+    /** @type {boolean|number|string} */ this.m_TrustProxy = Config.ParseTrustProxy(process.env.TRUST_PROXY);
 
     // 数据目录（与git隔离，通过.gitignore忽略）
     /** @type {string} */ this.m_DataDir = path.resolve(process.cwd(), 'data');
     /** @type {string} */ this.m_UploadsDir = path.join(this.m_DataDir, 'uploads');
     /** @type {string} */ this.m_BackupsDir = path.join(process.cwd(), 'backups');
     /** @type {string} */ this.m_DbFile = path.join(this.m_DataDir, 'db.sqlite');
+    // SQLite 日志模式（默认 WAL：读写互不阻塞）、锁等待超时（毫秒，超时后报 SQLITE_BUSY）与预编译语句缓存条数（0 表示不缓存）
+    /** @type {string} */ this.m_DbJournalMode = String(process.env.DB_JOURNAL_MODE || 'wal').toLowerCase();
+    /** @type {number} */ this.m_DbBusyTimeoutMs = parseInt(process.env.DB_BUSY_TIMEOUT_MS || '5000', 10);
+    /** @type {number} */ this.m_DbStatementCacheSize = parseInt(process.env.DB_STATEMENT_CACHE_SIZE || '200', 10);
+    // 图片变换（缩放/裁剪/转码）结果缓存目录，按访问令牌分子目录存放
+    /** @type {string} */ this.m_CacheDir = path.join(this.m_DataDir, 'cache');
+    // 上传暂存目录：上传/下载的文件先落盘于此，处理完成后交由存储驱动保存
+    /** @type {string} */ this.m_TmpDir = path.join(this.m_DataDir, 'tmp');
+
+    // 存储驱动：local（默认，保存到 m_UploadsDir）或 s3（S3 兼容对象存储，如 MinIO）
+    /** @type {string} */ this.m_StorageDriver = String(process.env.STORAGE_DRIVER || 'local').toLowerCase();
+    /** @type {string} */ this.m_S3Endpoint = process.env.S3_ENDPOINT || '';
+    /** @type {string} */ this.m_S3Region = process.env.S3_REGION || 'us-east-1';
+    /** @type {string} */ this.m_S3Bucket = process.env.S3_BUCKET || '';
+    /** @type {string} */ this.m_S3AccessKeyId = process.env.S3_ACCESS_KEY_ID || '';
+    /** @type {string} */ this.m_S3SecretAccessKey = process.env.S3_SECRET_ACCESS_KEY || '';
+    /** @type {string} */ this.m_S3Prefix = process.env.S3_PREFIX || '';
+    // 自建服务（MinIO 等）通常需要路径风格访问；设置了 S3_ENDPOINT 时默认开启
+    /** @type {boolean} */ this.m_S3ForcePathStyle = String(process.env.S3_FORCE_PATH_STYLE || (this.m_S3Endpoint ? 'true' : 'false')).toLowerCase() === 'true';
+
+    // 图片变换参数上限（宽高像素），防止请求生成超大图片耗尽资源
+    /** @type {number} */ this.m_TransformMaxDimension = parseInt(process.env.TRANSFORM_MAX_DIMENSION || '4096', 10);
+    // 变换缓存总大小上限（字节，超过后按最近最少使用淘汰，0 表示不限制），默认 1GB
+    /** @type {number} */ this.m_TransformCacheMaxBytes = parseInt(process.env.TRANSFORM_CACHE_MAX_BYTES || String(1024 * 1024 * 1024), 10);
+    // 每个客户端（IP）每分钟可触发的新变换次数（命中缓存不计，0 表示不限制）
+    /** @type {number} */ this.m_TransformMissRateLimit = parseInt(process.env.TRANSFORM_MISS_RATE_LIMIT || '30', 10);
+
+    // 图片响应的 Cache-Control 头（通过令牌访问的图片内容不变，可长期缓存）
+    /** @type {string} */ this.m_ImageCacheControl = process.env.IMAGE_CACHE_CONTROL || 'public, max-age=86400';
+
+    // 上传压缩：原图始终保留，超过上限时额外生成“优化版本”；单次上传可覆盖以下默认值
+    /** @type {boolean} */ this.m_CompressEnabled = String(process.env.COMPRESS_ENABLED || 'true').toLowerCase() !== 'false';
+    /** @type {number} */ this.m_CompressMaxBytes = parseInt(process.env.COMPRESS_MAX_BYTES || String(256 * 1024), 10);
+    /** @type {number} */ this.m_CompressMinQuality = parseInt(process.env.COMPRESS_MIN_QUALITY || '20', 10);
+    /** @type {number} */ this.m_CompressMinWidth = parseInt(process.env.COMPRESS_MIN_WIDTH || '64', 10);
+    // 缩略图/响应式版本：上传后按宽度列表生成（仅生成小于原图宽度的版本），留空表示不生成
+    /** @type {number[]} */ this.m_VariantWidths = Config.ParseList(process.env.VARIANT_WIDTHS != null ? process.env.VARIANT_WIDTHS : '160,320,640,1280')
+      .map((s) => parseInt(s, 10)).filter((n) => Number.isInteger(n) && n > 0).sort((a, b) => a - b);
+    /** @type {string} */ this.m_VariantFormat = String(process.env.VARIANT_FORMAT || 'webp').toLowerCase();
+    /** @type {number} */ this.m_VariantQuality = parseInt(process.env.VARIANT_QUALITY || '80', 10);
+
+    // 单个上传文件（本地或 URL 下载）的大小上限（字节）
+    /** @type {number} */ this.m_UploadMaxFileSize = parseInt(process.env.UPLOAD_MAX_FILE_SIZE || String(20 * 1024 * 1024), 10);
+    // 允许上传的图片格式（按文件头识别的真实格式，逗号分隔）；svg/ico/heic 需显式开启，svg 始终以附件形式下发
+    /** @type {string[]} */ this.m_AllowedFormats = Config.ParseList(process.env.ALLOWED_FORMATS || 'jpeg,png,gif,webp,avif,bmp,tiff');
+    // 保存前清除 EXIF/GPS/XMP 等隐私元数据并按方向自动旋转（元数据仍提取入库）；设为 false 保留原文件
+    /** @type {boolean} */ this.m_StripMetadata = String(process.env.STRIP_METADATA || 'true').toLowerCase() !== 'false';
+    // 用户默认配额（0 表示不限制），管理员可按用户覆盖；管理员账号不受默认配额限制
+    /** @type {number} */ this.m_QuotaMaxBytes = parseInt(process.env.QUOTA_MAX_BYTES || String(1024 * 1024 * 1024), 10);
+    /** @type {number} */ this.m_QuotaMaxImages = parseInt(process.env.QUOTA_MAX_IMAGES || '10000', 10);
+    /** @type {number} */ this.m_QuotaDailyUploads = parseInt(process.env.QUOTA_DAILY_UPLOADS || '500', 10);
+
+    // 远程抓取（URL 上传）：主机允许/拒绝列表（逗号分隔，支持 *.example.com 通配子域名；允许列表为空表示不限）
+    /** @type {string[]} */ this.m_FetchAllowHosts = Config.ParseList(process.env.FETCH_ALLOW_HOSTS);
+    /** @type {string[]} */ this.m_FetchDenyHosts = Config.ParseList(process.env.FETCH_DENY_HOSTS);
+    // 是否允许抓取回环/链路本地/内网地址（默认禁止，防止 SSRF；仅在受信任环境或本地测试时开启）
+    /** @type {boolean} */ this.m_FetchAllowPrivate = String(process.env.FETCH_ALLOW_PRIVATE || 'false').toLowerCase() === 'true';
+    /** @type {number} */ this.m_FetchTimeoutMs = parseInt(process.env.FETCH_TIMEOUT_MS || '15000', 10);
+    /** @type {number} */ this.m_FetchMaxRedirects = parseInt(process.env.FETCH_MAX_REDIRECTS || '3', 10);
+
+    // 后台任务队列（图片压缩、URL 下载等）：并发数、最大尝试次数、空闲轮询间隔与重试退避基数（毫秒，按 2^n 递增）
+    /** @type {number} */ this.m_JobConcurrency = parseInt(process.env.JOB_CONCURRENCY || '1', 10);
+    /** @type {number} */ this.m_JobMaxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+    /** @type {number} */ this.m_JobPollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000', 10);
+    /** @type {number} */ this.m_JobRetryBaseMs = parseInt(process.env.JOB_RETRY_BASE_MS || '5000', 10);
+    // 已结束（成功或失败）的任务保留天数，超过后删除；0 表示不清理
+    /** @type {number} */ this.m_JobRetentionDays = parseInt(process.env.JOB_RETENTION_DAYS || '7', 10);
+
+    // 随机图片：默认不重复窗口（同一客户端最近 N 次返回过的图片不再选中，0 表示关闭）、窗口上限、JSON 模式单次返回数量上限
+    /** @type {number} */ this.m_RandomNoRepeat = parseInt(process.env.RANDOM_NO_REPEAT || '0', 10);
+    /** @type {number} */ this.m_RandomNoRepeatMax = parseInt(process.env.RANDOM_NO_REPEAT_MAX || '100', 10);
+    /** @type {number} */ this.m_RandomMaxCount = parseInt(process.env.RANDOM_MAX_COUNT || '50', 10);
+
+    // 定时备份：完整/增量备份的 cron 表达式（分 时 日 月 周，服务器本地时间，留空表示不定时执行）；
+    // 保留最近 N 天每天、最近 N 周每周最新的一份完整备份及其增量备份（两者均为 0 表示不自动清理）
+    /** @type {string} */ this.m_BackupSchedule = String(process.env.BACKUP_SCHEDULE || '').trim();
+    /** @type {string} */ this.m_BackupIncrementalSchedule = String(process.env.BACKUP_INCREMENTAL_SCHEDULE || '').trim();
+    /** @type {number} */ this.m_BackupKeepDaily = parseInt(process.env.BACKUP_KEEP_DAILY || '7', 10);
+    /** @type {number} */ this.m_BackupKeepWeekly = parseInt(process.env.BACKUP_KEEP_WEEKLY || '4', 10);
+    // 导入备份时上传 ZIP 的大小上限（字节），默认 4GB（备份 ZIP 不使用 ZIP64，单个归档不超过 4GB）
+    /** @type {number} */ this.m_BackupMaxUploadSize = parseInt(process.env.BACKUP_MAX_UPLOAD_SIZE || String(4 * 1024 * 1024 * 1024), 10);
 
     this.EnsureDirectories();
   }
 
   /**
-   * 方法：确保数据目录/上传目录/备份目录存在
+   * 方法：确保数据目录/上传目录/备份目录/缓存目录/暂存目录存在
    */
   EnsureDirectories() {
-    [this.m_DataDir, this.m_UploadsDir, this.m_BackupsDir].forEach((dir) => {
+    [this.m_DataDir, this.m_UploadsDir, this.m_BackupsDir, this.m_CacheDir, this.m_TmpDir].forEach((dir) => {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
     });
   }
 
+  /** 方法：解析逗号分隔的环境变量为小写字符串数组（忽略空项） */
+  static ParseList(raw) {
+    return String(raw || '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+  }
+
+  /** 方法：解析 TRUST_PROXY（true/false、代理层数或地址列表） */
+  static ParseTrustProxy(raw) {
+    const value = String(raw || '').trim();
+    if (!value || value.toLowerCase() === 'false') return false;
+    if (value.toLowerCase() === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return value;
+  }
+
   /**
    * 方法：获取当前配置对象（用于路由及服务初始化）
    * 用法：const cfg = Config.Get();
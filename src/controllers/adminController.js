@@ -4,26 +4,93 @@
 // 文件名称: AdminController.js
 // 作者: AzumiYumeichi
 // 创建日期: 2025-11-06
-// 版本: 1.0
+// 版本: 1.10
 // 
 // 描述: 提供管理员相关接口：用户状态管理、数据库状态查看、
-//       数据与图片备份的导出与导入。
+//       数据与图片备份的生成、列出、下载、校验、删除、导入与按备份链恢复，以及审计日志查询。
 // 
 // 修改历史:
 // 2025-11-06 - 初始版本
+// 2026-10-19 - 导出备份时一并打包图片优化版本
+// 2026-10-19 - 导出时跳过多条记录共用的重复文件
+// 2026-10-19 - 备份导出/导入的图片读写改经存储驱动；导入后清理暂存 ZIP
+// 2026-10-19 - 用户列表附带用量与有效配额；新增用户配额覆盖接口
+// 2026-10-19 - 新增历史图片缩略图补全接口（后台任务）
+// 2026-10-19 - 导入备份的数据库写入在同一事务中完成，失败时整体回滚
+// 2026-10-19 - 备份导入改由 BackupService 完成：重新映射ID、保留访问令牌、改写存储路径、校验 ZIP 路径，支持 merge/replace 与试运行并返回报告；导出包含相册
+// 2026-10-19 - 备份导出改为流式生成（支持增量备份）；新增备份列表、生成、下载、校验、删除与按备份链恢复接口
+// 2026-10-19 - 用户状态与配额修改、备份生成/下载/删除/导入/恢复写入审计日志；新增审计日志查询接口
+// 2026-10-19 - 导入备份改为流式读取上传的 ZIP，导入结束后再清理暂存文件
 // ================================================================
 const fs = require('fs');
-const path = require('path');
-const AdmZip = require('adm-zip');
 const { Database } = require('../db/sqlite');
 const { Config } = require('../config');
 const { UserRepository } = require('../repositories/userRepository');
+const { ImageRepository } = require('../repositories/imageRepository');
+const { BackupRepository } = require('../repositories/backupRepository');
+const { AuditLogRepository } = require('../repositories/auditLogRepository');
+const { QuotaService } = require('../services/quotaService');
+const { JobQueue } = require('../services/jobQueue');
+const { BackupService } = require('../services/backupService');
+const { AuditService, AUDIT_ACTIONS } = require('../services/auditService');
 
 class AdminController {
-  /** 方法：列出所有用户 */
+  /** 方法：格式化用户记录（附带用量、配额覆盖与有效配额） */
+  static FormatUser(row) {
+    return {
+      id: row.id,
+      username: row.username,
+      role: row.role,
+      status: row.status,
+      created_at: row.created_at,
+      usage: { imageCount: row.image_count, usedBytes: row.used_bytes, uploads24h: row.uploads_24h },
+      quotaOverride: { maxBytes: row.quota_bytes, maxImages: row.quota_images, dailyUploads: row.quota_daily },
+      limits: QuotaService.ResolveLimits(row),
+    };
+  }
+
+  /** 方法：列出所有用户（含用量与配额） */
   static async ListUsers(req, res) {
     const users = await UserRepository.ListUsers();
-    return res.json({ users });
+    return res.json({ users: users.map(AdminController.FormatUser) });
+  }
+
+  /**
+   * 方法：覆盖用户配额
+   * 说明：body = { maxBytes?, maxImages?, dailyUploads? }；值为非负整数（0 表示不限制），
+   *      null 表示恢复默认配额。
+   */
+  static async UpdateUserQuota(req, res) {
+    const id = parseInt(req.params.id, 10);
+    const user = await UserRepository.GetUserById(id);
+    if (!user) return res.status(404).json({ error: '用户不存在' });
+    const body = req.body || {};
+    const fields = { maxBytes: 'quota_bytes', maxImages: 'quota_images', dailyUploads: 'quota_daily' };
+    const quota = {};
+    for (const [key, column] of Object.entries(fields)) {
+      if (body[key] === undefined) continue;
+      if (body[key] === null) {
+        quota[column] = null;
+        continue;
+      }
+      const n = Number(body[key]);
+      if (!Number.isSafeInteger(n) || n < 0) return res.status(400).json({ error: `${key} 需为非负整数或 null` });
+      quota[column] = n;
+    }
+    if (!Object.keys(quota).length) {
+      return res.status(400).json({ error: '未提供 maxBytes、maxImages 或 dailyUploads' });
+    }
+    await UserRepository.UpdateQuota(id, quota);
+    const changes = {};
+    for (const [column, value] of Object.entries(quota)) changes[column] = { from: user[column], to: value };
+    await AuditService.Record(req, 'user.quota', { target: { type: 'user', id, label: user.username }, details: changes });
+    const updated = await UserRepository.GetUserById(id);
+    const usage = await UserRepository.GetUsage(id);
+    return res.json({
+      id,
+      quotaOverride: { maxBytes: updated.quota_bytes, maxImages: updated.quota_images, dailyUploads: updated.quota_daily },
+      ...QuotaService.Describe(updated, usage),
+    });
   }
 
   /** 方法：更新用户状态（active/disabled） */
@@ -33,7 +100,15 @@ class AdminController {
     if (!['active', 'disabled'].includes(status)) {
       return res.status(400).json({ error: '状态无效' });
     }
-    await UserRepository.SetStatus(id, status);
+    const user = await UserRepository.GetUserById(id);
+    if (!user) return res.status(404).json({ error: '用户不存在' });
+    if (user.status !== status) {
+      await UserRepository.SetStatus(id, status);
+      await AuditService.Record(req, 'user.status', {
+        target: { type: 'user', id, label: user.username },
+        details: { from: user.status, to: status },
+      });
+    }
     return res.json({ id, status });
   }
 
@@ -53,86 +128,301 @@ class AdminController {
     });
   }
 
-  /** 方法：导出备份（生成ZIP：data.json + images/*） */
-  static async ExportBackup(req, res) {
-    const db = Database.Get();
-    const backupsDir = Config.Get().m_BackupsDir;
-    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const outZip = path.join(backupsDir, `backup-${stamp}.zip`);
-
-    const users = await db.All('SELECT * FROM users');
-    const images = await db.All('SELECT * FROM images');
-    const tags = await db.All('SELECT * FROM tags');
-    const imageTags = await db.All('SELECT * FROM image_tags');
-
-    const zip = new AdmZip();
-    zip.addFile('data.json', Buffer.from(JSON.stringify({ users, images, tags, imageTags }, null, 2), 'utf8'));
-
-    // 打包图片文件
-    for (const img of images) {
-      const filePath = img.storage_path;
-      if (fs.existsSync(filePath)) {
-        const relative = path.join('images', path.basename(filePath));
-        zip.addLocalFile(filePath, path.dirname(relative), path.basename(relative));
-      }
+  /**
+   * 方法：为历史图片补全缩略图/响应式版本
+   * 说明：每个原图文件入队一个 image.process 任务（仅生成缩略图，不改变优化版本）；
+   *      force=true 时为全部图片重新生成（如修改了 VARIANT_WIDTHS）。
+   * 返回：202 { queued }
+   */
+  static async BackfillVariants(req, res) {
+    if (!Config.Get().m_VariantWidths.length) {
+      return res.status(400).json({ error: '未配置缩略图宽度（VARIANT_WIDTHS）' });
+    }
+    const force = String(req.body?.force ?? req.query.force ?? 'false').toLowerCase() === 'true';
+    const rows = await ImageRepository.ListImagesForVariantBackfill(force);
+    for (const row of rows) {
+      await JobQueue.Get().Enqueue('image.process', { imageId: row.id }, { ownerId: row.owner_id });
     }
-    zip.writeZip(outZip);
+    return res.status(202).json({ queued: rows.length });
+  }
 
+  /** 方法：格式化备份记录 */
+  static FormatBackup(row) {
+    return {
+      id: row.id,
+      filename: row.filename,
+      type: row.type,
+      base_id: row.base_id,
+      status: row.status,
+      source: row.source,
+      image_count: row.image_count,
+      file_count: row.file_count,
+      size_bytes: row.size_bytes,
+      sha256: row.sha256,
+      max_image_id: row.max_image_id,
+      error: row.error,
+      created_at: row.created_at,
+      completed_at: row.completed_at,
+      verified_at: row.verified_at,
+      download_url: row.status === 'completed' ? `/api/admin/backups/${row.id}/download` : null,
+    };
+  }
+
+  /** 方法：按路由参数加载备份记录，不存在时返回 null */
+  static async LoadBackup(req) {
+    const id = parseInt(req.params.id, 10);
+    return Number.isInteger(id) ? await BackupRepository.GetBackupById(id) : null;
+  }
+
+  /** 方法：列出备份（新的在前），附带定时备份与保留策略配置 */
+  static async ListBackups(req, res) {
+    const cfg = Config.Get();
+    const rows = await BackupRepository.ListBackups();
+    return res.json({
+      backups: rows.map(AdminController.FormatBackup),
+      running: BackupService.IsRunning(),
+      schedule: {
+        full: cfg.m_BackupSchedule || null,
+        incremental: cfg.m_BackupIncrementalSchedule || null,
+        keepDaily: cfg.m_BackupKeepDaily,
+        keepWeekly: cfg.m_BackupKeepWeekly,
+      },
+    });
+  }
+
+  /**
+   * 方法：生成备份
+   * 说明：body.type = full（默认）/ incremental；没有可用的上一次备份时增量备份自动改为完整备份。
+   *      备份在请求内同步生成，已有备份正在执行时返回 409。
+   * 返回：201 { backup }
+   */
+  static async CreateBackup(req, res) {
+    const { type, error } = BackupService.ParseBackupType(req.body?.type ?? req.query.type);
+    if (error) return res.status(400).json({ error });
+    const result = await BackupService.CreateBackup({ type, source: 'manual' });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    await AdminController.RecordBackupCreated(req, result.backup);
+    return res.status(201).json({ backup: AdminController.FormatBackup(result.backup) });
+  }
+
+  /**
+   * 方法：导出备份（兼容旧接口，等同于生成备份）
+   * 说明：type 同 CreateBackup；download=true 时生成后直接下载 ZIP，否则返回文件路径与备份记录。
+   */
+  static async ExportBackup(req, res) {
+    const { type, error } = BackupService.ParseBackupType(req.body?.type ?? req.query.type);
+    if (error) return res.status(400).json({ error });
+    const result = await BackupService.CreateBackup({ type, source: 'manual' });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    await AdminController.RecordBackupCreated(req, result.backup);
+    const outZip = BackupService.BackupPath(result.backup.filename);
     if (String(req.query.download || 'false').toLowerCase() === 'true') {
-      res.setHeader('Content-Type', 'application/zip');
-      res.setHeader('Content-Disposition', `attachment; filename=${path.basename(outZip)}`);
-      return res.sendFile(outZip);
+      return res.download(outZip, result.backup.filename);
     }
-    return res.json({ backupZip: outZip });
+    return res.json({ backupZip: outZip, backup: AdminController.FormatBackup(result.backup) });
+  }
+
+  /** 方法：记录备份生成的审计日志 */
+  static async RecordBackupCreated(req, backup) {
+    await AuditService.Record(req, 'backup.create', {
+      target: { type: 'backup', id: backup.id, label: backup.filename },
+      details: { type: backup.type, baseId: backup.base_id, fileCount: backup.file_count, sizeBytes: backup.size_bytes },
+    });
   }
 
-  /** 方法：导入备份（上传ZIP） */
+  /** 方法：下载备份文件 */
+  static async DownloadBackup(req, res) {
+    const backup = await AdminController.LoadBackup(req);
+    if (!backup) return res.status(404).json({ error: '备份不存在' });
+    const filePath = BackupService.BackupPath(backup.filename);
+    if (backup.status !== 'completed' || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: '备份文件不存在' });
+    }
+    await AuditService.Record(req, 'backup.download', { target: { type: 'backup', id: backup.id, label: backup.filename } });
+    return res.download(filePath, backup.filename);
+  }
+
+  /**
+   * 方法：校验备份文件（归档 SHA-256 与清单中每个条目的校验值）
+   * 返回：{ backup, ok, archive, entries, error? }
+   */
+  static async VerifyBackup(req, res) {
+    const backup = await AdminController.LoadBackup(req);
+    if (!backup) return res.status(404).json({ error: '备份不存在' });
+    if (backup.status !== 'completed') return res.status(409).json({ error: '备份未完成，无法校验' });
+    const result = await BackupService.VerifyBackup(backup);
+    const updated = await BackupRepository.GetBackupById(backup.id);
+    return res.json({ backup: AdminController.FormatBackup(updated), ...result });
+  }
+
+  /**
+   * 方法：删除备份（文件与记录）
+   * 说明：存在基于该备份的增量备份时返回 409，force=true 时一并删除。
+   * 返回：{ deleted: [ID] }
+   */
+  static async DeleteBackup(req, res) {
+    const backup = await AdminController.LoadBackup(req);
+    if (!backup) return res.status(404).json({ error: '备份不存在' });
+    const force = String(req.query.force ?? 'false').toLowerCase() === 'true';
+    const { deleted, status, error, dependents } = await BackupService.DeleteBackup(backup, { force });
+    if (error) return res.status(status).json({ error, dependents });
+    await AuditService.Record(req, 'backup.delete', {
+      target: { type: 'backup', id: backup.id, label: backup.filename },
+      details: { deleted, force },
+    });
+    return res.json({ deleted });
+  }
+
+  /**
+   * 方法：导入备份（上传ZIP）
+   * 说明：mode=merge（默认，保留现有数据，仅补充缺失记录）或 replace（清空现有图片、标签与相册后导入）；
+   *      dryRun=true 时仅校验并返回报告，不写入。导入记录使用新ID，图片保留访问令牌，
+   *      存储路径改写为本机对象键。ZIP 含非法路径或为增量备份时整体拒绝。
+   * 返回：{ imported, report }（新增、跳过、冲突明细）
+   */
   static async ImportBackup(req, res) {
     const file = req.file; // 单文件上传字段：backupZip
     if (!file) return res.status(400).json({ error: '未提供备份文件' });
-    const tempZip = file.path;
-    const zip = new AdmZip(tempZip);
-    const entries = zip.getEntries();
-    const dataEntry = entries.find(e => e.entryName === 'data.json');
-    if (!dataEntry) return res.status(400).json({ error: '备份文件缺少data.json' });
-    const json = JSON.parse(zip.readAsText('data.json'));
-    const imagesDir = path.join(Config.Get().m_UploadsDir);
-
-    const db = Database.Get();
-    // 简单合并策略：若用户名存在则跳过；若图片文件名存在则跳过
-    for (const u of json.users || []) {
-      const ex = await db.Get('SELECT id FROM users WHERE username = ?', [u.username]);
-      if (!ex) {
-        await db.Run('INSERT INTO users (id, username, password_hash, role, status, created_at) VALUES (?,?,?,?,?,?)',
-          [u.id, u.username, u.password_hash, u.role, u.status, u.created_at]);
-      }
+    const { mode, error: modeError } = BackupService.ParseMode(req.body?.mode ?? req.query.mode);
+    const dryRun = String(req.body?.dryRun ?? req.query.dryRun ?? 'false').toLowerCase() === 'true';
+    if (modeError) {
+      try { fs.unlinkSync(file.path); } catch (_) {}
+      return res.status(400).json({ error: modeError });
     }
-    // 导入图片文件
-    for (const e of entries.filter(x => x.entryName.startsWith('images/'))) {
-      const outPath = path.join(imagesDir, path.basename(e.entryName));
-      if (!fs.existsSync(outPath)) {
-        fs.writeFileSync(outPath, e.getData());
-      }
+
+    // ZIP 由 BackupService 流式读取，导入结束后再清理暂存文件
+    let result;
+    try {
+      result = await BackupService.ImportArchive(file.path, { mode, dryRun, actorId: req.user.id });
+    } finally {
+      try { fs.unlinkSync(file.path); } catch (_) {}
     }
-    for (const img of json.images || []) {
-      const ex = await db.Get('SELECT id FROM images WHERE filename = ?', [img.filename]);
-      if (!ex) {
-        await db.Run(`INSERT INTO images (id, owner_id, filename, original_name, mime_type, size, storage_path, remote_url, created_at)
-                      VALUES (?,?,?,?,?,?,?,?,?)`,
-          [img.id, img.owner_id, img.filename, img.original_name, img.mime_type, img.size, img.storage_path, img.remote_url, img.created_at]);
+    const { report, error, details } = result;
+    // 被拒绝的导入同样记录，便于追查
+    await AuditService.Record(req, 'backup.import', {
+      target: { type: 'backup', id: null, label: file.originalname },
+      details: error ? { mode, dryRun, error } : { mode, dryRun, summary: report.summary },
+    });
+    if (error) return res.status(400).json({ error, details });
+    return res.json({ imported: !dryRun, report });
+  }
+
+  /**
+   * 方法：恢复服务器上保存的备份（增量备份按备份链恢复）
+   * 说明：mode 与 dryRun 同 ImportBackup；备份链不完整、校验未通过或已有备份正在执行时返回 409。
+   * 返回：{ restored, chain, report }
+   */
+  static async RestoreBackup(req, res) {
+    const backup = await AdminController.LoadBackup(req);
+    if (!backup) return res.status(404).json({ error: '备份不存在' });
+    if (backup.status !== 'completed') return res.status(409).json({ error: '备份未完成，无法恢复' });
+    const { mode, error: modeError } = BackupService.ParseMode(req.body?.mode ?? req.query.mode);
+    if (modeError) return res.status(400).json({ error: modeError });
+    const dryRun = String(req.body?.dryRun ?? req.query.dryRun ?? 'false').toLowerCase() === 'true';
+
+    const { report, chain, status, error, details } = await BackupService.RestoreBackup(backup, { mode, dryRun, actorId: req.user.id });
+    await AuditService.Record(req, 'backup.restore', {
+      target: { type: 'backup', id: backup.id, label: backup.filename },
+      details: error ? { mode, dryRun, error } : { mode, dryRun, chain, summary: report.summary },
+    });
+    if (error) return res.status(status).json({ error, details });
+    return res.json({ restored: !dryRun, chain, report });
+  }
+
+  /** 方法：格式化审计日志记录（details 解析为对象） */
+  static FormatAuditEntry(row) {
+    let details = null;
+    if (row.details) {
+      try {
+        details = JSON.parse(row.details);
+      } catch (_) {
+        details = row.details;
       }
     }
-    for (const t of json.tags || []) {
-      const ex = await db.Get('SELECT id FROM tags WHERE name = ?', [t.name]);
-      if (!ex) {
-        await db.Run('INSERT INTO tags (id, name) VALUES (?,?)', [t.id, t.name]);
-      }
+    return {
+      id: row.id,
+      action: row.action,
+      action_label: AUDIT_ACTIONS[row.action] || row.action,
+      actor: row.actor_id != null || row.actor_name
+        ? { id: row.actor_id, username: row.actor_name, api_key_id: row.api_key_id }
+        : null,
+      target: row.target_type
+        ? { type: row.target_type, id: row.target_id, label: row.target_label }
+        : null,
+      details,
+      ip: row.ip,
+      user_agent: row.user_agent,
+      created_at: row.created_at,
+    };
+  }
+
+  /**
+   * 方法：分页查询审计日志（新的在前）
+   * 说明：查询参数 page、pageSize（默认 50，最大 200）；action 为逗号分隔的操作类型，以 .* 结尾表示同类全部操作（如 image.*）；
+   *      actor 为用户ID或用户名；targetType、targetId、ip 精确匹配；from/to 为时间范围。
+   * 返回：{ entries, total, page, pageSize, actions }（actions 为全部操作类型与说明）
+   */
+  static async ListAuditLog(req, res) {
+    const { filters, page, pageSize, error } = AdminController.ParseAuditQuery(req.query);
+    if (error) return res.status(400).json({ error });
+    const { rows, total } = await AuditLogRepository.Query(filters);
+    return res.json({
+      entries: rows.map(AdminController.FormatAuditEntry),
+      total,
+      page,
+      pageSize,
+      actions: AuditService.ListActions(),
+    });
+  }
+
+  /**
+   * 方法：解析审计日志查询参数
+   * 返回：{ filters, page, pageSize } 或 { error }
+   */
+  static ParseAuditQuery(query) {
+    const readInt = (raw, min, max, label) => {
+      if (raw == null || raw === '') return { value: null };
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n < min || n > max) return { error: `参数 ${label} 需为 ${min}-${max} 的整数` };
+      return { value: n };
+    };
+    const readDate = (raw, label) => {
+      if (raw == null || raw === '') return { value: null };
+      const d = new Date(String(raw));
+      if (isNaN(d.getTime())) return { error: `参数 ${label} 不是有效日期` };
+      return { value: d.toISOString() };
+    };
+    const page = readInt(query.page, 1, Number.MAX_SAFE_INTEGER, 'page');
+    if (page.error) return { error: page.error };
+    const pageSize = readInt(query.pageSize, 1, 200, 'pageSize');
+    if (pageSize.error) return { error: pageSize.error };
+    const from = readDate(query.from, 'from');
+    if (from.error) return { error: from.error };
+    const to = readDate(query.to, 'to');
+    if (to.error) return { error: to.error };
+    const limit = pageSize.value || 50;
+    const filters = {
+      limit,
+      offset: ((page.value || 1) - 1) * limit,
+      from: from.value,
+      to: to.value,
+      actions: [],
+      actionPrefixes: [],
+    };
+    for (const item of String(query.action || '').split(',').map((a) => a.trim()).filter(Boolean)) {
+      if (item.endsWith('.*')) filters.actionPrefixes.push(item.slice(0, -1));
+      else if (AUDIT_ACTIONS[item]) filters.actions.push(item);
+      else return { error: `未知的操作类型: ${item}` };
     }
-    for (const it of json.imageTags || []) {
-      await db.Run('INSERT OR IGNORE INTO image_tags (image_id, tag_id) VALUES (?,?)', [it.image_id, it.tag_id]);
+    if (query.actor != null && query.actor !== '') {
+      const actor = String(query.actor);
+      if (/^\d+$/.test(actor)) filters.actorId = parseInt(actor, 10);
+      else filters.actorName = actor;
     }
-
-    return res.json({ imported: true });
+    if (query.targetType) filters.targetType = String(query.targetType);
+    if (query.targetId != null && query.targetId !== '') filters.targetId = String(query.targetId);
+    if (query.ip) filters.ip = String(query.ip).trim();
+    return { filters, page: page.value || 1, pageSize: limit };
   }
 }
 
@@ -0,0 +1,261 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 相册控制器
+//
+// 文件名称: AlbumController.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.1
+//
+// 描述: 提供相册相关API：创建、重命名、删除相册，添加、移除与排序相册图片，
+//       设置封面、可见性（public/unlisted/private）与分享令牌，以及按顺序列出相册图片。
+//       仅相册所有者与管理员可修改相册；相册只能收录自己有权修改的图片。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - 修改与删除相册写入审计日志
+// ================================================================
+const { AlbumRepository } = require('../repositories/albumRepository');
+const { ImageRepository } = require('../repositories/imageRepository');
+const { AuditService } = require('../services/auditService');
+const { ImageController } = require('./imageController');
+
+class AlbumController {
+  /**
+   * 方法：格式化相册信息
+   * 说明：封面图片对查看者不可见（私有且非所有者）时返回 null。
+   */
+  static FormatAlbum(req, album, cover) {
+    const showCover = cover && (cover.visibility !== 'private' || ImageController.CanModifyImage(req.user, cover));
+    return {
+      id: album.id,
+      name: album.name,
+      description: album.description || null,
+      visibility: album.visibility,
+      share_token: album.share_token,
+      owner_id: album.owner_id,
+      owner_name: album.owner_name || null,
+      cover_image_id: album.cover_image_id || null,
+      cover: showCover
+        ? { id: cover.id, url: ImageController.BuildImageUrl(cover), width: cover.width, height: cover.height }
+        : null,
+      image_count: album.image_count,
+      url: `/api/albums/${album.share_token}`,
+      created_at: album.created_at,
+      updated_at: album.updated_at,
+    };
+  }
+
+  /** 方法：加载相册封面图片并格式化 */
+  static async FormatAlbumWithCover(req, album) {
+    const cover = album.effective_cover_id ? await ImageRepository.GetImageById(album.effective_cover_id) : null;
+    return AlbumController.FormatAlbum(req, album, cover);
+  }
+
+  /**
+   * 方法：解析相册名称与描述
+   * 返回：{ fields } 或 { error }
+   */
+  static ParseAlbumFields(body, creating) {
+    const fields = {};
+    if (creating || body.name !== undefined) {
+      const name = String(body.name == null ? '' : body.name).trim().normalize('NFC');
+      if (!name || name.length > 200) return { error: 'name 不能为空且不能超过 200 字符' };
+      fields.name = name;
+    }
+    if (body.description !== undefined) {
+      const description = body.description == null ? '' : String(body.description).trim().normalize('NFC');
+      if (description.length > 2000) return { error: 'description 长度不能超过 2000' };
+      fields.description = description || null;
+    }
+    if (creating || body.visibility !== undefined) {
+      const { visibility, error } = ImageController.ParseVisibility(body.visibility, creating ? 'public' : null);
+      if (error) return { error };
+      fields.visibility = visibility;
+    }
+    return { fields };
+  }
+
+  /**
+   * 方法：解析图片ID数组
+   * 返回：{ ids } 或 { error }
+   */
+  static ParseImageIds(raw) {
+    if (!Array.isArray(raw) || !raw.length) return { error: '需提供 imageIds 数组' };
+    if (raw.length > 500) return { error: 'imageIds 不能超过 500 项' };
+    const ids = raw.map((x) => Number(x));
+    if (ids.some((x) => !Number.isInteger(x) || x <= 0)) return { error: 'imageIds 需为图片ID' };
+    return { ids: [...new Set(ids)] };
+  }
+
+  /**
+   * 方法：加载相册并校验修改权限（所有者或管理员）
+   * 返回：{ album } 或 { status, error }
+   */
+  static async LoadEditableAlbum(req) {
+    const id = parseInt(req.params.id, 10);
+    const album = Number.isInteger(id) ? await AlbumRepository.GetAlbumById(id) : null;
+    if (!album) return { status: 404, error: '相册不存在' };
+    if (!ImageController.CanModifyImage(req.user, album)) {
+      // 无权查看的相册同样返回 404，避免泄露其存在
+      if (!ImageController.CanViewAlbum(req, album, false)) return { status: 404, error: '相册不存在' };
+      return { status: 403, error: '无权修改该相册' };
+    }
+    return { album };
+  }
+
+  /** 方法：创建相册 */
+  static async CreateAlbum(req, res) {
+    const { fields, error } = AlbumController.ParseAlbumFields(req.body || {}, true);
+    if (error) return res.status(400).json({ error });
+    const id = await AlbumRepository.CreateAlbum({ ownerId: req.user.id, ...fields });
+    const album = await AlbumRepository.GetAlbumById(id);
+    return res.status(201).json({ album: AlbumController.FormatAlbum(req, album, null) });
+  }
+
+  /**
+   * 方法：分页列出相册
+   * 说明：匿名用户仅可见公开相册；登录用户另可见自己的相册；管理员可见全部。owner 按创建者ID筛选。
+   */
+  static async ListAlbums(req, res) {
+    const { filters, page, pageSize, error } = ImageController.ParseListQuery({ page: req.query.page, pageSize: req.query.pageSize });
+    if (error) return res.status(400).json({ error });
+    let ownerId = null;
+    if (req.query.owner != null && req.query.owner !== '') {
+      ownerId = Number(req.query.owner);
+      if (!Number.isInteger(ownerId)) return res.status(400).json({ error: '参数 owner 需为用户ID' });
+    }
+    const { rows, total } = await AlbumRepository.ListAlbums({
+      viewerId: req.user ? req.user.id : null,
+      viewerIsAdmin: !!req.user && req.user.role === 'admin',
+      ownerId,
+      limit: filters.limit,
+      offset: filters.offset,
+    });
+    const albums = [];
+    for (const album of rows) albums.push(await AlbumController.FormatAlbumWithCover(req, album));
+    return res.json({ albums, total, page, pageSize });
+  }
+
+  /**
+   * 方法：获取相册信息与图片（按相册顺序分页）
+   * 说明：:id 可为数字ID或分享令牌；图片可见范围见 ImageController.AlbumImageFilters。
+   *      分页与筛选参数同图片列表接口，sort 另支持 position（默认，按相册顺序）。
+   */
+  static async GetAlbum(req, res) {
+    const { album, status, error: albumError } = await ImageController.FindViewableAlbum(req, req.params.id);
+    if (!album) return res.status(status).json({ error: albumError });
+    const { filters, page, pageSize, error } = ImageController.ParseListQuery(req.query, { album: true });
+    if (error) return res.status(400).json({ error });
+    Object.assign(filters, ImageController.AlbumImageFilters(req, album));
+    const { rows, total } = await ImageRepository.QueryImages(filters);
+    const images = await ImageController.FormatImageRows(req, rows);
+    const nextCursor = rows.length === pageSize ? ImageController.EncodeCursor(rows[rows.length - 1]) : null;
+    return res.json({
+      album: await AlbumController.FormatAlbumWithCover(req, album),
+      images,
+      total,
+      page: filters.cursor ? null : page,
+      pageSize,
+      nextCursor,
+    });
+  }
+
+  /**
+   * 方法：修改相册（所有者或管理员）
+   * 说明：body 可含 name、description、visibility、coverImageId（需为相册内图片，null 表示使用第一张），
+   *      resetShareToken=true 时重新生成分享令牌（旧链接失效）。
+   */
+  static async UpdateAlbum(req, res) {
+    const { album, status, error: loadError } = await AlbumController.LoadEditableAlbum(req);
+    if (!album) return res.status(status).json({ error: loadError });
+    const body = req.body || {};
+    const { fields, error } = AlbumController.ParseAlbumFields(body, false);
+    if (error) return res.status(400).json({ error });
+    if (body.coverImageId !== undefined) {
+      if (body.coverImageId === null || body.coverImageId === '') {
+        fields.cover_image_id = null;
+      } else {
+        const coverId = Number(body.coverImageId);
+        const ids = await AlbumRepository.ListImageIds(album.id);
+        if (!Number.isInteger(coverId) || !ids.includes(coverId)) {
+          return res.status(400).json({ error: 'coverImageId 需为相册内的图片' });
+        }
+        fields.cover_image_id = coverId;
+      }
+    }
+    if (body.resetShareToken === true) fields.share_token = AlbumRepository.GenerateShareToken();
+    if (!Object.keys(fields).length) return res.status(400).json({ error: '未提供需要修改的字段' });
+    await AlbumRepository.UpdateAlbum(album.id, fields);
+    const changes = { fields: Object.keys(fields).filter((k) => k !== 'share_token'), shareTokenReset: !!fields.share_token };
+    if (fields.visibility && fields.visibility !== album.visibility) changes.visibility = { from: album.visibility, to: fields.visibility };
+    await AuditService.Record(req, 'album.update', { target: { type: 'album', id: album.id, label: album.name }, details: changes });
+    const updated = await AlbumRepository.GetAlbumById(album.id);
+    return res.json({ album: await AlbumController.FormatAlbumWithCover(req, updated) });
+  }
+
+  /** 方法：删除相册（所有者或管理员；相册内图片本身保留） */
+  static async DeleteAlbum(req, res) {
+    const { album, status, error } = await AlbumController.LoadEditableAlbum(req);
+    if (!album) return res.status(status).json({ error });
+    await AlbumRepository.DeleteAlbum(album.id);
+    await AuditService.Record(req, 'album.delete', {
+      target: { type: 'album', id: album.id, label: album.name },
+      details: { ownerId: album.owner_id, imageCount: album.image_count },
+    });
+    return res.json({ deleted: album.id });
+  }
+
+  /**
+   * 方法：向相册添加图片
+   * 说明：body = { imageIds: [..], position? }；仅可添加自己有权修改的图片（上传者本人或管理员），
+   *      已在相册中的图片跳过；position 为插入位置（从 0 开始），省略时追加到末尾。
+   */
+  static async AddImages(req, res) {
+    const { album, status, error: loadError } = await AlbumController.LoadEditableAlbum(req);
+    if (!album) return res.status(status).json({ error: loadError });
+    const body = req.body || {};
+    const { ids, error } = AlbumController.ParseImageIds(body.imageIds);
+    if (error) return res.status(400).json({ error });
+    let position = null;
+    if (body.position != null && body.position !== '') {
+      position = Number(body.position);
+      if (!Number.isInteger(position) || position < 0) return res.status(400).json({ error: 'position 需为非负整数' });
+    }
+    for (const id of ids) {
+      const img = await ImageRepository.GetImageById(id);
+      if (!img) return res.status(404).json({ error: `图片不存在: ${id}` });
+      if (!ImageController.CanModifyImage(req.user, img)) return res.status(403).json({ error: `无权将该图片加入相册: ${id}` });
+    }
+    const added = await AlbumRepository.AddImages(album.id, ids, position);
+    return res.json({ added, imageIds: await AlbumRepository.ListImageIds(album.id) });
+  }
+
+  /** 方法：从相册移除图片（图片本身保留） */
+  static async RemoveImage(req, res) {
+    const { album, status, error } = await AlbumController.LoadEditableAlbum(req);
+    if (!album) return res.status(status).json({ error });
+    const imageId = parseInt(req.params.imageId, 10);
+    if (!(await AlbumRepository.RemoveImage(album.id, imageId))) {
+      return res.status(404).json({ error: '图片不在该相册中' });
+    }
+    return res.json({ removed: imageId, imageIds: await AlbumRepository.ListImageIds(album.id) });
+  }
+
+  /**
+   * 方法：调整相册图片顺序
+   * 说明：body = { imageIds: [..] }，列出的图片按给定顺序排在最前，未列出的保持原有相对顺序排在其后。
+   */
+  static async ReorderImages(req, res) {
+    const { album, status, error: loadError } = await AlbumController.LoadEditableAlbum(req);
+    if (!album) return res.status(status).json({ error: loadError });
+    const { ids, error } = AlbumController.ParseImageIds((req.body || {}).imageIds);
+    if (error) return res.status(400).json({ error });
+    const current = new Set(await AlbumRepository.ListImageIds(album.id));
+    const missing = ids.filter((id) => !current.has(id));
+    if (missing.length) return res.status(400).json({ error: `图片不在该相册中: ${missing.join(', ')}` });
+    await AlbumRepository.ReorderImages(album.id, ids);
+    return res.json({ imageIds: await AlbumRepository.ListImageIds(album.id) });
+  }
+}
+
+module.exports = { AlbumController };
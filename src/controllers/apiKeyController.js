@@ -0,0 +1,94 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI API密钥控制器
+// 
+// 文件名称: ApiKeyController.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.1
+// 
+// 描述: 提供个人 API 密钥的创建、列出与吊销接口。密钥明文仅在创建时
+//       返回一次，供 CI、ShareX/PicGo 等脚本化客户端长期使用。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - 创建与吊销密钥写入审计日志
+// ================================================================
+const { ApiKeyRepository } = require('../repositories/apiKeyRepository');
+const { ApiKeyService } = require('../services/apiKeyService');
+const { AuditService } = require('../services/auditService');
+
+/** 单个用户最多持有的有效密钥数 */
+const MAX_ACTIVE_KEYS = 20;
+
+class ApiKeyController {
+  /** 方法：格式化密钥记录（scopes 转为数组） */
+  static FormatKey(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      prefix: row.key_prefix,
+      scopes: row.scopes.split(','),
+      created_at: row.created_at,
+      expires_at: row.expires_at,
+      last_used_at: row.last_used_at,
+      revoked_at: row.revoked_at,
+    };
+  }
+
+  /** 方法：列出当前用户的 API 密钥 */
+  static async ListKeys(req, res) {
+    const rows = await ApiKeyRepository.ListKeysByUser(req.user.id);
+    return res.json({ keys: rows.map(ApiKeyController.FormatKey) });
+  }
+
+  /**
+   * 方法：创建 API 密钥
+   * 说明：body = { name, scopes, expiresInDays? }；scopes 为 read/upload/write/admin 的组合，
+   *      未指定 expiresInDays 时永不过期。返回的 key 明文仅此一次可见。
+   */
+  static async CreateKey(req, res) {
+    const body = req.body || {};
+    const name = String(body.name || '').trim();
+    if (!name || name.length > 100) return res.status(400).json({ error: 'name 不能为空且不超过 100 字符' });
+    const { scopes, error } = ApiKeyService.ParseScopes(body.scopes, req.user.role === 'admin');
+    if (error) return res.status(400).json({ error });
+    let expiresAt = null;
+    if (body.expiresInDays != null && body.expiresInDays !== '') {
+      const days = Number(body.expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > 3650) {
+        return res.status(400).json({ error: 'expiresInDays 需为 1-3650 的整数' });
+      }
+      expiresAt = new Date(Date.now() + days * 86400 * 1000).toISOString();
+    }
+    const existing = await ApiKeyRepository.ListKeysByUser(req.user.id);
+    if (existing.filter((k) => !k.revoked_at).length >= MAX_ACTIVE_KEYS) {
+      return res.status(409).json({ error: `有效密钥数已达上限（${MAX_ACTIVE_KEYS}），请先吊销不用的密钥` });
+    }
+    const { key, keyPrefix, keyHash } = ApiKeyService.GenerateKey();
+    const id = await ApiKeyRepository.CreateKey({ userId: req.user.id, name, keyPrefix, keyHash, scopes, expiresAt });
+    const row = await ApiKeyRepository.GetKeyById(id);
+    await AuditService.Record(req, 'apikey.create', {
+      target: { type: 'apikey', id, label: name },
+      details: { prefix: keyPrefix, scopes, expiresAt },
+    });
+    return res.status(201).json({ key, apiKey: ApiKeyController.FormatKey(row) });
+  }
+
+  /** 方法：吊销 API 密钥（本人或管理员） */
+  static async RevokeKey(req, res) {
+    const id = parseInt(req.params.id, 10);
+    const row = await ApiKeyRepository.GetKeyById(id);
+    if (!row) return res.status(404).json({ error: '密钥不存在' });
+    if (row.user_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: '无权吊销该密钥' });
+    }
+    await ApiKeyRepository.RevokeKey(id);
+    await AuditService.Record(req, 'apikey.revoke', {
+      target: { type: 'apikey', id, label: row.name },
+      details: { prefix: row.key_prefix, userId: row.user_id },
+    });
+    return res.json({ apiKey: ApiKeyController.FormatKey(await ApiKeyRepository.GetKeyById(id)) });
+  }
+}
+
+module.exports = { ApiKeyController };
@@ -4,18 +4,20 @@
 // 文件名称: AuthController.js
 // 作者: AzumiYumeichi
 // 创建日期: 2025-11-06
-// 版本: 1.0
+// 版本: 1.1
 // 
 // 描述: 提供用户注册与登录API。注册时校验用户名唯一，密码采用
 //       bcryptjs进行哈希存储。登录成功返回JWT令牌，用于后续接口认证。
 // 
 // 修改历史:
 // 2025-11-06 - 初始版本
+// 2026-10-19 - 注册、登录成功与失败写入审计日志
 // ================================================================
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { UserRepository } = require('../repositories/userRepository');
 const { Config } = require('../config');
+const { AuditService } = require('../services/auditService');
 
 class AuthController {
   /** 方法：用户注册 */
@@ -28,6 +30,10 @@ class AuthController {
     if (exists) return res.status(409).json({ error: '用户名已存在' });
     const hash = bcrypt.hashSync(password, 10);
     const id = await UserRepository.CreateUser(username, hash, 'user');
+    await AuditService.Record(req, 'auth.register', {
+      actor: { id, username },
+      target: { type: 'user', id, label: username },
+    });
     return res.json({ id, username });
   }
 
@@ -38,11 +44,30 @@ class AuthController {
       return res.status(400).json({ error: '缺少用户名或密码' });
     }
     const user = await UserRepository.FindByUsername(username);
-    if (!user) return res.status(404).json({ error: '用户不存在' });
-    if (user.status !== 'active') return res.status(403).json({ error: '用户已被禁用' });
+    // 登录失败记录尝试的用户名与原因（不记录密码）
+    const fail = (reason) => AuditService.Record(req, 'auth.login_failed', {
+      actor: null,
+      target: { type: 'user', id: user ? user.id : null, label: String(username).slice(0, 100) },
+      details: { reason },
+    });
+    if (!user) {
+      await fail('user_not_found');
+      return res.status(404).json({ error: '用户不存在' });
+    }
+    if (user.status !== 'active') {
+      await fail('disabled');
+      return res.status(403).json({ error: '用户已被禁用' });
+    }
     const ok = bcrypt.compareSync(password, user.password_hash);
-    if (!ok) return res.status(401).json({ error: '密码错误' });
+    if (!ok) {
+      await fail('wrong_password');
+      return res.status(401).json({ error: '密码错误' });
+    }
     const token = jwt.sign({ id: user.id, username: user.username, role: user.role }, Config.Get().m_JwtSecret, { expiresIn: '7d' });
+    await AuditService.Record(req, 'auth.login', {
+      actor: user,
+      target: { type: 'user', id: user.id, label: user.username },
+    });
     return res.json({ token });
   }
 }
@@ -4,7 +4,7 @@
 // 文件名称: ImageController.js
 // 作者: AzumiYumeichi
 // 创建日期: 2025-11-06
-// 版本: 1.8
+// 版本: 1.29
 // 
 // 描述: 提供图片上传（本地/URL）、删除、检索（标签与随机）、以及原图获取的API。
 // 
@@ -17,15 +17,53 @@
 // 2025-11-06 - 缺失文件检测时自动删除图片记录；随机获取循环重试直到合法图片或无图
 // 2025-11-07 - 标签自动 UTF-8 规范化与乱码兼容修复（Latin-1 → UTF-8 回退）
 // 2025-11-07 - 上传图片超过 256KB 时自动压缩至不超过 256KB（保留原格式）
+// 2026-10-19 - 按令牌获取图片支持 w/h/fit/format/q 按需变换，结果磁盘缓存
+// 2026-10-19 - 保留上传原图，压缩改为生成可选的优化版本（参数可配置、可按次覆盖），支持 ?variant=original
+// 2026-10-19 - 上传按 SHA-256 内容去重：复用已存储文件，删除时仅在无引用后移除磁盘文件
+// 2026-10-19 - 文件读写改经存储驱动（本地/S3），storage_path 改为与后端无关的对象键
+// 2026-10-19 - 图片响应支持 ETag/Last-Modified/304、可配置 Cache-Control 与 Range（206）
+// 2026-10-19 - 图片列表改为分页（偏移/游标）、可排序、可筛选，单条 SQL 返回总数，不再逐条检查文件
+// 2026-10-19 - 新增图片元数据编辑（名称、标题、描述、替代文本、增删标签）
+// 2026-10-19 - 图片可见性（public/unlisted/private）：私有图片需所有者令牌或签名链接
+// 2026-10-19 - 上传前校验用户配额；URL 下载限制单文件大小
+// 2026-10-19 - URL 上传改用防 SSRF 的远程抓取服务，按文件头魔数确定格式与扩展名
+// 2026-10-19 - 本地上传按真实格式校验白名单并保存识别出的 MIME/扩展名；SVG 等非位图以附件下发
+// 2026-10-19 - 优化版本生成与 URL 下载改由后台任务队列执行，上传接口立即返回 pending 状态
+// 2026-10-19 - 后台生成缩略图/响应式版本，列表返回 srcset，图片接口支持 variant=w<宽度>
+// 2026-10-19 - 上传时提取图片元数据（尺寸、拍摄时间、相机、GPS）并默认清除隐私元数据、自动旋转；GPS 仅对所有者返回
+// 2026-10-19 - 新增图片详情接口（元数据、上传者、标签、缩略图与嵌入代码），移除未使用且不校验可见性的 GetRaw
+// 2026-10-19 - 新增全文搜索接口（FTS5，布尔运算、前缀、标签精确匹配、相关度排序与分页）；随机图片改为复用同一匹配逻辑并在 SQL 中选取
+// 2026-10-19 - 随机图片支持标签表达式、排除列表、种子、按权重抽取、客户端不重复窗口与 JSON 多张模式；图片可编辑随机权重
+// 2026-10-19 - 新增相册可见性判断；列表参数支持相册顺序排序；随机图片支持 album 参数
+// 2026-10-19 - 图片入库（记录、标签、缩略图复制、后台任务）与编辑图片的字段、标签修改在事务中完成，失败时不留下不完整的记录
+// 2026-10-19 - 编辑、删除图片与生成签名链接写入审计日志
+// 2026-10-19 - 新建图片记录的事务内复核配额，避免并发上传超出配额
 // ================================================================
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const crypto = require('crypto');
 const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
 const { TagRepository } = require('../repositories/tagRepository');
 const { ImageRepository } = require('../repositories/imageRepository');
+const { UserRepository } = require('../repositories/userRepository');
+const { RandomHistoryRepository } = require('../repositories/randomHistoryRepository');
+const { AlbumRepository } = require('../repositories/albumRepository');
+const { ImageTransformService } = require('../services/imageTransformService');
+const { SignedUrlService } = require('../services/signedUrlService');
+const { QuotaService } = require('../services/quotaService');
+const { RemoteFetchService } = require('../services/remoteFetchService');
+const { ImageTypeService, IMAGE_TYPES } = require('../services/imageTypeService');
+const { JobQueue } = require('../services/jobQueue');
+const { ImageMetadataService } = require('../services/imageMetadataService');
+const { SearchQueryService } = require('../services/searchQueryService');
+const { AuditService } = require('../services/auditService');
+const { Storage } = require('../storage');
 const { Config } = require('../config');
+const { Database } = require('../db/sqlite');
+
+/** 图片可见性取值 */
+const VISIBILITIES = ['public', 'unlisted', 'private'];
 
 class ImageController {
   /**
@@ -48,6 +86,7 @@ class ImageController {
       case '.gif': return 'image/gif';
       case '.webp': return 'image/webp';
       case '.bmp': return 'image/bmp';
+      case '.avif': return 'image/avif';
       default: return 'application/octet-stream';
     }
   }
@@ -65,19 +104,15 @@ class ImageController {
   static BuildDownloadName(img) {
     const raw = ImageController.SanitizeName(img.original_name || img.filename || path.basename(String(img.storage_path || '')) || 'image');
     let name = raw;
-    const hasExt = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp'].includes(path.extname(raw).toLowerCase());
-    if (!hasExt) {
-      const mime = ImageController.ResolveMimeType(img);
-      const extMap = {
-        'image/png': '.png',
-        'image/jpeg': '.jpg',
-        'image/gif': '.gif',
-        'image/webp': '.webp',
-        'image/bmp': '.bmp'
-      };
-      const ext = extMap[mime] || '';
-      if (ext && !raw.endsWith(ext)) {
-        name = raw + ext;
+    // 扩展名与真实格式不符时（如 PNG 命名为 .jpg）按 MIME 替换扩展名
+    const mime = ImageController.ResolveMimeType(img);
+    const type = Object.values(IMAGE_TYPES).find((t) => t.mime === mime);
+    if (type) {
+      const aliases = { '.jpg': ['.jpeg', '.jpe'], '.tiff': ['.tif'] };
+      const current = path.extname(raw).toLowerCase();
+      if (current !== type.ext && !(aliases[type.ext] || []).includes(current)) {
+        const knownExts = Object.values(IMAGE_TYPES).flatMap((t) => [t.ext, ...(aliases[t.ext] || [])]);
+        name = (knownExts.includes(current) ? raw.slice(0, raw.length - current.length) : raw) + type.ext;
       }
     }
     // 生成 ASCII 回退名（移除非 ASCII）
@@ -140,15 +175,74 @@ class ImageController {
   }
 
   /**
-   * 方法：确保图片大小不超过目标字节（默认 256KB），必要时进行压缩与缩放，且保持原格式不变
+   * 方法：解析压缩参数（配置默认值 + 单次上传覆盖）
+   * 说明：body 中可选 compress（true/false）、maxBytes、minQuality（1-100）、minWidth（像素）。
+   * 返回：{ options } 或 { error }
+   */
+  static ResolveCompressOptions(body = {}) {
+    const cfg = Config.Get();
+    const options = {
+      enabled: cfg.m_CompressEnabled,
+      maxBytes: cfg.m_CompressMaxBytes,
+      minQuality: cfg.m_CompressMinQuality,
+      minWidth: cfg.m_CompressMinWidth,
+    };
+    if (body.compress != null && body.compress !== '') {
+      options.enabled = !['false', '0', 'no', 'off'].includes(String(body.compress).toLowerCase());
+    }
+    const readInt = (raw, min, max, label) => {
+      if (raw == null || raw === '') return { value: null };
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n < min || n > max) return { error: `参数 ${label} 需为 ${min}-${max} 的整数` };
+      return { value: n };
+    };
+    const maxBytes = readInt(body.maxBytes, 1024, Number.MAX_SAFE_INTEGER, 'maxBytes');
+    if (maxBytes.error) return { error: maxBytes.error };
+    const minQuality = readInt(body.minQuality, 1, 100, 'minQuality');
+    if (minQuality.error) return { error: minQuality.error };
+    const minWidth = readInt(body.minWidth, 1, 100000, 'minWidth');
+    if (minWidth.error) return { error: minWidth.error };
+    if (maxBytes.value != null) options.maxBytes = maxBytes.value;
+    if (minQuality.value != null) options.minQuality = minQuality.value;
+    if (minWidth.value != null) options.minWidth = minWidth.value;
+    return { options };
+  }
+
+  /** 方法：根据原图路径构造优化版本路径（同目录，文件名追加 .optimized） */
+  static BuildOptimizedPath(filePath) {
+    const ext = path.extname(filePath);
+    return filePath.slice(0, filePath.length - ext.length) + '.optimized' + ext;
+  }
+
+  /**
+   * 方法：为原图生成优化版本（原图不变）
+   * 说明：未启用压缩或原图未超过上限时不生成，返回空路径。
+   * 返回：{ optimizedPath, optimizedSize }
+   */
+  static async CreateOptimizedVariant(filePath, compress) {
+    if (!compress || !compress.enabled) return { optimizedPath: null, optimizedSize: null };
+    const outPath = ImageController.BuildOptimizedPath(filePath);
+    const result = await ImageController.EnsureMaxSize(filePath, { ...compress, outPath });
+    if (!result.changed) return { optimizedPath: null, optimizedSize: null };
+    return { optimizedPath: outPath, optimizedSize: result.newSize };
+  }
+
+  /**
+   * 方法：确保图片大小不超过目标字节（默认取配置，256KB），必要时进行压缩与缩放，且保持原格式不变
    * 说明：
    * - 根据原始格式选择合适的压缩策略（JPEG/PNG/WebP/TIFF/GIF），不改变扩展名与 MIME。
-   * - 逐步降低质量（若格式支持），若仍超限则按比例缩小分辨率，最低宽度 64 像素。
+   * - 逐步降低质量（若格式支持，不低于 minQuality），若仍超限则按比例缩小分辨率，最低宽度 minWidth 像素。
    * - 对 PNG 使用调色板与较高压缩级别；GIF 不保证保留动画质量，仅尝试缩放以减小体积。
    * - 对不支持输出的格式（如 BMP），保持原文件不变。
+   * - 结果写入 outPath（未指定时原地覆盖）。
    * 返回：{ changed, newSize }
    */
-  static async EnsureMaxSize(filePath, maxBytes = 256 * 1024) {
+  static async EnsureMaxSize(filePath, options = {}) {
+    const cfg = Config.Get();
+    const maxBytes = options.maxBytes || cfg.m_CompressMaxBytes;
+    const minQuality = options.minQuality || cfg.m_CompressMinQuality;
+    const minWidth = options.minWidth || cfg.m_CompressMinWidth;
+    const outPath = options.outPath || filePath;
     try {
       const origStat = fs.statSync(filePath);
       if (origStat.size <= maxBytes) {
@@ -158,7 +252,8 @@ class ImageController {
       // 读取元数据与扩展名，准备保持原格式压缩
       const input = sharp(filePath, { animated: true });
       const meta = await input.metadata();
-      let width = meta.width || null;
+      // 按方向旋转后的显示宽度（输出统一按方向自动旋转）
+      let width = ((meta.orientation || 1) >= 5 ? meta.height : meta.width) || null;
       let bestBuf = null;
       let bestSize = Number.MAX_SAFE_INTEGER;
 
@@ -176,54 +271,55 @@ class ImageController {
       const widthSteps = [];
       if (width && Number.isFinite(width)) {
         let w = width;
-        while (w > 64) { widthSteps.push(Math.round(w)); w = Math.round(w * 0.85); }
-        widthSteps.push(64);
+        while (w > minWidth) { widthSteps.push(Math.round(w)); w = Math.round(w * 0.85); }
+        widthSteps.push(Math.min(width, minWidth));
       } else {
         widthSteps.push(null);
       }
 
-      // 质量序列（仅用于支持质量的格式）
-      const qualitySeq = [85, 75, 65, 55, 45, 35, 25, 20];
+      // 质量序列（仅用于支持质量的格式，不低于质量下限）
+      let qualitySeq = [85, 75, 65, 55, 45, 35, 25, 20].filter((q) => q >= minQuality);
+      if (!qualitySeq.length) qualitySeq = [minQuality];
       // PNG 压缩级别序列
       const pngLevels = [6, 7, 8, 9];
 
       for (const w of widthSteps) {
         if (format === 'png') {
           for (const cl of pngLevels) {
-            const pipe = sharp(filePath, { animated: true });
-            if (w) pipe.resize({ width: Math.max(64, w), withoutEnlargement: true });
+            const pipe = sharp(filePath, { animated: true }).rotate();
+            if (w) pipe.resize({ width: Math.max(minWidth, w), withoutEnlargement: true });
             const buf = await pipe.png({ compressionLevel: cl, palette: true }).toBuffer();
             if (buf.length < bestSize) { bestBuf = buf; bestSize = buf.length; }
             if (buf.length <= maxBytes) break;
           }
         } else if (format === 'jpeg') {
           for (const q of qualitySeq) {
-            const pipe = sharp(filePath, { animated: true });
-            if (w) pipe.resize({ width: Math.max(64, w), withoutEnlargement: true });
+            const pipe = sharp(filePath, { animated: true }).rotate();
+            if (w) pipe.resize({ width: Math.max(minWidth, w), withoutEnlargement: true });
             const buf = await pipe.jpeg({ quality: q, mozjpeg: true }).toBuffer();
             if (buf.length < bestSize) { bestBuf = buf; bestSize = buf.length; }
             if (buf.length <= maxBytes) break;
           }
         } else if (format === 'webp') {
           for (const q of qualitySeq) {
-            const pipe = sharp(filePath, { animated: true });
-            if (w) pipe.resize({ width: Math.max(64, w), withoutEnlargement: true });
+            const pipe = sharp(filePath, { animated: true }).rotate();
+            if (w) pipe.resize({ width: Math.max(minWidth, w), withoutEnlargement: true });
             const buf = await pipe.webp({ quality: q, effort: 6 }).toBuffer();
             if (buf.length < bestSize) { bestBuf = buf; bestSize = buf.length; }
             if (buf.length <= maxBytes) break;
           }
         } else if (format === 'tiff') {
           for (const q of qualitySeq) {
-            const pipe = sharp(filePath, { animated: true });
-            if (w) pipe.resize({ width: Math.max(64, w), withoutEnlargement: true });
+            const pipe = sharp(filePath, { animated: true }).rotate();
+            if (w) pipe.resize({ width: Math.max(minWidth, w), withoutEnlargement: true });
             const buf = await pipe.tiff({ compression: 'jpeg', quality: q }).toBuffer();
             if (buf.length < bestSize) { bestBuf = buf; bestSize = buf.length; }
             if (buf.length <= maxBytes) break;
           }
         } else if (format === 'gif') {
           // GIF 无质量参数，尝试缩放减小体积；动画 GIF 不保证压缩效果
-          const pipe = sharp(filePath, { animated: true });
-          if (w) pipe.resize({ width: Math.max(64, w), withoutEnlargement: true });
+          const pipe = sharp(filePath, { animated: true }).rotate();
+          if (w) pipe.resize({ width: Math.max(minWidth, w), withoutEnlargement: true });
           const buf = await pipe.gif().toBuffer();
           if (buf.length < bestSize) { bestBuf = buf; bestSize = buf.length; }
           // 若仍超限，继续下一宽度步
@@ -237,8 +333,8 @@ class ImageController {
         return { changed: false, newSize: origStat.size };
       }
 
-      // 原地覆盖写入，保持路径与扩展名不变
-      fs.writeFileSync(filePath, bestBuf);
+      // 写入目标路径（默认原地覆盖），保持扩展名不变
+      fs.writeFileSync(outPath, bestBuf);
       return { changed: true, newSize: bestBuf.length };
     } catch (_) {
       // 压缩失败，保留原始文件
@@ -251,32 +347,582 @@ class ImageController {
     }
   }
 
+  /**
+   * 方法：解析可见性参数（为空时取 fallback）
+   * 返回：{ visibility } 或 { error }
+   */
+  static ParseVisibility(raw, fallback = Config.Get().m_DefaultVisibility) {
+    const value = raw != null && raw !== '' ? String(raw).toLowerCase() : fallback;
+    if (!VISIBILITIES.includes(value)) return { error: `参数 visibility 仅支持 ${VISIBILITIES.join('/')}` };
+    return { visibility: value };
+  }
+
+  /**
+   * 方法：判断请求者能否查看图片
+   * 说明：public/unlisted 凭访问令牌即可查看；private 需所有者/管理员身份或有效签名链接（expires + sig）。
+   */
+  static CanViewImage(req, img) {
+    if (img.visibility !== 'private') return true;
+    if (ImageController.CanModifyImage(req.user, img)) return true;
+    return SignedUrlService.Verify(img.access_token, req.query.expires, req.query.sig);
+  }
+
+  /**
+   * 方法：判断请求者能否查看相册
+   * 说明：public 所有人可见；unlisted 凭分享令牌可见（按数字ID访问时需所有者/管理员）；private 仅所有者/管理员。
+   */
+  static CanViewAlbum(req, album, byToken) {
+    if (album.visibility === 'public') return true;
+    if (ImageController.CanModifyImage(req.user, album)) return true;
+    return album.visibility === 'unlisted' && !!byToken;
+  }
+
+  /**
+   * 方法：按数字ID或分享令牌查找相册并校验查看权限
+   * 说明：按数字ID查询无权查看时返回 404（ID 可枚举，避免泄露不公开相册的存在）。
+   * 返回：{ album } 或 { status, error }
+   */
+  static async FindViewableAlbum(req, idOrToken) {
+    const raw = String(idOrToken || '');
+    const byId = /^\d+$/.test(raw);
+    if (!byId && !/^[0-9a-f]{32}$/i.test(raw)) return { status: 404, error: '相册不存在' };
+    const album = byId ? await AlbumRepository.GetAlbumById(parseInt(raw, 10)) : await AlbumRepository.GetAlbumByToken(raw);
+    if (!album) return { status: 404, error: '相册不存在' };
+    if (!ImageController.CanViewAlbum(req, album, !byId)) {
+      return byId ? { status: 404, error: '相册不存在' } : { status: 403, error: '无权访问该相册' };
+    }
+    return { album };
+  }
+
+  /** 方法：构造图片对外 URL（私有图片附带短期签名，便于所有者在 <img> 中直接显示） */
+  static BuildImageUrl(img) {
+    if (img.visibility === 'private') {
+      return SignedUrlService.Sign(img.access_token, 3600).url;
+    }
+    return `/api/images/${img.access_token}`;
+  }
+
+  /**
+   * 方法：解析请求的图片版本（optimized 默认 / original 原图 / w<宽度> 缩略图）
+   * 返回：{ variant, width? } 或 { error }
+   */
+  static ParseVariant(query = {}) {
+    const raw = query.variant != null && query.variant !== '' ? String(query.variant).toLowerCase() : 'optimized';
+    const m = /^w(\d{1,5})$/.exec(raw);
+    if (m) return { variant: raw, width: parseInt(m[1], 10) };
+    if (!['optimized', 'original'].includes(raw)) return { error: '参数 variant 仅支持 optimized/original/w<宽度>' };
+    return { variant: raw };
+  }
+
+  /** 方法：为图片 URL 追加缩略图版本参数（兼容已带签名参数的 URL） */
+  static BuildVariantUrl(url, width) {
+    return `${url}${url.includes('?') ? '&' : '?'}variant=w${width}`;
+  }
+
+  /**
+   * 方法：格式化缩略图/响应式版本列表
+   * 返回：{ variants: [{ width, height, mime_type, size, url }], srcset }
+   */
+  static FormatVariants(url, rows = []) {
+    const variants = rows.map((v) => ({
+      width: v.width,
+      height: v.height,
+      mime_type: v.mime_type,
+      size: v.size,
+      url: ImageController.BuildVariantUrl(url, v.width),
+    }));
+    return { variants, srcset: variants.map((v) => `${v.url} ${v.width}w`).join(', ') };
+  }
+
+  /**
+   * 方法：构造 ETag
+   * 说明：有内容哈希时为强 ETag；历史数据尚未补算哈希时回退为基于大小与修改时间的弱 ETag。
+   */
+  static BuildETag(hash, stat) {
+    if (hash) return `"${hash}"`;
+    const mtime = stat.mtime ? new Date(stat.mtime).getTime() : 0;
+    return `W/"${Number(stat.size).toString(16)}-${mtime.toString(16)}"`;
+  }
+
+  /**
+   * 方法：解析实际发送文件的 Last-Modified
+   * 说明：取 created_at 与该文件修改时间中较晚者；优化版本、缩略图与变换缓存晚于记录生成，
+   *      清除元数据或旋转也会改写原图，只按 created_at 会让客户端以 If-Modified-Since 命中过期内容。
+   */
+  static ResolveLastModified(img, stat) {
+    const created = img.created_at ? new Date(img.created_at) : null;
+    const modified = stat.mtime ? new Date(stat.mtime) : null;
+    const times = [created, modified].filter((t) => t && !isNaN(t.getTime()));
+    if (!times.length) return null;
+    return times.reduce((a, b) => (b.getTime() > a.getTime() ? b : a));
+  }
+
+  /**
+   * 方法：判断 If-Range 条件是否满足（未携带 If-Range 时视为满足）
+   * 说明：ETag 形式需强匹配；日期形式需不早于 Last-Modified（按秒比较）。
+   */
+  static IfRangeMatches(req, etag, lastModified) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+      return !!etag && !etag.startsWith('W/') && ifRange === etag;
+    }
+    const since = Date.parse(ifRange);
+    return !!lastModified && !isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+  }
+
   /**
    * 方法：直接以原始文件名与格式返回图片（二进制流）
+   * 说明：
+   * - options.variant：optimized（默认，存在优化版本时发送优化版本）或 original（发送原图）。
+   * - options.width：发送指定宽度的缩略图版本；该版本不存在时按 optimized 处理。
+   * - options.filePath/mime/ext/etag：指定实际发送的文件、MIME 与 ETag（如变换缓存文件），下载名随之替换扩展名。
+   * - options.cacheControl：覆盖默认 Cache-Control（如随机图片接口使用 no-cache）。
+   * - 响应携带 ETag、Last-Modified、Cache-Control；条件请求命中时返回 304；支持单区间 Range（206/416）。
    * 用法：ImageController.SendImageFile(res, img)
+   *      ImageController.SendImageFile(res, img, { variant: 'original' })
+   *      ImageController.SendImageFile(res, img, { filePath, mime, ext, etag })
    */
-  static async SendImageFile(res, img) {
-    const filePath = path.resolve(img.storage_path);
+  static async SendImageFile(res, img, options = {}) {
+    const storage = Storage.Get();
+    const req = res.req;
+    // 本地文件（变换缓存）直接读磁盘，其余经存储驱动读取
+    let stat = null;
+    let hash = null;
+    let openStream = null;
+    if (options.filePath) {
+      const base = path.basename(ImageController.SanitizeName(img.original_name || img.filename || 'image'));
+      const stem = base.slice(0, base.length - path.extname(base).length) || 'image';
+      img = { ...img, mime_type: options.mime, original_name: stem + options.ext };
+      const filePath = path.resolve(options.filePath);
+      if (fs.existsSync(filePath)) {
+        stat = fs.statSync(filePath);
+        hash = options.etag || null;
+        openStream = async (range) => fs.createReadStream(filePath, range || undefined);
+      }
+    } else {
+      let key = img.storage_path;
+      hash = img.content_hash;
+      const sized = options.width && img.id ? await ImageRepository.GetVariant(img.id, options.width) : null;
+      if (sized) {
+        stat = await storage.Stat(sized.storage_path);
+        if (stat) {
+          key = sized.storage_path;
+          hash = sized.content_hash;
+          const base = path.basename(ImageController.SanitizeName(img.original_name || img.filename || 'image'));
+          const stem = base.slice(0, base.length - path.extname(base).length) || 'image';
+          img = { ...img, mime_type: sized.mime_type, original_name: `${stem}${path.extname(sized.storage_path)}` };
+        }
+      }
+      if (!stat && options.variant !== 'original' && img.optimized_path) {
+        stat = await storage.Stat(img.optimized_path);
+        if (stat) {
+          key = img.optimized_path;
+          hash = img.optimized_hash;
+        }
+      }
+      if (!stat) stat = await storage.Stat(img.storage_path);
+      openStream = async (range) => storage.CreateReadStream(key, range);
+    }
     const { ascii, utf8 } = ImageController.BuildDownloadName(img);
-    if (!fs.existsSync(filePath)) {
+    if (!stat) {
       // 文件不存在时，明确返回 404 与 text/plain，避免客户端误保存为图片后缀
-      // 同时执行数据清理：删除该图片记录（ON DELETE CASCADE 自动清理关联标签）
-      try {
-        if (img.id) await ImageRepository.DeleteImage(img.id);
-      } catch (_) {}
+      // 读取请求不删除记录（共享文件的引用计数与变换缓存清理由删除接口负责），仅记录日志供管理员排查
+      if (img.id && !options.filePath) console.warn(`图片 ${img.id} 的文件缺失: ${img.storage_path}`);
       res.setHeader('Content-Type', 'text/plain; charset=utf-8');
       return res.status(404).send('文件缺失');
     }
-    const stat = fs.statSync(filePath);
     const mime = ImageController.ResolveMimeType(img);
+    const etag = ImageController.BuildETag(hash, stat);
+    const lastModified = ImageController.ResolveLastModified(img, stat);
+    res.setHeader('ETag', etag);
+    if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+    res.setHeader('Cache-Control', options.cacheControl || Config.Get().m_ImageCacheControl);
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    // 条件请求：If-None-Match 优先于 If-Modified-Since（由 Express req.fresh 判定）
+    if (req && req.fresh) {
+      return res.status(304).end();
+    }
+
     res.setHeader('Content-Type', mime);
-    res.setHeader('Content-Length', stat.size);
-    // inline 显示并保留原始文件名，提供 ASCII 回退与 UTF-8 文件名
-    res.setHeader('Content-Disposition', `inline; filename="${ascii}"; filename*=UTF-8''${utf8}`);
-    const stream = fs.createReadStream(filePath);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    // 位图 inline 显示并保留原始文件名，提供 ASCII 回退与 UTF-8 文件名；
+    // SVG 等可执行脚本的类型以附件下发并禁止执行，避免在本站域名下运行
+    if (ImageTypeService.IsInlineSafe(mime)) {
+      res.setHeader('Content-Disposition', `inline; filename="${ascii}"; filename*=UTF-8''${utf8}`);
+    } else {
+      res.setHeader('Content-Disposition', `attachment; filename="${ascii}"; filename*=UTF-8''${utf8}`);
+      res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+    }
+
+    // 字节区间请求：仅支持单区间，多区间或格式错误时返回完整内容
+    let range = null;
+    if (req && req.headers.range && ImageController.IfRangeMatches(req, etag, lastModified)) {
+      const ranges = req.range(stat.size, { combine: true });
+      if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${stat.size}`);
+        return res.status(416).end();
+      }
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = { start: ranges[0].start, end: ranges[0].end };
+      }
+    }
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.setHeader('Content-Length', stat.size);
+    }
+    if (req && req.method === 'HEAD') {
+      return res.end();
+    }
+    const stream = await openStream(range);
     stream.on('error', () => res.status(500).end());
     return stream.pipe(res);
   }
+
+  /** 方法：删除一组磁盘文件（忽略不存在或删除失败），用于清理被拒绝的上传 */
+  static RemoveFiles(filePaths = []) {
+    for (const p of filePaths) {
+      try {
+        if (p && fs.existsSync(p)) fs.unlinkSync(p);
+      } catch (_) {}
+    }
+  }
+
+  /** 方法：流式计算本地文件的 SHA-256（十六进制） */
+  static ComputeFileHash(filePath) {
+    return ImageController.ComputeStreamHash(fs.createReadStream(filePath));
+  }
+
+  /** 方法：流式计算可读流内容的 SHA-256（十六进制） */
+  static ComputeStreamHash(stream) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      stream.on('error', reject);
+      stream.on('data', (chunk) => hash.update(chunk));
+      stream.on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * 方法：登记一个已写入暂存目录的文件（元数据处理 + 内容去重 + 存储 + 建档 + 打标签 + 后台处理入队）
+   * 说明：
+   * - 先提取元数据并（默认）清除 EXIF/GPS 等隐私元数据、按方向自动旋转，保证保存与下发的文件不含位置信息；
+   *   去重按处理后的内容计算。
+   * - 原图交由存储驱动保存，对象键为文件名；优化版本由后台任务（image.process）生成。
+   * - 计算原图 SHA-256；若当前用户已有相同内容的图片，删除新文件并直接返回已有图片（duplicate: true），
+   *   新标签追加到已有图片。
+   * - 若相同内容属于其他用户，删除新文件，新建记录静默复用已存储的原图与优化版本；
+   *   返回结果与新上传一致，不向上传者透露其他用户是否上传过相同内容。
+   * - 否则新建记录，处理状态为 pending，并返回后台任务ID。
+   * - 新建记录前在同一事务内复核配额（QuotaService.EnforceUpload），超限时抛出携带 status 与 quota 的异常。
+   * 参数：file = { filePath, filename, originalName, mimeType, remoteUrl, visibility }
+   * 返回：{ id, url, status, jobId?, duplicate? }
+   */
+  static async RegisterStoredFile(ownerId, file, compress, tagIds) {
+    const metadata = await ImageMetadataService.Prepare(file.filePath);
+    const contentHash = await ImageController.ComputeFileHash(file.filePath);
+    const storage = Storage.Get();
+    const existing = await ImageRepository.FindByContentHash(contentHash, ownerId);
+    if (existing && await storage.Exists(existing.storage_path)) {
+      ImageController.RemoveFiles([file.filePath]);
+      if (ownerId && existing.owner_id === ownerId) {
+        await Database.Get().Transaction(() => ImageRepository.AttachTags(existing.id, tagIds));
+        return { id: existing.id, url: `/api/images/${existing.access_token}`, status: existing.processing_status, duplicate: true };
+      }
+      return await Database.Get().Transaction(async () => {
+        await QuotaService.EnforceUpload(ownerId, { count: 1, bytes: existing.size + (existing.optimized_size || 0) });
+        const { id, accessToken } = await ImageRepository.CreateImage({
+          ownerId,
+          filename: existing.filename,
+          originalName: file.originalName,
+          mimeType: existing.mime_type || file.mimeType,
+          size: existing.size,
+          storagePath: existing.storage_path,
+          remoteUrl: file.remoteUrl,
+          optimizedPath: existing.optimized_path,
+          optimizedSize: existing.optimized_size,
+          contentHash,
+          optimizedHash: existing.optimized_hash,
+          visibility: file.visibility,
+          processingStatus: existing.processing_status,
+          metadata,
+        });
+        await ImageRepository.AttachTags(id, tagIds);
+        if (existing.processing_status !== 'pending') await ImageRepository.CopyVariants(existing.id, id);
+        // 共用文件仍在处理中时补充入队（处理结果按原图对象键写回，重复执行无副作用）
+        const jobId = existing.processing_status === 'pending'
+          ? await JobQueue.Get().Enqueue('image.process', { imageId: id, compress }, { ownerId })
+          : undefined;
+        return { id, url: `/api/images/${accessToken}`, status: existing.processing_status, jobId };
+      });
+    }
+
+    // 原图保留不变；优化版本与缩略图交由后台任务处理
+    const size = fs.statSync(file.filePath).size;
+    const storageKey = file.filename;
+    try {
+      await storage.PutFile(storageKey, file.filePath, { contentType: file.mimeType });
+    } catch (err) {
+      ImageController.RemoveFiles([file.filePath]);
+      throw err;
+    }
+    const needsProcessing = !!(compress && compress.enabled) || Config.Get().m_VariantWidths.length > 0;
+    try {
+      return await Database.Get().Transaction(async () => {
+        await QuotaService.EnforceUpload(ownerId, { count: 1, bytes: size });
+        const { id, accessToken } = await ImageRepository.CreateImage({
+          ownerId,
+          filename: file.filename,
+          originalName: file.originalName,
+          mimeType: file.mimeType,
+          size,
+          storagePath: storageKey,
+          remoteUrl: file.remoteUrl,
+          contentHash,
+          visibility: file.visibility,
+          processingStatus: needsProcessing ? 'pending' : 'ready',
+          metadata,
+        });
+        await ImageRepository.AttachTags(id, tagIds);
+        if (!needsProcessing) return { id, url: `/api/images/${accessToken}`, status: 'ready' };
+        const jobId = await JobQueue.Get().Enqueue('image.process', { imageId: id, compress }, { ownerId });
+        return { id, url: `/api/images/${accessToken}`, status: 'pending', jobId };
+      });
+    } catch (err) {
+      // 记录未能入库：删除已保存的文件，避免留下无记录引用的孤立文件
+      await storage.Delete(storageKey).catch(() => {});
+      throw err;
+    }
+  }
+
+  /**
+   * 方法：为原图生成并保存缩略图/响应式版本（宽度与格式取配置）
+   * 说明：对象键为原图键追加 .w<宽度> 并使用输出格式的扩展名。
+   * 返回：[{ width, height, mimeType, size, storagePath, contentHash }]
+   */
+  static async CreateResponsiveVariants(img, sourcePath) {
+    const cfg = Config.Get();
+    if (!cfg.m_VariantWidths.length) return [];
+    const built = await ImageTransformService.CreateWidthVariants(sourcePath, cfg.m_VariantWidths, {
+      format: cfg.m_VariantFormat,
+      quality: cfg.m_VariantQuality,
+    });
+    const storage = Storage.Get();
+    const ext = path.extname(img.storage_path);
+    const stem = img.storage_path.slice(0, img.storage_path.length - ext.length);
+    const variants = [];
+    for (const v of built) {
+      const key = `${stem}.w${v.width}${v.ext}`;
+      await storage.PutBuffer(key, v.buffer, { contentType: v.mime });
+      variants.push({
+        width: v.width,
+        height: v.height,
+        mimeType: v.mime,
+        size: v.buffer.length,
+        storagePath: key,
+        contentHash: crypto.createHash('sha256').update(v.buffer).digest('hex'),
+      });
+    }
+    return variants;
+  }
+
+  /**
+   * 方法：后台任务 image.process —— 为图片生成优化版本与缩略图/响应式版本
+   * 说明：本地驱动直接在存储目录处理；对象存储先下载到暂存目录，处理后上传。
+   *      结果按原图对象键写回，共用同一文件的记录一并更新；图片已删除时清理生成的文件。
+   *      payload 不含 compress 时仅重新生成缩略图（历史图片补全），不改变优化版本与处理状态。
+   * 参数：payload = { imageId, compress? }
+   * 返回：{ imageId, optimized?, optimizedSize?, variants }
+   */
+  static async ProcessImageJob(payload) {
+    const img = await ImageRepository.GetImageById(payload.imageId);
+    if (!img) return { imageId: payload.imageId, skipped: true };
+    const storage = Storage.Get();
+    let sourcePath = storage.GetLocalPath(img.storage_path);
+    let tempSource = null;
+    if (!sourcePath) {
+      tempSource = path.join(Config.Get().m_TmpDir, `${uuidv4()}${path.extname(img.storage_path)}`);
+      fs.writeFileSync(tempSource, await storage.ReadBuffer(img.storage_path));
+      sourcePath = tempSource;
+    }
+    let optimizedPath = null;
+    try {
+      const summary = { imageId: img.id };
+      let optimized = null;
+      if (payload.compress) {
+        const result = await ImageController.CreateOptimizedVariant(sourcePath, payload.compress);
+        optimizedPath = result.optimizedPath;
+        const optimizedKey = optimizedPath ? ImageController.BuildOptimizedPath(img.storage_path) : null;
+        const optimizedHash = optimizedPath ? await ImageController.ComputeFileHash(optimizedPath) : null;
+        if (optimizedPath) await storage.PutFile(optimizedKey, optimizedPath, { contentType: img.mime_type });
+        optimized = { optimizedPath: optimizedKey, optimizedSize: result.optimizedSize, optimizedHash, status: 'ready' };
+        summary.optimized = !!optimizedKey;
+        summary.optimizedSize = result.optimizedSize;
+      }
+
+      const previous = await ImageRepository.ListVariants([img.id]);
+      const variants = await ImageController.CreateResponsiveVariants(img, sourcePath);
+      const updated = await ImageRepository.SetVariants(img.storage_path, variants);
+      // 清理不再被引用的版本文件（宽度配置变更后的旧版本，或处理期间图片已被删除）
+      const keep = new Set(updated ? variants.map((v) => v.storagePath) : []);
+      const candidates = new Set([...previous.map((v) => v.storage_path), ...variants.map((v) => v.storagePath)]);
+      for (const key of candidates) {
+        if (!keep.has(key) && !(await ImageRepository.CountVariantsByStoragePath(key))) await storage.Delete(key);
+      }
+      if (optimized) {
+        const changed = await ImageRepository.SetProcessingResult(img.storage_path, optimized);
+        if (!changed && optimized.optimizedPath) await storage.Delete(optimized.optimizedPath);
+      }
+      summary.variants = variants.map((v) => v.width);
+      return summary;
+    } finally {
+      ImageController.RemoveFiles([tempSource, tempSource ? optimizedPath : null]);
+    }
+  }
+
+  /** 方法：image.process 最终失败时标记图片处理失败（原图仍可访问） */
+  static async OnProcessImageFailed(payload) {
+    const img = await ImageRepository.GetImageById(payload.imageId);
+    if (img) await ImageRepository.SetProcessingStatus(img.storage_path, 'failed');
+  }
+
+  /**
+   * 方法：后台任务 image.fetch —— 下载远程图片并登记
+   * 说明：安全策略拒绝、非图片、超出配额等错误不重试；超时、网络错误与远端 5xx 按队列策略重试。
+   * 参数：payload = { url, ownerId, tagIds, compress, visibility }
+   * 返回：登记结果 { id, url, status, jobId?, duplicate? }
+   */
+  static async FetchImageJob(payload) {
+    const { url, ownerId } = payload;
+    const tmpDir = Config.Get().m_TmpDir;
+    const id = uuidv4();
+    const downloadPath = path.join(tmpDir, `${id}.download`);
+    let outPath = downloadPath;
+    try {
+      // 远程抓取：校验协议/主机/解析地址、限制超时与大小，并按魔数识别格式（不信任远端 Content-Type）
+      const fetched = await RemoteFetchService.FetchToFile(url, downloadPath);
+      if (!ImageTypeService.IsAllowed(fetched.format)) {
+        throw RemoteFetchService.PolicyError(`格式 ${fetched.format} 不在允许列表中`);
+      }
+      const quota = await QuotaService.CheckUpload(ownerId, { count: 1, bytes: fetched.size });
+      if (!quota.ok) throw RemoteFetchService.PolicyError(quota.error);
+      const newName = `${id}${fetched.ext}`;
+      outPath = path.join(tmpDir, newName);
+      fs.renameSync(downloadPath, outPath);
+      // 原始名称：尽量取 URL 路径的基名（去除查询与片段）
+      let originalName = path.basename(String(url).split('?')[0].split('#')[0]);
+      if (!path.extname(originalName)) originalName = newName; // 无扩展名则回退为新名
+
+      return await ImageController.RegisterStoredFile(ownerId, {
+        filePath: outPath,
+        filename: newName,
+        originalName,
+        mimeType: fetched.mime,
+        remoteUrl: url,
+        visibility: payload.visibility,
+      }, payload.compress, payload.tagIds);
+    } catch (err) {
+      ImageController.RemoveFiles([outPath]);
+      throw err;
+    }
+  }
+
+  /**
+   * 方法：为缺少内容哈希的历史图片补算原图与优化版本的 SHA-256（启动时后台执行）
+   * 返回：补算的记录数
+   */
+  static async BackfillContentHashes() {
+    const storage = Storage.Get();
+    const rows = await ImageRepository.ListImagesWithoutHash();
+    let count = 0;
+    for (const r of rows) {
+      try {
+        if (!r.storage_path || !(await storage.Exists(r.storage_path))) continue;
+        const contentHash = r.content_hash
+          || await ImageController.ComputeStreamHash(await storage.CreateReadStream(r.storage_path));
+        let optimizedHash = r.optimized_hash || null;
+        if (!optimizedHash && r.optimized_path && await storage.Exists(r.optimized_path)) {
+          optimizedHash = await ImageController.ComputeStreamHash(await storage.CreateReadStream(r.optimized_path));
+        }
+        await ImageRepository.SetContentHashes(r.id, contentHash, optimizedHash);
+        count++;
+      } catch (_) {}
+    }
+    return count;
+  }
+
+  /**
+   * 方法：为历史图片补全元数据（启动时后台执行）
+   * 说明：开启 STRIP_METADATA 时同时清除已存储原图中的隐私元数据并自动旋转，改写后更新大小与内容哈希、
+   *      清除变换缓存；旋转过的图片重新生成优化版本与缩略图。共用同一文件的记录一并处理。
+   * 返回：处理的图片数
+   */
+  static async BackfillImageMetadata() {
+    const storage = Storage.Get();
+    const rows = await ImageRepository.ListImagesWithoutMetadata();
+    const done = new Map(); // storage_path → 已提取的元数据（共用文件只处理一次）
+    let count = 0;
+    for (const r of rows) {
+      try {
+        if (done.has(r.storage_path)) {
+          await ImageRepository.SetMetadata(r.id, done.get(r.storage_path));
+          ImageTransformService.ClearCache(r.access_token);
+          count++;
+          continue;
+        }
+        if (!r.storage_path || !(await storage.Exists(r.storage_path))) continue;
+        const tempPath = path.join(Config.Get().m_TmpDir, `${uuidv4()}${path.extname(r.storage_path)}`);
+        try {
+          fs.writeFileSync(tempPath, await storage.ReadBuffer(r.storage_path));
+          const metadata = await ImageMetadataService.Prepare(tempPath);
+          if (metadata && metadata.stripped) {
+            const size = fs.statSync(tempPath).size;
+            const contentHash = await ImageController.ComputeFileHash(tempPath);
+            await storage.PutFile(r.storage_path, tempPath, { contentType: r.mime_type });
+            await ImageRepository.SetStoredContent(r.storage_path, { size, contentHash });
+            // 原图被旋转：重新生成优化版本与缩略图（历史优化版本未按方向旋转）
+            if (metadata.orientation !== 1) {
+              const compress = r.optimized_path ? ImageController.ResolveCompressOptions({}).options : undefined;
+              await JobQueue.Get().Enqueue('image.process', { imageId: r.id, compress }, { ownerId: r.owner_id });
+            }
+          }
+          done.set(r.storage_path, metadata);
+          await ImageRepository.SetMetadata(r.id, metadata);
+          ImageTransformService.ClearCache(r.access_token);
+          count++;
+        } finally {
+          ImageController.RemoveFiles([tempPath]);
+        }
+      } catch (_) {}
+    }
+    return count;
+  }
+
+  /**
+   * 方法：格式化图片元数据字段
+   * 说明：GPS 属于隐私信息，仅对上传者本人与管理员返回（includeGps），其他查看者为 null。
+   */
+  static FormatMetadata(img, includeGps) {
+    const hasGps = img.gps_latitude != null && img.gps_longitude != null;
+    return {
+      width: img.width ?? null,
+      height: img.height ?? null,
+      format: img.format || null,
+      orientation: img.orientation ?? null,
+      taken_at: img.taken_at || null,
+      camera_make: img.camera_make || null,
+      camera_model: img.camera_model || null,
+      gps: includeGps && hasGps
+        ? { latitude: img.gps_latitude, longitude: img.gps_longitude, altitude: img.gps_altitude ?? null }
+        : null,
+      metadata_stripped: !!img.metadata_stripped,
+    };
+  }
+
   /** 方法：上传本地文件（支持多文件）并打标签 */
   static async UploadLocal(req, res) {
     const files = req.files || [];
@@ -284,26 +930,57 @@ class ImageController {
     const tagsRaw = Array.isArray(req.body.tags) ? req.body.tags : (req.body.tags != null ? [req.body.tags] : []);
     const tags = ImageController.NormalizeTagsUtf8(tagsRaw);
     if (!files.length) return res.status(400).json({ error: '未选择文件' });
+    const { options: compress, error } = ImageController.ResolveCompressOptions(req.body || {});
+    const { visibility, error: visibilityError } = ImageController.ParseVisibility(req.body?.visibility);
+    if (error || visibilityError) {
+      ImageController.RemoveFiles(files.map((f) => f.path));
+      return res.status(400).json({ error: error || visibilityError });
+    }
+    // 按文件头识别真实格式，拒绝白名单以外的文件（不信任浏览器上报的 MIME 与扩展名）
+    const detected = [];
+    for (const f of files) {
+      const type = await ImageTypeService.DetectFromFile(f.path);
+      if (!type || !ImageTypeService.IsAllowed(type.format)) {
+        ImageController.RemoveFiles(files.map((x) => x.path));
+        const reason = type ? `格式 ${type.format} 不在允许列表中` : '无法识别为图片';
+        return res.status(415).json({
+          error: `不支持的文件: ${f.originalname}（${reason}）`,
+          allowedFormats: Config.Get().m_AllowedFormats,
+        });
+      }
+      detected.push(type);
+    }
+    const quota = await QuotaService.CheckUpload(req.user.id, {
+      count: files.length,
+      bytes: files.reduce((sum, f) => sum + f.size, 0),
+    });
+    if (!quota.ok) {
+      ImageController.RemoveFiles(files.map((f) => f.path));
+      return res.status(quota.status).json({ error: quota.error, quota: quota.quota });
+    }
     const tagIds = await TagRepository.EnsureTags(tags);
     const created = [];
-    for (const f of files) {
-      // 若文件超过 256KB，自动压缩至不超过 256KB（保留原格式，仅覆盖文件）
-      const result = await ImageController.EnsureMaxSize(f.path, 256 * 1024);
-      if (result.changed) {
-        // 保留原路径、文件名与 MIME，仅更新大小
-        f.size = result.newSize;
+    for (const [i, f] of files.entries()) {
+      // 以识别出的扩展名重命名暂存文件
+      const filename = `${path.basename(f.filename, path.extname(f.filename))}${detected[i].ext}`;
+      const filePath = path.join(path.dirname(f.path), filename);
+      try {
+        fs.renameSync(f.path, filePath);
+        created.push(await ImageController.RegisterStoredFile(req.user.id, {
+          filePath,
+          filename,
+          originalName: f.originalname,
+          mimeType: detected[i].mime,
+          remoteUrl: null,
+          visibility,
+        }, compress, tagIds));
+      } catch (err) {
+        // 已入库的图片各自完整保留；清理当前及剩余文件的暂存副本
+        ImageController.RemoveFiles([filePath, ...files.slice(i).map((x) => x.path)]);
+        // 并发上传导致入库时复核配额未通过：返回配额错误与本批次已保存的图片
+        if (err.quota) return res.status(err.status).json({ error: err.message, quota: err.quota, images: created });
+        throw err;
       }
-      const { id, accessToken } = await ImageRepository.CreateImage({
-        ownerId: req.user?.id,
-        filename: f.filename,
-        originalName: f.originalname,
-        mimeType: f.mimetype,
-        size: f.size,
-        storagePath: f.path,
-        remoteUrl: null,
-      });
-      await ImageRepository.AttachTags(id, tagIds);
-      created.push({ id, url: `/api/images/${accessToken}` });
     }
     return res.json({ images: created });
   }
@@ -315,73 +992,210 @@ class ImageController {
     const { urls = [], tags = [] } = req.body || {};
     const tagsNorm = ImageController.NormalizeTagsUtf8(Array.isArray(tags) ? tags : (tags != null ? [tags] : []));
     if (!Array.isArray(urls) || urls.length === 0) return res.status(400).json({ error: '未提供URL列表' });
+    if (urls.length > 50) return res.status(400).json({ error: '单次最多提交 50 个URL' });
+    const { options: compress, error } = ImageController.ResolveCompressOptions(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const { visibility, error: visibilityError } = ImageController.ParseVisibility(req.body?.visibility);
+    if (visibilityError) return res.status(400).json({ error: visibilityError });
+    // 先按数量预检（容量在每个文件下载后再校验）
+    const quota = await QuotaService.CheckUpload(req.user.id, { count: urls.length, bytes: 0 });
+    if (!quota.ok) return res.status(quota.status).json({ error: quota.error, quota: quota.quota });
     const tagIds = await TagRepository.EnsureTags(tagsNorm);
-    const uploadsDir = Config.Get().m_UploadsDir;
-    const created = [];
+    // 每个 URL 一个后台下载任务，立即返回任务ID（通过 GET /api/jobs/:id 查询结果）
+    const jobs = [];
     for (const url of urls) {
-      try {
-        const resp = await axios.get(url, { responseType: 'arraybuffer' });
-        const rawType = String(resp.headers['content-type'] || '');
-        const mainType = rawType.split(';')[0].trim();
-        const ext = mainType.startsWith('image/') ? `.${mainType.split('/')[1]}` : '.img';
-        const newName = `${uuidv4()}${ext}`;
-        const outPath = path.join(uploadsDir, newName);
-        fs.writeFileSync(outPath, Buffer.from(resp.data));
-        // 原始名称：尽量取 URL 路径的基名（去除查询与片段）
-        let originalName = path.basename(String(url).split('?')[0].split('#')[0]);
-        if (!path.extname(originalName)) originalName = newName; // 无扩展名则回退为新名
-
-        // 压缩至不超过 256KB（保留原格式，仅覆盖文件），并更新 size
-        const result = await ImageController.EnsureMaxSize(outPath, 256 * 1024);
-        let finalPath = outPath;
-        let finalName = newName;
-        let finalMime = mainType || rawType;
-        let finalSize = fs.statSync(outPath).size;
-        if (result.changed) {
-          // 保留路径、文件名与 MIME，仅更新大小
-          finalSize = result.newSize;
-        }
-        const { id, accessToken } = await ImageRepository.CreateImage({
-          ownerId: req.user?.id,
-          filename: finalName,
-          originalName,
-          mimeType: finalMime,
-          size: finalSize,
-          storagePath: finalPath,
-          remoteUrl: url,
-        });
-        await ImageRepository.AttachTags(id, tagIds);
-        created.push({ id, url: `/api/images/${accessToken}` });
-      } catch (err) {
-        // 单个URL失败不影响整体，记录错误
-        created.push({ error: `下载失败: ${url}` });
-      }
+      const jobId = await JobQueue.Get().Enqueue('image.fetch', {
+        url: String(url),
+        ownerId: req.user.id,
+        tagIds,
+        compress,
+        visibility,
+      }, { ownerId: req.user.id });
+      jobs.push({ jobId, url: String(url), status: 'pending' });
     }
-    return res.json({ images: created });
+    return res.status(202).json({ jobs });
+  }
+
+  /** 方法：编码列表游标（排序值 + id，base64url JSON） */
+  static EncodeCursor(row) {
+    return Buffer.from(JSON.stringify({ v: row.sort_value, id: row.id }), 'utf8').toString('base64url');
+  }
+
+  /** 方法：解码列表游标，非法时返回 null */
+  static DecodeCursor(raw) {
+    try {
+      const obj = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+      if (!obj || !Number.isInteger(obj.id) || obj.v == null) return null;
+      return { v: obj.v, id: obj.id };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * 方法：解析图片列表查询参数
+   * 说明：
+   * - 分页：page（从 1 开始）+ pageSize（默认 50，最大 200），或 cursor（上一页返回的 nextCursor）
+   * - 排序：sort=created_at|size|name，order=asc|desc（默认 created_at desc）
+   * - 筛选：owner（用户ID或用户名）、mime（逗号分隔，支持 image/ 前缀）、from/to（日期）、
+   *        minSize/maxSize（字节）、tags（逗号分隔）+ tagMode=and|or（默认 or）、q（标签模糊匹配）
+   * 返回：{ filters, page, pageSize } 或 { error }
+   */
+  static ParseListQuery(query = {}, options = {}) {
+    const filters = {};
+    const readInt = (raw, min, max, label) => {
+      if (raw == null || raw === '') return { value: null };
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n < min || n > max) return { error: `参数 ${label} 需为 ${min}-${max} 的整数` };
+      return { value: n };
+    };
+    const readDate = (raw, label) => {
+      if (raw == null || raw === '') return { value: null };
+      const d = new Date(String(raw));
+      if (isNaN(d.getTime())) return { error: `参数 ${label} 不是有效日期` };
+      return { value: d.toISOString() };
+    };
+
+    const page = readInt(query.page, 1, Number.MAX_SAFE_INTEGER, 'page');
+    if (page.error) return { error: page.error };
+    const pageSize = readInt(query.pageSize, 1, 200, 'pageSize');
+    if (pageSize.error) return { error: pageSize.error };
+    filters.limit = pageSize.value || 50;
+    filters.offset = ((page.value || 1) - 1) * filters.limit;
+    if (query.cursor) {
+      filters.cursor = ImageController.DecodeCursor(query.cursor);
+      if (!filters.cursor) return { error: '参数 cursor 无效' };
+    }
+
+    // 搜索模式下 q 为搜索语句，默认按相关度排序；相册模式默认按相册顺序正序排列
+    const sorts = ['created_at', 'size', 'name'];
+    if (options.search) sorts.unshift('relevance');
+    if (options.album) sorts.unshift('position');
+    const sort = query.sort ? String(query.sort).toLowerCase() : sorts[0];
+    if (!sorts.includes(sort)) return { error: `参数 sort 仅支持 ${sorts.join('/')}` };
+    if (sort === 'relevance' && filters.cursor) return { error: '按相关度排序时不支持 cursor，请使用 page 分页' };
+    const order = query.order ? String(query.order).toLowerCase() : (sort === 'position' ? 'asc' : 'desc');
+    if (!['asc', 'desc'].includes(order)) return { error: '参数 order 仅支持 asc/desc' };
+    filters.sort = sort;
+    filters.order = order;
+
+    if (query.owner != null && query.owner !== '') {
+      const owner = String(query.owner);
+      if (/^\d+$/.test(owner)) filters.ownerId = parseInt(owner, 10);
+      else filters.ownerName = owner;
+    }
+    if (query.mime) {
+      filters.mimeTypes = String(query.mime).split(',').map((m) => m.trim().toLowerCase()).filter(Boolean);
+    }
+    const from = readDate(query.from, 'from');
+    if (from.error) return { error: from.error };
+    const to = readDate(query.to, 'to');
+    if (to.error) return { error: to.error };
+    filters.from = from.value;
+    filters.to = to.value;
+    const minSize = readInt(query.minSize, 0, Number.MAX_SAFE_INTEGER, 'minSize');
+    if (minSize.error) return { error: minSize.error };
+    const maxSize = readInt(query.maxSize, 0, Number.MAX_SAFE_INTEGER, 'maxSize');
+    if (maxSize.error) return { error: maxSize.error };
+    filters.minSize = minSize.value;
+    filters.maxSize = maxSize.value;
+
+    filters.tags = ImageController.NormalizeTagsUtf8(query.tags != null ? [].concat(query.tags) : []);
+    const tagMode = query.tagMode ? String(query.tagMode).toLowerCase() : 'or';
+    if (!['and', 'or'].includes(tagMode)) return { error: '参数 tagMode 仅支持 and/or' };
+    filters.tagMode = tagMode;
+    if (query.visibility) {
+      const { visibility, error } = ImageController.ParseVisibility(query.visibility);
+      if (error) return { error };
+      filters.visibility = visibility;
+    }
+    if (options.search) {
+      const { ast, error } = SearchQueryService.Parse(ImageController.FixUtf8Mojibake(String(query.q || '')));
+      if (error) return { error };
+      filters.search = ast;
+    } else if (query.q) {
+      filters.tagLike = ImageController.FixUtf8Mojibake(String(query.q).trim()).normalize('NFC');
+    }
+
+    return { filters, page: page.value || 1, pageSize: filters.limit };
   }
 
   /**
-   * 方法：获取图片列表（JSON格式）
+   * 方法：获取图片列表（JSON格式，分页）
+   * 说明：匿名用户仅可见公开图片；登录用户另可见自己的不公开/私有图片；管理员可见全部。
+   * 返回：{ images, total, page, pageSize, nextCursor }
    */
   static async ListImages(req, res) {
-    const tags = (req.query.tags ? String(req.query.tags).split(',').filter(Boolean) : []);
-    const rows = await ImageRepository.ListImagesByTags(tags);
-    const images = (rows || [])
-      .filter(r => {
-        const filePath = r.storage_path && path.resolve(r.storage_path);
-        return filePath && fs.existsSync(filePath);
-      })
-      .map(r => ({
+    const { filters, page, pageSize, error } = ImageController.ParseListQuery(req.query);
+    if (error) return res.status(400).json({ error });
+    filters.viewerId = req.user ? req.user.id : null;
+    filters.viewerIsAdmin = !!req.user && req.user.role === 'admin';
+    const { rows, total } = await ImageRepository.QueryImages(filters);
+    const images = await ImageController.FormatImageRows(req, rows);
+    const nextCursor = rows.length === pageSize ? ImageController.EncodeCursor(rows[rows.length - 1]) : null;
+    return res.json({ images, total, page: filters.cursor ? null : page, pageSize, nextCursor });
+  }
+
+  /**
+   * 方法：全文搜索图片（JSON格式，分页）
+   * 说明：q 为搜索语句（语法见 SearchQueryService），在文件名、标题、描述、替代文本与标签中匹配；
+   *      默认按相关度排序，其余筛选参数与可见性规则同图片列表接口。
+   * 返回：{ images, total, page, pageSize, nextCursor }（相关度排序时每张图片附带 score）
+   */
+  static async SearchImages(req, res) {
+    const { filters, page, pageSize, error } = ImageController.ParseListQuery(req.query, { search: true });
+    if (error) return res.status(400).json({ error });
+    filters.viewerId = req.user ? req.user.id : null;
+    filters.viewerIsAdmin = !!req.user && req.user.role === 'admin';
+    const { rows, total } = await ImageRepository.QueryImages(filters);
+    const images = await ImageController.FormatImageRows(req, rows);
+    const nextCursor = filters.sort !== 'relevance' && rows.length === pageSize
+      ? ImageController.EncodeCursor(rows[rows.length - 1])
+      : null;
+    return res.json({ images, total, page: filters.cursor ? null : page, pageSize, nextCursor });
+  }
+
+  /** 方法：格式化列表/搜索结果中的图片（附带缩略图与 srcset；GPS 仅对上传者与管理员返回） */
+  static async FormatImageRows(req, rows) {
+    // 缩略图/响应式版本：按图片分组，URL 沿用图片 URL（含私有图片签名）并追加 variant 参数
+    const variantsById = new Map();
+    for (const v of await ImageRepository.ListVariants(rows.map(r => r.id))) {
+      if (!variantsById.has(v.image_id)) variantsById.set(v.image_id, []);
+      variantsById.get(v.image_id).push(v);
+    }
+    return rows.map(r => {
+      const url = ImageController.BuildImageUrl(r);
+      const { variants, srcset } = ImageController.FormatVariants(url, variantsById.get(r.id));
+      return {
         id: r.id,
         filename: r.filename,
+        original_name: r.original_name,
+        mime_type: r.mime_type,
+        size: r.size,
+        owner_id: r.owner_id,
+        owner_name: r.owner_name || null,
+        title: r.title || null,
+        description: r.description || null,
+        alt_text: r.alt_text || null,
+        visibility: r.visibility,
+        weight: r.random_weight,
+        processing_status: r.processing_status,
+        ...ImageController.FormatMetadata(r, ImageController.CanModifyImage(req.user, r)),
         tags: r.tags || '',
-        url: `/api/images/${r.access_token}`,
+        url,
+        variants,
+        srcset,
+        ...(r.score !== undefined ? { score: r.score || 0 } : {}),
         created_at: r.created_at
-      }));
-    return res.json({ images });
+      };
+    });
   }
 
-  /** 方法：通过访问令牌获取图片 */
+  /**
+   * 方法：通过访问令牌获取图片
+   * 说明：携带 w/h/fit/format/q 任一参数时按需变换（缩放、裁剪、转码），
+   *      变换结果按令牌与参数缓存于磁盘，重复请求不再重新编码。
+   */
   static async GetImageByToken(req, res) {
     const token = req.params.token;
     const img = await ImageRepository.GetImageByToken(token);
@@ -389,59 +1203,437 @@ class ImageController {
       res.setHeader('Content-Type', 'text/plain; charset=utf-8');
       return res.status(404).send('图片不存在');
     }
-    return await ImageController.SendImageFile(res, img);
+    if (!ImageController.CanViewImage(req, img)) {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(403).send('无权访问该图片（私有图片需所有者令牌或有效签名链接）');
+    }
+    // 私有图片禁止共享缓存（CDN/代理）保存
+    const cacheControl = img.visibility === 'private' ? 'private, no-cache' : undefined;
+    const { variant, width, error: variantError } = ImageController.ParseVariant(req.query);
+    if (variantError) {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(400).send(variantError);
+    }
+    if (!ImageTransformService.HasTransformParams(req.query)) {
+      return await ImageController.SendImageFile(res, img, { variant, width, cacheControl });
+    }
+
+    const { options, error } = ImageTransformService.ParseOptions(req.query);
+    if (error) {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(400).send(error);
+    }
+    // 变换始终基于原图，避免对已压缩版本二次损失
+    const storage = Storage.Get();
+    if (!(await storage.Exists(img.storage_path))) {
+      // 源文件缺失：交由 SendImageFile 统一返回 404
+      return await ImageController.SendImageFile(res, img);
+    }
+    let result;
+    try {
+      // 本地驱动直接读取磁盘文件，对象存储读取为内存数据
+      const source = storage.GetLocalPath(img.storage_path) || (() => storage.ReadBuffer(img.storage_path));
+      result = await ImageTransformService.GetOrCreate(img, source, options, { clientId: req.ip });
+    } catch (_) {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(422).send('图片变换失败');
+    }
+    if (result.limited) {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Retry-After', String(result.retryAfter));
+      return res.status(429).send('图片变换请求过于频繁，请稍后再试');
+    }
+    return await ImageController.SendImageFile(res, img, { ...result, etag: result.key, cacheControl });
+  }
+
+  /**
+   * 方法：解析随机图片接口的查询参数
+   * 说明：
+   * - q：搜索语句；tags：标签表达式（兼容逗号分隔的标签列表）；excludeTags：排除的标签（逗号分隔）
+   * - album：相册ID或分享令牌，仅从该相册中选取
+   * - exclude：排除的图片（逗号分隔的图片ID或访问令牌）
+   * - random=true 或指定 seed 时随机选取；seed 使结果可复现（不参与不重复窗口）
+   * - norepeat：不重复窗口大小；client：客户端标识（同一用户/IP 下区分多个窗口）
+   * - format=json 时返回 JSON，count 为返回数量；否则返回单张图片二进制
+   * 返回：{ options } 或 { error }
+   */
+  static ParseRandomQuery(query = {}) {
+    const cfg = Config.Get();
+    const readInt = (raw, min, max, label) => {
+      if (raw == null || raw === '') return { value: null };
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n < min || n > max) return { error: `参数 ${label} 需为 ${min}-${max} 的整数` };
+      return { value: n };
+    };
+    const readList = (raw) => [].concat(raw == null ? [] : raw)
+      .flatMap((v) => String(v).split(/[,\uFF0C]/)).map((v) => v.trim()).filter(Boolean);
+    const options = {};
+
+    const format = query.format ? String(query.format).toLowerCase() : 'image';
+    if (!['image', 'json'].includes(format)) return { error: '参数 format 仅支持 image/json' };
+    options.json = format === 'json';
+    const count = readInt(query.count, 1, Math.max(1, cfg.m_RandomMaxCount), 'count');
+    if (count.error) return { error: count.error };
+    if (!options.json && count.value > 1) return { error: '返回多张图片需指定 format=json' };
+    options.count = count.value || 1;
+
+    if (query.seed != null && query.seed !== '') {
+      options.seed = String(query.seed);
+      if (options.seed.length > 128) return { error: '参数 seed 不能超过 128 个字符' };
+    }
+    options.random = String(query.random || 'false').toLowerCase() === 'true' || options.seed != null;
+
+    const maxWindow = Math.max(0, cfg.m_RandomNoRepeatMax);
+    const window = readInt(query.norepeat, 0, maxWindow, 'norepeat');
+    if (window.error) return { error: window.error };
+    options.window = window.value != null ? window.value : Math.min(Math.max(0, cfg.m_RandomNoRepeat), maxWindow);
+    if (query.client != null && query.client !== '') {
+      options.client = String(query.client);
+      if (!/^[\w.:-]{1,64}$/.test(options.client)) return { error: '参数 client 需为 1-64 位字母、数字或 _ . : -' };
+    }
+
+    if (query.album != null && query.album !== '') options.album = String(query.album);
+
+    options.excludeIds = [];
+    options.excludeTokens = [];
+    const exclude = readList(query.exclude);
+    if (exclude.length > 200) return { error: '参数 exclude 不能超过 200 项' };
+    for (const item of exclude) {
+      if (/^\d+$/.test(item)) options.excludeIds.push(parseInt(item, 10));
+      else if (/^[0-9a-f]{32}$/i.test(item)) options.excludeTokens.push(item.toLowerCase());
+      else return { error: `参数 exclude 仅支持图片ID或访问令牌: ${item}` };
+    }
+
+    let search = null;
+    if (query.q) {
+      const parsed = SearchQueryService.Parse(ImageController.FixUtf8Mojibake(String(query.q)));
+      if (parsed.error) return { error: parsed.error };
+      search = parsed.ast;
+    }
+    const tagExpression = [].concat(query.tags == null ? [] : query.tags).join(',');
+    const tags = SearchQueryService.ParseTagExpression(tagExpression, ImageController.NormalizeTagsUtf8);
+    if (tags.error) return { error: tags.error };
+    const excludeTags = ImageController.NormalizeTagsUtf8(readList(query.excludeTags))
+      .map((name) => ({ type: 'not', item: { type: 'tag', name } }));
+    options.search = SearchQueryService.Combine(search, tags.ast, ...excludeTags);
+
+    const { variant, width, error } = ImageController.ParseVariant(query);
+    if (error) return { error };
+    options.variant = variant;
+    options.width = width;
+    return { options };
   }
 
   /**
-   * 方法：按标签检索或随机获取图片（始终返回单张）
+   * 方法：按搜索条件检索或随机获取图片
    * 说明：
-   * - 当 random=true 时，从匹配集合中随机选择 1 张并直接返回二进制（保留原名与格式）
-   * - 支持模糊匹配标签
+   * - 匹配逻辑与 GET /api/search 相同，筛选、加权随机与不重复窗口均在 SQL 中完成（参数见 ParseRandomQuery）
+   * - 随机时按图片权重抽取（权重为 0 不参与），否则取最新上传的图片（指定相册时按相册顺序取第一张）
+   * - 默认直接返回单张图片二进制（保留原名与格式）；format=json 时返回 count 张图片的信息与链接
+   * - 仅公开图片参与；指定相册时与相册内容接口一致，另包含不公开图片，相册所有者与管理员另包含私有图片
    */
   static async GetImages(req, res) {
-    const keyword = req.query.tags ? String(req.query.tags) : '';
-    const random = String(req.query.random || 'false').toLowerCase() === 'true';
-
-    // 获取所有图片并进行模糊匹配
-    const allImages = await ImageRepository.ListImagesByTags([]);
-    let matchedImages = allImages;
-
-    if (keyword) {
-      const lowerKeyword = keyword.toLowerCase();
-      matchedImages = allImages.filter(img => {
-        const tags = (img.tags || '').toLowerCase();
-        return tags.includes(lowerKeyword);
+    const { options, error } = ImageController.ParseRandomQuery(req.query);
+    const json = String(req.query.format || '').toLowerCase() === 'json';
+    const sendError = (status, message) => {
+      if (json) return res.status(status).json({ error: message });
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(status).send(message);
+    };
+    if (error) return sendError(400, error);
+
+    // 未指定查看者时仅公开图片参与（不公开与私有图片不参与随机）
+    const filters = {
+      search: options.search,
+      excludeIds: options.excludeIds,
+      excludeTokens: options.excludeTokens,
+      sort: options.random ? 'random' : 'created_at',
+      randomSeed: options.seed,
+      limit: options.count,
+    };
+    if (options.album) {
+      const { album, status, error: albumError } = await ImageController.FindViewableAlbum(req, options.album);
+      if (!album) return sendError(status, albumError);
+      Object.assign(filters, ImageController.AlbumImageFilters(req, album));
+      if (!options.random) {
+        filters.sort = 'position';
+        filters.order = 'asc';
+      }
+    }
+    // 不重复窗口：按用户（或 IP）与 client 参数区分客户端；指定种子时结果需可复现，不使用窗口
+    const useWindow = options.random && options.seed == null && options.window > 0;
+    const clientKey = `${req.user ? `user:${req.user.id}` : `ip:${req.ip}`}${options.client ? `:${options.client}` : ''}`;
+    let rows;
+    if (useWindow) {
+      ({ rows } = await ImageRepository.QueryImages({ ...filters, excludeRecent: { clientKey, window: options.window } }));
+      if (rows.length < options.count) {
+        // 窗口外候选不足时忽略窗口补足（已选中的不重复）
+        const more = await ImageRepository.QueryImages({
+          ...filters,
+          excludeIds: [...options.excludeIds, ...rows.map((r) => r.id)],
+          limit: options.count - rows.length,
+        });
+        rows = rows.concat(more.rows);
+      }
+      if (rows.length) {
+        await RandomHistoryRepository.Record(clientKey, rows.map((r) => r.id), Math.max(1, Config.Get().m_RandomNoRepeatMax));
+      }
+    } else {
+      ({ rows } = await ImageRepository.QueryImages(filters));
+    }
+    if (!rows.length) return sendError(404, '未找到匹配图片');
+
+    if (options.json) {
+      const baseUrl = ImageController.ResolveBaseUrl(req);
+      const images = (await ImageController.FormatImageRows(req, rows))
+        .map((img) => ({ ...img, absolute_url: `${baseUrl}${img.url}` }));
+      res.setHeader('Cache-Control', 'no-cache');
+      return res.json({ images, seed: options.seed != null ? options.seed : null });
+    }
+
+    const candidate = rows[0];
+    if (candidate.storage_path && await Storage.Get().Exists(candidate.storage_path)) {
+      // 同一 URL 每次可能返回不同图片，要求客户端每次重新验证
+      return await ImageController.SendImageFile(res, candidate, {
+        variant: options.variant,
+        width: options.width,
+        cacheControl: 'no-cache',
       });
     }
+    return sendError(404, '图片文件不存在');
+  }
 
-    if (!matchedImages.length) {
-      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-      return res.status(404).send('未找到匹配图片');
+  /**
+   * 方法：构造相册内图片的查询条件
+   * 说明：能查看相册即可看到其中的公开与不公开图片；私有图片仅对相册所有者（即图片上传者）与管理员可见。
+   */
+  static AlbumImageFilters(req, album) {
+    const isAdmin = !!req.user && req.user.role === 'admin';
+    return {
+      albumId: album.id,
+      includeUnlisted: true,
+      viewerId: req.user ? req.user.id : null,
+      viewerIsAdmin: isAdmin,
+    };
+  }
+
+  /**
+   * 方法：按数字ID或访问令牌查找图片并校验查看权限
+   * 说明：按数字ID查询时（ID 可枚举）仅公开图片对所有人可见，不公开/私有图片需上传者或管理员；
+   *      按访问令牌查询时规则同 GET /api/images/:token（私有图片另可使用签名参数）。
+   * 返回：{ img } 或 { status, error }
+   */
+  static async FindViewableImage(req, idOrToken) {
+    const raw = String(idOrToken || '');
+    const byId = /^\d+$/.test(raw);
+    const img = byId ? await ImageRepository.GetImageById(parseInt(raw, 10)) : await ImageRepository.GetImageByToken(raw);
+    if (!img) return { status: 404, error: '图片不存在' };
+    const allowed = byId
+      ? img.visibility === 'public' || ImageController.CanModifyImage(req.user, img)
+      : ImageController.CanViewImage(req, img);
+    // 按ID查询无权查看时返回 404，避免泄露不公开图片的存在
+    if (!allowed) return byId ? { status: 404, error: '图片不存在' } : { status: 403, error: '无权访问该图片' };
+    return { img };
+  }
+
+  /** 方法：转义 HTML 特殊字符 */
+  static EscapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  /** 方法：获取对外访问地址（PUBLIC_BASE_URL 优先，其次为请求的协议与主机） */
+  static ResolveBaseUrl(req) {
+    return Config.Get().m_PublicBaseUrl || `${req.protocol}://${req.get('host')}`;
+  }
+
+  /**
+   * 方法：生成嵌入代码（Markdown、HTML、BBCode）
+   * 说明：替代文本依次取 alt_text、title、原始文件名；HTML 附带尺寸与标题，便于页面预留布局。
+   */
+  static BuildEmbedSnippets(img, absoluteUrl) {
+    const alt = img.alt_text || img.title || img.original_name || img.filename || '';
+    const markdownAlt = alt.replace(/([\\\[\]])/g, '\\$1');
+    const attrs = [`src="${ImageController.EscapeHtml(absoluteUrl)}"`, `alt="${ImageController.EscapeHtml(alt)}"`];
+    if (img.width && img.height) attrs.push(`width="${img.width}"`, `height="${img.height}"`);
+    if (img.title) attrs.push(`title="${ImageController.EscapeHtml(img.title)}"`);
+    return {
+      markdown: `![${markdownAlt}](${absoluteUrl})`,
+      html: `<img ${attrs.join(' ')}>`,
+      bbcode: `[img]${absoluteUrl}[/img]`,
+    };
+  }
+
+  /**
+   * 方法：获取图片详情（JSON）
+   * 说明：:id 可为数字ID或访问令牌。返回全部元数据、上传者、标签、优化版本、缩略图与嵌入代码；
+   *      GPS 仅对上传者与管理员返回，内部存储键不返回。
+   */
+  static async GetImageInfo(req, res) {
+    const { img, status, error } = await ImageController.FindViewableImage(req, req.params.id);
+    if (!img) return res.status(status).json({ error });
+    const canModify = ImageController.CanModifyImage(req.user, img);
+    const owner = img.owner_id ? await UserRepository.GetUserById(img.owner_id) : null;
+    const url = ImageController.BuildImageUrl(img);
+    const absoluteUrl = `${ImageController.ResolveBaseUrl(req)}${url}`;
+    const { variants, srcset } = ImageController.FormatVariants(url, await ImageRepository.ListVariants([img.id]));
+    return res.json({
+      image: {
+        id: img.id,
+        access_token: img.access_token,
+        filename: img.filename,
+        original_name: img.original_name,
+        mime_type: img.mime_type,
+        size: img.size,
+        owner: owner ? { id: owner.id, username: owner.username } : null,
+        title: img.title || null,
+        description: img.description || null,
+        alt_text: img.alt_text || null,
+        visibility: img.visibility,
+        weight: img.random_weight,
+        processing_status: img.processing_status,
+        ...ImageController.FormatMetadata(img, canModify),
+        content_hash: img.content_hash || null,
+        remote_url: img.remote_url || null,
+        optimized: img.optimized_path
+          ? { size: img.optimized_size, url: `${url}${url.includes('?') ? '&' : '?'}variant=optimized` }
+          : null,
+        tags: await ImageRepository.GetImageTags(img.id),
+        url,
+        absolute_url: absoluteUrl,
+        original_url: `${url}${url.includes('?') ? '&' : '?'}variant=original`,
+        variants,
+        srcset,
+        embed: ImageController.BuildEmbedSnippets(img, absoluteUrl),
+        created_at: img.created_at,
+      }
+    });
+  }
+
+  /** 方法：判断当前用户是否可修改图片（上传者本人或管理员） */
+  static CanModifyImage(user, img) {
+    const isOwner = !!user && user.id === img.owner_id;
+    const isAdmin = !!user && user.role === 'admin';
+    return isOwner || isAdmin;
+  }
+
+  /**
+   * 方法：编辑图片元数据与标签（普通用户仅可编辑自己图片，管理员可编辑任意图片）
+   * 说明：body 可含 originalName、title、description、altText（传空字符串或 null 清除，originalName 除外），
+   *      visibility、weight（随机权重 0-100），以及 tags（整体替换）或 addTags/removeTags（增量修改）。
+   */
+  static async UpdateImage(req, res) {
+    const id = parseInt(req.params.id, 10);
+    const img = await ImageRepository.GetImageById(id);
+    if (!img) return res.status(404).json({ error: '图片不存在' });
+    if (!ImageController.CanModifyImage(req.user, img)) return res.status(403).json({ error: '无权编辑该图片' });
+
+    const body = req.body || {};
+    const fields = {};
+    const textFields = [
+      { key: 'title', column: 'title', max: 200 },
+      { key: 'description', column: 'description', max: 2000 },
+      { key: 'altText', column: 'alt_text', max: 500 },
+    ];
+    for (const f of textFields) {
+      if (body[f.key] === undefined) continue;
+      const value = body[f.key] == null ? '' : String(body[f.key]).trim().normalize('NFC');
+      if (value.length > f.max) return res.status(400).json({ error: `${f.key} 长度不能超过 ${f.max}` });
+      fields[f.column] = value || null;
+    }
+    if (body.originalName !== undefined) {
+      const name = String(body.originalName || '').trim().normalize('NFC');
+      if (!name || name.length > 255 || /[\/\\]/.test(name)) {
+        return res.status(400).json({ error: 'originalName 无效（不能为空、超过 255 字符或包含路径分隔符）' });
+      }
+      fields.original_name = name;
     }
 
-    // 随机或按时间选择
-    const candidate = random
-      ? matchedImages[Math.floor(Math.random() * matchedImages.length)]
-      : matchedImages[0];
+    if (body.visibility !== undefined) {
+      const { visibility, error } = ImageController.ParseVisibility(body.visibility, null);
+      if (error) return res.status(400).json({ error });
+      fields.visibility = visibility;
+    }
+    if (body.weight !== undefined) {
+      const weight = Number(body.weight);
+      if (body.weight === null || body.weight === '' || !Number.isFinite(weight) || weight < 0 || weight > 100) {
+        return res.status(400).json({ error: 'weight 需为 0-100 的数字（0 表示不参与随机）' });
+      }
+      fields.random_weight = weight;
+    }
 
-    const filePath = candidate.storage_path && path.resolve(candidate.storage_path);
-    if (filePath && fs.existsSync(filePath)) {
-      return await ImageController.SendImageFile(res, candidate);
+    const hasTagChange = body.tags !== undefined || body.addTags !== undefined || body.removeTags !== undefined;
+    if (!Object.keys(fields).length && !hasTagChange) {
+      return res.status(400).json({ error: '未提供需要修改的字段' });
     }
 
-    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-    return res.status(404).send('图片文件不存在');
+    // 字段与标签修改在同一事务中完成，失败时整体回滚，不留下部分生效的修改
+    await Database.Get().Transaction(async () => {
+      await ImageRepository.UpdateImageMeta(id, fields);
+      if (body.tags !== undefined) {
+        const tagIds = await TagRepository.EnsureTags(ImageController.NormalizeTagsUtf8(body.tags));
+        await ImageRepository.ClearTags(id);
+        await ImageRepository.AttachTags(id, tagIds);
+      }
+      if (body.addTags !== undefined) {
+        const tagIds = await TagRepository.EnsureTags(ImageController.NormalizeTagsUtf8(body.addTags));
+        await ImageRepository.AttachTags(id, tagIds);
+      }
+      if (body.removeTags !== undefined) {
+        const names = ImageController.NormalizeTagsUtf8(body.removeTags);
+        const tagIds = [];
+        for (const name of names) {
+          const tag = await TagRepository.FindByName(name);
+          if (tag) tagIds.push(tag.id);
+        }
+        await ImageRepository.DetachTags(id, tagIds);
+      }
+    });
+
+    const changes = { fields: Object.keys(fields), tags: hasTagChange };
+    if (fields.visibility && fields.visibility !== img.visibility) changes.visibility = { from: img.visibility, to: fields.visibility };
+    await AuditService.Record(req, 'image.update', {
+      target: { type: 'image', id, label: img.original_name || img.filename },
+      details: changes,
+    });
+
+    const updated = await ImageRepository.GetImageById(id);
+    return res.json({
+      image: {
+        id: updated.id,
+        original_name: updated.original_name,
+        title: updated.title || null,
+        description: updated.description || null,
+        alt_text: updated.alt_text || null,
+        visibility: updated.visibility,
+        weight: updated.random_weight,
+        ...ImageController.FormatMetadata(updated, true),
+        tags: await ImageRepository.GetImageTags(id),
+        url: ImageController.BuildImageUrl(updated),
+      }
+    });
   }
 
-  /** 方法：获取任意图片原始内容 */
-  static async GetRaw(req, res) {
+  /**
+   * 方法：为图片生成带过期时间的签名链接（上传者本人或管理员）
+   * 说明：body.expiresIn 为有效期秒数，默认 3600，不超过配置上限。
+   */
+  static async SignImageUrl(req, res) {
     const id = parseInt(req.params.id, 10);
     const img = await ImageRepository.GetImageById(id);
-    if (!img) {
-      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-      return res.status(404).send('图片不存在');
+    if (!img) return res.status(404).json({ error: '图片不存在' });
+    if (!ImageController.CanModifyImage(req.user, img)) return res.status(403).json({ error: '无权为该图片生成链接' });
+    const maxTtl = Config.Get().m_SignedUrlMaxTtl;
+    const raw = (req.body || {}).expiresIn;
+    const ttl = raw == null || raw === '' ? 3600 : Number(raw);
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > maxTtl) {
+      return res.status(400).json({ error: `expiresIn 需为 1-${maxTtl} 的整数（秒）` });
     }
-    return await ImageController.SendImageFile(res, img);
+    const { url, expires } = SignedUrlService.Sign(img.access_token, ttl);
+    await AuditService.Record(req, 'image.sign_url', {
+      target: { type: 'image', id, label: img.original_name || img.filename },
+      details: { expiresIn: ttl },
+    });
+    return res.json({ url, expires: new Date(expires * 1000).toISOString() });
   }
 
   /** 方法：删除图片（普通用户仅可删除自己图片，管理员可删除任意图片） */
@@ -449,13 +1641,26 @@ class ImageController {
     const id = parseInt(req.params.id, 10);
     const img = await ImageRepository.GetImageById(id);
     if (!img) return res.status(404).json({ error: '图片不存在' });
-    const isOwner = req.user && req.user.id === img.owner_id;
-    const isAdmin = req.user && req.user.role === 'admin';
-    if (!isOwner && !isAdmin) return res.status(403).json({ error: '无权删除该图片' });
-    try {
-      if (fs.existsSync(img.storage_path)) fs.unlinkSync(img.storage_path);
-    } catch (_) {}
+    if (!ImageController.CanModifyImage(req.user, img)) return res.status(403).json({ error: '无权删除该图片' });
+    ImageTransformService.ClearCache(img.access_token);
+    const variants = await ImageRepository.ListVariants([id]);
     await ImageRepository.DeleteImage(id);
+    // 内容去重后多条记录可能共用同一文件：仅当不再有记录引用时才删除磁盘文件
+    const refs = await ImageRepository.CountByStoragePath(img.storage_path);
+    if (refs === 0) {
+      const storage = Storage.Get();
+      try {
+        await storage.Delete(img.storage_path);
+        if (img.optimized_path) await storage.Delete(img.optimized_path);
+        for (const v of variants) {
+          if (!(await ImageRepository.CountVariantsByStoragePath(v.storage_path))) await storage.Delete(v.storage_path);
+        }
+      } catch (_) {}
+    }
+    await AuditService.Record(req, 'image.delete', {
+      target: { type: 'image', id, label: img.original_name || img.filename },
+      details: { ownerId: img.owner_id, token: img.access_token, size: img.size, contentHash: img.content_hash || null },
+    });
     return res.json({ deleted: id });
   }
 }
@@ -0,0 +1,46 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 后台任务控制器
+// 
+// 文件名称: JobController.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+// 
+// 描述: 提供后台任务（URL 下载、图片处理）的状态查询接口，
+//       客户端据此轮询异步上传的结果。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const { JobRepository } = require('../repositories/jobRepository');
+
+class JobController {
+  /** 方法：格式化任务记录（不返回内部载荷） */
+  static FormatJob(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      error: row.last_error,
+      result: row.result,
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      finished_at: row.finished_at,
+    };
+  }
+
+  /** 方法：查询任务状态（任务创建者或管理员） */
+  static async GetJob(req, res) {
+    const id = parseInt(req.params.id, 10);
+    const row = Number.isInteger(id) ? await JobRepository.GetJobById(id) : null;
+    if (!row) return res.status(404).json({ error: '任务不存在' });
+    if (row.owner_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: '无权查看该任务' });
+    }
+    return res.json({ job: JobController.FormatJob(row) });
+  }
+}
+
+module.exports = { JobController };
@@ -0,0 +1,114 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 标签控制器
+// 
+// 文件名称: TagController.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.1
+// 
+// 描述: 提供标签相关API：列出标签（含描述与使用数），以及管理员的
+//       重命名、合并、删除未使用标签与设置描述。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本（由 server.js 内联路由迁移并扩展管理接口）
+// 2026-10-19 - 标签修改、合并与删除写入审计日志
+// ================================================================
+const { TagRepository } = require('../repositories/tagRepository');
+const { AuditService } = require('../services/auditService');
+const { ImageController } = require('./imageController');
+
+class TagController {
+  /**
+   * 方法：规范化单个标签名（UTF-8 修复、NFC 归一化）
+   * 返回：规范化后的名称；为空或包含多个标签（逗号分隔）时返回 null
+   */
+  static NormalizeTagName(raw) {
+    const list = ImageController.NormalizeTagsUtf8([raw]);
+    return list.length === 1 ? list[0] : null;
+  }
+
+  /** 方法：列出所有标签（含描述与关联图片数） */
+  static async ListTags(req, res) {
+    const tags = await TagRepository.ListTags();
+    return res.json({ tags });
+  }
+
+  /** 方法：重命名标签和/或设置描述（管理员） */
+  static async UpdateTag(req, res) {
+    const id = parseInt(req.params.id, 10);
+    const tag = await TagRepository.GetTagById(id);
+    if (!tag) return res.status(404).json({ error: '标签不存在' });
+    const { name, description } = req.body || {};
+    const update = {};
+    if (name !== undefined) {
+      const normalized = TagController.NormalizeTagName(name);
+      if (!normalized) return res.status(400).json({ error: '标签名无效（不能为空或包含逗号）' });
+      if (normalized !== tag.name) {
+        const exists = await TagRepository.FindByName(normalized);
+        if (exists) return res.status(409).json({ error: '标签名已存在，请使用合并接口', conflictId: exists.id });
+      }
+      update.name = normalized;
+    }
+    if (description !== undefined) {
+      update.description = description == null || String(description).trim() === '' ? null : String(description).trim();
+    }
+    if (update.name === undefined && update.description === undefined) {
+      return res.status(400).json({ error: '未提供 name 或 description' });
+    }
+    await TagRepository.UpdateTag(id, update);
+    const details = { descriptionChanged: update.description !== undefined };
+    if (update.name !== undefined && update.name !== tag.name) details.name = { from: tag.name, to: update.name };
+    await AuditService.Record(req, 'tag.update', { target: { type: 'tag', id, label: tag.name }, details });
+    return res.json({ tag: await TagRepository.GetTagById(id) });
+  }
+
+  /**
+   * 方法：合并标签（管理员）
+   * 说明：body = { sourceIds: [..], targetId }，源标签关联的图片改为关联目标标签，随后删除源标签。
+   */
+  static async MergeTags(req, res) {
+    const { sourceIds, targetId } = req.body || {};
+    const target = parseInt(targetId, 10);
+    if (!Array.isArray(sourceIds) || !sourceIds.length || !Number.isInteger(target)) {
+      return res.status(400).json({ error: '需提供 sourceIds 数组与 targetId' });
+    }
+    const ids = [...new Set(sourceIds.map((x) => parseInt(x, 10)))];
+    if (ids.some((x) => !Number.isInteger(x))) return res.status(400).json({ error: 'sourceIds 需为标签ID' });
+    const targetTag = await TagRepository.GetTagById(target);
+    if (!targetTag) return res.status(404).json({ error: '目标标签不存在' });
+    const sources = [];
+    for (const id of ids) {
+      const source = await TagRepository.GetTagById(id);
+      if (!source) return res.status(404).json({ error: `标签不存在: ${id}` });
+      sources.push(source);
+    }
+    const merged = await TagRepository.MergeTags(ids, target);
+    await AuditService.Record(req, 'tag.merge', {
+      target: { type: 'tag', id: target, label: targetTag.name },
+      details: { sources: sources.map((t) => ({ id: t.id, name: t.name })), merged },
+    });
+    return res.json({ merged, tag: await TagRepository.GetTagById(target) });
+  }
+
+  /** 方法：删除标签（管理员，仅允许删除未被使用的标签） */
+  static async DeleteTag(req, res) {
+    const id = parseInt(req.params.id, 10);
+    const tag = await TagRepository.GetTagById(id);
+    if (!tag) return res.status(404).json({ error: '标签不存在' });
+    if (tag.image_count > 0) {
+      return res.status(409).json({ error: '标签仍被图片使用，请先合并或移除关联', imageCount: tag.image_count });
+    }
+    await TagRepository.DeleteTag(id);
+    await AuditService.Record(req, 'tag.delete', { target: { type: 'tag', id, label: tag.name } });
+    return res.json({ deleted: id });
+  }
+
+  /** 方法：删除所有未被使用的标签（管理员） */
+  static async DeleteUnusedTags(req, res) {
+    const deleted = await TagRepository.DeleteUnusedTags();
+    await AuditService.Record(req, 'tag.delete_unused', { details: { deleted } });
+    return res.json({ deleted });
+  }
+}
+
+module.exports = { TagController };
@@ -0,0 +1,75 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 数据库迁移命令
+//
+// 文件名称: Migrate.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.1
+//
+// 描述: 数据库迁移命令行工具，使用与服务相同的配置定位数据库（当前工作目录下的 data/db.sqlite），
+//       需在服务的工作目录中执行。
+//       用法：
+//       - node src/db/migrate.js status       查看当前版本、已执行与待执行的迁移
+//       - node src/db/migrate.js up           执行全部待执行的迁移（服务启动时也会自动执行）
+//       - node src/db/migrate.js up --dry-run 在事务中试运行待执行的迁移后回滚，不修改数据库
+//       数据库版本高于程序支持的版本时以退出码 1 结束。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - status 与 up --dry-run 不切换日志模式
+// ================================================================
+const fs = require('fs');
+const { Database } = require('./sqlite');
+const { Migrator } = require('./migrator');
+
+/** 方法：输出迁移状态 */
+async function PrintStatus(db) {
+  const status = await Migrator.GetStatus(db);
+  console.log(`数据库: ${db.m_DbPath}`);
+  console.log(`当前版本: ${status.current}，程序最新版本: ${status.latest}`);
+  for (const row of status.applied) {
+    const label = Migrator.Label(row);
+    const mark = status.unknown.includes(row) ? '（程序中无此迁移）' : '';
+    console.log(`  [已执行] ${label}  ${row.applied_at}${mark}`);
+  }
+  for (const migration of status.pending) {
+    console.log(`  [待执行] ${Migrator.Label(migration)}  ${migration.description}`);
+  }
+  if (!status.pending.length) console.log('没有待执行的迁移');
+  Migrator.AssertCompatible(status);
+}
+
+async function Main() {
+  const args = process.argv.slice(2);
+  const command = args.find((a) => !a.startsWith('-')) || 'status';
+  const dryRun = args.includes('--dry-run');
+  const db = Database.Get();
+  // 只读场景：数据库不存在时不创建，打开时保留原有日志模式
+  const inspect = command === 'status' || (command === 'up' && dryRun);
+  if (inspect && !fs.existsSync(db.m_DbPath)) {
+    console.log(`数据库不存在: ${db.m_DbPath}（服务首次启动或执行 migrate up 时创建，届时执行全部迁移）`);
+    return;
+  }
+  await db.Open({ keepJournalMode: inspect });
+  await db.Run('PRAGMA foreign_keys = ON;');
+  try {
+    if (command === 'status') {
+      await PrintStatus(db);
+    } else if (command === 'up') {
+      const result = await Migrator.Migrate(db, { dryRun });
+      if (!result.applied.length) console.log(`数据库已是最新版本（${result.from}）`);
+      else if (dryRun) console.log(`试运行完成：${result.from} → ${result.to}，已回滚，数据库未修改`);
+      else console.log(`迁移完成：${result.from} → ${result.to}`);
+    } else {
+      console.error(`未知命令: ${command}（可用命令：status、up [--dry-run]）`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await db.Close();
+  }
+}
+
+Main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
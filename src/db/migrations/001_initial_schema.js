@@ -0,0 +1,177 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 数据库迁移
+//
+// 文件名称: 001_initial_schema.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 基线迁移：用户、图片、标签、API 密钥、后台任务、图片版本、随机记录与相册表。
+//       引入迁移机制前的数据库由启动时的 CREATE TABLE IF NOT EXISTS 逐步补齐，
+//       各库结构可能停留在不同阶段，因此本迁移保持幂等：表与索引按需创建，缺失的列按需追加。
+//       后续迁移直接编写 ALTER TABLE 等语句即可，无需再判断列是否存在。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本（由 Database.Init 迁出）
+// ================================================================
+const { Migrator } = require('../migrator');
+
+module.exports = {
+  description: '基线表结构',
+
+  /** 方法：执行迁移（在事务中调用） */
+  async Up(db) {
+    await db.Run(`CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'user',
+      status TEXT NOT NULL DEFAULT 'active',
+      created_at TEXT NOT NULL
+    );`);
+    await db.Run(`CREATE TABLE IF NOT EXISTS images (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner_id INTEGER,
+      filename TEXT NOT NULL,
+      original_name TEXT,
+      mime_type TEXT,
+      size INTEGER,
+      storage_path TEXT NOT NULL,
+      remote_url TEXT,
+      access_token TEXT UNIQUE,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(owner_id) REFERENCES users(id) ON DELETE SET NULL
+    );`);
+    await db.Run(`CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL
+    );`);
+    await db.Run(`CREATE TABLE IF NOT EXISTS image_tags (
+      image_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (image_id, tag_id),
+      FOREIGN KEY(image_id) REFERENCES images(id) ON DELETE CASCADE,
+      FOREIGN KEY(tag_id) REFERENCES tags(id) ON DELETE CASCADE
+    );`);
+    // 优化版本（压缩派生文件），原图始终保留在 storage_path
+    await Migrator.AddColumnIfMissing(db, 'images', 'optimized_path', 'TEXT');
+    await Migrator.AddColumnIfMissing(db, 'images', 'optimized_size', 'INTEGER');
+    // 原图内容 SHA-256，用于上传去重
+    await Migrator.AddColumnIfMissing(db, 'images', 'content_hash', 'TEXT');
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_images_content_hash ON images(content_hash);');
+    // 优化版本内容 SHA-256，用于生成强 ETag
+    await Migrator.AddColumnIfMissing(db, 'images', 'optimized_hash', 'TEXT');
+    await Migrator.AddColumnIfMissing(db, 'tags', 'description', 'TEXT');
+    // 图片元数据（上传后可编辑）
+    await Migrator.AddColumnIfMissing(db, 'images', 'title', 'TEXT');
+    await Migrator.AddColumnIfMissing(db, 'images', 'description', 'TEXT');
+    await Migrator.AddColumnIfMissing(db, 'images', 'alt_text', 'TEXT');
+    // 可见性：public 公开；unlisted 不出现在列表与随机中；private 需所有者令牌或签名链接
+    await Migrator.AddColumnIfMissing(db, 'images', 'visibility', "TEXT NOT NULL DEFAULT 'public'");
+    // 个人 API 密钥：明文仅在创建时返回一次，库中保存 SHA-256 哈希与用于识别的前缀
+    await db.Run(`CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT UNIQUE NOT NULL,
+      scopes TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT,
+      last_used_at TEXT,
+      revoked_at TEXT,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+    );`);
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);');
+    // 用户配额覆盖（NULL 表示使用默认配额，0 表示不限制）
+    await Migrator.AddColumnIfMissing(db, 'users', 'quota_bytes', 'INTEGER');
+    await Migrator.AddColumnIfMissing(db, 'users', 'quota_images', 'INTEGER');
+    await Migrator.AddColumnIfMissing(db, 'users', 'quota_daily', 'INTEGER');
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_images_owner_created ON images(owner_id, created_at);');
+    // 后台任务队列：pending → running → succeeded / failed（失败可按退避时间重试）
+    await db.Run(`CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      owner_id INTEGER,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      run_at TEXT NOT NULL,
+      locked_at TEXT,
+      last_error TEXT,
+      result TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      finished_at TEXT,
+      FOREIGN KEY(owner_id) REFERENCES users(id) ON DELETE SET NULL
+    );`);
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at);');
+    // 图片后台处理状态：pending（处理中）/ ready（完成）/ failed（失败，仍可访问原图）
+    await Migrator.AddColumnIfMissing(db, 'images', 'processing_status', "TEXT NOT NULL DEFAULT 'ready'");
+    // 缩略图/响应式版本：每条图片记录按宽度一行；内容去重共用文件的记录共用同一对象键
+    await db.Run(`CREATE TABLE IF NOT EXISTS image_variants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      image_id INTEGER NOT NULL,
+      width INTEGER NOT NULL,
+      height INTEGER NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      storage_path TEXT NOT NULL,
+      content_hash TEXT,
+      created_at TEXT NOT NULL,
+      UNIQUE(image_id, width),
+      FOREIGN KEY(image_id) REFERENCES images(id) ON DELETE CASCADE
+    );`);
+    // 图片元数据（上传时提取；metadata_at 为空表示历史图片尚未提取）
+    await Migrator.AddColumnIfMissing(db, 'images', 'width', 'INTEGER');
+    await Migrator.AddColumnIfMissing(db, 'images', 'height', 'INTEGER');
+    await Migrator.AddColumnIfMissing(db, 'images', 'format', 'TEXT');
+    await Migrator.AddColumnIfMissing(db, 'images', 'orientation', 'INTEGER');
+    await Migrator.AddColumnIfMissing(db, 'images', 'taken_at', 'TEXT');
+    await Migrator.AddColumnIfMissing(db, 'images', 'camera_make', 'TEXT');
+    await Migrator.AddColumnIfMissing(db, 'images', 'camera_model', 'TEXT');
+    await Migrator.AddColumnIfMissing(db, 'images', 'gps_latitude', 'REAL');
+    await Migrator.AddColumnIfMissing(db, 'images', 'gps_longitude', 'REAL');
+    await Migrator.AddColumnIfMissing(db, 'images', 'gps_altitude', 'REAL');
+    await Migrator.AddColumnIfMissing(db, 'images', 'metadata_stripped', 'INTEGER NOT NULL DEFAULT 0');
+    await Migrator.AddColumnIfMissing(db, 'images', 'metadata_at', 'TEXT');
+    // 随机图片：权重（0 表示不参与随机）与各客户端最近返回记录（不重复窗口）
+    await Migrator.AddColumnIfMissing(db, 'images', 'random_weight', 'REAL NOT NULL DEFAULT 1');
+    await db.Run(`CREATE TABLE IF NOT EXISTS random_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      client_key TEXT NOT NULL,
+      image_id INTEGER NOT NULL,
+      served_at TEXT NOT NULL,
+      FOREIGN KEY(image_id) REFERENCES images(id) ON DELETE CASCADE
+    );`);
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_random_history_client ON random_history(client_key, id);');
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_random_history_served_at ON random_history(served_at);');
+    // 相册：图片按 position 升序排列；cover_image_id 为空时以第一张图片为封面
+    await db.Run(`CREATE TABLE IF NOT EXISTS albums (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner_id INTEGER,
+      name TEXT NOT NULL,
+      description TEXT,
+      visibility TEXT NOT NULL DEFAULT 'public',
+      share_token TEXT UNIQUE NOT NULL,
+      cover_image_id INTEGER,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      FOREIGN KEY(owner_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY(cover_image_id) REFERENCES images(id) ON DELETE SET NULL
+    );`);
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_albums_owner ON albums(owner_id);');
+    await db.Run(`CREATE TABLE IF NOT EXISTS album_images (
+      album_id INTEGER NOT NULL,
+      image_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      added_at TEXT NOT NULL,
+      PRIMARY KEY (album_id, image_id),
+      FOREIGN KEY(album_id) REFERENCES albums(id) ON DELETE CASCADE,
+      FOREIGN KEY(image_id) REFERENCES images(id) ON DELETE CASCADE
+    );`);
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_album_images_position ON album_images(album_id, position);');
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_album_images_image ON album_images(image_id);');
+  },
+};
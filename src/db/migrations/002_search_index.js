@@ -0,0 +1,58 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 数据库迁移
+//
+// 文件名称: 002_search_index.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 图片全文索引 images_fts（文件名、标题、描述、替代文本、标签）及同步触发器。
+//       images_fts 的 rowid 即图片ID，tags 列为该图片全部标签名（空格分隔）；
+//       图片、图片标签关联、标签名的增删改均由触发器同步。迁移末尾按现有数据整表重建索引。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本（由 Database.EnsureSearchIndex 迁出）
+// ================================================================
+
+module.exports = {
+  description: '图片全文索引与同步触发器',
+
+  /** 方法：执行迁移（在事务中调用） */
+  async Up(db) {
+    await db.Run(`CREATE VIRTUAL TABLE IF NOT EXISTS images_fts USING fts5(
+      original_name, title, description, alt_text, tags,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );`);
+    const tagsOf = (imageIdExpr) => `COALESCE((SELECT GROUP_CONCAT(t.name, ' ') FROM image_tags it
+      JOIN tags t ON t.id = it.tag_id WHERE it.image_id = ${imageIdExpr}), '')`;
+    await db.Run(`CREATE TRIGGER IF NOT EXISTS images_fts_ai AFTER INSERT ON images BEGIN
+      INSERT INTO images_fts(rowid, original_name, title, description, alt_text, tags)
+      VALUES (NEW.id, NEW.original_name, NEW.title, NEW.description, NEW.alt_text, ${tagsOf('NEW.id')});
+    END;`);
+    await db.Run(`CREATE TRIGGER IF NOT EXISTS images_fts_au AFTER UPDATE OF original_name, title, description, alt_text ON images BEGIN
+      UPDATE images_fts SET original_name = NEW.original_name, title = NEW.title,
+        description = NEW.description, alt_text = NEW.alt_text
+      WHERE rowid = NEW.id;
+    END;`);
+    await db.Run(`CREATE TRIGGER IF NOT EXISTS images_fts_ad AFTER DELETE ON images BEGIN
+      DELETE FROM images_fts WHERE rowid = OLD.id;
+    END;`);
+    await db.Run(`CREATE TRIGGER IF NOT EXISTS image_tags_fts_ai AFTER INSERT ON image_tags BEGIN
+      UPDATE images_fts SET tags = ${tagsOf('NEW.image_id')} WHERE rowid = NEW.image_id;
+    END;`);
+    await db.Run(`CREATE TRIGGER IF NOT EXISTS image_tags_fts_ad AFTER DELETE ON image_tags BEGIN
+      UPDATE images_fts SET tags = ${tagsOf('OLD.image_id')} WHERE rowid = OLD.image_id;
+    END;`);
+    await db.Run(`CREATE TRIGGER IF NOT EXISTS image_tags_fts_au AFTER UPDATE ON image_tags BEGIN
+      UPDATE images_fts SET tags = ${tagsOf('images_fts.rowid')} WHERE rowid IN (OLD.image_id, NEW.image_id);
+    END;`);
+    await db.Run(`CREATE TRIGGER IF NOT EXISTS tags_fts_au AFTER UPDATE OF name ON tags BEGIN
+      UPDATE images_fts SET tags = ${tagsOf('images_fts.rowid')}
+      WHERE rowid IN (SELECT image_id FROM image_tags WHERE tag_id = NEW.id);
+    END;`);
+
+    await db.Run('DELETE FROM images_fts');
+    await db.Run(`INSERT INTO images_fts(rowid, original_name, title, description, alt_text, tags)
+      SELECT i.id, i.original_name, i.title, i.description, i.alt_text, ${tagsOf('i.id')} FROM images i`);
+  },
+};
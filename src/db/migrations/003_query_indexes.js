@@ -0,0 +1,26 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 数据库迁移
+//
+// 文件名称: 003_query_indexes.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 补充常用查询的索引：
+//       - image_tags(tag_id)：按标签筛选图片、标签使用数统计与删除标签时的级联（主键以 image_id 开头，无法用于按标签查找）；
+//       - images(created_at)：图片列表默认按上传时间排序与按日期范围筛选。
+//       按上传者查询使用已有的 idx_images_owner_created (owner_id, created_at)，其前缀即 owner_id，不再单独建索引。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+
+module.exports = {
+  description: '补充图片标签与上传时间索引',
+
+  /** 方法：执行迁移（在事务中调用） */
+  async Up(db) {
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_image_tags_tag_id ON image_tags(tag_id);');
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_images_created_at ON images(created_at);');
+  },
+};
@@ -0,0 +1,42 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 数据库迁移
+//
+// 文件名称: 004_backups.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 新增 backups 表，记录备份目录中由程序生成的备份文件：
+//       类型（full 完整 / incremental 增量）、增量备份所基于的上一个备份、状态（running/completed/failed）、
+//       触发方式（manual/schedule）、已包含的最大图片ID（下一次增量备份的起点）、文件大小与 SHA-256 校验值。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+
+module.exports = {
+  description: '新增备份记录表',
+
+  /** 方法：执行迁移（在事务中调用） */
+  async Up(db) {
+    await db.Run(`CREATE TABLE IF NOT EXISTS backups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      filename TEXT UNIQUE NOT NULL,
+      type TEXT NOT NULL,
+      base_id INTEGER,
+      status TEXT NOT NULL DEFAULT 'running',
+      source TEXT NOT NULL DEFAULT 'manual',
+      max_image_id INTEGER NOT NULL DEFAULT 0,
+      image_count INTEGER NOT NULL DEFAULT 0,
+      file_count INTEGER NOT NULL DEFAULT 0,
+      size_bytes INTEGER,
+      sha256 TEXT,
+      error TEXT,
+      created_at TEXT NOT NULL,
+      completed_at TEXT,
+      verified_at TEXT,
+      FOREIGN KEY(base_id) REFERENCES backups(id) ON DELETE SET NULL
+    );`);
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_backups_base_id ON backups(base_id);');
+  },
+};
@@ -0,0 +1,42 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 数据库迁移
+//
+// 文件名称: 005_audit_log.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 新增 audit_log 表，记录登录、删除图片、停用用户、导入备份等安全相关操作：
+//       操作者（用户ID、用户名快照与所用 API 密钥）、操作类型、操作对象（类型、ID、名称快照）、
+//       附加信息（JSON）、客户端 IP、User-Agent 与时间。
+//       操作者与对象均保存快照且不设外键，删除用户或图片后日志仍完整保留。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+
+module.exports = {
+  description: '新增审计日志表',
+
+  /** 方法：执行迁移（在事务中调用） */
+  async Up(db) {
+    await db.Run(`CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id INTEGER,
+      actor_name TEXT,
+      api_key_id INTEGER,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      target_label TEXT,
+      details TEXT,
+      ip TEXT,
+      user_agent TEXT,
+      created_at TEXT NOT NULL
+    );`);
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);');
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at);');
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at);');
+    await db.Run('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);');
+  },
+};
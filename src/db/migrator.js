@@ -0,0 +1,180 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 数据库迁移模块
+//
+// 文件名称: Migrator.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.1
+//
+// 描述: 按版本号顺序执行 src/db/migrations 下的迁移文件，并在 schema_version 表中记录已执行的版本。
+//       迁移文件命名为“三位版本号_名称.js”（如 002_search_index.js），导出 { description, Up(db) }；
+//       每个迁移与其版本记录在同一事务中提交，失败时整体回滚并中止启动。
+//       数据库版本高于程序已知的最新迁移（旧程序连接新数据库）时拒绝执行。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - 迁移改用 Database.Transaction 执行
+// ================================================================
+const fs = require('fs');
+const path = require('path');
+
+/** 迁移文件目录与命名规则 */
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([A-Za-z0-9_]+)\.js$/;
+
+class Migrator {
+  /**
+   * 方法：加载全部迁移定义（按版本号升序）
+   * 说明：版本号重复或缺少 Up 方法时抛出异常。
+   * 返回：[{ version, name, description, file, Up }]
+   */
+  static LoadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = [];
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+    for (const file of files) {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      if (!match) continue;
+      const def = require(path.join(dir, file));
+      if (typeof def.Up !== 'function') throw new Error(`迁移文件缺少 Up 方法: ${file}`);
+      migrations.push({
+        version: parseInt(match[1], 10),
+        name: match[2],
+        description: def.description || match[2],
+        file,
+        Up: def.Up,
+      });
+    }
+    migrations.sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`迁移版本号重复: ${migrations[i - 1].file} / ${migrations[i].file}`);
+      }
+    }
+    return migrations;
+  }
+
+  /** 方法：创建 schema_version 表（已存在时跳过） */
+  static async EnsureVersionTable(db) {
+    await db.Run(`CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    );`);
+  }
+
+  /** 方法：读取已执行的迁移记录（schema_version 表不存在时返回空列表，不建表） */
+  static async GetAppliedVersions(db) {
+    const table = await db.Get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'");
+    if (!table) return [];
+    return await db.All('SELECT version, name, applied_at FROM schema_version ORDER BY version ASC');
+  }
+
+  /**
+   * 方法：获取迁移状态
+   * 返回：{ current, latest, applied, pending, unknown }
+   *      current 为数据库当前版本（未执行过迁移为 0），latest 为程序已知的最新版本；
+   *      unknown 为数据库中存在但程序中没有对应文件的版本（通常来自更新的程序）。
+   */
+  static async GetStatus(db) {
+    const migrations = Migrator.LoadMigrations();
+    const applied = await Migrator.GetAppliedVersions(db);
+    const appliedSet = new Set(applied.map((r) => r.version));
+    const knownSet = new Set(migrations.map((m) => m.version));
+    return {
+      current: applied.length ? applied[applied.length - 1].version : 0,
+      latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+      applied,
+      pending: migrations.filter((m) => !appliedSet.has(m.version)),
+      unknown: applied.filter((r) => !knownSet.has(r.version)),
+    };
+  }
+
+  /** 方法：校验数据库版本不高于程序版本，否则抛出异常 */
+  static AssertCompatible(status) {
+    if (status.current > status.latest) {
+      throw new Error(
+        `数据库结构版本 ${status.current} 高于当前程序支持的版本 ${status.latest}，请升级程序后再启动（不支持降级）`
+      );
+    }
+  }
+
+  /**
+   * 方法：执行全部待执行的迁移
+   * 说明：每个迁移单独一个事务（Database.Transaction），迁移内容与版本记录一同提交；
+   *      dryRun 为 true 时在同一事务中执行全部待执行迁移后回滚，用于预先验证，不修改数据库。
+   * 参数：options = { dryRun, log }，log 为进度输出函数（默认 console.log）
+   * 返回：{ from, to, applied: [{ version, name, description }], dryRun }
+   */
+  static async Migrate(db, { dryRun = false, log = console.log } = {}) {
+    const status = await Migrator.GetStatus(db);
+    Migrator.AssertCompatible(status);
+    const result = { from: status.current, to: status.current, applied: [], dryRun };
+    if (!status.pending.length) return result;
+
+    if (dryRun) {
+      // 试运行：全部迁移在同一事务中执行，结束时以特殊异常触发回滚
+      const rollback = new Error('dry-run');
+      try {
+        await db.Transaction(async () => {
+          await Migrator.EnsureVersionTable(db);
+          for (const migration of status.pending) {
+            await Migrator.RunMigration(db, migration);
+            log(`[试运行] 迁移 ${Migrator.Label(migration)} 执行成功`);
+            result.applied.push(Migrator.Summary(migration));
+          }
+          throw rollback;
+        });
+      } catch (err) {
+        if (err !== rollback) throw err;
+      }
+      result.to = status.pending[status.pending.length - 1].version;
+      return result;
+    }
+
+    await Migrator.EnsureVersionTable(db);
+    for (const migration of status.pending) {
+      await db.Transaction(() => Migrator.RunMigration(db, migration));
+      log(`数据库迁移 ${Migrator.Label(migration)} 已完成`);
+      result.applied.push(Migrator.Summary(migration));
+      result.to = migration.version;
+    }
+    return result;
+  }
+
+  /** 方法：执行单个迁移并写入版本记录（在调用方的事务中执行） */
+  static async RunMigration(db, migration) {
+    try {
+      await migration.Up(db);
+    } catch (err) {
+      err.message = `迁移 ${Migrator.Label(migration)} 执行失败: ${err.message}`;
+      throw err;
+    }
+    await db.Run('INSERT INTO schema_version (version, name, applied_at) VALUES (?,?,?)', [
+      migration.version,
+      migration.name,
+      new Date().toISOString(),
+    ]);
+  }
+
+  /**
+   * 方法：确保表中存在指定列（不存在时 ALTER TABLE 追加）
+   * 说明：仅供基线迁移兼容引入迁移机制前的数据库；后续迁移直接编写 ALTER TABLE。
+   */
+  static async AddColumnIfMissing(db, table, column, definition) {
+    const cols = await db.All(`PRAGMA table_info(${table})`);
+    if (cols.some((c) => c.name === column)) return;
+    await db.Run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+
+  /** 方法：迁移显示名称（如 002_search_index） */
+  static Label(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  }
+
+  /** 方法：迁移摘要（用于返回结果与状态输出） */
+  static Summary(migration) {
+    return { version: migration.version, name: migration.name, description: migration.description };
+  }
+}
+
+module.exports = { Migrator };
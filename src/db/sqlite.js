@@ -4,109 +4,257 @@
 // 文件名称: Sqlite.js
 // 作者: AzumiYumeichi
 // 创建日期: 2025-11-06
-// 版本: 1.0
+// 版本: 1.16
 // 
-// 描述: 管理SQLite数据库连接与初始化，提供基本的Run/Get/All方法。
-//       自动创建用户、图片、标签及关联表。启用外键约束，确保数据一致性。
+// 描述: 管理SQLite数据库连接与初始化，提供基本的Run/Get/All方法与事务（Transaction）。
+//       启动时通过迁移模块（src/db/migrations）创建与升级表结构。启用外键约束，确保数据一致性。
+//       默认使用 WAL 日志模式并设置锁等待超时；增删改查语句按 SQL 文本缓存预编译语句。
 // 
 // 修改历史:
 // 2025-11-06 - 初始版本
+// 2026-10-19 - 新增 EnsureColumn，为已有数据库补充新列；images 增加优化版本路径与大小
+// 2026-10-19 - images 增加内容哈希列与索引（上传去重）
+// 2026-10-19 - images 增加优化版本内容哈希列（ETag）
+// 2026-10-19 - tags 增加描述列
+// 2026-10-19 - images 增加标题、描述、替代文本列
+// 2026-10-19 - images 增加可见性列（public/unlisted/private）
+// 2026-10-19 - 新增 api_keys 表（个人 API 密钥，仅保存哈希）
+// 2026-10-19 - users 增加配额覆盖列；images 增加 (owner_id, created_at) 索引用于用量统计
+// 2026-10-19 - 新增 jobs 表（后台任务队列）；images 增加处理状态列
+// 2026-10-19 - 新增 image_variants 表（缩略图/响应式版本）
+// 2026-10-19 - images 增加图片元数据列（尺寸、格式、方向、拍摄时间、相机、GPS）
+// 2026-10-19 - 新增 images_fts 全文索引（文件名、标题、描述、替代文本、标签），由触发器保持同步
+// 2026-10-19 - images 增加随机权重列；新增 random_history 表（随机图片不重复窗口）
+// 2026-10-19 - 新增 albums / album_images 表（相册：有序图片、封面、可见性与分享令牌）
+// 2026-10-19 - 表结构改由版本化迁移管理（schema_version），移除 EnsureColumn / EnsureSearchIndex
+// 2026-10-19 - 新增 Transaction / AfterCommit、预编译语句缓存、WAL 日志模式与锁等待超时
 // ================================================================
 const sqlite3 = require('sqlite3');
-const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const { Config } = require('../config');
+const { Migrator } = require('./migrator');
+
+/** 支持的日志模式（DB_JOURNAL_MODE） */
+const JOURNAL_MODES = ['wal', 'delete', 'truncate', 'persist', 'memory'];
+/** 可缓存预编译语句的 SQL（其余如 DDL、PRAGMA、事务控制语句直接执行） */
+const CACHEABLE_SQL = /^\s*(SELECT|INSERT|UPDATE|DELETE|REPLACE|WITH)\b/i;
 
 class Database {
   /** 构造函数：初始化数据库连接路径 */
   constructor() {
     /** @type {sqlite3.Database|null} */ this.m_Db = null;
     /** @type {string} */ this.m_DbPath = Config.Get().m_DbFile;
+    // 预编译语句缓存：SQL 文本 → { statement: Promise<Statement>, users, evicted }，按最近使用顺序淘汰
+    /** @type {Map<string, object>} */ this.m_Statements = new Map();
+    // 当前事务上下文（异步调用链内可见）与事务结束信号（事务外的语句需等待其结束）
+    /** @type {AsyncLocalStorage} */ this.m_TxContext = new AsyncLocalStorage();
+    /** @type {Promise<void>|null} */ this.m_TxActive = null;
   }
 
-  /** 方法：初始化数据库（创建连接、表结构、外键） */
+  /**
+   * 方法：初始化数据库（创建连接、启用外键、执行待执行的结构迁移）
+   * 说明：数据库结构版本高于程序支持的版本时抛出异常，拒绝启动。
+   */
   async Init() {
     await this.Open();
     await this.Run('PRAGMA foreign_keys = ON;');
-    await this.Run(`CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT UNIQUE NOT NULL,
-      password_hash TEXT NOT NULL,
-      role TEXT NOT NULL DEFAULT 'user',
-      status TEXT NOT NULL DEFAULT 'active',
-      created_at TEXT NOT NULL
-    );`);
-    await this.Run(`CREATE TABLE IF NOT EXISTS images (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      owner_id INTEGER,
-      filename TEXT NOT NULL,
-      original_name TEXT,
-      mime_type TEXT,
-      size INTEGER,
-      storage_path TEXT NOT NULL,
-      remote_url TEXT,
-      access_token TEXT UNIQUE,
-      created_at TEXT NOT NULL,
-      FOREIGN KEY(owner_id) REFERENCES users(id) ON DELETE SET NULL
-    );`);
-    await this.Run(`CREATE TABLE IF NOT EXISTS tags (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT UNIQUE NOT NULL
-    );`);
-    await this.Run(`CREATE TABLE IF NOT EXISTS image_tags (
-      image_id INTEGER NOT NULL,
-      tag_id INTEGER NOT NULL,
-      PRIMARY KEY (image_id, tag_id),
-      FOREIGN KEY(image_id) REFERENCES images(id) ON DELETE CASCADE,
-      FOREIGN KEY(tag_id) REFERENCES tags(id) ON DELETE CASCADE
-    );`);
+    await Migrator.Migrate(this);
   }
 
-  /** 方法：打开数据库连接 */
-  Open() {
-    return new Promise((resolve, reject) => {
-      if (this.m_Db) return resolve();
+  /**
+   * 方法：打开数据库连接（设置锁等待超时与日志模式）
+   * 说明：keepJournalMode 为 true 时保留数据库现有的日志模式（切换日志模式会持久写入数据库文件），
+   *      用于查看迁移状态与试运行等不应修改数据库的场景。
+   */
+  async Open({ keepJournalMode = false } = {}) {
+    if (this.m_Db) return;
+    const cfg = Config.Get();
+    const mode = cfg.m_DbJournalMode;
+    if (!JOURNAL_MODES.includes(mode)) throw new Error(`DB_JOURNAL_MODE 仅支持 ${JOURNAL_MODES.join('/')}`);
+    await new Promise((resolve, reject) => {
       const sqlite = sqlite3.verbose();
       this.m_Db = new sqlite.Database(this.m_DbPath, (err) => {
-        if (err) return reject(err);
+        if (err) {
+          this.m_Db = null;
+          return reject(err);
+        }
         resolve();
       });
     });
+    this.m_Db.configure('busyTimeout', Math.max(0, cfg.m_DbBusyTimeoutMs));
+    if (keepJournalMode) return;
+    await this.Run(`PRAGMA journal_mode = ${mode.toUpperCase()};`);
+    // WAL 模式下 NORMAL 同步级别可保证一致性（断电仅可能丢失最近提交），写入性能明显优于 FULL
+    if (mode === 'wal') await this.Run('PRAGMA synchronous = NORMAL;');
   }
 
-  /** 方法：执行写入/更新SQL */
-  Run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.m_Db.run(sql, params, function (err) {
-        if (err) return reject(err);
-        resolve({ lastID: this.lastID, changes: this.changes });
+  /**
+   * 方法：在事务中执行 fn(db) 并返回其结果
+   * 说明：fn 正常返回时提交，抛出异常时回滚并重新抛出。事务期间其他调用链的语句等待事务结束后再执行
+   *      （同一连接上不会混入事务）；fn 内嵌套调用 Transaction 时使用保存点，仅回滚内层。
+   *      fn 内只应执行数据库操作，文件读写、网络请求等耗时操作放在事务外。
+   */
+  async Transaction(fn) {
+    const current = this.m_TxContext.getStore();
+    if (current && current.active) {
+      const name = `sp_${++current.savepoints}`;
+      await this.Run(`SAVEPOINT ${name}`);
+      try {
+        const result = await fn(this);
+        await this.Run(`RELEASE ${name}`);
+        return result;
+      } catch (err) {
+        await this.Run(`ROLLBACK TO ${name}`);
+        await this.Run(`RELEASE ${name}`);
+        throw err;
+      }
+    }
+
+    while (this.m_TxActive) await this.m_TxActive;
+    let finish;
+    this.m_TxActive = new Promise((resolve) => { finish = resolve; });
+    const tx = { active: true, savepoints: 0, afterCommit: [] };
+    let committed = false;
+    try {
+      const result = await this.m_TxContext.run(tx, async () => {
+        await this.Run('BEGIN IMMEDIATE');
+        try {
+          const value = await fn(this);
+          await this.Run('COMMIT');
+          return value;
+        } catch (err) {
+          await this.Run('ROLLBACK').catch(() => {});
+          throw err;
+        }
       });
-    });
+      committed = true;
+      return result;
+    } finally {
+      tx.active = false;
+      this.m_TxActive = null;
+      finish();
+      if (committed) {
+        for (const callback of tx.afterCommit) {
+          this.m_TxContext.exit(() => {
+            try { callback(); } catch (err) { console.error('事务提交回调失败:', err); }
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * 方法：在当前事务提交后执行回调（不在事务中时立即执行；事务回滚时不执行）
+   * 说明：用于唤醒后台任务等需在数据提交后进行、且不应在事务上下文中运行的操作。
+   */
+  AfterCommit(callback) {
+    const tx = this.m_TxContext.getStore();
+    if (tx && tx.active) tx.afterCommit.push(callback);
+    else callback();
+  }
+
+  /** 方法：等待其他调用链的事务结束（事务内的语句直接执行） */
+  async WaitForTransaction() {
+    const tx = this.m_TxContext.getStore();
+    if (tx && tx.active) return;
+    while (this.m_TxActive) await this.m_TxActive;
+  }
+
+  /**
+   * 方法：获取（或预编译）缓存的语句并执行 work(statement)
+   * 说明：缓存超过上限时淘汰最久未使用的语句，正在使用的语句在使用结束后再释放。
+   */
+  async WithStatement(sql, work) {
+    let entry = this.m_Statements.get(sql);
+    if (entry) {
+      this.m_Statements.delete(sql);
+    } else {
+      entry = { users: 0, evicted: false };
+      entry.statement = new Promise((resolve, reject) => {
+        const statement = this.m_Db.prepare(sql, (err) => (err ? reject(err) : resolve(statement)));
+      });
+      entry.statement.catch(() => {
+        if (this.m_Statements.get(sql) === entry) this.m_Statements.delete(sql);
+      });
+    }
+    this.m_Statements.set(sql, entry);
+    const limit = Math.max(1, Config.Get().m_DbStatementCacheSize);
+    while (this.m_Statements.size > limit) {
+      const [oldestSql, oldest] = this.m_Statements.entries().next().value;
+      this.m_Statements.delete(oldestSql);
+      oldest.evicted = true;
+      if (!oldest.users) this.FinalizeStatement(oldest);
+    }
+    entry.users++;
+    try {
+      return await work(await entry.statement);
+    } finally {
+      entry.users--;
+      if (entry.evicted && !entry.users) this.FinalizeStatement(entry);
+    }
+  }
+
+  /** 方法：释放预编译语句 */
+  FinalizeStatement(entry) {
+    return entry.statement.then((statement) => new Promise((resolve) => statement.finalize(() => resolve())), () => {});
+  }
+
+  /** 方法：SQL 是否使用预编译语句缓存 */
+  UseStatementCache(sql) {
+    return Config.Get().m_DbStatementCacheSize > 0 && CACHEABLE_SQL.test(sql);
+  }
+
+  /** 方法：执行写入/更新SQL */
+  async Run(sql, params = []) {
+    await this.WaitForTransaction();
+    const done = (resolve, reject) => function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    };
+    if (!this.UseStatementCache(sql)) {
+      return new Promise((resolve, reject) => this.m_Db.run(sql, params, done(resolve, reject)));
+    }
+    return this.WithStatement(sql, (statement) => new Promise((resolve, reject) => {
+      statement.run(params, done(resolve, reject));
+    }));
   }
 
   /** 方法：查询单行SQL */
-  Get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.m_Db.get(sql, params, function (err, row) {
-        if (err) return reject(err);
-        resolve(row);
+  async Get(sql, params = []) {
+    await this.WaitForTransaction();
+    if (!this.UseStatementCache(sql)) {
+      return new Promise((resolve, reject) => {
+        this.m_Db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
       });
-    });
+    }
+    // get 只读取第一行，需重置语句以释放读锁
+    return this.WithStatement(sql, (statement) => new Promise((resolve, reject) => {
+      statement.get(params, (err, row) => {
+        statement.reset(() => (err ? reject(err) : resolve(row)));
+      });
+    }));
   }
 
   /** 方法：查询多行SQL */
-  All(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.m_Db.all(sql, params, function (err, rows) {
-        if (err) return reject(err);
-        resolve(rows);
+  async All(sql, params = []) {
+    await this.WaitForTransaction();
+    if (!this.UseStatementCache(sql)) {
+      return new Promise((resolve, reject) => {
+        this.m_Db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
       });
-    });
+    }
+    return this.WithStatement(sql, (statement) => new Promise((resolve, reject) => {
+      statement.all(params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }));
   }
 
-  /** 方法：关闭数据库连接 */
-  Close() {
+  /** 方法：关闭数据库连接（先释放全部缓存的预编译语句） */
+  async Close() {
+    if (!this.m_Db) return;
+    const entries = [...this.m_Statements.values()];
+    this.m_Statements.clear();
+    await Promise.all(entries.map((entry) => this.FinalizeStatement(entry)));
     return new Promise((resolve, reject) => {
-      if (!this.m_Db) return resolve();
       this.m_Db.close((err) => {
         if (err) return reject(err);
         this.m_Db = null;
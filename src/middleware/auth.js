@@ -4,41 +4,99 @@
 // 文件名称: AuthMiddleware.js
 // 作者: AzumiYumeichi
 // 创建日期: 2025-11-06
-// 版本: 1.0
+// 版本: 1.2
 // 
-// 描述: 使用JWT进行身份认证，提供VerifyToken和RequireAdmin方法。
-//       VerifyToken用于校验用户登录态，RequireAdmin用于限制管理员接口。
+// 描述: 使用JWT或个人API密钥进行身份认证，提供VerifyToken和RequireAdmin方法。
+//       VerifyToken用于校验用户登录态，RequireAdmin用于限制管理员接口，
+//       RequireScope用于限制API密钥的权限范围。
 // 
 // 修改历史:
 // 2025-11-06 - 初始版本
+// 2026-10-19 - 新增 OptionalToken：携带有效令牌时解析用户，否则按匿名继续
+// 2026-10-19 - 支持个人 API 密钥（Bearer azk_...），新增 RequireScope 与 RequireSession
 // ================================================================
 const jwt = require('jsonwebtoken');
 const { Config } = require('../config');
+const { ApiKeyService } = require('../services/apiKeyService');
 
 class AuthMiddleware {
-  /** 方法：校验JWT并解析用户信息到req.user */
-  static VerifyToken(req, res, next) {
+  /** 方法：从 Authorization 头提取 Bearer 令牌 */
+  static ExtractBearer(req) {
     const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.startsWith('Bearer ')
+    return authHeader && authHeader.startsWith('Bearer ')
       ? authHeader.substring(7)
       : null;
-    if (!token) return res.status(401).json({ error: '未提供令牌' });
+  }
+
+  /**
+   * 方法：解析令牌为用户信息
+   * 说明：API 密钥返回 { id, username, role, apiKeyId, scopes }；JWT 返回其载荷 { id, username, role }。
+   *      无效时返回 null。
+   */
+  static async ResolveUser(token) {
+    if (ApiKeyService.IsApiKey(token)) return await ApiKeyService.Authenticate(token);
     try {
-      const payload = jwt.verify(token, Config.Get().m_JwtSecret);
-      req.user = payload; // { id, username, role }
+      return jwt.verify(token, Config.Get().m_JwtSecret);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** 方法：校验JWT或API密钥并解析用户信息到req.user */
+  static async VerifyToken(req, res, next) {
+    const token = AuthMiddleware.ExtractBearer(req);
+    if (!token) return res.status(401).json({ error: '未提供令牌' });
+    const user = await AuthMiddleware.ResolveUser(token);
+    if (!user) return res.status(401).json({ error: '令牌无效或已过期' });
+    req.user = user;
+    next();
+  }
+
+  /**
+   * 方法：可选认证（用于公开接口按身份返回不同内容）
+   * 说明：携带有效令牌时解析到 req.user；未携带或无效时按匿名继续，不返回错误。
+   *      不含 read 权限的 API 密钥按匿名处理。
+   */
+  static async OptionalToken(req, res, next) {
+    const token = AuthMiddleware.ExtractBearer(req);
+    if (token) {
+      const user = await AuthMiddleware.ResolveUser(token);
+      req.user = user && (!user.scopes || user.scopes.includes('read')) ? user : undefined;
+    }
+    next();
+  }
+
+  /**
+   * 方法：限制 API 密钥的权限范围（JWT 登录态不受限制）
+   * 用法：app.post(path, AuthMiddleware.VerifyToken, AuthMiddleware.RequireScope('upload'), handler)
+   */
+  static RequireScope(scope) {
+    return function (req, res, next) {
+      if (req.user && req.user.scopes && !req.user.scopes.includes(scope)) {
+        return res.status(403).json({ error: `API 密钥缺少 ${scope} 权限` });
+      }
       next();
-    } catch (err) {
-      return res.status(401).json({ error: '令牌无效或已过期' });
+    };
+  }
+
+  /** 方法：仅允许登录态（JWT）访问，API 密钥不可用（如管理密钥本身） */
+  static RequireSession(req, res, next) {
+    if (req.user && req.user.apiKeyId) {
+      return res.status(403).json({ error: '该接口需使用登录令牌，不支持 API 密钥' });
     }
+    next();
   }
 
-  /** 方法：限制管理员访问 */
+  /** 方法：限制管理员访问（API 密钥另需 admin 权限） */
   static RequireAdmin(req, res, next) {
     if (!req.user || req.user.role !== 'admin') {
       return res.status(403).json({ error: '需要管理员权限' });
     }
+    if (req.user.scopes && !req.user.scopes.includes('admin')) {
+      return res.status(403).json({ error: 'API 密钥缺少 admin 权限' });
+    }
     next();
   }
 }
 
-module.exports = { AuthMiddleware };
\ No newline at end of file
+module.exports = { AuthMiddleware };
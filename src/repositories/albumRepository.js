@@ -0,0 +1,180 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 相册数据访问
+//
+// 文件名称: AlbumRepository.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 封装相册及相册图片关联的数据库访问逻辑：创建、查询、更新、删除相册，
+//       以及添加、移除、排序相册图片。相册图片按 position 升序排列，
+//       每次增删或排序后重新从 0 连续编号。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const crypto = require('crypto');
+const { Database } = require('../db/sqlite');
+
+/** 相册查询的公共列：图片数、上传者名与实际封面（未设置时取第一张图片） */
+const ALBUM_COLUMNS = `a.*,
+  u.username AS owner_name,
+  (SELECT COUNT(*) FROM album_images ai WHERE ai.album_id = a.id) AS image_count,
+  COALESCE(a.cover_image_id,
+    (SELECT ai.image_id FROM album_images ai WHERE ai.album_id = a.id ORDER BY ai.position ASC LIMIT 1)) AS effective_cover_id`;
+
+class AlbumRepository {
+  /** 方法：生成分享令牌（格式同图片访问令牌） */
+  static GenerateShareToken() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /** 方法：创建相册，返回新ID */
+  static async CreateAlbum({ ownerId, name, description, visibility }) {
+    const db = Database.Get();
+    const now = new Date().toISOString();
+    const res = await db.Run(
+      `INSERT INTO albums (owner_id, name, description, visibility, share_token, created_at, updated_at)
+       VALUES (?,?,?,?,?,?,?)`,
+      [ownerId || null, name, description || null, visibility || 'public', AlbumRepository.GenerateShareToken(), now, now]
+    );
+    return res.lastID;
+  }
+
+  /** 方法：根据ID获取相册 */
+  static async GetAlbumById(id) {
+    const db = Database.Get();
+    return await db.Get(
+      `SELECT ${ALBUM_COLUMNS} FROM albums a LEFT JOIN users u ON u.id = a.owner_id WHERE a.id = ?`,
+      [id]
+    );
+  }
+
+  /** 方法：根据分享令牌获取相册 */
+  static async GetAlbumByToken(token) {
+    const db = Database.Get();
+    return await db.Get(
+      `SELECT ${ALBUM_COLUMNS} FROM albums a LEFT JOIN users u ON u.id = a.owner_id WHERE a.share_token = ?`,
+      [String(token || '').toLowerCase()]
+    );
+  }
+
+  /**
+   * 方法：分页列出相册（按更新时间倒序）
+   * 参数：viewerId / viewerIsAdmin 查看者身份（非管理员仅可见公开相册与自己的相册）；ownerId 按创建者筛选
+   * 返回：{ rows, total }
+   */
+  static async ListAlbums({ viewerId = null, viewerIsAdmin = false, ownerId = null, limit = 50, offset = 0 } = {}) {
+    const db = Database.Get();
+    const where = [];
+    const params = [];
+    if (!viewerIsAdmin) {
+      if (viewerId != null) {
+        where.push("(a.visibility = 'public' OR a.owner_id = ?)");
+        params.push(viewerId);
+      } else {
+        where.push("a.visibility = 'public'");
+      }
+    }
+    if (ownerId != null) {
+      where.push('a.owner_id = ?');
+      params.push(ownerId);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const rows = await db.All(
+      `SELECT ${ALBUM_COLUMNS} FROM albums a LEFT JOIN users u ON u.id = a.owner_id
+       ${whereSql} ORDER BY a.updated_at DESC, a.id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const row = await db.Get(`SELECT COUNT(*) AS c FROM albums a ${whereSql}`, params);
+    return { rows, total: row ? row.c : 0 };
+  }
+
+  /** 方法：更新相册字段（name、description、visibility、cover_image_id、share_token） */
+  static async UpdateAlbum(id, fields = {}) {
+    const db = Database.Get();
+    const allowed = ['name', 'description', 'visibility', 'cover_image_id', 'share_token'];
+    const sets = ['updated_at = ?'];
+    const params = [new Date().toISOString()];
+    for (const key of allowed) {
+      if (fields[key] !== undefined) {
+        sets.push(`${key} = ?`);
+        params.push(fields[key]);
+      }
+    }
+    await db.Run(`UPDATE albums SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+  }
+
+  /** 方法：删除相册（相册内图片本身保留） */
+  static async DeleteAlbum(id) {
+    const db = Database.Get();
+    await db.Run('DELETE FROM albums WHERE id = ?', [id]);
+  }
+
+  /** 方法：按顺序获取相册内的图片ID列表 */
+  static async ListImageIds(albumId) {
+    const db = Database.Get();
+    const rows = await db.All(
+      'SELECT image_id FROM album_images WHERE album_id = ? ORDER BY position ASC, image_id ASC',
+      [albumId]
+    );
+    return rows.map((r) => r.image_id);
+  }
+
+  /** 方法：按给定顺序重写相册图片的 position（从 0 连续编号）并更新相册修改时间 */
+  static async WriteOrder(albumId, imageIds) {
+    const db = Database.Get();
+    for (let i = 0; i < imageIds.length; i++) {
+      await db.Run('UPDATE album_images SET position = ? WHERE album_id = ? AND image_id = ?', [i, albumId, imageIds[i]]);
+    }
+    await db.Run('UPDATE albums SET updated_at = ? WHERE id = ?', [new Date().toISOString(), albumId]);
+  }
+
+  /**
+   * 方法：向相册添加图片（已在相册中的图片跳过）
+   * 参数：position 为插入位置（从 0 开始，省略或超出范围时追加到末尾）
+   * 返回：实际添加的图片ID列表
+   */
+  static async AddImages(albumId, imageIds, position = null) {
+    const db = Database.Get();
+    const current = await AlbumRepository.ListImageIds(albumId);
+    const existing = new Set(current);
+    const added = [...new Set(imageIds)].filter((id) => !existing.has(id));
+    if (!added.length) return [];
+    const now = new Date().toISOString();
+    for (const imageId of added) {
+      await db.Run(
+        'INSERT INTO album_images (album_id, image_id, position, added_at) VALUES (?,?,?,?)',
+        [albumId, imageId, current.length, now]
+      );
+    }
+    const at = position == null || position > current.length ? current.length : position;
+    await AlbumRepository.WriteOrder(albumId, [...current.slice(0, at), ...added, ...current.slice(at)]);
+    return added;
+  }
+
+  /**
+   * 方法：从相册移除图片（若为封面则清除封面设置）
+   * 返回：是否移除
+   */
+  static async RemoveImage(albumId, imageId) {
+    const db = Database.Get();
+    const res = await db.Run('DELETE FROM album_images WHERE album_id = ? AND image_id = ?', [albumId, imageId]);
+    if (!res.changes) return false;
+    await db.Run('UPDATE albums SET cover_image_id = NULL WHERE id = ? AND cover_image_id = ?', [albumId, imageId]);
+    await AlbumRepository.WriteOrder(albumId, await AlbumRepository.ListImageIds(albumId));
+    return true;
+  }
+
+  /**
+   * 方法：调整相册图片顺序
+   * 说明：orderedIds 中的图片按给定顺序排在最前，未列出的图片保持原有相对顺序排在其后。
+   */
+  static async ReorderImages(albumId, orderedIds) {
+    const current = await AlbumRepository.ListImageIds(albumId);
+    const listed = new Set(orderedIds);
+    await AlbumRepository.WriteOrder(albumId, [...orderedIds, ...current.filter((id) => !listed.has(id))]);
+  }
+}
+
+module.exports = { AlbumRepository };
@@ -0,0 +1,75 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI API密钥数据访问
+// 
+// 文件名称: ApiKeyRepository.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+// 
+// 描述: 封装个人 API 密钥的数据库访问逻辑，包括创建、按哈希查找、
+//       列出、吊销与记录最近使用时间。库中仅保存密钥哈希。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const { Database } = require('../db/sqlite');
+
+/** 列表/返回时公开的列（不含哈希） */
+const PUBLIC_COLUMNS = 'id, user_id, name, key_prefix, scopes, created_at, expires_at, last_used_at, revoked_at';
+
+class ApiKeyRepository {
+  /** 方法：创建密钥记录，返回新ID */
+  static async CreateKey({ userId, name, keyPrefix, keyHash, scopes, expiresAt }) {
+    const db = Database.Get();
+    const now = new Date().toISOString();
+    const result = await db.Run(
+      'INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, created_at, expires_at) VALUES (?,?,?,?,?,?,?)',
+      [userId, name, keyPrefix, keyHash, scopes.join(','), now, expiresAt || null]
+    );
+    return result.lastID;
+  }
+
+  /** 方法：按ID查询密钥（不含哈希） */
+  static async GetKeyById(id) {
+    const db = Database.Get();
+    return await db.Get(`SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE id = ?`, [id]);
+  }
+
+  /**
+   * 方法：按哈希查找可用密钥并关联所属用户
+   * 说明：已吊销或已过期的密钥不返回。
+   */
+  static async FindActiveByHash(keyHash) {
+    const db = Database.Get();
+    return await db.Get(
+      `SELECT k.id, k.user_id, k.scopes, u.username, u.role, u.status
+       FROM api_keys k JOIN users u ON u.id = k.user_id
+       WHERE k.key_hash = ? AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > ?)`,
+      [keyHash, new Date().toISOString()]
+    );
+  }
+
+  /** 方法：列出用户的全部密钥（含已吊销，按创建时间倒序） */
+  static async ListKeysByUser(userId) {
+    const db = Database.Get();
+    return await db.All(
+      `SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE user_id = ? ORDER BY id DESC`,
+      [userId]
+    );
+  }
+
+  /** 方法：吊销密钥（保留记录以便审计） */
+  static async RevokeKey(id) {
+    const db = Database.Get();
+    await db.Run('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [new Date().toISOString(), id]);
+  }
+
+  /** 方法：记录最近使用时间 */
+  static async TouchKey(id) {
+    const db = Database.Get();
+    await db.Run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+  }
+}
+
+module.exports = { ApiKeyRepository };
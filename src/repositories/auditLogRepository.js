@@ -0,0 +1,106 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 审计日志数据访问
+//
+// 文件名称: AuditLogRepository.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 封装审计日志的数据库访问：写入日志，以及按操作类型、操作者、对象、IP 与时间范围分页查询。
+//       日志只增不改，不提供修改与删除。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const { Database } = require('../db/sqlite');
+
+class AuditLogRepository {
+  /**
+   * 方法：写入一条审计日志，返回ID
+   * 参数：entry = { actorId, actorName, apiKeyId, action, targetType, targetId, targetLabel, details, ip, userAgent }
+   *      details 为对象时序列化为 JSON
+   */
+  static async Insert(entry) {
+    const db = Database.Get();
+    const res = await db.Run(
+      `INSERT INTO audit_log (actor_id, actor_name, api_key_id, action, target_type, target_id, target_label,
+         details, ip, user_agent, created_at)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?)`,
+      [
+        entry.actorId ?? null,
+        entry.actorName ?? null,
+        entry.apiKeyId ?? null,
+        entry.action,
+        entry.targetType ?? null,
+        entry.targetId != null ? String(entry.targetId) : null,
+        entry.targetLabel ?? null,
+        entry.details != null ? JSON.stringify(entry.details) : null,
+        entry.ip ?? null,
+        entry.userAgent ?? null,
+        new Date().toISOString(),
+      ]
+    );
+    return res.lastID;
+  }
+
+  /**
+   * 方法：分页查询审计日志（新的在前）
+   * 参数：filters = { actions, actionPrefixes, actorId, actorName, targetType, targetId, ip, from, to, limit, offset }
+   *      actions 为精确匹配的操作类型列表，actionPrefixes 为前缀（如 image. 匹配全部图片操作），两者满足其一即可；
+   *      actorName 与 ip 为精确匹配；from/to 为 ISO 时间（含端点）
+   * 返回：{ rows, total }
+   */
+  static async Query(filters = {}) {
+    const db = Database.Get();
+    const where = [];
+    const params = [];
+    const actionConds = [];
+    for (const action of filters.actions || []) {
+      actionConds.push('action = ?');
+      params.push(action);
+    }
+    for (const prefix of filters.actionPrefixes || []) {
+      actionConds.push("action LIKE ? ESCAPE '\\'");
+      params.push(`${prefix.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+    if (actionConds.length) where.push(`(${actionConds.join(' OR ')})`);
+    if (filters.actorId != null) {
+      where.push('actor_id = ?');
+      params.push(filters.actorId);
+    }
+    if (filters.actorName) {
+      where.push('actor_name = ?');
+      params.push(filters.actorName);
+    }
+    if (filters.targetType) {
+      where.push('target_type = ?');
+      params.push(filters.targetType);
+    }
+    if (filters.targetId != null) {
+      where.push('target_id = ?');
+      params.push(String(filters.targetId));
+    }
+    if (filters.ip) {
+      where.push('ip = ?');
+      params.push(filters.ip);
+    }
+    if (filters.from) {
+      where.push('created_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      where.push('created_at <= ?');
+      params.push(filters.to);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const rows = await db.All(`SELECT * FROM audit_log ${whereSql} ORDER BY id DESC LIMIT ? OFFSET ?`, [
+      ...params,
+      filters.limit || 50,
+      filters.offset || 0,
+    ]);
+    const row = await db.Get(`SELECT COUNT(*) AS c FROM audit_log ${whereSql}`, params);
+    return { rows, total: row ? row.c : 0 };
+  }
+}
+
+module.exports = { AuditLogRepository };
@@ -0,0 +1,307 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 备份数据访问
+//
+// 文件名称: BackupRepository.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.3
+//
+// 描述: 封装备份导入所需的数据库访问：按用户名/标签名/访问令牌/分享令牌查找已有记录，
+//       以新ID插入备份中的用户、标签、图片、图片标签关联、缩略图、相册与相册收录，以及替换模式下清空现有图片数据。
+//       调用方负责在事务中执行。另提供导出数据快照与 backups 表（备份文件记录）的读写。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - 新增导出数据快照与备份文件记录（创建、完成、失败、校验、删除与依赖查询）
+// 2026-10-19 - 导出快照包含相册与相册收录；新增相册导入，旧版备份替换导入时可保留现有相册
+// 2026-10-19 - 导出快照包含缩略图记录；新增缩略图导入
+// ================================================================
+const { Database } = require('../db/sqlite');
+
+/** 导入图片时由导入逻辑重新确定、不从备份原样复制的列 */
+const IMAGE_MANAGED_COLUMNS = ['id', 'owner_id', 'storage_path', 'optimized_path', 'access_token', 'processing_status'];
+
+class BackupRepository {
+  /** 方法：获取 images 表中可从备份复制的列名 */
+  static async ListImageColumns() {
+    const db = Database.Get();
+    const cols = await db.All('PRAGMA table_info(images)');
+    return cols.map((c) => c.name).filter((name) => !IMAGE_MANAGED_COLUMNS.includes(name));
+  }
+
+  /** 方法：按用户名查找用户 */
+  static async FindUserByUsername(username) {
+    const db = Database.Get();
+    return await db.Get('SELECT * FROM users WHERE username = ?', [username]);
+  }
+
+  /** 方法：插入备份中的用户（使用新ID），返回新ID */
+  static async InsertUser(u) {
+    const db = Database.Get();
+    const res = await db.Run(
+      `INSERT INTO users (username, password_hash, role, status, created_at, quota_bytes, quota_images, quota_daily)
+       VALUES (?,?,?,?,?,?,?,?)`,
+      [
+        u.username, u.password_hash, u.role || 'user', u.status || 'active', u.created_at || new Date().toISOString(),
+        u.quota_bytes ?? null, u.quota_images ?? null, u.quota_daily ?? null,
+      ]
+    );
+    return res.lastID;
+  }
+
+  /** 方法：以备份中的密码、角色、状态与配额覆盖已有用户（替换模式） */
+  static async OverwriteUser(id, u) {
+    const db = Database.Get();
+    await db.Run(
+      `UPDATE users SET password_hash = ?, role = ?, status = ?, quota_bytes = ?, quota_images = ?, quota_daily = ?
+       WHERE id = ?`,
+      [u.password_hash, u.role || 'user', u.status || 'active', u.quota_bytes ?? null, u.quota_images ?? null, u.quota_daily ?? null, id]
+    );
+  }
+
+  /** 方法：按名称查找标签 */
+  static async FindTagByName(name) {
+    const db = Database.Get();
+    return await db.Get('SELECT id, name, description FROM tags WHERE name = ?', [name]);
+  }
+
+  /** 方法：插入标签（使用新ID），返回新ID */
+  static async InsertTag(name, description) {
+    const db = Database.Get();
+    const res = await db.Run('INSERT INTO tags (name, description) VALUES (?,?)', [name, description || null]);
+    return res.lastID;
+  }
+
+  /** 方法：按访问令牌查找图片 */
+  static async FindImageByToken(token) {
+    const db = Database.Get();
+    return await db.Get('SELECT id, access_token, content_hash, filename FROM images WHERE access_token = ?', [token]);
+  }
+
+  /** 方法：按文件名查找图片（备份中的图片缺少访问令牌时用于判断是否已导入） */
+  static async FindImageByFilename(filename) {
+    const db = Database.Get();
+    return await db.Get('SELECT id, access_token, content_hash, filename FROM images WHERE filename = ?', [filename]);
+  }
+
+  /**
+   * 方法：插入图片记录（使用新ID），返回新ID
+   * 参数：fields 为列名 → 值（列名须来自 ListImageColumns 或导入逻辑确定的列）
+   */
+  static async InsertImage(fields) {
+    const db = Database.Get();
+    const columns = Object.keys(fields);
+    const res = await db.Run(
+      `INSERT INTO images (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(',')})`,
+      columns.map((c) => fields[c])
+    );
+    return res.lastID;
+  }
+
+  /** 方法：关联图片与标签，返回是否新增 */
+  static async InsertImageTag(imageId, tagId) {
+    const db = Database.Get();
+    const res = await db.Run('INSERT OR IGNORE INTO image_tags (image_id, tag_id) VALUES (?,?)', [imageId, tagId]);
+    return res.changes > 0;
+  }
+
+  /** 方法：插入备份中的缩略图记录（归属新导入的图片，对象键为本机对象键），返回是否新增 */
+  static async InsertVariant(imageId, v, storagePath) {
+    const db = Database.Get();
+    const res = await db.Run(
+      `INSERT OR IGNORE INTO image_variants (image_id, width, height, mime_type, size, storage_path, content_hash, created_at)
+       VALUES (?,?,?,?,?,?,?,?)`,
+      [
+        imageId, v.width, v.height, v.mime_type, v.size || 0, storagePath, v.content_hash || null,
+        v.created_at || new Date().toISOString(),
+      ]
+    );
+    return res.changes > 0;
+  }
+
+  /** 方法：按分享令牌查找相册 */
+  static async FindAlbumByToken(token) {
+    const db = Database.Get();
+    return await db.Get('SELECT id, name FROM albums WHERE share_token = ?', [token]);
+  }
+
+  /** 方法：插入备份中的相册（使用新ID），返回新ID */
+  static async InsertAlbum(a) {
+    const db = Database.Get();
+    const res = await db.Run(
+      `INSERT INTO albums (owner_id, name, description, visibility, share_token, cover_image_id, created_at, updated_at)
+       VALUES (?,?,?,?,?,?,?,?)`,
+      [a.ownerId, a.name, a.description, a.visibility, a.shareToken, a.coverImageId, a.createdAt, a.updatedAt]
+    );
+    return res.lastID;
+  }
+
+  /** 方法：相册中下一个收录位置（末尾） */
+  static async GetNextAlbumPosition(albumId) {
+    const db = Database.Get();
+    const row = await db.Get('SELECT MAX(position) AS p FROM album_images WHERE album_id = ?', [albumId]);
+    return row && row.p != null ? row.p + 1 : 0;
+  }
+
+  /** 方法：将图片收录到相册指定位置，返回是否新增（已收录时跳过） */
+  static async InsertAlbumImage(albumId, imageId, position, addedAt) {
+    const db = Database.Get();
+    const res = await db.Run(
+      'INSERT OR IGNORE INTO album_images (album_id, image_id, position, added_at) VALUES (?,?,?,?)',
+      [albumId, imageId, position, addedAt || new Date().toISOString()]
+    );
+    return res.changes > 0;
+  }
+
+  /** 方法：设置相册封面 */
+  static async SetAlbumCover(albumId, imageId) {
+    const db = Database.Get();
+    await db.Run('UPDATE albums SET cover_image_id = ? WHERE id = ?', [imageId, albumId]);
+  }
+
+  /**
+   * 方法：列出现有相册收录与封面对应的图片访问令牌（替换导入不含相册的旧版备份时，用于导入后重新收录）
+   * 返回：{ entries: [{ album_id, access_token, position, added_at }], covers: [{ album_id, access_token }] }
+   */
+  static async ListAlbumLinks() {
+    const db = Database.Get();
+    return {
+      entries: await db.All(
+        `SELECT ai.album_id, i.access_token, ai.position, ai.added_at FROM album_images ai
+         JOIN images i ON i.id = ai.image_id ORDER BY ai.album_id, ai.position`
+      ),
+      covers: await db.All(
+        'SELECT a.id AS album_id, i.access_token FROM albums a JOIN images i ON i.id = a.cover_image_id'
+      ),
+    };
+  }
+
+  /**
+   * 方法：列出现有图片引用的全部存储对象键与访问令牌（替换模式清理旧文件与变换缓存）
+   * 返回：{ keys: string[], tokens: string[] }
+   */
+  static async ListStoredObjects() {
+    const db = Database.Get();
+    const images = await db.All('SELECT storage_path, optimized_path, access_token FROM images');
+    const variants = await db.All('SELECT storage_path FROM image_variants');
+    const keys = new Set();
+    for (const r of images) {
+      if (r.storage_path) keys.add(r.storage_path);
+      if (r.optimized_path) keys.add(r.optimized_path);
+    }
+    for (const r of variants) keys.add(r.storage_path);
+    return { keys: [...keys], tokens: images.map((r) => r.access_token).filter(Boolean) };
+  }
+
+  /** 方法：统计引用某对象键的图片与缩略图记录数 */
+  static async CountKeyReferences(key) {
+    const db = Database.Get();
+    const row = await db.Get(
+      `SELECT (SELECT COUNT(*) FROM images WHERE storage_path = ? OR optimized_path = ?)
+            + (SELECT COUNT(*) FROM image_variants WHERE storage_path = ?) AS c`,
+      [key, key, key]
+    );
+    return row ? row.c : 0;
+  }
+
+  /**
+   * 方法：清空现有图片数据（替换模式）
+   * 说明：删除全部图片、标签、相册与后台任务；图片标签关联、缩略图、相册收录与随机记录随外键级联删除。
+   *      用户与 API 密钥保留。keepAlbums 为 true 时保留相册本身（收录与封面仍随图片删除）。
+   */
+  static async ClearImageData({ keepAlbums = false } = {}) {
+    const db = Database.Get();
+    if (!keepAlbums) await db.Run('DELETE FROM albums');
+    await db.Run('DELETE FROM images');
+    await db.Run('DELETE FROM tags');
+    await db.Run('DELETE FROM jobs');
+  }
+
+  /** 方法：读取导出所需的全部数据（调用方在事务中执行以得到一致的快照） */
+  static async SnapshotData() {
+    const db = Database.Get();
+    return {
+      users: await db.All('SELECT * FROM users ORDER BY id'),
+      images: await db.All('SELECT * FROM images ORDER BY id'),
+      tags: await db.All('SELECT * FROM tags ORDER BY id'),
+      imageTags: await db.All('SELECT * FROM image_tags'),
+      imageVariants: await db.All('SELECT * FROM image_variants ORDER BY image_id, width'),
+      albums: await db.All('SELECT * FROM albums ORDER BY id'),
+      albumImages: await db.All('SELECT * FROM album_images ORDER BY album_id, position'),
+    };
+  }
+
+  /** 方法：新增备份记录（状态 running），返回ID */
+  static async CreateBackupRecord({ filename, type, baseId = null, source = 'manual' }) {
+    const db = Database.Get();
+    const res = await db.Run(
+      "INSERT INTO backups (filename, type, base_id, status, source, created_at) VALUES (?,?,?,'running',?,?)",
+      [filename, type, baseId, source, new Date().toISOString()]
+    );
+    return res.lastID;
+  }
+
+  /** 方法：标记备份完成并记录统计与校验值 */
+  static async CompleteBackupRecord(id, { maxImageId, imageCount, fileCount, sizeBytes, sha256 }) {
+    const db = Database.Get();
+    await db.Run(
+      `UPDATE backups SET status = 'completed', max_image_id = ?, image_count = ?, file_count = ?, size_bytes = ?,
+         sha256 = ?, completed_at = ? WHERE id = ?`,
+      [maxImageId, imageCount, fileCount, sizeBytes, sha256, new Date().toISOString(), id]
+    );
+  }
+
+  /** 方法：标记备份失败 */
+  static async FailBackupRecord(id, error) {
+    const db = Database.Get();
+    await db.Run("UPDATE backups SET status = 'failed', error = ?, completed_at = ? WHERE id = ?", [
+      String(error).slice(0, 1000),
+      new Date().toISOString(),
+      id,
+    ]);
+  }
+
+  /** 方法：记录校验通过时间 */
+  static async MarkBackupVerified(id) {
+    const db = Database.Get();
+    await db.Run('UPDATE backups SET verified_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+  }
+
+  /** 方法：按ID获取备份记录 */
+  static async GetBackupById(id) {
+    const db = Database.Get();
+    return await db.Get('SELECT * FROM backups WHERE id = ?', [id]);
+  }
+
+  /** 方法：列出全部备份记录（新的在前） */
+  static async ListBackups() {
+    const db = Database.Get();
+    return await db.All('SELECT * FROM backups ORDER BY id DESC');
+  }
+
+  /** 方法：列出指定状态的备份记录（按ID升序） */
+  static async ListBackupsByStatus(status) {
+    const db = Database.Get();
+    return await db.All('SELECT * FROM backups WHERE status = ? ORDER BY id ASC', [status]);
+  }
+
+  /** 方法：获取最近一次完成的备份（增量备份的基准） */
+  static async GetLatestCompletedBackup() {
+    const db = Database.Get();
+    return await db.Get("SELECT * FROM backups WHERE status = 'completed' ORDER BY id DESC LIMIT 1");
+  }
+
+  /** 方法：列出直接基于指定备份的增量备份 */
+  static async ListDependentBackups(id) {
+    const db = Database.Get();
+    return await db.All('SELECT * FROM backups WHERE base_id = ? ORDER BY id ASC', [id]);
+  }
+
+  /** 方法：删除备份记录 */
+  static async DeleteBackupRecord(id) {
+    const db = Database.Get();
+    await db.Run('DELETE FROM backups WHERE id = ?', [id]);
+  }
+}
+
+module.exports = { BackupRepository };
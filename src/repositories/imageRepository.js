@@ -4,31 +4,86 @@
 // 文件名称: ImageRepository.js
 // 作者: AzumiYumeichi
 // 创建日期: 2025-11-06
-// 版本: 1.0
+// 版本: 1.12
 // 
-// 描述: 封装图片数据的增删查与标签关联逻辑，并提供按标签检索、
-//       随机获取图片的接口。
+// 描述: 封装图片数据的增删查与标签关联逻辑，并提供按条件检索（QueryImages，含随机排序）的接口。
 // 
 // 修改历史:
 // 2025-11-06 - 初始版本
+// 2026-10-19 - 创建图片记录时保存优化版本路径与大小
+// 2026-10-19 - 新增内容哈希（SHA-256）存取与按存储路径统计引用数
+// 2026-10-19 - 保存优化版本内容哈希
+// 2026-10-19 - 新增 QueryImages：单条 SQL 完成分页（偏移/游标）、排序、筛选与总数统计
+// 2026-10-19 - 新增元数据更新、标签解除关联与查询图片标签
+// 2026-10-19 - 图片可见性：创建/更新可见性，列表按查看者过滤，随机仅取公开图片
+// 2026-10-19 - 新增图片处理状态与后台处理结果保存
+// 2026-10-19 - 新增缩略图/响应式版本的保存、复制与查询
+// 2026-10-19 - 保存图片元数据（尺寸、格式、方向、拍摄时间、相机、GPS）；历史图片元数据补全
+// 2026-10-19 - QueryImages 支持全文搜索语法树（FTS5）、按相关度排序与随机排序
+// 2026-10-19 - 随机排序支持按权重加权、按种子确定性选取，以及排除指定图片与客户端最近返回过的图片；可编辑随机权重
+// 2026-10-19 - QueryImages 支持按相册筛选与按相册顺序排序；可放宽为公开与不公开图片均可见（相册分享）
 // ================================================================
+const crypto = require('crypto');
 const { Database } = require('../db/sqlite');
 
+/** 列表排序字段与对应 SQL 表达式（表达式均非空，便于游标比较） */
+const SORT_COLUMNS = {
+  created_at: 'i.created_at',
+  size: 'COALESCE(i.size, 0)',
+  name: 'COALESCE(i.original_name, i.filename)',
+  relevance: 'COALESCE(r.score, 0)',
+};
+
+/** 随机排序使用的模数（2^31 - 1，保证中间结果不超出 64 位整数） */
+const RANDOM_MODULUS = 2147483647;
+
+/** 全文索引各列的 BM25 权重（original_name, title, description, alt_text, tags） */
+const FTS_WEIGHTS = [2, 4, 1, 1, 3];
+
 class ImageRepository {
-  /** 方法：创建图片记录并返回ID和访问令牌 */
-  static async CreateImage({ ownerId, filename, originalName, mimeType, size, storagePath, remoteUrl }) {
+  /** 方法：创建图片记录并返回ID和访问令牌（metadata 见 ImageMetadataService.Prepare） */
+  static async CreateImage({ ownerId, filename, originalName, mimeType, size, storagePath, remoteUrl, optimizedPath, optimizedSize, contentHash, optimizedHash, visibility, processingStatus, metadata }) {
     const db = Database.Get();
     const now = new Date().toISOString();
-    const crypto = require('crypto');
     const accessToken = crypto.randomBytes(16).toString('hex');
     const res = await db.Run(
-      `INSERT INTO images (owner_id, filename, original_name, mime_type, size, storage_path, remote_url, access_token, created_at)
-       VALUES (?,?,?,?,?,?,?,?,?)`,
-      [ownerId || null, filename, originalName || null, mimeType || null, size || 0, storagePath, remoteUrl || null, accessToken, now]
+      `INSERT INTO images (owner_id, filename, original_name, mime_type, size, storage_path, remote_url, access_token, created_at, optimized_path, optimized_size, content_hash, optimized_hash, visibility, processing_status)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+      [ownerId || null, filename, originalName || null, mimeType || null, size || 0, storagePath, remoteUrl || null, accessToken, now, optimizedPath || null, optimizedSize || null, contentHash || null, optimizedHash || null, visibility || 'public', processingStatus || 'ready']
     );
+    await ImageRepository.SetMetadata(res.lastID, metadata);
     return { id: res.lastID, accessToken };
   }
 
+  /**
+   * 方法：保存图片元数据
+   * 说明：metadata 为空（无法解码的格式）时仅记录已提取，避免重复补全。
+   */
+  static async SetMetadata(id, metadata) {
+    const db = Database.Get();
+    const m = metadata || {};
+    await db.Run(
+      `UPDATE images SET width = ?, height = ?, format = ?, orientation = ?, taken_at = ?, camera_make = ?, camera_model = ?,
+              gps_latitude = ?, gps_longitude = ?, gps_altitude = ?, metadata_stripped = ?, metadata_at = ?
+       WHERE id = ?`,
+      [m.width || null, m.height || null, m.format || null, m.orientation || null, m.takenAt || null,
+        m.cameraMake || null, m.cameraModel || null, m.gpsLatitude ?? null, m.gpsLongitude ?? null, m.gpsAltitude ?? null,
+        m.stripped ? 1 : 0, new Date().toISOString(), id]
+    );
+  }
+
+  /** 方法：列出尚未提取元数据的历史图片 */
+  static async ListImagesWithoutMetadata() {
+    const db = Database.Get();
+    return await db.All('SELECT * FROM images WHERE metadata_at IS NULL ORDER BY id ASC');
+  }
+
+  /** 方法：原图文件被改写后更新大小与内容哈希（共用同一文件的记录一并更新） */
+  static async SetStoredContent(storagePath, { size, contentHash }) {
+    const db = Database.Get();
+    await db.Run('UPDATE images SET size = ?, content_hash = ? WHERE storage_path = ?', [size, contentHash, storagePath]);
+  }
+
   /** 方法：为图片关联标签 */
   static async AttachTags(imageId, tagIds = []) {
     const db = Database.Get();
@@ -37,6 +92,50 @@ class ImageRepository {
     }
   }
 
+  /** 方法：解除图片与指定标签的关联 */
+  static async DetachTags(imageId, tagIds = []) {
+    const db = Database.Get();
+    if (!tagIds.length) return;
+    const placeholders = tagIds.map(() => '?').join(',');
+    await db.Run(`DELETE FROM image_tags WHERE image_id = ? AND tag_id IN (${placeholders})`, [imageId, ...tagIds]);
+  }
+
+  /** 方法：解除图片的全部标签关联 */
+  static async ClearTags(imageId) {
+    const db = Database.Get();
+    await db.Run('DELETE FROM image_tags WHERE image_id = ?', [imageId]);
+  }
+
+  /** 方法：获取图片的标签名列表（按名称排序） */
+  static async GetImageTags(imageId) {
+    const db = Database.Get();
+    const rows = await db.All(
+      `SELECT t.name FROM tags t JOIN image_tags it ON t.id = it.tag_id
+       WHERE it.image_id = ? ORDER BY t.name ASC`,
+      [imageId]
+    );
+    return rows.map((r) => r.name);
+  }
+
+  /**
+   * 方法：更新图片可编辑元数据
+   * 说明：fields 可含 original_name、title、description、alt_text、visibility，未提供的字段保持不变。
+   */
+  static async UpdateImageMeta(id, fields = {}) {
+    const db = Database.Get();
+    const allowed = ['original_name', 'title', 'description', 'alt_text', 'visibility', 'random_weight'];
+    const sets = [];
+    const params = [];
+    for (const key of allowed) {
+      if (fields[key] !== undefined) {
+        sets.push(`${key} = ?`);
+        params.push(fields[key]);
+      }
+    }
+    if (!sets.length) return;
+    await db.Run(`UPDATE images SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+  }
+
   /** 方法：根据ID获取图片 */
   static async GetImageById(id) {
     const db = Database.Get();
@@ -49,60 +148,383 @@ class ImageRepository {
     return await db.Get('SELECT * FROM images WHERE access_token = ?', [token]);
   }
 
+  /**
+   * 方法：按内容哈希查找已存在的图片
+   * 说明：优先返回指定用户自己的图片，其次返回最早的同内容图片。
+   */
+  static async FindByContentHash(contentHash, ownerId = null) {
+    const db = Database.Get();
+    return await db.Get(
+      `SELECT * FROM images WHERE content_hash = ?
+       ORDER BY CASE WHEN owner_id = ? THEN 0 ELSE 1 END, id ASC LIMIT 1`,
+      [contentHash, ownerId]
+    );
+  }
+
+  /** 方法：统计引用指定存储路径的图片记录数 */
+  static async CountByStoragePath(storagePath) {
+    const db = Database.Get();
+    const row = await db.Get('SELECT COUNT(*) AS c FROM images WHERE storage_path = ?', [storagePath]);
+    return row ? row.c : 0;
+  }
+
+  /** 方法：列出缺少原图或优化版本内容哈希的图片（用于历史数据补算） */
+  static async ListImagesWithoutHash() {
+    const db = Database.Get();
+    return await db.All(
+      `SELECT id, storage_path, optimized_path, content_hash, optimized_hash FROM images
+       WHERE content_hash IS NULL OR (optimized_path IS NOT NULL AND optimized_hash IS NULL)`
+    );
+  }
+
+  /** 方法：设置图片原图与优化版本的内容哈希 */
+  static async SetContentHashes(id, contentHash, optimizedHash) {
+    const db = Database.Get();
+    await db.Run('UPDATE images SET content_hash = ?, optimized_hash = ? WHERE id = ?', [contentHash, optimizedHash, id]);
+  }
+
+  /**
+   * 方法：保存后台处理结果（优化版本与处理状态）
+   * 说明：按原图对象键更新，共用同一文件（内容去重）的记录一并更新。
+   * 返回：更新的记录数
+   */
+  static async SetProcessingResult(storagePath, { optimizedPath, optimizedSize, optimizedHash, status }) {
+    const db = Database.Get();
+    const result = await db.Run(
+      `UPDATE images SET optimized_path = ?, optimized_size = ?, optimized_hash = ?, processing_status = ?
+       WHERE storage_path = ?`,
+      [optimizedPath || null, optimizedSize || null, optimizedHash || null, status, storagePath]
+    );
+    return result.changes;
+  }
+
+  /** 方法：设置图片处理状态（按原图对象键，共用文件的记录一并更新） */
+  static async SetProcessingStatus(storagePath, status) {
+    const db = Database.Get();
+    await db.Run('UPDATE images SET processing_status = ? WHERE storage_path = ?', [status, storagePath]);
+  }
+
+  /**
+   * 方法：替换缩略图/响应式版本
+   * 说明：按原图对象键写入，共用同一文件（内容去重）的记录一并替换。
+   * 参数：variants = [{ width, height, mimeType, size, storagePath, contentHash }]
+   * 返回：更新的图片记录数
+   */
+  static async SetVariants(storagePath, variants = []) {
+    const db = Database.Get();
+    const images = await db.All('SELECT id FROM images WHERE storage_path = ?', [storagePath]);
+    await db.Run('DELETE FROM image_variants WHERE image_id IN (SELECT id FROM images WHERE storage_path = ?)', [storagePath]);
+    const now = new Date().toISOString();
+    for (const img of images) {
+      for (const v of variants) {
+        await db.Run(
+          `INSERT INTO image_variants (image_id, width, height, mime_type, size, storage_path, content_hash, created_at)
+           VALUES (?,?,?,?,?,?,?,?)`,
+          [img.id, v.width, v.height, v.mimeType, v.size, v.storagePath, v.contentHash || null, now]
+        );
+      }
+    }
+    return images.length;
+  }
+
+  /** 方法：复制缩略图/响应式版本到另一条记录（内容去重新建记录时使用） */
+  static async CopyVariants(fromImageId, toImageId) {
+    const db = Database.Get();
+    await db.Run(
+      `INSERT INTO image_variants (image_id, width, height, mime_type, size, storage_path, content_hash, created_at)
+       SELECT ?, width, height, mime_type, size, storage_path, content_hash, created_at FROM image_variants WHERE image_id = ?`,
+      [toImageId, fromImageId]
+    );
+  }
+
+  /** 方法：查询一组图片的缩略图/响应式版本（按宽度升序） */
+  static async ListVariants(imageIds = []) {
+    if (!imageIds.length) return [];
+    const db = Database.Get();
+    const placeholders = imageIds.map(() => '?').join(',');
+    return await db.All(
+      `SELECT * FROM image_variants WHERE image_id IN (${placeholders}) ORDER BY image_id ASC, width ASC`,
+      imageIds
+    );
+  }
+
+  /** 方法：按宽度获取图片的单个版本 */
+  static async GetVariant(imageId, width) {
+    const db = Database.Get();
+    return await db.Get('SELECT * FROM image_variants WHERE image_id = ? AND width = ?', [imageId, width]);
+  }
+
+  /** 方法：统计引用指定对象键的版本记录数 */
+  static async CountVariantsByStoragePath(storagePath) {
+    const db = Database.Get();
+    const row = await db.Get('SELECT COUNT(*) AS c FROM image_variants WHERE storage_path = ?', [storagePath]);
+    return row ? row.c : 0;
+  }
+
+  /**
+   * 方法：列出需要补全缩略图的图片（每个原图文件取一条记录）
+   * 参数：force = true 时返回全部图片（重新生成）
+   */
+  static async ListImagesForVariantBackfill(force = false) {
+    const db = Database.Get();
+    const where = force ? '' : 'WHERE NOT EXISTS (SELECT 1 FROM image_variants v WHERE v.image_id = i.id)';
+    return await db.All(`SELECT MIN(i.id) AS id, i.owner_id FROM images i ${where} GROUP BY i.storage_path ORDER BY id ASC`);
+  }
+
   /** 方法：删除图片 */
   static async DeleteImage(id) {
     const db = Database.Get();
     await db.Run('DELETE FROM images WHERE id = ?', [id]);
   }
 
-  /** 方法：列出图片（可选标签过滤） */
-  static async ListImagesByTags(tagNames = []) {
-    const db = Database.Get();
-    let images;
-    if (!tagNames || tagNames.length === 0) {
-      images = await db.All('SELECT * FROM images ORDER BY id DESC');
+  /**
+   * 方法：将搜索语法树（见 SearchQueryService）编译为 SQL 条件
+   * 说明：仅由全文词组成的子树合并为单个 FTS5 MATCH 表达式；含标签精确匹配的子树
+   *      编译为 SQL 布尔条件，其中的全文部分各自作为 images_fts 子查询。
+   *      rank 为全部非排除词的 OR 组合，用于计算相关度；没有非排除词时为 null。
+   * 返回：{ sql, params, rank }
+   */
+  static BuildSearchCondition(ast) {
+    const ftsTerm = (node) => {
+      const phrase = `"${node.text.replace(/"/g, '""')}"${node.prefix ? '*' : ''}`;
+      return node.column ? `${node.column} : ${phrase}` : phrase;
+    };
+    const positives = [];
+    const collect = (node, negated) => {
+      if (node.type === 'term' && !negated) positives.push(ftsTerm(node));
+      if (node.type === 'not') collect(node.item, !negated);
+      if (node.items) node.items.forEach((n) => collect(n, negated));
+    };
+    collect(ast, false);
+
+    // 编译结果为 { fts } / { sql, params } / { not: 编译结果 }
+    const compile = (node) => {
+      switch (node.type) {
+        case 'term': return { fts: ftsTerm(node) };
+        case 'tag': return {
+          sql: `EXISTS (SELECT 1 FROM image_tags it JOIN tags t ON t.id = it.tag_id
+                WHERE it.image_id = i.id AND t.name = ?)`,
+          params: [node.name],
+        };
+        case 'not': return { not: compile(node.item) };
+        case 'or': {
+          const parts = node.items.map(compile);
+          if (parts.every((p) => p.fts)) return { fts: `(${parts.map((p) => p.fts).join(' OR ')})` };
+          return joinSql(parts, 'OR');
+        }
+        default: {
+          const parts = node.items.map(compile);
+          const pos = parts.filter((p) => !p.not);
+          const neg = parts.filter((p) => p.not);
+          // FTS5 的 NOT 为二元运算，需至少一个非排除词
+          if (pos.length && pos.every((p) => p.fts) && neg.every((p) => p.not.fts)) {
+            const fts = pos.map((p) => p.fts).join(' AND ');
+            return { fts: neg.length ? `(${fts}) NOT (${neg.map((p) => p.not.fts).join(' OR ')})` : `(${fts})` };
+          }
+          return joinSql(parts, 'AND');
+        }
+      }
+    };
+    const toSql = (part) => {
+      if (part.fts) return { sql: 'i.id IN (SELECT rowid FROM images_fts WHERE images_fts MATCH ?)', params: [part.fts] };
+      if (part.not) {
+        const inner = toSql(part.not);
+        return { sql: `NOT ${inner.sql}`, params: inner.params };
+      }
+      return part;
+    };
+    const joinSql = (parts, op) => {
+      const compiled = parts.map(toSql);
+      return {
+        sql: `(${compiled.map((c) => c.sql).join(` ${op} `)})`,
+        params: compiled.flatMap((c) => c.params),
+      };
+    };
+
+    const { sql, params } = toSql(compile(ast));
+    return { sql, params, rank: positives.length ? positives.join(' OR ') : null };
+  }
+
+  /**
+   * 方法：构造加权随机排序的 SQL 表达式（值越大越优先）
+   * 说明：对每张图片取 (0, 1] 的均匀随机数 u，排序键为 ln(u) / 权重（加权无放回抽样），
+   *      按键降序取前 N 张即为按权重随机选取 N 张。指定种子时 u 由种子与图片ID经整数散列得到，
+   *      同一种子在候选集不变时结果相同；未指定时使用 RANDOM()。
+   */
+  static BuildRandomKey(seed) {
+    const m = RANDOM_MODULUS;
+    let u;
+    if (seed == null) {
+      u = `((ABS(RANDOM() % ${m}) + 1) / ${m + 1}.0)`;
     } else {
-      const placeholders = tagNames.map(() => '?').join(',');
-      images = await db.All(
-        `SELECT DISTINCT i.* FROM images i
-         JOIN image_tags it ON i.id = it.image_id
-         JOIN tags t ON t.id = it.tag_id
-         WHERE t.name IN (${placeholders})
-         ORDER BY i.id DESC`,
-        tagNames
-      );
-    }
-    // 为每张图片获取标签
-    for (const img of images) {
-      const tagRows = await db.All(
-        `SELECT t.name FROM tags t
-         JOIN image_tags it ON t.id = it.tag_id
-         WHERE it.image_id = ?`,
-        [img.id]
-      );
-      img.tags = tagRows.map(t => t.name).join(', ');
+      const digest = crypto.createHash('sha256').update(String(seed)).digest();
+      const s1 = digest.readUInt32BE(0) % m;
+      const s2 = digest.readUInt32BE(4) % m;
+      // 线性同余 + 异或（(a | b) - (a & b)）+ 乘法散列
+      const h1 = `((((i.id + ${s1}) % ${m}) * 1103515245 + 12345) % ${m})`;
+      const h2 = `((${h1} | ${s2}) - (${h1} & ${s2}))`;
+      u = `(((${h2} * 48271) % ${m} + 1) / ${m + 1}.0)`;
     }
-    return images;
+    return `(ln(${u}) / i.random_weight)`;
   }
 
-  /** 方法：随机获取图片（可选择标签过滤与数量限制） */
-  static async RandomImages(tagNames = [], count = 1) {
+  /**
+   * 方法：分页查询图片（单条 SQL 完成筛选、排序、分页、标签聚合与总数统计）
+   * 参数：
+   * - ownerId / ownerName：按上传者筛选
+   * - mimeTypes：MIME 列表（以 / 结尾表示前缀，如 image/）
+   * - from / to：created_at 区间（ISO 字符串，含端点）
+   * - minSize / maxSize：文件大小区间（字节，含端点）
+   * - tags + tagMode：标签精确匹配，and 需全部命中，or 命中任一
+   * - tagLike：标签模糊匹配（任一标签包含该子串）
+   * - sort（created_at/size/name）、order（asc/desc）
+   * - limit，以及 offset 或 cursor（{ v, id }，按排序值与 id 的键集分页）
+   * - viewerId / viewerIsAdmin：查看者身份；非管理员仅可见公开图片与自己的图片
+   * - includeUnlisted：非管理员另可见不公开图片（通过相册查看时）
+   * - visibility：按可见性精确筛选
+   * - search：搜索语法树（全文 + 标签精确匹配），可配合 sort=relevance 按 BM25 相关度排序
+   * - sort=random：按权重随机排序（随机图片接口），randomSeed 指定时结果可复现；权重为 0 的图片不参与
+   * - excludeIds / excludeTokens：排除指定图片（ID 或访问令牌）
+   * - excludeRecent：{ clientKey, window }，排除该客户端最近 window 次返回过的图片
+   * - albumId：仅相册内的图片；sort=position 按相册顺序排序
+   * 返回：{ rows, total }（相关度排序时每行附带 score，越大越相关）
+   */
+  static async QueryImages(filters = {}) {
     const db = Database.Get();
-    let rows;
-    if (!tagNames || tagNames.length === 0) {
-      rows = await db.All('SELECT * FROM images ORDER BY RANDOM() LIMIT ?', [count]);
-    } else {
-      const placeholders = tagNames.map(() => '?').join(',');
-      rows = await db.All(
-        `SELECT DISTINCT i.* FROM images i
-         JOIN image_tags it ON i.id = it.image_id
-         JOIN tags t ON t.id = it.tag_id
-         WHERE t.name IN (${placeholders})
-         ORDER BY RANDOM() LIMIT ?`,
-        [...tagNames, count]
-      );
-    }
-    return rows;
+    const where = [];
+    const params = [];
+
+    if (!filters.viewerIsAdmin) {
+      const visible = filters.includeUnlisted ? "i.visibility IN ('public', 'unlisted')" : "i.visibility = 'public'";
+      if (filters.viewerId != null) {
+        where.push(`(${visible} OR i.owner_id = ?)`);
+        params.push(filters.viewerId);
+      } else {
+        where.push(visible);
+      }
+    }
+    if (filters.albumId != null) {
+      where.push('i.id IN (SELECT ai.image_id FROM album_images ai WHERE ai.album_id = ?)');
+      params.push(filters.albumId);
+    }
+    if (filters.visibility) {
+      where.push('i.visibility = ?');
+      params.push(filters.visibility);
+    }
+
+    if (filters.ownerId != null) {
+      where.push('i.owner_id = ?');
+      params.push(filters.ownerId);
+    } else if (filters.ownerName) {
+      where.push('i.owner_id = (SELECT u.id FROM users u WHERE u.username = ?)');
+      params.push(filters.ownerName);
+    }
+    if (filters.mimeTypes && filters.mimeTypes.length) {
+      const parts = filters.mimeTypes.map((m) => {
+        if (m.endsWith('/')) {
+          params.push(`${m}%`);
+          return 'i.mime_type LIKE ?';
+        }
+        params.push(m);
+        return 'i.mime_type = ?';
+      });
+      where.push(`(${parts.join(' OR ')})`);
+    }
+    if (filters.from) { where.push('i.created_at >= ?'); params.push(filters.from); }
+    if (filters.to) { where.push('i.created_at <= ?'); params.push(filters.to); }
+    if (filters.minSize != null) { where.push('COALESCE(i.size, 0) >= ?'); params.push(filters.minSize); }
+    if (filters.maxSize != null) { where.push('COALESCE(i.size, 0) <= ?'); params.push(filters.maxSize); }
+    if (filters.tags && filters.tags.length) {
+      const placeholders = filters.tags.map(() => '?').join(',');
+      if (filters.tagMode === 'and') {
+        where.push(`i.id IN (SELECT it.image_id FROM image_tags it JOIN tags t ON t.id = it.tag_id
+                   WHERE t.name IN (${placeholders}) GROUP BY it.image_id HAVING COUNT(DISTINCT t.id) = ?)`);
+        params.push(...filters.tags, filters.tags.length);
+      } else {
+        where.push(`EXISTS (SELECT 1 FROM image_tags it JOIN tags t ON t.id = it.tag_id
+                   WHERE it.image_id = i.id AND t.name IN (${placeholders}))`);
+        params.push(...filters.tags);
+      }
+    }
+    if (filters.tagLike) {
+      where.push(`EXISTS (SELECT 1 FROM image_tags it JOIN tags t ON t.id = it.tag_id
+                 WHERE it.image_id = i.id AND t.name LIKE ? ESCAPE '\\')`);
+      params.push(`%${String(filters.tagLike).replace(/[\\%_]/g, (c) => '\\' + c)}%`);
+    }
+    if (filters.excludeIds && filters.excludeIds.length) {
+      where.push(`i.id NOT IN (${filters.excludeIds.map(() => '?').join(',')})`);
+      params.push(...filters.excludeIds);
+    }
+    if (filters.excludeTokens && filters.excludeTokens.length) {
+      where.push(`i.access_token NOT IN (${filters.excludeTokens.map(() => '?').join(',')})`);
+      params.push(...filters.excludeTokens);
+    }
+    if (filters.excludeRecent) {
+      where.push(`i.id NOT IN (SELECT h.image_id FROM random_history h WHERE h.client_key = ?
+                 ORDER BY h.id DESC LIMIT ?)`);
+      params.push(filters.excludeRecent.clientKey, filters.excludeRecent.window);
+    }
+    if (filters.sort === 'random') where.push('i.random_weight > 0');
+    let rankJoin = '';
+    const rankParams = [];
+    if (filters.search) {
+      const search = ImageRepository.BuildSearchCondition(filters.search);
+      where.push(search.sql);
+      params.push(...search.params);
+      if (filters.sort === 'relevance' && search.rank) {
+        // bm25 越小越相关，取反后与其他排序字段一致按“大者优先”
+        rankJoin = `LEFT JOIN (SELECT rowid AS image_id, -bm25(images_fts, ${FTS_WEIGHTS.join(', ')}) AS score
+                    FROM images_fts WHERE images_fts MATCH ?) r ON r.image_id = i.id`;
+        rankParams.push(search.rank);
+      }
+    }
+
+    let sortExpr = SORT_COLUMNS[filters.sort] || SORT_COLUMNS.created_at;
+    if (filters.sort === 'random') {
+      sortExpr = ImageRepository.BuildRandomKey(filters.randomSeed);
+    } else if (filters.sort === 'position' && filters.albumId != null) {
+      // 相册ID为整数，直接内联（排序表达式同时用于选择列、排序与游标条件）
+      sortExpr = `(SELECT ai.position FROM album_images ai WHERE ai.album_id = ${parseInt(filters.albumId, 10)} AND ai.image_id = i.id)`;
+    }
+    // 没有非排除词时不计算相关度（0.0 为常量表达式，整数常量会被视为列序号）
+    if (filters.sort === 'relevance' && !rankJoin) sortExpr = '0.0';
+    const desc = filters.order !== 'asc';
+    const cmp = desc ? '<' : '>';
+
+    // 总数在游标条件之前统计：游标仅决定页位置，不改变结果集规模
+    const countWhere = where.slice();
+    const countParams = params.slice();
+    if (filters.cursor) {
+      where.push(`(${sortExpr} ${cmp} ? OR (${sortExpr} = ? AND i.id ${cmp} ?))`);
+      params.push(filters.cursor.v, filters.cursor.v, filters.cursor.id);
+    }
+
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const countWhereSql = countWhere.length ? `WHERE ${countWhere.join(' AND ')}` : '';
+    const dir = desc ? 'DESC' : 'ASC';
+    const limit = filters.limit || 50;
+    const offset = filters.cursor ? 0 : (filters.offset || 0);
+    const rows = await db.All(
+      `SELECT i.*, ${sortExpr} AS sort_value,
+              (SELECT GROUP_CONCAT(t.name, ', ') FROM image_tags it JOIN tags t ON t.id = it.tag_id
+               WHERE it.image_id = i.id) AS tags,
+              u.username AS owner_name,
+              ${rankJoin ? 'r.score AS score,' : ''}
+              (SELECT COUNT(*) FROM images i ${countWhereSql}) AS total
+       FROM images i
+       LEFT JOIN users u ON u.id = i.owner_id
+       ${rankJoin}
+       ${whereSql}
+       ORDER BY ${sortExpr} ${dir}, i.id ${dir}
+       LIMIT ? OFFSET ?`,
+      [...countParams, ...rankParams, ...params, limit, offset]
+    );
+    let total = rows.length ? rows[0].total : null;
+    if (total == null) {
+      const row = await db.Get(`SELECT COUNT(*) AS c FROM images i ${countWhereSql}`, countParams);
+      total = row ? row.c : 0;
+    }
+    return { rows, total };
   }
 }
 
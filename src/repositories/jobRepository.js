@@ -0,0 +1,130 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 任务数据访问
+// 
+// 文件名称: JobRepository.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.1
+// 
+// 描述: 封装后台任务表的数据库访问逻辑：入队、领取、完成、重试、失败，
+//       以及服务重启后恢复中断的任务。载荷与结果以 JSON 文本存储。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - 中断任务的失败标记与恢复在同一事务中完成
+// ================================================================
+const { Database } = require('../db/sqlite');
+
+class JobRepository {
+  /** 方法：解析任务记录中的 JSON 字段 */
+  static Parse(row) {
+    if (!row) return row;
+    return {
+      ...row,
+      payload: row.payload ? JSON.parse(row.payload) : null,
+      result: row.result ? JSON.parse(row.result) : null,
+    };
+  }
+
+  /** 方法：创建任务，返回新ID */
+  static async CreateJob({ type, payload, ownerId, maxAttempts, runAt }) {
+    const db = Database.Get();
+    const now = new Date().toISOString();
+    const result = await db.Run(
+      `INSERT INTO jobs (type, payload, status, owner_id, max_attempts, run_at, created_at, updated_at)
+       VALUES (?,?,'pending',?,?,?,?,?)`,
+      [type, JSON.stringify(payload || {}), ownerId || null, maxAttempts, runAt || now, now, now]
+    );
+    return result.lastID;
+  }
+
+  /** 方法：按ID查询任务 */
+  static async GetJobById(id) {
+    const db = Database.Get();
+    return JobRepository.Parse(await db.Get('SELECT * FROM jobs WHERE id = ?', [id]));
+  }
+
+  /**
+   * 方法：领取一个到期的待执行任务（原子地标记为 running 并累加尝试次数）
+   * 返回：任务记录或 undefined
+   */
+  static async ClaimNext() {
+    const db = Database.Get();
+    const now = new Date().toISOString();
+    const row = await db.Get(
+      `UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_at = ?, updated_at = ?
+       WHERE id = (SELECT id FROM jobs WHERE status = 'pending' AND run_at <= ? ORDER BY run_at ASC, id ASC LIMIT 1)
+       RETURNING *`,
+      [now, now, now]
+    );
+    return JobRepository.Parse(row);
+  }
+
+  /** 方法：标记任务成功并保存结果 */
+  static async CompleteJob(id, result) {
+    const db = Database.Get();
+    const now = new Date().toISOString();
+    await db.Run(
+      `UPDATE jobs SET status = 'succeeded', result = ?, last_error = NULL, locked_at = NULL, updated_at = ?, finished_at = ? WHERE id = ?`,
+      [JSON.stringify(result == null ? null : result), now, now, id]
+    );
+  }
+
+  /** 方法：任务失败后重新排队，runAt 为下次执行时间 */
+  static async RetryJob(id, runAt, error) {
+    const db = Database.Get();
+    await db.Run(
+      `UPDATE jobs SET status = 'pending', run_at = ?, last_error = ?, locked_at = NULL, updated_at = ? WHERE id = ?`,
+      [runAt, error, new Date().toISOString(), id]
+    );
+  }
+
+  /** 方法：标记任务最终失败 */
+  static async FailJob(id, error) {
+    const db = Database.Get();
+    const now = new Date().toISOString();
+    await db.Run(
+      `UPDATE jobs SET status = 'failed', last_error = ?, locked_at = NULL, updated_at = ?, finished_at = ? WHERE id = ?`,
+      [error, now, now, id]
+    );
+  }
+
+  /**
+   * 方法：处理中断的 running 任务（服务启动时调用）
+   * 说明：领取时已累加尝试次数，中断的执行计为一次尝试；已达最大尝试次数的任务标记为失败
+   *      （避免导致进程崩溃的任务在每次重启后无限重试），其余恢复为 pending。
+   * 返回：{ recovered: 恢复的任务数, failed: [标记为失败的任务] }
+   */
+  static async ResetRunningJobs() {
+    const db = Database.Get();
+    const now = new Date().toISOString();
+    return await db.Transaction(async () => {
+      const failed = await db.All(
+        `UPDATE jobs SET status = 'failed', last_error = ?, locked_at = NULL, updated_at = ?, finished_at = ?
+         WHERE status = 'running' AND attempts >= max_attempts
+         RETURNING *`,
+        ['任务执行期间服务中断，已达最大尝试次数', now, now]
+      );
+      const result = await db.Run(
+        `UPDATE jobs SET status = 'pending', locked_at = NULL, updated_at = ? WHERE status = 'running'`,
+        [now]
+      );
+      return { recovered: result.changes, failed: failed.map(JobRepository.Parse) };
+    });
+  }
+
+  /**
+   * 方法：删除在指定时间之前结束（成功或失败）的任务
+   * 返回：删除的任务数
+   */
+  static async DeleteFinishedJobs(before) {
+    const db = Database.Get();
+    const result = await db.Run(
+      `DELETE FROM jobs WHERE status IN ('succeeded', 'failed') AND finished_at < ?`,
+      [before]
+    );
+    return result.changes;
+  }
+}
+
+module.exports = { JobRepository };
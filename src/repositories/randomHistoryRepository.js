@@ -0,0 +1,44 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 随机图片记录数据访问
+//
+// 文件名称: RandomHistoryRepository.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 记录随机图片接口对各客户端返回过的图片，用于不重复窗口。
+//       每个客户端仅保留最近若干条，超过保留期的记录在写入时清理。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const { Database } = require('../db/sqlite');
+
+/** 记录保留期（毫秒），超过后不再参与不重复判断 */
+const HISTORY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class RandomHistoryRepository {
+  /**
+   * 方法：记录本次返回给客户端的图片
+   * 参数：keep 为每个客户端保留的最近记录条数（不小于不重复窗口上限）
+   */
+  static async Record(clientKey, imageIds, keep) {
+    const db = Database.Get();
+    const now = new Date();
+    for (const imageId of imageIds) {
+      await db.Run(
+        'INSERT INTO random_history (client_key, image_id, served_at) VALUES (?,?,?)',
+        [clientKey, imageId, now.toISOString()]
+      );
+    }
+    await db.Run(
+      `DELETE FROM random_history WHERE client_key = ? AND id <= (
+         SELECT id FROM random_history WHERE client_key = ? ORDER BY id DESC LIMIT 1 OFFSET ?
+       )`,
+      [clientKey, clientKey, Math.max(1, keep)]
+    );
+    await db.Run('DELETE FROM random_history WHERE served_at < ?', [new Date(now.getTime() - HISTORY_TTL_MS).toISOString()]);
+  }
+}
+
+module.exports = { RandomHistoryRepository };
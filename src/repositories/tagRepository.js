@@ -4,38 +4,109 @@
 // 文件名称: TagRepository.js
 // 作者: AzumiYumeichi
 // 创建日期: 2025-11-06
-// 版本: 1.0
+// 版本: 1.2
 // 
-// 描述: 封装标签相关数据库访问逻辑，包括批量确保标签存在、列出标签。
+// 描述: 封装标签相关数据库访问逻辑，包括批量确保标签存在、列出标签、
+//       重命名、合并、删除未使用标签与设置描述。
 // 
 // 修改历史:
 // 2025-11-06 - 初始版本
+// 2026-10-19 - 列表返回描述与使用数；新增重命名、合并、删除、设置描述
+// 2026-10-19 - 批量确保标签与合并标签改为在事务中执行
 // ================================================================
 const { Database } = require('../db/sqlite');
 
 class TagRepository {
-  /** 方法：批量确保标签存在并返回其ID列表 */
+  /** 方法：批量确保标签存在并返回其ID列表（在事务中查询与创建，避免并发重复创建或部分写入） */
   static async EnsureTags(tagNames = []) {
     const db = Database.Get();
-    const ids = [];
-    for (const name of tagNames) {
-      const trimmed = String(name || '').trim();
-      if (!trimmed) continue;
-      let tag = await db.Get('SELECT id FROM tags WHERE name = ?', [trimmed]);
-      if (!tag) {
-        const res = await db.Run('INSERT INTO tags (name) VALUES (?)', [trimmed]);
-        ids.push(res.lastID);
-      } else {
-        ids.push(tag.id);
+    const names = tagNames.map((name) => String(name || '').trim()).filter(Boolean);
+    if (!names.length) return [];
+    return await db.Transaction(async () => {
+      const ids = [];
+      for (const name of names) {
+        const tag = await db.Get('SELECT id FROM tags WHERE name = ?', [name]);
+        if (!tag) {
+          const res = await db.Run('INSERT INTO tags (name) VALUES (?)', [name]);
+          ids.push(res.lastID);
+        } else {
+          ids.push(tag.id);
+        }
       }
-    }
-    return ids;
+      return ids;
+    });
   }
 
-  /** 方法：列出所有标签 */
+  /** 方法：列出所有标签（含描述与关联图片数） */
   static async ListTags() {
     const db = Database.Get();
-    return await db.All('SELECT id, name FROM tags ORDER BY name ASC');
+    return await db.All(
+      `SELECT t.id, t.name, t.description, COUNT(it.image_id) AS image_count
+       FROM tags t LEFT JOIN image_tags it ON it.tag_id = t.id
+       GROUP BY t.id ORDER BY t.name ASC`
+    );
+  }
+
+  /** 方法：根据ID获取标签（含关联图片数） */
+  static async GetTagById(id) {
+    const db = Database.Get();
+    return await db.Get(
+      `SELECT t.id, t.name, t.description,
+              (SELECT COUNT(*) FROM image_tags it WHERE it.tag_id = t.id) AS image_count
+       FROM tags t WHERE t.id = ?`,
+      [id]
+    );
+  }
+
+  /** 方法：按名称查询标签 */
+  static async FindByName(name) {
+    const db = Database.Get();
+    return await db.Get('SELECT id, name, description FROM tags WHERE name = ?', [name]);
+  }
+
+  /** 方法：更新标签名称与描述（description 为 undefined 时保持不变） */
+  static async UpdateTag(id, { name, description }) {
+    const db = Database.Get();
+    const sets = [];
+    const params = [];
+    if (name !== undefined) { sets.push('name = ?'); params.push(name); }
+    if (description !== undefined) { sets.push('description = ?'); params.push(description); }
+    if (!sets.length) return;
+    await db.Run(`UPDATE tags SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+  }
+
+  /**
+   * 方法：将多个标签合并到目标标签
+   * 说明：源标签关联的图片改为关联目标标签（已关联则忽略），随后删除源标签；两步在同一事务中完成。
+   * 返回：删除的源标签数
+   */
+  static async MergeTags(sourceIds = [], targetId) {
+    const db = Database.Get();
+    const ids = sourceIds.filter((id) => id !== targetId);
+    if (!ids.length) return 0;
+    const placeholders = ids.map(() => '?').join(',');
+    return await db.Transaction(async () => {
+      await db.Run(
+        `INSERT OR IGNORE INTO image_tags (image_id, tag_id)
+         SELECT image_id, ? FROM image_tags WHERE tag_id IN (${placeholders})`,
+        [targetId, ...ids]
+      );
+      const res = await db.Run(`DELETE FROM tags WHERE id IN (${placeholders})`, ids);
+      return res.changes;
+    });
+  }
+
+  /** 方法：删除标签 */
+  static async DeleteTag(id) {
+    const db = Database.Get();
+    await db.Run('DELETE FROM tags WHERE id = ?', [id]);
+  }
+
+  /** 方法：删除所有未被任何图片使用的标签，返回删除数 */
+  static async DeleteUnusedTags() {
+    const db = Database.Get();
+    const res = await db.Run('DELETE FROM tags WHERE id NOT IN (SELECT DISTINCT tag_id FROM image_tags)');
+    return res.changes;
   }
 }
 
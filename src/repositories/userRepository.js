@@ -4,13 +4,14 @@
 // 文件名称: UserRepository.js
 // 作者: AzumiYumeichi
 // 创建日期: 2025-11-06
-// 版本: 1.0
+// 版本: 1.1
 // 
 // 描述: 封装用户相关的数据库访问逻辑，包括创建用户、查询用户、
 //       更新状态、列出用户、管理员种子初始化。
 // 
 // 修改历史:
 // 2025-11-06 - 初始版本
+// 2026-10-19 - 新增用量统计与配额覆盖；用户列表附带用量
 // ================================================================
 const bcrypt = require('bcryptjs');
 const { Database } = require('../db/sqlite');
@@ -40,10 +41,62 @@ class UserRepository {
     await db.Run('UPDATE users SET status = ? WHERE id = ?', [status, userId]);
   }
 
-  /** 方法：列出所有用户 */
+  /** 方法：按ID查询用户（不含密码哈希） */
+  static async GetUserById(userId) {
+    const db = Database.Get();
+    return await db.Get(
+      'SELECT id, username, role, status, created_at, quota_bytes, quota_images, quota_daily FROM users WHERE id = ?',
+      [userId]
+    );
+  }
+
+  /** 方法：列出所有用户（附带用量：图片数、占用字节、最近 24 小时上传数） */
   static async ListUsers() {
     const db = Database.Get();
-    return await db.All('SELECT id, username, role, status, created_at FROM users ORDER BY id ASC');
+    const since = new Date(Date.now() - 24 * 3600 * 1000).toISOString();
+    return await db.All(
+      `SELECT u.id, u.username, u.role, u.status, u.created_at,
+              u.quota_bytes, u.quota_images, u.quota_daily,
+              COUNT(i.id) AS image_count,
+              COALESCE(SUM(i.size + COALESCE(i.optimized_size, 0)), 0) AS used_bytes,
+              COALESCE(SUM(CASE WHEN i.created_at >= ? THEN 1 ELSE 0 END), 0) AS uploads_24h
+       FROM users u LEFT JOIN images i ON i.owner_id = u.id
+       GROUP BY u.id ORDER BY u.id ASC`,
+      [since]
+    );
+  }
+
+  /**
+   * 方法：统计用户用量
+   * 说明：占用字节按记录计（原图 + 优化版本），与其他用户共用的去重文件同样计入。
+   * 返回：{ imageCount, usedBytes, uploads24h }
+   */
+  static async GetUsage(userId) {
+    const db = Database.Get();
+    const since = new Date(Date.now() - 24 * 3600 * 1000).toISOString();
+    const row = await db.Get(
+      `SELECT COUNT(*) AS image_count,
+              COALESCE(SUM(size + COALESCE(optimized_size, 0)), 0) AS used_bytes,
+              COALESCE(SUM(CASE WHEN created_at >= ? THEN 1 ELSE 0 END), 0) AS uploads_24h
+       FROM images WHERE owner_id = ?`,
+      [since, userId]
+    );
+    return { imageCount: row.image_count, usedBytes: row.used_bytes, uploads24h: row.uploads_24h };
+  }
+
+  /**
+   * 方法：更新用户配额覆盖
+   * 参数：quota = { quota_bytes?, quota_images?, quota_daily? }，值为 null 表示恢复默认
+   */
+  static async UpdateQuota(userId, quota) {
+    const allowed = ['quota_bytes', 'quota_images', 'quota_daily'];
+    const keys = Object.keys(quota).filter((k) => allowed.includes(k));
+    if (!keys.length) return;
+    const db = Database.Get();
+    await db.Run(
+      `UPDATE users SET ${keys.map((k) => `${k} = ?`).join(', ')} WHERE id = ?`,
+      [...keys.map((k) => quota[k]), userId]
+    );
   }
 
   /** 方法：确保管理员种子（根据环境变量） */
@@ -0,0 +1,80 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI API密钥服务
+// 
+// 文件名称: ApiKeyService.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+// 
+// 描述: 生成、哈希与解析个人 API 密钥，并定义密钥权限范围（scope）。
+//       密钥格式为 "azk_" + 随机串，熵足够高，因此使用 SHA-256 存储与查找。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const crypto = require('crypto');
+const { ApiKeyRepository } = require('../repositories/apiKeyRepository');
+
+/** 密钥前缀（用于与 JWT 区分） */
+const KEY_PREFIX = 'azk_';
+
+/**
+ * 权限范围：
+ * - read：列出/查看自己的不公开与私有图片、生成签名链接
+ * - upload：上传图片（本地与 URL）
+ * - write：编辑与删除图片
+ * - admin：管理员接口（含标签管理，仅管理员可授予）
+ */
+const SCOPES = ['read', 'upload', 'write', 'admin'];
+
+class ApiKeyService {
+  /** 方法：判断令牌是否为 API 密钥 */
+  static IsApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /** 方法：计算密钥哈希（十六进制） */
+  static HashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /** 方法：生成新密钥，返回 { key, keyPrefix, keyHash } */
+  static GenerateKey() {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    return { key, keyPrefix: key.slice(0, KEY_PREFIX.length + 6), keyHash: ApiKeyService.HashKey(key) };
+  }
+
+  /**
+   * 方法：解析并校验权限范围（数组或逗号分隔字符串）
+   * 返回：{ scopes } 或 { error }
+   */
+  static ParseScopes(raw, isAdmin) {
+    const list = Array.isArray(raw) ? raw : String(raw || '').split(',');
+    const scopes = [...new Set(list.map((s) => String(s).trim().toLowerCase()).filter(Boolean))];
+    if (!scopes.length) return { error: `scopes 不能为空，可选 ${SCOPES.join('/')}` };
+    const invalid = scopes.find((s) => !SCOPES.includes(s));
+    if (invalid) return { error: `未知的 scope: ${invalid}，可选 ${SCOPES.join('/')}` };
+    if (scopes.includes('admin') && !isAdmin) return { error: '仅管理员可授予 admin 权限' };
+    return { scopes: SCOPES.filter((s) => scopes.includes(s)) };
+  }
+
+  /**
+   * 方法：校验 API 密钥并返回请求用户信息
+   * 说明：密钥不存在、已吊销、已过期或所属用户被禁用时返回 null；成功时记录最近使用时间。
+   * 返回：{ id, username, role, apiKeyId, scopes } 或 null
+   */
+  static async Authenticate(key) {
+    const row = await ApiKeyRepository.FindActiveByHash(ApiKeyService.HashKey(key));
+    if (!row || row.status !== 'active') return null;
+    ApiKeyRepository.TouchKey(row.id).catch(() => {});
+    return {
+      id: row.user_id,
+      username: row.username,
+      role: row.role,
+      apiKeyId: row.id,
+      scopes: row.scopes.split(','),
+    };
+  }
+}
+
+module.exports = { ApiKeyService, SCOPES };
@@ -0,0 +1,84 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 审计日志服务
+//
+// 文件名称: AuditService.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 由控制器在安全相关操作完成后调用，记录操作者、操作类型、操作对象、客户端 IP 与 User-Agent，
+//       用于事后追查（如谁删除了图片、谁停用了用户、谁导入了备份）。
+//       写入失败只输出错误日志，不影响已完成的操作与响应。
+//       客户端 IP 取 req.ip，经反向代理部署时需配置 TRUST_PROXY 才能得到真实来源地址。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const { AuditLogRepository } = require('../repositories/auditLogRepository');
+
+/** 操作类型与说明 */
+const AUDIT_ACTIONS = {
+  'auth.login': '登录',
+  'auth.login_failed': '登录失败',
+  'auth.register': '注册',
+  'user.status': '修改用户状态',
+  'user.quota': '修改用户配额',
+  'apikey.create': '创建 API 密钥',
+  'apikey.revoke': '吊销 API 密钥',
+  'image.update': '编辑图片',
+  'image.delete': '删除图片',
+  'image.sign_url': '生成签名链接',
+  'album.update': '修改相册',
+  'album.delete': '删除相册',
+  'tag.update': '修改标签',
+  'tag.merge': '合并标签',
+  'tag.delete': '删除标签',
+  'tag.delete_unused': '清理未使用标签',
+  'backup.create': '生成备份',
+  'backup.download': '下载备份',
+  'backup.delete': '删除备份',
+  'backup.import': '导入备份',
+  'backup.restore': '恢复备份',
+};
+
+/** User-Agent 最大保存长度 */
+const MAX_USER_AGENT_LENGTH = 500;
+
+class AuditService {
+  /**
+   * 方法：记录一条审计日志
+   * 参数：action 为 AUDIT_ACTIONS 中的操作类型；
+   *      options = { target: { type, id, label }, details, actor }
+   *      actor 默认取 req.user（{ id, username, apiKeyId }），登录等尚未认证的请求需显式传入，匿名时为 null。
+   */
+  static async Record(req, action, { target = null, details = null, actor = req.user } = {}) {
+    try {
+      await AuditLogRepository.Insert({
+        actorId: actor ? actor.id : null,
+        actorName: actor ? actor.username : null,
+        apiKeyId: actor ? actor.apiKeyId : null,
+        action,
+        targetType: target ? target.type : null,
+        targetId: target ? target.id : null,
+        targetLabel: target ? target.label : null,
+        details,
+        ...AuditService.ClientInfo(req),
+      });
+    } catch (err) {
+      console.error(`审计日志写入失败（${action}）:`, err);
+    }
+  }
+
+  /** 方法：获取客户端 IP 与 User-Agent */
+  static ClientInfo(req) {
+    const userAgent = String(req.get('user-agent') || '').slice(0, MAX_USER_AGENT_LENGTH);
+    return { ip: req.ip || (req.socket && req.socket.remoteAddress) || null, userAgent: userAgent || null };
+  }
+
+  /** 方法：列出全部操作类型与说明 */
+  static ListActions() {
+    return Object.entries(AUDIT_ACTIONS).map(([action, label]) => ({ action, label }));
+  }
+}
+
+module.exports = { AuditService, AUDIT_ACTIONS };
@@ -0,0 +1,94 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 定时备份
+//
+// 文件名称: BackupScheduler.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 按 BACKUP_SCHEDULE（完整备份）与 BACKUP_INCREMENTAL_SCHEDULE（增量备份）的 cron 表达式定时生成备份。
+//       每分钟开始时检查一次；同一分钟两者均匹配时只执行完整备份；上一次备份尚未结束时跳过本次。
+//       启动时将上次中断的备份标记为失败。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const { Config } = require('../config');
+const { BackupService } = require('./backupService');
+const { CronExpression } = require('./cronExpression');
+
+class BackupScheduler {
+  /** 构造函数：初始化计划与定时器 */
+  constructor() {
+    /** @type {{type: string, cron: CronExpression}[]} */ this.m_Schedules = [];
+    /** @type {NodeJS.Timeout|null} */ this.m_Timer = null;
+  }
+
+  /**
+   * 方法：启动定时备份
+   * 说明：cron 表达式无效时抛出异常（中止启动，避免备份被静默停用）；均未配置时仅恢复中断的备份记录。
+   */
+  async Start() {
+    const cfg = Config.Get();
+    const schedules = [];
+    // 完整备份在前：同一分钟均匹配时优先执行
+    if (cfg.m_BackupSchedule) schedules.push({ type: 'full', cron: CronExpression.Parse(cfg.m_BackupSchedule) });
+    if (cfg.m_BackupIncrementalSchedule) {
+      schedules.push({ type: 'incremental', cron: CronExpression.Parse(cfg.m_BackupIncrementalSchedule) });
+    }
+    await BackupService.RecoverInterrupted();
+    this.m_Schedules = schedules;
+    if (!schedules.length) return;
+    for (const s of schedules) {
+      const next = s.cron.Next();
+      console.log(`定时${s.type === 'full' ? '完整' : '增量'}备份: ${s.cron}，下次执行 ${next ? next.toLocaleString() : '无'}`);
+    }
+    this.ScheduleTick();
+  }
+
+  /** 方法：停止定时备份（执行中的备份继续完成） */
+  Stop() {
+    if (this.m_Timer) clearTimeout(this.m_Timer);
+    this.m_Timer = null;
+    this.m_Schedules = [];
+  }
+
+  /** 方法：在下一分钟开始时检查计划 */
+  ScheduleTick() {
+    const delay = 60000 - (Date.now() % 60000);
+    this.m_Timer = setTimeout(() => {
+      this.Tick(new Date());
+      this.ScheduleTick();
+    }, delay);
+    this.m_Timer.unref();
+  }
+
+  /**
+   * 方法：执行到期的备份
+   * 说明：结果仅记录日志；失败的备份在 backups 表中标记为 failed。
+   */
+  Tick(now) {
+    const due = this.m_Schedules.find((s) => s.cron.Matches(now));
+    if (!due) return;
+    if (BackupService.IsRunning()) {
+      console.warn(`定时备份跳过：上一次备份尚未结束（${due.type}）`);
+      return;
+    }
+    BackupService.CreateBackup({ type: due.type, source: 'schedule' })
+      .then(({ backup, error }) => {
+        if (error) console.warn(`定时备份跳过: ${error}`);
+        else console.log(`定时备份完成: ${backup.filename}（${backup.file_count} 个文件，${backup.size_bytes} 字节）`);
+      })
+      .catch((err) => console.error('定时备份失败:', err));
+  }
+
+  /** 方法：获取单例 */
+  static Get() {
+    if (!this.m_Instance) {
+      this.m_Instance = new BackupScheduler();
+    }
+    return /** @type {BackupScheduler} */ (this.m_Instance);
+  }
+}
+
+module.exports = { BackupScheduler };
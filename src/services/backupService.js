@@ -0,0 +1,1036 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 备份服务
+//
+// 文件名称: BackupService.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.4
+//
+// 描述: 生成、校验、清理、导入与恢复备份 ZIP（data.json + images/* + manifest.json），用于恢复与跨服务器迁移。
+//       生成：
+//       - 逐个文件流式写入 ZIP，不将图片读入内存；同一时间只执行一个备份；
+//       - data.json 始终为完整的数据快照（含相册与缩略图记录），修改与删除均体现在快照中；
+//       - full 完整备份包含全部原图、优化版本与缩略图文件；incremental 增量备份只包含相对备份链
+//         （基准备份直至完整备份）新增或内容变化（SHA-256 不同）的文件，备份链不完整时自动改为完整备份；
+//       - manifest.json 记录每个条目的大小与 SHA-256，整个归档的 SHA-256 写入 backups 表与同名 .sha256 文件；
+//       - 按保留策略（最近 N 天每天、最近 N 周每周各保留一份完整备份）清理旧备份，增量备份随其完整备份保留或删除。
+//       导入：
+//       - 用户按用户名、标签按名称、图片按访问令牌、相册按分享令牌识别，导入记录一律使用新ID并重新映射关联（含相册顺序与封面）；
+//       - 保留图片访问令牌（原链接继续可用），存储路径改写为本机对象键（文件名）；
+//       - 上传的 ZIP 以 ZipReader 流式校验与解压，不将整个 ZIP 或图片读入内存；
+//       - 拒绝含绝对路径、.. 等非法条目的 ZIP；
+//       - merge 模式保留现有数据、仅补充缺失记录；replace 模式先清空现有图片、标签与相册再导入
+//         （不含相册的旧版备份保留现有相册，导入后按访问令牌重新收录仍在备份中的图片）；
+//       - 返回新增、跳过与冲突的明细报告，dryRun 时仅生成报告不写入；
+//       - 上传的增量备份缺少未变化的文件，不能单独导入，需在生成它的服务器上按备份链恢复（RestoreBackup）。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - 新增流式生成完整/增量备份、校验清单、备份校验与删除、保留策略；导入时按 manifest.json 校验条目
+// 2026-10-19 - 备份包含相册与相册收录，导入时重新映射；替换导入旧版备份时不再删除现有相册
+// 2026-10-19 - 备份包含缩略图记录与文件；增量备份按备份链的文件校验值打包变化的文件；新增按备份链恢复，拒绝单独导入增量备份
+// 2026-10-19 - 导入上传的 ZIP 改用 ZipReader 流式校验与解压，不再将整个 ZIP 读入内存
+// ================================================================
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Database } = require('../db/sqlite');
+const { Config } = require('../config');
+const { Storage } = require('../storage');
+const { BackupRepository } = require('../repositories/backupRepository');
+const { ImageTransformService } = require('./imageTransformService');
+const { JobQueue } = require('./jobQueue');
+const { ZipWriter, ZipReader } = require('./zipStream');
+
+/** 导入模式 */
+const IMPORT_MODES = ['merge', 'replace'];
+/** 备份类型 */
+const BACKUP_TYPES = ['full', 'incremental'];
+/** data.json 中应为数组的字段 */
+const DATA_ARRAYS = ['users', 'images', 'tags', 'imageTags'];
+/** data.json 中较新版本才有的数组字段（旧版备份缺少时不视为空列表，见 ImportArchive） */
+const OPTIONAL_ARRAYS = ['albums', 'albumImages', 'imageVariants'];
+/** manifest.json 格式版本（2：增量备份按文件校验值判断变化，含缩略图文件） */
+const MANIFEST_VERSION = 2;
+/** 备份中的图片文件条目 */
+const IMAGE_ENTRY_PATTERN = /^images\/[^/]+$/;
+
+/** 正在执行的备份（同一时间只执行一个） */
+let runningBackup = null;
+
+class BackupService {
+  /**
+   * 方法：将备份中的存储路径转换为本机对象键（取文件名，兼容 Windows 与 POSIX 绝对路径）
+   * 返回：对象键，无法得到安全的文件名时返回 null
+   */
+  static ToStorageKey(raw) {
+    const name = String(raw || '').split(/[\\/]/).pop();
+    if (!name || /^\.+$/.test(name) || name.includes('\0')) return null;
+    return name;
+  }
+
+  /** 方法：判断 ZIP 条目名是否安全（相对路径，不含 .. 段、反斜杠与盘符） */
+  static IsSafeEntryName(name) {
+    if (!name || name.includes('\\') || name.includes('\0')) return false;
+    if (name.startsWith('/') || /^[A-Za-z]:/.test(name)) return false;
+    return !name.split('/').some((seg) => seg === '..' || seg === '.');
+  }
+
+  /**
+   * 方法：校验备份 ZIP 并读取数据
+   * 说明：任一条目路径非法、缺少或无法解析 data.json、数据字段类型错误时整体拒绝；
+   *      含 manifest.json 时逐条流式校验 SHA-256，不一致或缺少条目时整体拒绝。
+   *      images/ 下仅接受一级文件；其他条目忽略。条目内容按需流式读取，不将 ZIP 读入内存。
+   * 参数：reader 为已打开的 ZipReader，zipEntries 为 reader.Open() 返回的条目列表
+   * 返回：{ data, files: Map<对象键, { reader, entry }>, manifest } 或 { error, details }
+   *      没有 manifest.json 的旧版备份 manifest 为 null。
+   */
+  static async ReadArchive(reader, zipEntries) {
+    const details = [];
+    const files = new Map();
+    const entries = new Map();
+    for (const e of zipEntries) {
+      const name = e.name;
+      if (!BackupService.IsSafeEntryName(name)) {
+        details.push(`非法条目路径: ${name}`);
+        continue;
+      }
+      if (name.endsWith('/')) continue;
+      entries.set(name, e);
+      if (IMAGE_ENTRY_PATTERN.test(name)) files.set(name.slice('images/'.length), { reader, entry: e });
+    }
+    if (details.length) return { error: '备份文件包含非法路径，已拒绝导入', details };
+    const dataEntry = entries.get('data.json');
+    if (!dataEntry) return { error: '备份文件缺少data.json' };
+    let manifest = null;
+    if (entries.has('manifest.json')) {
+      const checked = await BackupService.CheckManifest(reader, entries);
+      if (checked.error) return checked;
+      manifest = checked.manifest;
+    }
+    let buffer;
+    try {
+      buffer = await reader.ReadEntry(dataEntry);
+    } catch (_) {
+      return { error: 'data.json 已损坏' };
+    }
+    const parsed = BackupService.ParseData(buffer);
+    return parsed.error ? parsed : { data: parsed.data, files, manifest };
+  }
+
+  /**
+   * 方法：解析并校验 data.json
+   * 返回：{ data } 或 { error, details }
+   */
+  static ParseData(buffer) {
+    const details = [];
+    let data;
+    try {
+      data = JSON.parse(buffer.toString('utf8'));
+    } catch (_) {
+      return { error: 'data.json 不是有效的 JSON' };
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return { error: 'data.json 格式错误' };
+    for (const key of DATA_ARRAYS) {
+      if (data[key] == null) data[key] = [];
+      if (!Array.isArray(data[key])) details.push(`${key} 需为数组`);
+    }
+    for (const key of OPTIONAL_ARRAYS) {
+      if (data[key] != null && !Array.isArray(data[key])) details.push(`${key} 需为数组`);
+    }
+    if (details.length) return { error: 'data.json 格式错误', details };
+    return { data };
+  }
+
+  /**
+   * 方法：按 manifest.json 逐条流式校验 ZIP 条目（CRC 与 SHA-256）
+   * 参数：entries 为 条目名 → ZipReader 条目
+   * 返回：{ manifest } 或 { error, details }
+   */
+  static async CheckManifest(reader, entries) {
+    let manifest;
+    try {
+      manifest = JSON.parse((await reader.ReadEntry(entries.get('manifest.json'))).toString('utf8'));
+    } catch (_) {
+      return { error: 'manifest.json 不是有效的 JSON' };
+    }
+    if (!manifest || !Array.isArray(manifest.entries)) return { error: 'manifest.json 格式错误' };
+    const details = [];
+    for (const item of manifest.entries) {
+      const entry = item && entries.get(item.name);
+      if (!entry) {
+        details.push(`缺少条目: ${item && item.name}`);
+        continue;
+      }
+      let actual;
+      try {
+        actual = await reader.HashEntry(entry);
+      } catch (_) {
+        actual = null;
+      }
+      if (!actual || actual.crc !== entry.crc) details.push(`条目已损坏: ${item.name}`);
+      else if (actual.sha256 !== item.sha256) details.push(`校验值不一致: ${item.name}`);
+    }
+    if (details.length) return { error: '备份文件与 manifest.json 校验不一致，已拒绝导入', details };
+    return { manifest };
+  }
+
+  /** 方法：解析导入模式（默认 merge） */
+  static ParseMode(raw) {
+    const mode = String(raw == null || raw === '' ? 'merge' : raw).toLowerCase();
+    if (!IMPORT_MODES.includes(mode)) return { error: `mode 仅支持 ${IMPORT_MODES.join('/')}` };
+    return { mode };
+  }
+
+  /** 方法：创建空的导入报告 */
+  static CreateReport(mode, dryRun) {
+    return {
+      mode,
+      dryRun,
+      users: { added: [], updated: [], skipped: [], conflicts: [] },
+      tags: { added: [], skipped: [], conflicts: [] },
+      images: { added: [], skipped: [], conflicts: [] },
+      imageTags: { added: 0, skipped: 0 },
+      variants: { added: 0, skipped: 0 },
+      albums: { added: [], skipped: [] },
+      albumImages: { added: 0, skipped: 0 },
+      files: { written: 0, reused: 0, renamed: 0, removed: 0 },
+      jobs: { queued: 0 },
+    };
+  }
+
+  /** 方法：汇总报告各类数量 */
+  static Summarize(report) {
+    const count = (section) => Object.fromEntries(Object.entries(section).map(([k, v]) => [k, v.length]));
+    return {
+      users: count(report.users),
+      tags: count(report.tags),
+      images: count(report.images),
+      albums: count(report.albums),
+    };
+  }
+
+  /**
+   * 方法：确定备份文件在本机的对象键并写入存储
+   * 说明：本机已有同名对象且内容相同时直接复用；内容不同时改用新对象键（文件名追加随机后缀），避免覆盖本机文件；
+   *      备份中没有该文件时，若本机已有同名对象则复用（同一服务器重复导入），否则视为缺失。
+   *      结果按原对象键缓存，多条记录共用的文件只处理一次。
+   *      条目流式解压到暂存目录（校验 CRC）后交由存储驱动保存，不将文件读入内存；试运行时只校验不保存。
+   * 返回：本机对象键，缺失时返回 null
+   */
+  static async PlaceFile(ctx, key, mimeType) {
+    if (ctx.placed.has(key)) return ctx.placed.get(key);
+    const storage = Storage.Get();
+    const source = ctx.files.get(key);
+    let placed = null;
+    if (!source) {
+      if (await storage.Exists(key)) {
+        placed = key;
+        ctx.report.files.reused++;
+      }
+    } else {
+      placed = key;
+      const tmpPath = ctx.dryRun
+        ? null
+        : path.join(Config.Get().m_TmpDir, `import-${crypto.randomBytes(8).toString('hex')}${path.extname(key)}`);
+      try {
+        const { sha256 } = await source.reader.ExtractEntry(source.entry, tmpPath);
+        if (await storage.Exists(key)) {
+          if (await BackupService.HashObject(key) === sha256) {
+            ctx.report.files.reused++;
+            ctx.placed.set(key, key);
+            return key;
+          }
+          const ext = path.extname(key);
+          placed = `${key.slice(0, key.length - ext.length)}-${crypto.randomBytes(4).toString('hex')}${ext}`;
+          ctx.report.files.renamed++;
+        }
+        if (!ctx.dryRun) {
+          await storage.PutFile(placed, tmpPath, { contentType: mimeType || undefined });
+          ctx.written.push(placed);
+        }
+        ctx.report.files.written++;
+      } finally {
+        if (tmpPath) fs.rmSync(tmpPath, { force: true });
+      }
+    }
+    ctx.placed.set(key, placed);
+    return placed;
+  }
+
+  /**
+   * 方法：为备份中的图片准备本机文件（事务外执行）
+   * 说明：merge 模式下已存在的图片（按访问令牌，无令牌时按文件名）不会导入，跳过其文件。
+   *      缩略图记录不完整或文件缺失时 key 为 null，导入时跳过，由后台任务重新生成。
+   * 返回：与 data.images 一一对应的 [{ key, optimizedKey, variants: [{ variant, key }], invalid, missing }]
+   */
+  static async PrepareImageFiles(ctx, images, imageVariants) {
+    const variantsByImage = new Map();
+    for (const v of imageVariants) {
+      if (!v) continue;
+      if (!variantsByImage.has(v.image_id)) variantsByImage.set(v.image_id, []);
+      variantsByImage.get(v.image_id).push(v);
+    }
+    const plans = [];
+    for (const img of images) {
+      const key = img && BackupService.ToStorageKey(img.storage_path || img.filename);
+      if (!key) {
+        plans.push({ invalid: true });
+        continue;
+      }
+      if (ctx.mode === 'merge' && await BackupService.FindExistingImage(img, key)) {
+        plans.push({ key, existing: true });
+        continue;
+      }
+      const placed = await BackupService.PlaceFile(ctx, key, img.mime_type);
+      const optimized = BackupService.ToStorageKey(img.optimized_path);
+      const optimizedKey = placed && optimized ? await BackupService.PlaceFile(ctx, optimized, img.mime_type) : null;
+      const variants = [];
+      for (const v of placed ? variantsByImage.get(img.id) || [] : []) {
+        const valid = Number.isInteger(v.width) && Number.isInteger(v.height) && typeof v.mime_type === 'string';
+        const source = valid && BackupService.ToStorageKey(v.storage_path);
+        variants.push({ variant: v, key: source ? await BackupService.PlaceFile(ctx, source, v.mime_type) : null });
+      }
+      plans.push({ key: placed, optimizedKey, variants, missing: !placed });
+    }
+    return plans;
+  }
+
+  /** 方法：查找与备份图片对应的本机图片（按访问令牌，无令牌的旧备份按文件名） */
+  static async FindExistingImage(img, key) {
+    return img.access_token
+      ? await BackupRepository.FindImageByToken(String(img.access_token))
+      : await BackupRepository.FindImageByFilename(img.filename || key);
+  }
+
+  /**
+   * 方法：导入上传的备份 ZIP
+   * 说明：以 ZipReader 流式读取，不将 ZIP 读入内存；增量备份不含未变化的文件，不能单独导入（需按备份链恢复，见 RestoreBackup）。
+   * 参数：filePath 为上传的 ZIP 文件路径；options 同 ImportData
+   * 返回：{ report } 或 { error, details }
+   */
+  static async ImportArchive(filePath, options = {}) {
+    const reader = new ZipReader(filePath);
+    try {
+      let zipEntries;
+      try {
+        zipEntries = await reader.Open();
+      } catch (err) {
+        return { error: `备份文件不是有效的 ZIP（${err.message}）` };
+      }
+      const archive = await BackupService.ReadArchive(reader, zipEntries);
+      if (archive.error) return { error: archive.error, details: archive.details };
+      if (archive.manifest && archive.manifest.type === 'incremental') {
+        const base = archive.manifest.base;
+        return {
+          error: '增量备份不能单独导入，请在生成该备份的服务器上通过恢复接口按备份链恢复，或改用完整备份',
+          details: base ? [`基准备份: ${base.filename}`] : [],
+        };
+      }
+      return await BackupService.ImportData(archive, options);
+    } finally {
+      await reader.Close();
+    }
+  }
+
+  /**
+   * 方法：导入备份数据（在单个事务中写入数据库）
+   * 参数：archive = { data, files: Map<对象键, { reader, entry }> }
+   *      options = { mode: 'merge' | 'replace', dryRun, actorId }
+   *      actorId 为执行导入的管理员，replace 模式下不会以备份覆盖其账号。
+   * 返回：{ report }
+   */
+  static async ImportData({ data, files }, { mode = 'merge', dryRun = false, actorId = null } = {}) {
+    const report = BackupService.CreateReport(mode, dryRun);
+    // 旧版备份不含缩略图记录，新导入的图片均需重新生成
+    const hasVariants = Array.isArray(data.imageVariants);
+    const ctx = { mode, dryRun, files, report, hasVariants, placed: new Map(), written: [] };
+
+    let plans;
+    try {
+      plans = await BackupService.PrepareImageFiles(ctx, data.images, data.imageVariants || []);
+    } catch (err) {
+      await BackupService.RemoveKeys(ctx.written);
+      throw err;
+    }
+
+    const db = Database.Get();
+    const rollback = new Error('dry-run');
+    let previous = { keys: [], tokens: [] };
+    const pendingVariantIds = [];
+    // 旧版备份不含相册：替换导入时保留现有相册，导入后按访问令牌重新收录
+    const keepAlbums = mode === 'replace' && !Array.isArray(data.albums);
+    try {
+      await db.Transaction(async () => {
+        let albumLinks = null;
+        if (mode === 'replace') {
+          previous = await BackupRepository.ListStoredObjects();
+          if (keepAlbums) albumLinks = await BackupRepository.ListAlbumLinks();
+          await BackupRepository.ClearImageData({ keepAlbums });
+        }
+        const userMap = await BackupService.ImportUsers(ctx, data.users, actorId);
+        const tagMap = await BackupService.ImportTags(ctx, data.tags);
+        const imageMap = await BackupService.ImportImages(ctx, data.images, plans, userMap, pendingVariantIds);
+        for (const it of data.imageTags) {
+          const imageId = it && imageMap.get(it.image_id);
+          const tagId = it && tagMap.get(it.tag_id);
+          if (imageId && tagId && await BackupRepository.InsertImageTag(imageId, tagId)) report.imageTags.added++;
+          else report.imageTags.skipped++;
+        }
+        if (albumLinks) await BackupService.RelinkAlbums(ctx, albumLinks);
+        else await BackupService.ImportAlbums(ctx, data.albums || [], data.albumImages || [], userMap, imageMap);
+        if (dryRun) throw rollback;
+      });
+    } catch (err) {
+      if (err !== rollback) {
+        await BackupService.RemoveKeys(ctx.written);
+        throw err;
+      }
+    }
+
+    if (!dryRun) {
+      // 替换模式下不再被引用的旧文件，以及已写入但对应图片最终未导入的文件一并删除；清除旧图片的变换缓存
+      for (const key of new Set([...previous.keys, ...ctx.written])) {
+        if (await BackupRepository.CountKeyReferences(key)) continue;
+        await Storage.Get().Delete(key).catch(() => {});
+        report.files.removed++;
+      }
+      previous.tokens.forEach((token) => ImageTransformService.ClearCache(token));
+      // 为缩略图未能从备份完整恢复的新导入图片入队生成
+      for (const imageId of pendingVariantIds) {
+        await JobQueue.Get().Enqueue('image.process', { imageId });
+        report.jobs.queued++;
+      }
+    }
+    report.summary = BackupService.Summarize(report);
+    return { report };
+  }
+
+  /**
+   * 方法：导入用户（按用户名识别）
+   * 说明：merge 模式保留本机已有用户，密码或角色与备份不同时记为冲突；
+   *      replace 模式以备份中的密码、角色、状态与配额覆盖同名用户（执行导入的管理员除外）。
+   * 返回：备份用户ID → 本机用户ID
+   */
+  static async ImportUsers(ctx, users, actorId) {
+    const { report } = ctx;
+    const map = new Map();
+    for (const u of users) {
+      if (!u || typeof u.username !== 'string' || !u.username || typeof u.password_hash !== 'string') {
+        report.users.skipped.push({ username: u && u.username, reason: 'invalid' });
+        continue;
+      }
+      const existing = await BackupRepository.FindUserByUsername(u.username);
+      if (!existing) {
+        const id = await BackupRepository.InsertUser(u);
+        map.set(u.id, id);
+        report.users.added.push({ id, username: u.username });
+        continue;
+      }
+      map.set(u.id, existing.id);
+      if (ctx.mode === 'replace') {
+        if (existing.id === actorId) {
+          report.users.skipped.push({ id: existing.id, username: u.username, reason: 'current_user' });
+          continue;
+        }
+        await BackupRepository.OverwriteUser(existing.id, u);
+        report.users.updated.push({ id: existing.id, username: u.username });
+      } else if (existing.password_hash !== u.password_hash || existing.role !== (u.role || 'user')) {
+        report.users.conflicts.push({ id: existing.id, username: u.username, reason: 'username_exists' });
+      } else {
+        report.users.skipped.push({ id: existing.id, username: u.username, reason: 'exists' });
+      }
+    }
+    return map;
+  }
+
+  /**
+   * 方法：导入标签（按名称识别；已有标签保留本机描述，描述不同时记为冲突）
+   * 返回：备份标签ID → 本机标签ID
+   */
+  static async ImportTags(ctx, tags) {
+    const { report } = ctx;
+    const map = new Map();
+    for (const t of tags) {
+      const name = t && typeof t.name === 'string' ? t.name.trim() : '';
+      if (!name) {
+        report.tags.skipped.push({ name: t && t.name, reason: 'invalid' });
+        continue;
+      }
+      const existing = await BackupRepository.FindTagByName(name);
+      if (!existing) {
+        const id = await BackupRepository.InsertTag(name, t.description);
+        map.set(t.id, id);
+        report.tags.added.push({ id, name });
+        continue;
+      }
+      map.set(t.id, existing.id);
+      if (t.description && existing.description && t.description !== existing.description) {
+        report.tags.conflicts.push({ id: existing.id, name, reason: 'description_differs' });
+      } else {
+        report.tags.skipped.push({ id: existing.id, name, reason: 'exists' });
+      }
+    }
+    return map;
+  }
+
+  /**
+   * 方法：导入图片（按访问令牌识别；无令牌的旧备份按文件名识别并生成新令牌）
+   * 说明：令牌已存在且内容相同记为跳过（备份中的标签仍会合并），内容不同记为冲突；
+   *      文件缺失的图片记为冲突不导入。上传者按用户映射，找不到时置空。
+   *      新导入图片的缩略图一并恢复；备份不含缩略图记录或有缩略图未能恢复时，图片ID记入 pendingVariantIds。
+   * 返回：备份图片ID → 本机图片ID（含跳过的已有图片）
+   */
+  static async ImportImages(ctx, images, plans, userMap, pendingVariantIds) {
+    const { report } = ctx;
+    const map = new Map();
+    const columns = await BackupRepository.ListImageColumns();
+    const hasWidths = Config.Get().m_VariantWidths.length > 0;
+    for (const [i, img] of images.entries()) {
+      const plan = plans[i];
+      const name = img && (img.original_name || img.filename) || null;
+      if (plan.invalid) {
+        report.images.skipped.push({ name, reason: 'invalid' });
+        continue;
+      }
+      const token = img.access_token ? String(img.access_token) : null;
+      const existing = await BackupService.FindExistingImage(img, plan.key);
+      if (existing) {
+        if (token && existing.content_hash && img.content_hash && existing.content_hash !== img.content_hash) {
+          report.images.conflicts.push({ id: existing.id, token, name, reason: 'token_in_use' });
+          continue;
+        }
+        map.set(img.id, existing.id);
+        report.images.skipped.push({ id: existing.id, token: existing.access_token, name, reason: 'exists' });
+        continue;
+      }
+      if (plan.missing || plan.existing) {
+        report.images.conflicts.push({ token, name, reason: 'missing_file' });
+        continue;
+      }
+
+      const fields = {};
+      for (const col of columns) {
+        if (img[col] != null) fields[col] = img[col];
+      }
+      if (!plan.optimizedKey) {
+        delete fields.optimized_size;
+        delete fields.optimized_hash;
+      }
+      Object.assign(fields, {
+        owner_id: userMap.get(img.owner_id) ?? null,
+        filename: img.filename || plan.key,
+        storage_path: plan.key,
+        optimized_path: plan.optimizedKey || null,
+        access_token: token || crypto.randomBytes(16).toString('hex'),
+        processing_status: 'ready',
+        created_at: img.created_at || new Date().toISOString(),
+      });
+      const id = await BackupRepository.InsertImage(fields);
+      map.set(img.id, id);
+      report.images.added.push({ id, token: fields.access_token, name });
+      let complete = ctx.hasVariants;
+      for (const { variant, key } of plan.variants) {
+        if (key && await BackupRepository.InsertVariant(id, variant, key)) {
+          report.variants.added++;
+        } else {
+          report.variants.skipped++;
+          complete = false;
+        }
+      }
+      if (hasWidths && !complete) pendingVariantIds.push(id);
+    }
+    return map;
+  }
+
+  /**
+   * 方法：导入相册（按分享令牌识别）与相册收录
+   * 说明：已有相册保留本机设置，备份中的收录追加到其末尾；新相册按备份中的顺序收录并恢复封面。
+   *      收录的图片或相册未能导入时跳过该收录。
+   */
+  static async ImportAlbums(ctx, albums, albumImages, userMap, imageMap) {
+    const { report } = ctx;
+    const map = new Map();
+    for (const a of albums) {
+      const name = a && typeof a.name === 'string' ? a.name.trim() : '';
+      const token = a && a.share_token ? String(a.share_token) : '';
+      if (!name || !token) {
+        report.albums.skipped.push({ name: a && a.name, reason: 'invalid' });
+        continue;
+      }
+      const existing = await BackupRepository.FindAlbumByToken(token);
+      if (existing) {
+        map.set(a.id, existing.id);
+        report.albums.skipped.push({ id: existing.id, name: existing.name, reason: 'exists' });
+        continue;
+      }
+      const now = new Date().toISOString();
+      const id = await BackupRepository.InsertAlbum({
+        ownerId: userMap.get(a.owner_id) ?? null,
+        name,
+        description: a.description || null,
+        visibility: a.visibility || 'public',
+        shareToken: token,
+        coverImageId: imageMap.get(a.cover_image_id) ?? null,
+        createdAt: a.created_at || now,
+        updatedAt: a.updated_at || now,
+      });
+      map.set(a.id, id);
+      report.albums.added.push({ id, name });
+    }
+
+    // 按备份中的顺序连续编号，并入已有相册时从其末尾开始
+    const ordered = albumImages.filter(Boolean).sort((x, y) => x.album_id - y.album_id || x.position - y.position);
+    const next = new Map();
+    for (const ai of ordered) {
+      const albumId = map.get(ai.album_id);
+      const imageId = imageMap.get(ai.image_id);
+      if (!albumId || !imageId) {
+        report.albumImages.skipped++;
+        continue;
+      }
+      if (!next.has(albumId)) next.set(albumId, await BackupRepository.GetNextAlbumPosition(albumId));
+      if (await BackupRepository.InsertAlbumImage(albumId, imageId, next.get(albumId), ai.added_at)) {
+        next.set(albumId, next.get(albumId) + 1);
+        report.albumImages.added++;
+      } else {
+        report.albumImages.skipped++;
+      }
+    }
+  }
+
+  /**
+   * 方法：替换导入旧版备份后，按访问令牌将仍在备份中的图片重新收录到原相册（保持原顺序与封面）
+   * 参数：links 为清空前的 BackupRepository.ListAlbumLinks() 结果
+   */
+  static async RelinkAlbums(ctx, links) {
+    const { report } = ctx;
+    for (const link of links.entries) {
+      const img = link.access_token && await BackupRepository.FindImageByToken(link.access_token);
+      if (img && await BackupRepository.InsertAlbumImage(link.album_id, img.id, link.position, link.added_at)) {
+        report.albumImages.added++;
+      } else {
+        report.albumImages.skipped++;
+      }
+    }
+    for (const cover of links.covers) {
+      const img = cover.access_token && await BackupRepository.FindImageByToken(cover.access_token);
+      if (img) await BackupRepository.SetAlbumCover(cover.album_id, img.id);
+    }
+  }
+
+  /** 方法：删除已写入的对象（导入失败时清理） */
+  static async RemoveKeys(keys) {
+    for (const key of keys) {
+      await Storage.Get().Delete(key).catch(() => {});
+    }
+  }
+
+  /** 方法：解析备份类型（默认 full） */
+  static ParseBackupType(raw) {
+    const type = String(raw == null || raw === '' ? 'full' : raw).toLowerCase();
+    if (!BACKUP_TYPES.includes(type)) return { error: `type 仅支持 ${BACKUP_TYPES.join('/')}` };
+    return { type };
+  }
+
+  /** 方法：备份文件在备份目录中的路径 */
+  static BackupPath(filename) {
+    return path.join(Config.Get().m_BackupsDir, filename);
+  }
+
+  /** 方法：当前是否有备份正在执行 */
+  static IsRunning() {
+    return runningBackup !== null;
+  }
+
+  /**
+   * 方法：生成备份
+   * 说明：已有备份正在执行时直接返回错误，不排队；生成成功后按保留策略清理旧备份。
+   * 参数：options = { type: 'full' | 'incremental', source: 'manual' | 'schedule' }
+   * 返回：{ backup }（backups 表记录）或 { status, error }；写入失败时记录为 failed 并抛出异常
+   */
+  static async CreateBackup({ type = 'full', source = 'manual' } = {}) {
+    if (runningBackup) return { status: 409, error: '已有备份正在执行，请稍后再试' };
+    runningBackup = BackupService.RunBackup(type, source);
+    try {
+      return { backup: await runningBackup };
+    } finally {
+      runningBackup = null;
+    }
+  }
+
+  /** 方法：执行备份（先写入 .partial 临时文件，完成后改名并写入 .sha256 校验文件） */
+  static async RunBackup(type, source) {
+    // 增量备份基于最近一次完成的备份，其备份链不完整或清单无法读取时改为完整备份
+    let base = null;
+    let known = null;
+    if (type === 'incremental') {
+      const latest = await BackupRepository.GetLatestCompletedBackup();
+      const chain = latest ? await BackupService.ResolveChain(latest) : null;
+      if (chain) {
+        known = await BackupService.ReadChainFiles(chain).catch((err) => {
+          console.warn(`读取备份链清单失败，改为完整备份: ${err.message}`);
+          return null;
+        });
+        if (known) base = latest;
+      }
+    }
+    const actualType = base ? 'incremental' : 'full';
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `backup-${stamp}-${actualType}.zip`;
+    const filePath = BackupService.BackupPath(filename);
+    const id = await BackupRepository.CreateBackupRecord({ filename, type: actualType, baseId: base ? base.id : null, source });
+    try {
+      const stats = await BackupService.WriteArchive(`${filePath}.partial`, actualType, base, known);
+      fs.renameSync(`${filePath}.partial`, filePath);
+      fs.writeFileSync(`${filePath}.sha256`, `${stats.sha256}  ${filename}\n`);
+      await BackupRepository.CompleteBackupRecord(id, stats);
+    } catch (err) {
+      BackupService.RemoveBackupFiles(filename);
+      await BackupRepository.FailBackupRecord(id, err.message || err);
+      throw err;
+    }
+    await BackupService.ApplyRetention().catch((err) => console.error('备份保留策略清理失败:', err));
+    return await BackupRepository.GetBackupById(id);
+  }
+
+  /**
+   * 方法：解析备份链（从完整备份到指定备份）
+   * 返回：备份记录数组（完整备份在前），链上任一备份未完成或文件不存在时返回 null
+   */
+  static async ResolveChain(backup) {
+    const chain = [];
+    const seen = new Set();
+    for (let b = backup; b; b = b.base_id != null ? await BackupRepository.GetBackupById(b.base_id) : null) {
+      if (seen.has(b.id) || b.status !== 'completed' || !fs.existsSync(BackupService.BackupPath(b.filename))) return null;
+      seen.add(b.id);
+      chain.unshift(b);
+      if (b.type === 'full') return chain;
+    }
+    return null;
+  }
+
+  /**
+   * 方法：打开备份文件并读取 manifest.json
+   * 返回：{ backup, reader, entries: Map<条目名, 条目>, manifest }，调用方负责 reader.Close()
+   */
+  static async OpenArchive(backup) {
+    const reader = new ZipReader(BackupService.BackupPath(backup.filename));
+    try {
+      const entries = new Map((await reader.Open()).map((e) => [e.name, e]));
+      const manifestEntry = entries.get('manifest.json');
+      if (!manifestEntry) throw new Error(`${backup.filename} 缺少 manifest.json`);
+      const manifest = JSON.parse((await reader.ReadEntry(manifestEntry)).toString('utf8'));
+      return { backup, reader, entries, manifest };
+    } catch (err) {
+      await reader.Close();
+      throw err;
+    }
+  }
+
+  /**
+   * 方法：读取备份链中已打包的文件
+   * 返回：Map<条目名, SHA-256>（同名条目以较新的备份为准）
+   */
+  static async ReadChainFiles(chain) {
+    const known = new Map();
+    for (const backup of chain) {
+      const { reader, manifest } = await BackupService.OpenArchive(backup);
+      await reader.Close();
+      for (const item of manifest.entries || []) {
+        if (IMAGE_ENTRY_PATTERN.test(item.name)) known.set(item.name, item.sha256);
+      }
+    }
+    return known;
+  }
+
+  /**
+   * 方法：流式写入备份 ZIP
+   * 说明：数据快照在事务中读取。完整备份打包全部原图、优化版本与缩略图文件；
+   *      增量备份只打包备份链中没有或校验值与数据库记录（content_hash / optimized_hash）不同的文件，
+   *      没有校验值记录的文件始终打包。多条记录共用的文件只打包一次。存储中缺失的文件记入清单的 missing。
+   * 参数：known 为增量备份时备份链中已打包的文件（ReadChainFiles）
+   * 返回：{ maxImageId, imageCount, fileCount, sizeBytes, sha256 }（增量备份的 imageCount 为有文件打包的图片数）
+   */
+  static async WriteArchive(filePath, type, base, known = null) {
+    const data = await Database.Get().Transaction(() => BackupRepository.SnapshotData());
+    // 对象键 → { hash, imageIds }
+    const objects = new Map();
+    const addObject = (key, hash, imageId) => {
+      if (!key) return;
+      if (!objects.has(key)) objects.set(key, { hash: hash || null, imageIds: new Set() });
+      objects.get(key).imageIds.add(imageId);
+    };
+    let maxImageId = 0;
+    for (const img of data.images) {
+      maxImageId = Math.max(maxImageId, img.id);
+      addObject(img.storage_path, img.content_hash, img.id);
+      addObject(img.optimized_path, img.optimized_hash, img.id);
+    }
+    for (const v of data.imageVariants) addObject(v.storage_path, v.content_hash, v.image_id);
+
+    const storage = Storage.Get();
+    const output = fs.createWriteStream(filePath);
+    const writer = new ZipWriter(output);
+    try {
+      const entries = [await writer.AddBuffer('data.json', Buffer.from(JSON.stringify(data, null, 2), 'utf8'), { compress: true })];
+      const names = new Set();
+      const missing = [];
+      const packedImages = new Set();
+      for (const [key, { hash, imageIds }] of objects) {
+        const name = `images/${path.basename(key)}`;
+        if (names.has(name)) continue;
+        names.add(name);
+        if (known && hash && known.get(name) === hash) continue;
+        if (!(await storage.Exists(key))) {
+          missing.push(key);
+          continue;
+        }
+        entries.push(await writer.AddStream(name, await storage.CreateReadStream(key)));
+        imageIds.forEach((id) => packedImages.add(id));
+      }
+      if (missing.length) console.warn(`备份时以下文件在存储中不存在: ${missing.join(', ')}`);
+      const imageCount = type === 'full' ? data.images.length : packedImages.size;
+      const manifest = {
+        version: MANIFEST_VERSION,
+        type,
+        createdAt: new Date().toISOString(),
+        base: base ? { id: base.id, filename: base.filename, sha256: base.sha256 } : null,
+        maxImageId,
+        imageCount,
+        missing,
+        entries,
+      };
+      await writer.AddBuffer('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2), 'utf8'), { compress: true });
+      const { size, sha256 } = await writer.Finish();
+      return { maxImageId, imageCount, fileCount: entries.length - 1, sizeBytes: size, sha256 };
+    } catch (err) {
+      output.destroy();
+      throw err;
+    }
+  }
+
+  /**
+   * 方法：按备份链恢复备份（用于恢复增量备份，也可用于服务器上保存的完整备份）
+   * 说明：先逐个校验链上的备份（归档与条目校验值），全部通过后以目标备份的 data.json 为数据，
+   *      文件取链上包含该条目的最新备份，按 ImportData 导入。已有备份正在执行时不可恢复。
+   * 参数：options 同 ImportData
+   * 返回：{ report, chain: [备份ID] } 或 { status, error, details }
+   */
+  static async RestoreBackup(backup, options = {}) {
+    if (runningBackup) return { status: 409, error: '已有备份正在执行，请稍后再试' };
+    const chain = await BackupService.ResolveChain(backup);
+    if (!chain) return { status: 409, error: '备份链不完整（基准备份未完成或文件已删除），无法恢复' };
+    for (const b of chain) {
+      const verified = await BackupService.VerifyBackup(b);
+      if (!verified.ok) {
+        const details = verified.entries.failed.map((f) => `${f.name}: ${f.reason}`);
+        if (!verified.archive.ok) details.unshift('归档校验值不一致');
+        if (verified.error) details.unshift(verified.error);
+        return { status: 409, error: `备份 ${b.filename} 校验未通过，无法恢复`, details };
+      }
+    }
+
+    const archives = [];
+    try {
+      for (const b of chain) archives.push(await BackupService.OpenArchive(b));
+      const target = archives[archives.length - 1];
+      const dataEntry = target.entries.get('data.json');
+      if (!dataEntry) return { status: 409, error: `备份 ${backup.filename} 缺少data.json` };
+      const parsed = BackupService.ParseData(await target.reader.ReadEntry(dataEntry));
+      if (parsed.error) return { status: 409, ...parsed };
+      const files = new Map();
+      for (const { reader, entries, manifest } of archives) {
+        for (const item of manifest.entries || []) {
+          const entry = entries.get(item.name);
+          if (!entry || !IMAGE_ENTRY_PATTERN.test(item.name) || !BackupService.IsSafeEntryName(item.name)) continue;
+          files.set(item.name.slice('images/'.length), { reader, entry });
+        }
+      }
+      const { report } = await BackupService.ImportData({ data: parsed.data, files }, options);
+      return { report, chain: chain.map((b) => b.id) };
+    } finally {
+      for (const { reader } of archives) await reader.Close();
+    }
+  }
+
+  /** 方法：流式计算存储对象的 SHA-256 */
+  static async HashObject(key) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(await Storage.Get().CreateReadStream(key), hash);
+    return hash.digest('hex');
+  }
+
+  /** 方法：流式计算文件的 SHA-256 */
+  static async HashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+  }
+
+  /**
+   * 方法：校验备份文件
+   * 说明：比对整个归档的 SHA-256 与生成时的记录，并按 manifest.json 逐条流式校验条目的 CRC 与 SHA-256；
+   *      全部通过时记录校验时间。
+   * 返回：{ ok, error?, archive: { expected, actual, ok }, entries: { checked, failed: [{ name, reason }] } }
+   *      reason：missing（清单中的条目不在 ZIP 中）、crc_mismatch、checksum_mismatch
+   */
+  static async VerifyBackup(backup) {
+    const filePath = BackupService.BackupPath(backup.filename);
+    const result = {
+      ok: false,
+      archive: { expected: backup.sha256, actual: null, ok: false },
+      entries: { checked: 0, failed: [] },
+    };
+    if (!fs.existsSync(filePath)) return { ...result, error: '备份文件不存在' };
+    result.archive.actual = await BackupService.HashFile(filePath);
+    result.archive.ok = result.archive.actual === backup.sha256;
+
+    const reader = new ZipReader(filePath);
+    try {
+      const byName = new Map((await reader.Open()).map((e) => [e.name, e]));
+      const manifestEntry = byName.get('manifest.json');
+      if (!manifestEntry) throw new Error('缺少 manifest.json');
+      const manifest = JSON.parse((await reader.ReadEntry(manifestEntry)).toString('utf8'));
+      for (const item of manifest.entries || []) {
+        const entry = byName.get(item.name);
+        if (!entry) {
+          result.entries.failed.push({ name: item.name, reason: 'missing' });
+          continue;
+        }
+        const actual = await reader.HashEntry(entry);
+        result.entries.checked++;
+        if (actual.crc !== entry.crc) result.entries.failed.push({ name: item.name, reason: 'crc_mismatch' });
+        else if (actual.sha256 !== item.sha256 || actual.size !== item.size) {
+          result.entries.failed.push({ name: item.name, reason: 'checksum_mismatch' });
+        }
+      }
+    } catch (err) {
+      result.error = `备份文件损坏: ${err.message}`;
+    } finally {
+      await reader.Close();
+    }
+    result.ok = !result.error && result.archive.ok && !result.entries.failed.length;
+    if (result.ok) await BackupRepository.MarkBackupVerified(backup.id);
+    return result;
+  }
+
+  /** 方法：递归列出依赖指定备份的全部增量备份（按ID升序） */
+  static async ListDependents(id) {
+    const result = [];
+    for (const child of await BackupRepository.ListDependentBackups(id)) {
+      result.push(child, ...(await BackupService.ListDependents(child.id)));
+    }
+    return result.sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * 方法：删除备份文件与记录
+   * 说明：正在执行的备份不可删除；存在基于它的增量备份时需 force=true，一并删除（否则这些增量备份无法恢复）。
+   * 返回：{ deleted: [ID] } 或 { status, error, dependents }
+   */
+  static async DeleteBackup(backup, { force = false } = {}) {
+    if (backup.status === 'running') return { status: 409, error: '备份正在执行，无法删除' };
+    const dependents = await BackupService.ListDependents(backup.id);
+    if (dependents.length && !force) {
+      return {
+        status: 409,
+        error: '存在基于该备份的增量备份，需指定 force=true 一并删除',
+        dependents: dependents.map((b) => b.id),
+      };
+    }
+    const deleted = [];
+    for (const b of [...dependents.reverse(), backup]) {
+      BackupService.RemoveBackupFiles(b.filename);
+      await BackupRepository.DeleteBackupRecord(b.id);
+      deleted.push(b.id);
+    }
+    return { deleted };
+  }
+
+  /** 方法：删除备份目录中的备份文件、.sha256 校验文件与未完成的 .partial 文件（不存在时忽略） */
+  static RemoveBackupFiles(filename) {
+    const filePath = BackupService.BackupPath(filename);
+    for (const p of [filePath, `${filePath}.sha256`, `${filePath}.partial`]) {
+      try { fs.unlinkSync(p); } catch (_) {}
+    }
+  }
+
+  /**
+   * 方法：按保留策略清理旧备份
+   * 说明：保留最近 BACKUP_KEEP_DAILY 个有备份的日期中每天最新的完整备份，以及最近 BACKUP_KEEP_WEEKLY 周中每周最新的完整备份，
+   *      最新的完整备份始终保留；增量备份随其所基于的完整备份保留或删除。两项均为 0 时不清理。
+   * 返回：{ removed: [文件名] }
+   */
+  static async ApplyRetention() {
+    const cfg = Config.Get();
+    const keepDaily = Math.max(0, cfg.m_BackupKeepDaily || 0);
+    const keepWeekly = Math.max(0, cfg.m_BackupKeepWeekly || 0);
+    if (!keepDaily && !keepWeekly) return { removed: [] };
+
+    const backups = await BackupRepository.ListBackupsByStatus('completed');
+    // 每个备份所属的完整备份（基准已被删除的增量备份归属为 null，随之清理）
+    const root = new Map();
+    for (const b of backups) root.set(b.id, b.type === 'full' ? b.id : root.get(b.base_id) ?? null);
+    const fulls = backups.filter((b) => b.type === 'full').reverse();
+    const keep = BackupService.SelectRetained(fulls, keepDaily, keepWeekly);
+
+    const removed = [];
+    // 从新到旧删除，增量备份先于其基准删除
+    for (const b of [...backups].reverse()) {
+      if (keep.has(root.get(b.id))) continue;
+      BackupService.RemoveBackupFiles(b.filename);
+      await BackupRepository.DeleteBackupRecord(b.id);
+      removed.push(b.filename);
+    }
+    if (removed.length) console.log(`按保留策略删除旧备份: ${removed.join(', ')}`);
+    return { removed };
+  }
+
+  /**
+   * 方法：选出需保留的完整备份
+   * 参数：fulls 为完整备份（新的在前）
+   * 返回：Set<备份ID>
+   */
+  static SelectRetained(fulls, keepDaily, keepWeekly) {
+    const keep = new Set(fulls.length ? [fulls[0].id] : []);
+    const pick = (periodOf, limit) => {
+      const periods = new Set();
+      for (const b of fulls) {
+        const period = periodOf(new Date(b.created_at));
+        if (periods.has(period)) continue;
+        if (periods.size >= limit) break;
+        periods.add(period);
+        keep.add(b.id);
+      }
+    };
+    pick(BackupService.DayKey, keepDaily);
+    pick(BackupService.WeekKey, keepWeekly);
+    return keep;
+  }
+
+  /** 方法：本地日期键（YYYY-MM-DD） */
+  static DayKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /** 方法：周键（该周周一的本地日期） */
+  static WeekKey(date) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+    return BackupService.DayKey(monday);
+  }
+
+  /** 方法：将服务重启前未完成的备份标记为失败并删除其临时文件 */
+  static async RecoverInterrupted() {
+    const rows = await BackupRepository.ListBackupsByStatus('running');
+    for (const b of rows) {
+      BackupService.RemoveBackupFiles(b.filename);
+      await BackupRepository.FailBackupRecord(b.id, '服务重启，备份中断');
+    }
+    if (rows.length) console.log(`标记中断的备份为失败: ${rows.length} 个`);
+  }
+}
+
+module.exports = { BackupService };
@@ -0,0 +1,114 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI Cron 表达式
+//
+// 文件名称: CronExpression.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 解析与匹配五段式 cron 表达式（分 时 日 月 周，按服务器本地时间），用于定时备份。
+//       每段支持 *、数字、范围 a-b、步长 */n 与 a-b/n、逗号分隔的列表；周取值 0-7（0 与 7 均为周日）。
+//       日与周同时指定时满足其一即可（与标准 cron 一致）。
+//       另支持别名 @hourly、@daily（@midnight）、@weekly、@monthly。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+
+/** 各段名称与取值范围 */
+const FIELDS = [
+  { name: '分', min: 0, max: 59 },
+  { name: '时', min: 0, max: 23 },
+  { name: '日', min: 1, max: 31 },
+  { name: '月', min: 1, max: 12 },
+  { name: '周', min: 0, max: 7 },
+];
+
+/** 别名 */
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+class CronExpression {
+  /** 构造函数：fields 为各段允许值的集合；dayRestricted/weekdayRestricted 标记日、周段是否被限定（非 *） */
+  constructor(source, fields, dayRestricted, weekdayRestricted) {
+    /** @type {string} */ this.m_Source = source;
+    /** @type {Set<number>[]} */ this.m_Fields = fields;
+    /** @type {boolean} */ this.m_DayRestricted = dayRestricted;
+    /** @type {boolean} */ this.m_WeekdayRestricted = weekdayRestricted;
+  }
+
+  /**
+   * 方法：解析 cron 表达式
+   * 说明：格式错误时抛出异常（含出错的段）。
+   */
+  static Parse(raw) {
+    const source = String(raw || '').trim();
+    const expr = ALIASES[source.toLowerCase()] || source;
+    const parts = expr.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`cron 表达式 "${source}" 需为 5 段（分 时 日 月 周）`);
+    }
+    const fields = parts.map((part, i) => CronExpression.ParseField(part, FIELDS[i], source));
+    // 周日可写作 0 或 7
+    if (fields[4].has(7)) {
+      fields[4].delete(7);
+      fields[4].add(0);
+    }
+    return new CronExpression(source, fields, parts[2] !== '*', parts[4] !== '*');
+  }
+
+  /** 方法：解析单段为允许值集合 */
+  static ParseField(part, field, source) {
+    const values = new Set();
+    const fail = () => new Error(`cron 表达式 "${source}" 的“${field.name}”段无效: ${part}`);
+    for (const item of part.split(',')) {
+      const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+      if (!match) throw fail();
+      let start = field.min;
+      let end = field.max;
+      if (match[1] !== '*') {
+        start = parseInt(match[2], 10);
+        end = match[3] != null ? parseInt(match[3], 10) : match[4] != null ? field.max : start;
+      }
+      const step = match[4] != null ? parseInt(match[4], 10) : 1;
+      if (start < field.min || end > field.max || start > end || step < 1) throw fail();
+      for (let v = start; v <= end; v += step) values.add(v);
+    }
+    return values;
+  }
+
+  /** 方法：判断指定时刻（精确到分钟，本地时间）是否匹配 */
+  Matches(date) {
+    const [minutes, hours, days, months, weekdays] = this.m_Fields;
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) return false;
+    const dayOk = days.has(date.getDate());
+    const weekdayOk = weekdays.has(date.getDay());
+    if (this.m_DayRestricted && this.m_WeekdayRestricted) return dayOk || weekdayOk;
+    return dayOk && weekdayOk;
+  }
+
+  /**
+   * 方法：计算指定时刻之后的下一次触发时间（最多向后查找一年，找不到时返回 null）
+   */
+  Next(from = new Date()) {
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    for (let i = 0; i < 366 * 24 * 60; i++) {
+      date.setMinutes(date.getMinutes() + 1);
+      if (this.Matches(date)) return date;
+    }
+    return null;
+  }
+
+  /** 方法：返回原始表达式 */
+  toString() {
+    return this.m_Source;
+  }
+}
+
+module.exports = { CronExpression };
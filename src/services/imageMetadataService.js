@@ -0,0 +1,249 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 图片元数据服务
+//
+// 文件名称: ImageMetadataService.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 通过 sharp 读取图片尺寸、格式、方向与 EXIF 原始数据，解析拍摄时间、相机与 GPS；
+//       按配置在保存前清除 EXIF/XMP/IPTC 等隐私元数据并按方向标记自动旋转
+//       （保留 ICC 色彩配置）。JPEG 无需旋转时仅移除元数据段，不重新编码。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const fs = require('fs');
+const sharp = require('sharp');
+const { Config } = require('../config');
+
+/** TIFF 字段类型对应的单个值字节数（BYTE/ASCII/SHORT/LONG/RATIONAL/UNDEFINED/SLONG/SRATIONAL） */
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/** 使用到的 EXIF 标签 */
+const TAGS = {
+  MAKE: 0x010f,
+  MODEL: 0x0110,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  OFFSET_TIME_ORIGINAL: 0x9011,
+  GPS_LATITUDE_REF: 0x0001,
+  GPS_LATITUDE: 0x0002,
+  GPS_LONGITUDE_REF: 0x0003,
+  GPS_LONGITUDE: 0x0004,
+  GPS_ALTITUDE_REF: 0x0005,
+  GPS_ALTITUDE: 0x0006,
+};
+
+/** 可重新编码输出的格式（sharp 元数据中的 format 名称） */
+const WRITABLE_FORMATS = ['jpeg', 'png', 'webp', 'tiff', 'heif'];
+
+class ImageMetadataService {
+  /**
+   * 方法：解析 EXIF 原始数据（sharp metadata().exif，可带 "Exif\0\0" 前缀）
+   * 返回：{ takenAt, cameraMake, cameraModel, gpsLatitude, gpsLongitude, gpsAltitude }（缺失字段为 null）
+   */
+  static ParseExif(buf) {
+    const result = { takenAt: null, cameraMake: null, cameraModel: null, gpsLatitude: null, gpsLongitude: null, gpsAltitude: null };
+    if (!buf || buf.length < 8) return result;
+    const base = buf.toString('latin1', 0, 6) === 'Exif\0\0' ? 6 : 0;
+    const order = buf.toString('latin1', base, base + 2);
+    if (order !== 'II' && order !== 'MM') return result;
+    const le = order === 'II';
+    const inRange = (offset, length) => offset >= 0 && base + offset + length <= buf.length;
+    const u16 = (o) => (le ? buf.readUInt16LE(base + o) : buf.readUInt16BE(base + o));
+    const u32 = (o) => (le ? buf.readUInt32LE(base + o) : buf.readUInt32BE(base + o));
+    const s32 = (o) => (le ? buf.readInt32LE(base + o) : buf.readInt32BE(base + o));
+
+    const readValue = (type, count, offset) => {
+      if (type === 2) return buf.toString('utf8', base + offset, base + offset + count).replace(/\0[\s\S]*$/, '').trim();
+      const values = [];
+      for (let i = 0; i < count; i++) {
+        const o = offset + i * TYPE_SIZES[type];
+        if (type === 3) values.push(u16(o));
+        else if (type === 4) values.push(u32(o));
+        else if (type === 9) values.push(s32(o));
+        else if (type === 5) values.push(u32(o + 4) ? u32(o) / u32(o + 4) : NaN);
+        else if (type === 10) values.push(s32(o + 4) ? s32(o) / s32(o + 4) : NaN);
+        else values.push(buf[base + o]);
+      }
+      return count === 1 ? values[0] : values;
+    };
+
+    // 读取一个 IFD 的全部条目（越界或损坏的条目跳过）
+    const readIfd = (offset) => {
+      const tags = {};
+      if (!offset || !inRange(offset, 2)) return tags;
+      const count = u16(offset);
+      for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (!inRange(entry, 12)) break;
+        const type = u16(entry + 2);
+        const n = u32(entry + 4);
+        if (!TYPE_SIZES[type] || n === 0 || n > 65535) continue;
+        const bytes = TYPE_SIZES[type] * n;
+        const valueOffset = bytes <= 4 ? entry + 8 : u32(entry + 8);
+        if (!inRange(valueOffset, bytes)) continue;
+        tags[u16(entry)] = readValue(type, n, valueOffset);
+      }
+      return tags;
+    };
+
+    const ifd0 = inRange(4, 4) ? readIfd(u32(4)) : {};
+    const exif = readIfd(ifd0[TAGS.EXIF_IFD]);
+    const gps = readIfd(ifd0[TAGS.GPS_IFD]);
+
+    const text = (v) => (typeof v === 'string' && v ? v : null);
+    result.cameraMake = text(ifd0[TAGS.MAKE]);
+    result.cameraModel = text(ifd0[TAGS.MODEL]);
+    result.takenAt = ImageMetadataService.ParseExifDate(
+      text(exif[TAGS.DATE_TIME_ORIGINAL]) || text(ifd0[TAGS.DATE_TIME]),
+      text(exif[TAGS.OFFSET_TIME_ORIGINAL])
+    );
+
+    // 度分秒 → 十进制度；南纬/西经为负
+    const toDegrees = (dms, ref, negativeRef) => {
+      if (!Array.isArray(dms) || dms.length < 3 || dms.some((v) => !Number.isFinite(v))) return null;
+      const deg = dms[0] + dms[1] / 60 + dms[2] / 3600;
+      return Number(((String(ref || '').toUpperCase() === negativeRef ? -1 : 1) * deg).toFixed(7));
+    };
+    result.gpsLatitude = toDegrees(gps[TAGS.GPS_LATITUDE], gps[TAGS.GPS_LATITUDE_REF], 'S');
+    result.gpsLongitude = toDegrees(gps[TAGS.GPS_LONGITUDE], gps[TAGS.GPS_LONGITUDE_REF], 'W');
+    if (result.gpsLatitude == null || result.gpsLongitude == null) {
+      result.gpsLatitude = null;
+      result.gpsLongitude = null;
+    } else if (Number.isFinite(gps[TAGS.GPS_ALTITUDE])) {
+      result.gpsAltitude = Number(((gps[TAGS.GPS_ALTITUDE_REF] === 1 ? -1 : 1) * gps[TAGS.GPS_ALTITUDE]).toFixed(2));
+    }
+    return result;
+  }
+
+  /**
+   * 方法：将 EXIF 日期（YYYY:MM:DD HH:MM:SS）转为 ISO 8601 字符串
+   * 说明：EXIF 时间为拍摄地本地时间；有时区偏移（OffsetTimeOriginal）时附加偏移，否则不带时区。
+   */
+  static ParseExifDate(raw, offset) {
+    const m = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(String(raw || ''));
+    if (!m || m[1] === '0000') return null;
+    const tz = /^[+-]\d{2}:\d{2}$/.test(String(offset || '')) ? offset : '';
+    return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${tz}`;
+  }
+
+  /**
+   * 方法：读取图片元数据
+   * 说明：width/height 为按方向旋转后的显示尺寸；sharp 无法解码的格式（如 BMP）返回 null。
+   * 返回：{ width, height, format, orientation, takenAt, cameraMake, cameraModel, gpsLatitude, gpsLongitude, gpsAltitude, hasPrivateMetadata, meta }
+   */
+  static async Extract(filePath) {
+    let meta;
+    try {
+      meta = await sharp(filePath).metadata();
+    } catch (_) {
+      return null;
+    }
+    const orientation = meta.orientation || 1;
+    const rotated = orientation >= 5;
+    return {
+      width: (rotated ? meta.height : meta.width) || null,
+      height: (rotated ? meta.width : meta.height) || null,
+      format: meta.format === 'heif' && meta.compression === 'av1' ? 'avif' : (meta.format || null),
+      orientation,
+      ...ImageMetadataService.ParseExif(meta.exif),
+      hasPrivateMetadata: !!(meta.exif || meta.xmp || meta.iptc || (meta.comments && meta.comments.length)),
+      meta,
+    };
+  }
+
+  /**
+   * 方法：移除 JPEG 中的隐私元数据段（无损，不重新编码）
+   * 说明：保留 JFIF（APP0）、ICC 色彩配置（APP2 ICC_PROFILE）与 Adobe（APP14）段，
+   *      移除 EXIF/XMP（APP1）、MPF 等其他 APPn、IPTC（APP13）与注释（COM）。
+   * 返回：处理后的 Buffer；结构无法识别时返回 null
+   */
+  static StripJpegSegments(buf) {
+    if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+    const parts = [buf.subarray(0, 2)];
+    let pos = 2;
+    while (pos + 4 <= buf.length) {
+      if (buf[pos] !== 0xff) return null;
+      const marker = buf[pos + 1];
+      // 填充字节
+      if (marker === 0xff) { pos++; continue; }
+      // 扫描开始：其后为压缩数据，原样保留
+      if (marker === 0xda) {
+        parts.push(buf.subarray(pos));
+        return Buffer.concat(parts);
+      }
+      const length = buf.readUInt16BE(pos + 2);
+      if (length < 2 || pos + 2 + length > buf.length) return null;
+      const segment = buf.subarray(pos, pos + 2 + length);
+      const id = buf.toString('latin1', pos + 4, pos + 4 + 12);
+      const isMetadata = (marker >= 0xe0 && marker <= 0xef) || marker === 0xfe;
+      const keep = !isMetadata
+        || (marker === 0xe0 && /^JF(IF|XX)\0/.test(id))
+        || (marker === 0xe2 && id.startsWith('ICC_PROFILE'))
+        || (marker === 0xee && id.startsWith('Adobe'));
+      if (keep) parts.push(segment);
+      pos += 2 + length;
+    }
+    return null;
+  }
+
+  /**
+   * 方法：清除隐私元数据并按方向标记旋转（原地改写文件）
+   * 说明：JPEG 方向正常时无损移除元数据段；其余情况经 sharp 重新编码（保留 ICC 色彩配置）。
+   *      GIF、BMP、SVG 等不处理。
+   * 返回：是否改写了文件
+   */
+  static async Sanitize(filePath, info) {
+    const meta = info.meta;
+    if (!WRITABLE_FORMATS.includes(meta.format)) return false;
+    if (meta.format === 'jpeg' && info.orientation === 1) {
+      const stripped = ImageMetadataService.StripJpegSegments(fs.readFileSync(filePath));
+      if (stripped) {
+        fs.writeFileSync(filePath, stripped);
+        return true;
+      }
+    }
+    // 多帧图片（动画 WebP、多页 TIFF）不旋转，避免逐帧处理
+    const animated = (meta.pages || 1) > 1;
+    const pipe = sharp(filePath, { animated }).keepIccProfile();
+    if (!animated) pipe.rotate();
+    switch (info.format) {
+      case 'jpeg': pipe.jpeg({ quality: 92, mozjpeg: true }); break;
+      case 'png': pipe.png(); break;
+      case 'webp': pipe.webp({ quality: 90 }); break;
+      case 'tiff': pipe.tiff(); break;
+      case 'avif': pipe.avif({ quality: 80 }); break;
+      default: return false; // HEIC 等无法输出的格式保持原样
+    }
+    const buf = await pipe.toBuffer();
+    fs.writeFileSync(filePath, buf);
+    return true;
+  }
+
+  /**
+   * 方法：上传文件保存前的元数据处理（提取 + 按配置清除隐私元数据与自动旋转）
+   * 说明：STRIP_METADATA=false 时保留原文件不变，仅提取元数据。
+   * 返回：{ width, height, format, orientation, takenAt, cameraMake, cameraModel, gpsLatitude, gpsLongitude, gpsAltitude, stripped }
+   *      或 null（无法解码）
+   */
+  static async Prepare(filePath) {
+    const info = await ImageMetadataService.Extract(filePath);
+    if (!info) return null;
+    let stripped = false;
+    if (Config.Get().m_StripMetadata && (info.hasPrivateMetadata || info.orientation !== 1)) {
+      try {
+        stripped = await ImageMetadataService.Sanitize(filePath, info);
+      } catch (err) {
+        console.error('清除图片元数据失败:', err.message);
+      }
+    }
+    const { meta, hasPrivateMetadata, ...fields } = info;
+    return { ...fields, stripped };
+  }
+}
+
+module.exports = { ImageMetadataService };
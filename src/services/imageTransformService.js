@@ -0,0 +1,328 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 图片变换服务
+// 
+// 文件名称: ImageTransformService.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.4
+// 
+// 描述: 基于 sharp 提供按需图片变换（缩放、裁剪、格式转换、质量调整），
+//       变换结果按“访问令牌 + 规范化参数”缓存到磁盘，重复请求直接命中缓存。
+//       缓存总大小超过 TRANSFORM_CACHE_MAX_BYTES 时按最近最少使用淘汰；
+//       未命中缓存（需要实际变换）的请求按客户端限流（TRANSFORM_MISS_RATE_LIMIT 次/分钟）。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - 源图支持磁盘路径或异步加载函数（对象存储），缓存命中时不再读取源图
+// 2026-10-19 - 返回缓存键，供响应生成 ETag
+// 2026-10-19 - 新增按宽度列表生成缩略图/响应式版本
+// 2026-10-19 - 变换输出按 EXIF 方向自动旋转
+// ================================================================
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { Config } = require('../config');
+
+/** 支持的输出格式与对应 MIME/扩展名 */
+const OUTPUT_FORMATS = {
+  webp: { mime: 'image/webp', ext: '.webp' },
+  avif: { mime: 'image/avif', ext: '.avif' },
+  jpeg: { mime: 'image/jpeg', ext: '.jpg' },
+  png: { mime: 'image/png', ext: '.png' },
+  gif: { mime: 'image/gif', ext: '.gif' },
+};
+
+/** 支持的裁剪/适配模式（与 sharp resize 的 fit 取值一致） */
+const FIT_MODES = ['cover', 'contain', 'fill', 'inside', 'outside'];
+/** 未命中缓存限流的统计窗口（毫秒） */
+const MISS_WINDOW_MS = 60 * 1000;
+
+/** 缓存文件索引：文件路径 → 大小，按最近使用排序（最早使用的在前）；首次使用时扫描缓存目录建立 */
+let cacheIndex = null;
+/** 缓存文件总大小（字节） */
+let cacheBytes = 0;
+/** 未命中缓存的计数：客户端标识 → { windowStart, count } */
+const missCounters = new Map();
+
+class ImageTransformService {
+  /** 方法：判断查询参数中是否包含变换参数 */
+  static HasTransformParams(query = {}) {
+    return ['w', 'h', 'fit', 'format', 'q'].some((k) => query[k] != null && query[k] !== '');
+  }
+
+  /**
+   * 方法：解析并校验变换参数
+   * 说明：w/h 为正整数且不超过配置上限；fit 取 cover/contain/fill/inside/outside；
+   *      format 取 webp/avif/jpeg(jpg)/png；q 为 1-100 的整数。
+   * 返回：{ options } 或 { error }
+   */
+  static ParseOptions(query = {}) {
+    const maxDim = Config.Get().m_TransformMaxDimension;
+    const options = { width: null, height: null, fit: null, format: null, quality: null };
+
+    const parseDim = (raw, label) => {
+      if (raw == null || raw === '') return { value: null };
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n <= 0 || n > maxDim) {
+        return { error: `参数 ${label} 需为 1-${maxDim} 的整数` };
+      }
+      return { value: n };
+    };
+
+    const w = parseDim(query.w, 'w');
+    if (w.error) return { error: w.error };
+    const h = parseDim(query.h, 'h');
+    if (h.error) return { error: h.error };
+    options.width = w.value;
+    options.height = h.value;
+
+    if (query.fit != null && query.fit !== '') {
+      const fit = String(query.fit).toLowerCase();
+      if (!FIT_MODES.includes(fit)) return { error: `参数 fit 仅支持 ${FIT_MODES.join('/')}` };
+      options.fit = fit;
+    }
+
+    if (query.format != null && query.format !== '') {
+      let format = String(query.format).toLowerCase();
+      if (format === 'jpg') format = 'jpeg';
+      if (!['webp', 'avif', 'jpeg', 'png'].includes(format)) return { error: '参数 format 仅支持 webp/avif/jpeg/png' };
+      options.format = format;
+    }
+
+    if (query.q != null && query.q !== '') {
+      const q = Number(query.q);
+      if (!Number.isInteger(q) || q < 1 || q > 100) return { error: '参数 q 需为 1-100 的整数' };
+      options.quality = q;
+    }
+
+    return { options };
+  }
+
+  /**
+   * 方法：确定输出格式
+   * 说明：未指定 format 时沿用原图格式；原格式无法输出（如 bmp）时回退为 png。
+   */
+  static ResolveOutputFormat(options, sourceFormat) {
+    if (options.format) return options.format;
+    const fmt = String(sourceFormat || '').toLowerCase();
+    if (fmt === 'jpg') return 'jpeg';
+    return OUTPUT_FORMATS[fmt] ? fmt : 'png';
+  }
+
+  /** 方法：根据访问令牌获取该图片的缓存目录 */
+  static GetCacheDir(accessToken) {
+    const safe = String(accessToken || '').replace(/[^A-Za-z0-9_\-]/g, '_');
+    return path.join(Config.Get().m_CacheDir, safe);
+  }
+
+  /** 方法：根据访问令牌与规范化参数构造缓存键（同参数同键，与查询串顺序无关） */
+  static BuildCacheKey(accessToken, options, format) {
+    const normalized = [
+      `w=${options.width || ''}`,
+      `h=${options.height || ''}`,
+      `fit=${options.fit || ''}`,
+      `format=${format}`,
+      `q=${options.quality || ''}`,
+    ].join('&');
+    return crypto.createHash('sha1').update(`${accessToken}?${normalized}`).digest('hex');
+  }
+
+  /** 方法：扫描缓存目录建立缓存索引（按修改时间排序，服务启动后首次访问缓存时执行） */
+  static LoadCacheIndex() {
+    if (cacheIndex) return cacheIndex;
+    const files = [];
+    const root = Config.Get().m_CacheDir;
+    for (const dir of fs.existsSync(root) ? fs.readdirSync(root) : []) {
+      const dirPath = path.join(root, dir);
+      let names;
+      try {
+        names = fs.readdirSync(dirPath);
+      } catch (_) {
+        continue;
+      }
+      for (const name of names) {
+        const filePath = path.join(dirPath, name);
+        try {
+          const stat = fs.statSync(filePath);
+          if (name.endsWith('.tmp')) fs.unlinkSync(filePath); // 中断的写入
+          else if (stat.isFile()) files.push({ filePath, size: stat.size, mtime: stat.mtimeMs });
+        } catch (_) {}
+      }
+    }
+    files.sort((a, b) => a.mtime - b.mtime);
+    cacheIndex = new Map(files.map((f) => [f.filePath, f.size]));
+    cacheBytes = files.reduce((sum, f) => sum + f.size, 0);
+    return cacheIndex;
+  }
+
+  /** 方法：标记缓存文件为最近使用 */
+  static TouchCache(filePath) {
+    const index = ImageTransformService.LoadCacheIndex();
+    const size = index.get(filePath);
+    if (size == null) return;
+    index.delete(filePath);
+    index.set(filePath, size);
+  }
+
+  /**
+   * 方法：登记新写入的缓存文件，总大小超过上限时淘汰最久未使用的文件
+   * 说明：TRANSFORM_CACHE_MAX_BYTES 为 0 时不限制；刚写入的文件不会被淘汰。
+   */
+  static AddToCache(filePath, size) {
+    const index = ImageTransformService.LoadCacheIndex();
+    if (index.has(filePath)) cacheBytes -= index.get(filePath);
+    index.delete(filePath);
+    index.set(filePath, size);
+    cacheBytes += size;
+    const maxBytes = Config.Get().m_TransformCacheMaxBytes;
+    if (maxBytes <= 0) return;
+    for (const [oldest, oldestSize] of index) {
+      if (cacheBytes <= maxBytes || oldest === filePath) break;
+      try { fs.unlinkSync(oldest); } catch (_) {}
+      index.delete(oldest);
+      cacheBytes -= oldestSize;
+    }
+  }
+
+  /**
+   * 方法：登记一次未命中缓存的变换并判断是否超出限流
+   * 说明：按客户端标识（通常为 IP）在固定窗口内计数；TRANSFORM_MISS_RATE_LIMIT 为 0 时不限制。
+   * 返回：{ allowed, retryAfter }（retryAfter 为距窗口结束的秒数）
+   */
+  static TakeMissQuota(clientId) {
+    const limit = Config.Get().m_TransformMissRateLimit;
+    if (limit <= 0) return { allowed: true };
+    const now = Date.now();
+    // 清理已过期的计数，避免客户端标识无限累积
+    if (missCounters.size > 10000) {
+      for (const [id, c] of missCounters) {
+        if (now - c.windowStart >= MISS_WINDOW_MS) missCounters.delete(id);
+      }
+    }
+    let counter = missCounters.get(clientId);
+    if (!counter || now - counter.windowStart >= MISS_WINDOW_MS) {
+      counter = { windowStart: now, count: 0 };
+      missCounters.set(clientId, counter);
+    }
+    if (counter.count >= limit) {
+      return { allowed: false, retryAfter: Math.ceil((counter.windowStart + MISS_WINDOW_MS - now) / 1000) };
+    }
+    counter.count++;
+    return { allowed: true };
+  }
+
+  /**
+   * 方法：获取（或生成）变换后的图片文件
+   * 说明：
+   * - source 为源图磁盘路径，或返回 Promise<Buffer> 的加载函数（对象存储）。
+   * - 未指定 format 时按记录的 MIME 推断原格式，命中缓存时不读取源图。
+   * - 未命中时先按 clientId 限流，再读取源图执行变换，写入临时文件后原子重命名并登记到缓存索引。
+   * 返回：{ filePath, mime, ext, key, cached } 或 { limited: true, retryAfter }
+   */
+  static async GetOrCreate(img, source, options, { clientId = '' } = {}) {
+    let input = typeof source === 'function' ? null : source;
+    const loadInput = async () => {
+      if (!input) input = await source();
+      return input;
+    };
+    let meta = null;
+    let sourceFormat = String(img.mime_type || '').split(';')[0].trim().toLowerCase().replace(/^image\//, '');
+    if (!options.format && !OUTPUT_FORMATS[sourceFormat === 'jpg' ? 'jpeg' : sourceFormat]) {
+      meta = await sharp(await loadInput()).metadata();
+      sourceFormat = meta.format;
+    }
+    const format = ImageTransformService.ResolveOutputFormat(options, sourceFormat);
+    const { mime, ext } = OUTPUT_FORMATS[format];
+    const dir = ImageTransformService.GetCacheDir(img.access_token);
+    const key = ImageTransformService.BuildCacheKey(img.access_token, options, format);
+    const filePath = path.join(dir, `${key}${ext}`);
+    if (fs.existsSync(filePath)) {
+      ImageTransformService.TouchCache(filePath);
+      return { filePath, mime, ext, key, cached: true };
+    }
+    const quota = ImageTransformService.TakeMissQuota(clientId);
+    if (!quota.allowed) return { limited: true, retryAfter: quota.retryAfter };
+
+    if (!meta) meta = await sharp(await loadInput()).metadata();
+    // 动画仅在输出格式支持时保留（gif/webp）
+    const animated = ['gif', 'webp'].includes(format) && (meta.pages || 1) > 1;
+    const pipe = sharp(await loadInput(), { animated }).rotate();
+    if (options.width || options.height) {
+      pipe.resize({
+        width: options.width || undefined,
+        height: options.height || undefined,
+        fit: options.fit || 'cover',
+        withoutEnlargement: true,
+      });
+    }
+    const quality = options.quality || undefined;
+    switch (format) {
+      case 'jpeg': pipe.jpeg({ quality, mozjpeg: true }); break;
+      case 'png': pipe.png(quality ? { quality, palette: true } : {}); break;
+      case 'webp': pipe.webp({ quality }); break;
+      case 'avif': pipe.avif({ quality }); break;
+      case 'gif': pipe.gif(); break;
+      default: break;
+    }
+    const buf = await pipe.toBuffer();
+
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tmpPath, buf);
+    fs.renameSync(tmpPath, filePath);
+    ImageTransformService.AddToCache(filePath, buf.length);
+    return { filePath, mime, ext, key, cached: false };
+  }
+
+  /**
+   * 方法：按宽度列表生成缩略图/响应式版本
+   * 说明：按 EXIF 方向自动旋转；仅生成小于原图宽度的版本（不放大），动画图片取首帧；
+   *      sharp 无法解码的格式（如 BMP）返回空列表。
+   * 参数：options = { format: webp/avif/jpeg/png, quality }
+   * 返回：[{ width, height, mime, ext, buffer }]
+   */
+  static async CreateWidthVariants(source, widths, options = {}) {
+    const format = OUTPUT_FORMATS[options.format] && options.format !== 'gif' ? options.format : 'webp';
+    let meta;
+    try {
+      meta = await sharp(source).metadata();
+    } catch (_) {
+      return [];
+    }
+    // EXIF 方向 5-8 表示旋转 90°，显示宽度为原始高度
+    const sourceWidth = (meta.orientation || 1) >= 5 ? meta.height : meta.width;
+    const { mime, ext } = OUTPUT_FORMATS[format];
+    const quality = options.quality || undefined;
+    const variants = [];
+    for (const width of widths.filter((w) => w < sourceWidth)) {
+      const pipe = sharp(source).rotate().resize({ width, withoutEnlargement: true });
+      switch (format) {
+        case 'jpeg': pipe.jpeg({ quality, mozjpeg: true }); break;
+        case 'png': pipe.png(quality ? { quality, palette: true } : {}); break;
+        case 'avif': pipe.avif({ quality }); break;
+        default: pipe.webp({ quality }); break;
+      }
+      const { data, info } = await pipe.toBuffer({ resolveWithObject: true });
+      variants.push({ width: info.width, height: info.height, mime, ext, buffer: data });
+    }
+    return variants;
+  }
+
+  /** 方法：清除某张图片的全部变换缓存（删除图片时调用） */
+  static ClearCache(accessToken) {
+    if (!accessToken) return;
+    const dir = ImageTransformService.GetCacheDir(accessToken);
+    try {
+      fs.rmSync(dir, { recursive: true, force: true });
+    } catch (_) {}
+    if (!cacheIndex) return;
+    for (const [filePath, size] of cacheIndex) {
+      if (path.dirname(filePath) !== dir) continue;
+      cacheIndex.delete(filePath);
+      cacheBytes -= size;
+    }
+  }
+}
+
+module.exports = { ImageTransformService };
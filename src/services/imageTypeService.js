@@ -0,0 +1,109 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 图片类型识别服务
+// 
+// 文件名称: ImageTypeService.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.1
+// 
+// 描述: 根据文件头部字节（魔数）识别图片真实格式，不信任客户端或远端
+//       声明的 Content-Type 与扩展名。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - 新增文件识别（魔数优先，sharp 元数据兜底）、格式白名单与内联安全判断
+// ================================================================
+const fs = require('fs');
+const sharp = require('sharp');
+const { Config } = require('../config');
+
+/** 识别所需的最少头部字节数 */
+const SNIFF_BYTES = 512;
+
+/** 格式对应的 MIME 与扩展名 */
+const IMAGE_TYPES = {
+  jpeg: { mime: 'image/jpeg', ext: '.jpg' },
+  png: { mime: 'image/png', ext: '.png' },
+  gif: { mime: 'image/gif', ext: '.gif' },
+  webp: { mime: 'image/webp', ext: '.webp' },
+  bmp: { mime: 'image/bmp', ext: '.bmp' },
+  tiff: { mime: 'image/tiff', ext: '.tiff' },
+  avif: { mime: 'image/avif', ext: '.avif' },
+  heic: { mime: 'image/heic', ext: '.heic' },
+  ico: { mime: 'image/x-icon', ext: '.ico' },
+  svg: { mime: 'image/svg+xml', ext: '.svg' },
+};
+
+class ImageTypeService {
+  /**
+   * 方法：根据头部字节识别图片格式
+   * 参数：buf 文件开头的若干字节（建议不少于 SNIFF_BYTES）
+   * 返回：{ format, mime, ext } 或 null（非已知图片格式）
+   */
+  static DetectFromBuffer(buf) {
+    if (!buf || buf.length < 4) return null;
+    const at = (offset, bytes) => bytes.every((b, i) => buf[offset + i] === b);
+    const ascii = (start, end) => buf.toString('latin1', start, end);
+    const result = (format) => ({ format, ...IMAGE_TYPES[format] });
+
+    if (at(0, [0xff, 0xd8, 0xff])) return result('jpeg');
+    if (at(0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return result('png');
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return result('gif');
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return result('webp');
+    if (ascii(0, 2) === 'BM' && buf.length >= 14) return result('bmp');
+    if (at(0, [0x49, 0x49, 0x2a, 0x00]) || at(0, [0x4d, 0x4d, 0x00, 0x2a])) return result('tiff');
+    if (ascii(4, 8) === 'ftyp') {
+      const brand = ascii(8, 12);
+      if (['avif', 'avis'].includes(brand)) return result('avif');
+      if (['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) return result('heic');
+    }
+    if (at(0, [0x00, 0x00, 0x01, 0x00])) return result('ico');
+    // SVG 为文本格式：跳过 BOM、XML 声明、注释与 DOCTYPE 后应以 <svg 开头
+    const text = buf.toString('utf8', 0, Math.min(buf.length, SNIFF_BYTES)).replace(/^﻿/, '');
+    const body = text.replace(/^\s*(<\?xml[^>]*\?>\s*)?((<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)\s*)*/i, '');
+    if (/^<svg[\s>]/i.test(body)) return result('svg');
+    return null;
+  }
+
+  /**
+   * 方法：识别本地文件的图片格式
+   * 说明：优先按文件头魔数识别；无法识别时回退到 sharp 元数据（覆盖魔数表未列出的变体）。
+   * 返回：Promise<{ format, mime, ext } | null>
+   */
+  static async DetectFromFile(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    let head;
+    try {
+      const buf = Buffer.alloc(SNIFF_BYTES);
+      head = buf.subarray(0, fs.readSync(fd, buf, 0, SNIFF_BYTES, 0));
+    } finally {
+      fs.closeSync(fd);
+    }
+    const byMagic = ImageTypeService.DetectFromBuffer(head);
+    if (byMagic) return byMagic;
+    try {
+      const meta = await sharp(filePath).metadata();
+      let format = String(meta.format || '').toLowerCase();
+      if (format === 'heif') format = meta.compression === 'av1' ? 'avif' : 'heic';
+      return IMAGE_TYPES[format] ? { format, ...IMAGE_TYPES[format] } : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** 方法：格式是否在允许上传的白名单中 */
+  static IsAllowed(format) {
+    return !!format && Config.Get().m_AllowedFormats.includes(format);
+  }
+
+  /**
+   * 方法：该 MIME 是否可在本站域名下内联显示
+   * 说明：仅位图格式可内联；SVG（可含脚本）及其他类型一律作为附件下发。
+   */
+  static IsInlineSafe(mime) {
+    const main = String(mime || '').split(';')[0].trim().toLowerCase();
+    return Object.entries(IMAGE_TYPES).some(([format, t]) => format !== 'svg' && t.mime === main);
+  }
+}
+
+module.exports = { ImageTypeService, IMAGE_TYPES, SNIFF_BYTES };
@@ -0,0 +1,172 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 后台任务队列
+//
+// 文件名称: JobQueue.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.1
+//
+// 描述: 基于 SQLite jobs 表的持久化任务队列。进程内按配置并发执行任务，
+//       失败时按指数退避重试，超过最大尝试次数或不可重试的错误标记为失败；
+//       服务重启后自动恢复中断的任务（已达最大尝试次数的标记为失败）；定期清理超过保留期的已结束任务。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - 在事务中入队时于提交后再唤醒队列
+// ================================================================
+const { Config } = require('../config');
+const { Database } = require('../db/sqlite');
+const { JobRepository } = require('../repositories/jobRepository');
+
+/** 已结束任务的清理间隔（1 小时） */
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+class JobQueue {
+  /** 构造函数：初始化处理器表与运行状态 */
+  constructor() {
+    /** @type {Map<string, {handler: Function, onFailed: Function|null}>} */ this.m_Handlers = new Map();
+    /** @type {boolean} */ this.m_Running = false;
+    /** @type {number} */ this.m_Active = 0;
+    /** @type {NodeJS.Timeout|null} */ this.m_Timer = null;
+    /** @type {NodeJS.Timeout|null} */ this.m_PurgeTimer = null;
+    /** @type {boolean} */ this.m_Ticking = false;
+  }
+
+  /**
+   * 方法：注册任务处理器
+   * 参数：handler(payload, job) 返回任务结果（可 JSON 序列化）；
+   *      options.onFailed(payload, error) 在任务最终失败时调用
+   */
+  Register(type, handler, options = {}) {
+    this.m_Handlers.set(type, { handler, onFailed: options.onFailed || null });
+  }
+
+  /**
+   * 方法：任务入队
+   * 说明：在事务中调用时，队列于事务提交后再唤醒（回滚则不唤醒，任务记录随之撤销）。
+   * 参数：options = { ownerId, maxAttempts }
+   * 返回：任务ID
+   */
+  async Enqueue(type, payload, options = {}) {
+    if (!this.m_Handlers.has(type)) throw new Error(`未注册的任务类型: ${type}`);
+    const id = await JobRepository.CreateJob({
+      type,
+      payload,
+      ownerId: options.ownerId,
+      maxAttempts: options.maxAttempts || Config.Get().m_JobMaxAttempts,
+    });
+    Database.Get().AfterCommit(() => this.Wake());
+    return id;
+  }
+
+  /** 方法：启动队列（恢复中断任务、清理历史任务并开始轮询） */
+  async Start() {
+    if (this.m_Running) return;
+    this.m_Running = true;
+    const { recovered, failed } = await JobRepository.ResetRunningJobs();
+    if (recovered) console.log(`恢复中断的后台任务: ${recovered} 个`);
+    for (const job of failed) {
+      console.warn(`后台任务 ${job.id}（${job.type}）执行期间服务中断且已达最大尝试次数，标记为失败`);
+      const entry = this.m_Handlers.get(job.type);
+      if (entry && entry.onFailed) {
+        await Promise.resolve(entry.onFailed(job.payload, new Error(job.last_error)))
+          .catch((err) => console.error(`任务 ${job.id} 失败处理出错:`, err));
+      }
+    }
+    await this.Purge();
+    this.m_Timer = setInterval(() => this.Wake(), Config.Get().m_JobPollIntervalMs);
+    this.m_Timer.unref();
+    this.m_PurgeTimer = setInterval(() => this.Purge(), PURGE_INTERVAL_MS);
+    this.m_PurgeTimer.unref();
+    this.Wake();
+  }
+
+  /** 方法：停止领取新任务（执行中的任务继续完成） */
+  Stop() {
+    this.m_Running = false;
+    if (this.m_Timer) clearInterval(this.m_Timer);
+    if (this.m_PurgeTimer) clearInterval(this.m_PurgeTimer);
+    this.m_Timer = null;
+    this.m_PurgeTimer = null;
+  }
+
+  /** 方法：删除结束时间超过 JOB_RETENTION_DAYS 的任务（0 表示不清理） */
+  async Purge() {
+    const days = Config.Get().m_JobRetentionDays;
+    if (!(days > 0)) return;
+    try {
+      const before = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const removed = await JobRepository.DeleteFinishedJobs(before);
+      if (removed) console.log(`清理已结束的后台任务: ${removed} 个`);
+    } catch (err) {
+      console.error('清理后台任务失败:', err);
+    }
+  }
+
+  /** 方法：在有空闲并发时领取并执行到期任务 */
+  Wake() {
+    if (!this.m_Running || this.m_Ticking) return;
+    this.m_Ticking = true;
+    this.Fill()
+      .catch((err) => console.error('任务领取失败:', err))
+      .finally(() => { this.m_Ticking = false; });
+  }
+
+  /** 方法：领取任务直至达到并发上限或无到期任务 */
+  async Fill() {
+    const concurrency = Math.max(1, Config.Get().m_JobConcurrency);
+    while (this.m_Running && this.m_Active < concurrency) {
+      const job = await JobRepository.ClaimNext();
+      if (!job) return;
+      this.m_Active++;
+      this.Execute(job).finally(() => {
+        this.m_Active--;
+        this.Wake();
+      });
+    }
+  }
+
+  /**
+   * 方法：执行单个任务并记录结果
+   * 说明：错误对象 retryable === false 时不再重试；否则按 2^(attempts-1) × 退避基数延后重试。
+   */
+  async Execute(job) {
+    const entry = this.m_Handlers.get(job.type);
+    try {
+      if (!entry) {
+        const err = new Error(`未注册的任务类型: ${job.type}`);
+        err.retryable = false;
+        throw err;
+      }
+      const result = await entry.handler(job.payload, job);
+      await JobRepository.CompleteJob(job.id, result);
+    } catch (err) {
+      const message = String((err && err.message) || err);
+      const canRetry = !(err && err.retryable === false) && job.attempts < job.max_attempts;
+      try {
+        if (canRetry) {
+          const delay = Config.Get().m_JobRetryBaseMs * 2 ** (job.attempts - 1);
+          await JobRepository.RetryJob(job.id, new Date(Date.now() + delay).toISOString(), message);
+        } else {
+          await JobRepository.FailJob(job.id, message);
+          if (entry && entry.onFailed) await entry.onFailed(job.payload, err);
+        }
+      } catch (inner) {
+        console.error(`任务 ${job.id} 状态更新失败:`, inner);
+      }
+    }
+  }
+
+  /**
+   * 方法：获取任务队列单例
+   * 用法：const queue = JobQueue.Get();
+   */
+  static Get() {
+    if (!this.m_Instance) {
+      this.m_Instance = new JobQueue();
+    }
+    return /** @type {JobQueue} */ (this.m_Instance);
+  }
+}
+
+module.exports = { JobQueue };
@@ -0,0 +1,85 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 配额服务
+// 
+// 文件名称: QuotaService.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.1
+// 
+// 描述: 计算用户的有效配额（容量、图片数、最近 24 小时上传数），
+//       在上传前校验用量，并在写入图片记录的事务内复核，超限时给出明确错误。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - 新增 EnforceUpload，在写入记录的事务内复核配额，避免并发上传超出配额
+// ================================================================
+const { Config } = require('../config');
+const { UserRepository } = require('../repositories/userRepository');
+
+class QuotaService {
+  /**
+   * 方法：计算用户的有效配额（0 表示不限制）
+   * 说明：用户记录中的覆盖值优先；未覆盖时普通用户取默认配额，管理员不限制。
+   * 返回：{ maxBytes, maxImages, dailyUploads }
+   */
+  static ResolveLimits(user) {
+    const cfg = Config.Get();
+    const pick = (override, fallback) => {
+      if (override != null) return override;
+      return user.role === 'admin' ? 0 : fallback;
+    };
+    return {
+      maxBytes: pick(user.quota_bytes, cfg.m_QuotaMaxBytes),
+      maxImages: pick(user.quota_images, cfg.m_QuotaMaxImages),
+      dailyUploads: pick(user.quota_daily, cfg.m_QuotaDailyUploads),
+    };
+  }
+
+  /** 方法：组合用量与配额，供接口返回 */
+  static Describe(user, usage) {
+    return { usage, limits: QuotaService.ResolveLimits(user) };
+  }
+
+  /**
+   * 方法：校验本次上传是否超出配额
+   * 参数：incoming = { count, bytes }（即将新增的图片数与字节数）
+   * 返回：{ ok: true } 或 { ok: false, status, error, quota }
+   *      容量/图片数超限返回 413，每日上传数超限返回 429
+   */
+  static async CheckUpload(userId, incoming) {
+    const user = await UserRepository.GetUserById(userId);
+    if (!user) return { ok: false, status: 401, error: '用户不存在' };
+    const limits = QuotaService.ResolveLimits(user);
+    const usage = await UserRepository.GetUsage(userId);
+    const count = incoming.count || 0;
+    const bytes = incoming.bytes || 0;
+    const fail = (status, error) => ({ ok: false, status, error, quota: { usage, limits } });
+    if (limits.dailyUploads && usage.uploads24h + count > limits.dailyUploads) {
+      return fail(429, `超出每日上传数配额（最近 24 小时已上传 ${usage.uploads24h}/${limits.dailyUploads} 张）`);
+    }
+    if (limits.maxImages && usage.imageCount + count > limits.maxImages) {
+      return fail(413, `超出图片数配额（已有 ${usage.imageCount}/${limits.maxImages} 张）`);
+    }
+    if (limits.maxBytes && usage.usedBytes + bytes > limits.maxBytes) {
+      return fail(413, `超出存储容量配额（已用 ${usage.usedBytes}/${limits.maxBytes} 字节，本次 ${bytes} 字节）`);
+    }
+    return { ok: true };
+  }
+
+  /**
+   * 方法：在写入图片记录的事务内复核配额，超限时抛出异常
+   * 说明：CheckUpload 的预检在事务外读取用量，并发上传可能同时通过；事务串行执行，插入前复核可保证不超出配额。
+   *      异常携带 status（413/429）与 quota，并标记为不可重试（后台任务不再重试）。
+   */
+  static async EnforceUpload(userId, incoming) {
+    const result = await QuotaService.CheckUpload(userId, incoming);
+    if (result.ok) return;
+    const err = new Error(result.error);
+    err.status = result.status;
+    err.quota = result.quota;
+    err.retryable = false;
+    throw err;
+  }
+}
+
+module.exports = { QuotaService };
@@ -0,0 +1,229 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 远程抓取服务
+//
+// 文件名称: RemoteFetchService.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.1
+//
+// 描述: 为 URL 上传提供防 SSRF 的远程图片下载：
+//       - 仅允许 http/https，主机需通过允许/拒绝列表；
+//       - DNS 解析后校验目标地址，禁止回环、链路本地、内网等地址（连接使用校验过的地址，防止 DNS 重绑定）；
+//       - 手动跟随重定向，每一跳重新校验；
+//       - 总超时与流式字节上限；
+//       - 按文件头魔数校验内容确为图片。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - 区分可重试错误（超时、网络、5xx）与策略错误（retryable = false），供后台任务决定是否重试
+// ================================================================
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { Config } = require('../config');
+const { ImageTypeService, SNIFF_BYTES } = require('./imageTypeService');
+
+/** 禁止访问的地址段（回环、链路本地、RFC1918 内网、CGNAT、组播、保留等） */
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([addr, prefix]) => BLOCKED_ADDRESSES.addSubnet(addr, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([addr, prefix]) => BLOCKED_ADDRESSES.addSubnet(addr, prefix, 'ipv6'));
+
+/** 重定向状态码 */
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+class RemoteFetchService {
+  /** 方法：构造不可重试的错误（安全策略拒绝、非图片、超限、4xx 等） */
+  static PolicyError(message) {
+    const err = new Error(message);
+    err.retryable = false;
+    return err;
+  }
+
+  /**
+   * 方法：判断 IP 地址是否属于禁止访问的地址段
+   * 说明：IPv4 映射的 IPv6 地址（::ffff:a.b.c.d）按 IPv4 判断。
+   */
+  static IsBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true;
+    if (family === 6) {
+      const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+      if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+      return BLOCKED_ADDRESSES.check(address, 'ipv6');
+    }
+    return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  }
+
+  /** 方法：主机名是否匹配规则（example.com 精确匹配；*.example.com 匹配其子域名） */
+  static MatchHost(hostname, pattern) {
+    if (pattern.startsWith('*.')) return hostname.endsWith(pattern.slice(1));
+    return hostname === pattern;
+  }
+
+  /**
+   * 方法：校验 URL 是否允许抓取（协议、主机允许/拒绝列表、IP 字面量地址）
+   * 返回：错误信息字符串；允许时返回 null
+   */
+  static CheckUrl(url) {
+    const cfg = Config.Get();
+    if (!['http:', 'https:'].includes(url.protocol)) return `不支持的协议: ${url.protocol}`;
+    const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (cfg.m_FetchDenyHosts.some((p) => RemoteFetchService.MatchHost(hostname, p))) return `主机已被禁止: ${hostname}`;
+    if (cfg.m_FetchAllowHosts.length && !cfg.m_FetchAllowHosts.some((p) => RemoteFetchService.MatchHost(hostname, p))) {
+      return `主机不在允许列表中: ${hostname}`;
+    }
+    // IP 字面量不经过 DNS 解析，需在此处直接校验
+    if (net.isIP(hostname) && !cfg.m_FetchAllowPrivate && RemoteFetchService.IsBlockedAddress(hostname)) {
+      return `禁止访问内网或保留地址: ${hostname}`;
+    }
+    return null;
+  }
+
+  /**
+   * 方法：带地址校验的 DNS 解析（作为 http.request 的 lookup 选项）
+   * 说明：解析结果中任一地址被禁止即拒绝，连接只会使用校验通过的地址。
+   */
+  static SafeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (!Config.Get().m_FetchAllowPrivate) {
+        const blocked = addresses.find((a) => RemoteFetchService.IsBlockedAddress(a.address));
+        if (blocked) {
+          const error = RemoteFetchService.PolicyError(`禁止访问内网或保留地址: ${hostname} -> ${blocked.address}`);
+          error.code = 'EBLOCKEDADDRESS';
+          return callback(error);
+        }
+      }
+      if (options && options.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * 方法：发起单次 GET 请求（不跟随重定向）
+   * 返回：Promise<{ req, res }>
+   */
+  static RequestOnce(url, signal) {
+    return new Promise((resolve, reject) => {
+      const client = url.protocol === 'https:' ? https : http;
+      const req = client.get(url, {
+        lookup: RemoteFetchService.SafeLookup,
+        agent: false,
+        signal,
+        headers: { 'User-Agent': 'AzumiImageHost/1.0', 'Accept': 'image/*' },
+      }, (res) => resolve({ req, res }));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * 方法：下载远程图片到本地文件
+   * 说明：
+   * - 重定向最多跟随 FETCH_MAX_REDIRECTS 次，每一跳重新校验 URL 与解析地址；
+   * - 整个下载（含重定向）超过 FETCH_TIMEOUT_MS 即中止；
+   * - 响应体流式写入，超过 UPLOAD_MAX_FILE_SIZE 即中止；
+   * - 按文件头识别格式，非图片即中止；失败时删除已写入的文件。
+   * 返回：{ size, mime, ext, format, finalUrl, contentType }
+   */
+  static async FetchToFile(rawUrl, outPath) {
+    const cfg = Config.Get();
+    const maxBytes = cfg.m_UploadMaxFileSize;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), cfg.m_FetchTimeoutMs);
+    try {
+      let url;
+      try {
+        url = new URL(String(rawUrl));
+      } catch (_) {
+        throw RemoteFetchService.PolicyError('URL 格式无效');
+      }
+      let res;
+      for (let redirects = 0; ; redirects++) {
+        const denied = RemoteFetchService.CheckUrl(url);
+        if (denied) throw RemoteFetchService.PolicyError(denied);
+        ({ res } = await RemoteFetchService.RequestOnce(url, controller.signal));
+        if (!REDIRECT_CODES.includes(res.statusCode)) break;
+        res.resume();
+        if (!res.headers.location) throw RemoteFetchService.PolicyError(`重定向缺少 Location（HTTP ${res.statusCode}）`);
+        if (redirects >= cfg.m_FetchMaxRedirects) throw RemoteFetchService.PolicyError(`重定向次数超过 ${cfg.m_FetchMaxRedirects} 次`);
+        url = new URL(res.headers.location, url);
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        const err = new Error(`远端返回 HTTP ${res.statusCode}`);
+        err.retryable = res.statusCode >= 500 || res.statusCode === 429;
+        throw err;
+      }
+      const declared = parseInt(res.headers['content-length'] || '', 10);
+      if (Number.isFinite(declared) && declared > maxBytes) {
+        res.destroy();
+        throw RemoteFetchService.PolicyError(`文件超过 ${maxBytes} 字节`);
+      }
+      const type = await RemoteFetchService.StreamToFile(res, outPath, maxBytes);
+      return { ...type, finalUrl: url.toString(), contentType: String(res.headers['content-type'] || '') };
+    } catch (err) {
+      try { fs.unlinkSync(outPath); } catch (_) {}
+      if (controller.signal.aborted) throw new Error(`下载超时（${cfg.m_FetchTimeoutMs}ms）`);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 方法：将响应体流式写入文件，限制字节数并在读到足够头部后校验图片魔数
+   * 返回：Promise<{ size, format, mime, ext }>
+   */
+  static StreamToFile(res, outPath, maxBytes) {
+    return new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(outPath);
+      let size = 0;
+      let head = Buffer.alloc(0);
+      let type = null;
+      let failed = false;
+      const fail = (err) => {
+        if (failed) return;
+        failed = true;
+        res.destroy();
+        out.destroy();
+        reject(err);
+      };
+      const sniff = () => {
+        type = ImageTypeService.DetectFromBuffer(head);
+        if (!type) fail(RemoteFetchService.PolicyError('内容不是受支持的图片格式'));
+      };
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) return fail(RemoteFetchService.PolicyError(`文件超过 ${maxBytes} 字节`));
+        if (!type && head.length < SNIFF_BYTES) {
+          head = Buffer.concat([head, chunk]).subarray(0, SNIFF_BYTES);
+          if (head.length >= SNIFF_BYTES) sniff();
+        }
+        if (!failed && !out.write(chunk)) {
+          res.pause();
+          out.once('drain', () => res.resume());
+        }
+      });
+      res.on('end', () => {
+        if (failed) return;
+        if (!type) sniff();
+        if (failed) return;
+        out.end(() => resolve({ size, ...type }));
+      });
+      res.on('error', fail);
+      res.on('aborted', () => fail(new Error('连接被中断')));
+      out.on('error', fail);
+    });
+  }
+}
+
+module.exports = { RemoteFetchService };
@@ -0,0 +1,228 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 搜索语法服务
+//
+// 文件名称: SearchQueryService.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.1
+//
+// 描述: 解析图片搜索语句为语法树，供图片仓库编译为 FTS5 全文匹配与 SQL 条件。
+//       语法：
+//       - 空格分隔的词默认全部命中（AND），支持 AND / OR / NOT（需大写）与括号分组；
+//       - 词前加 - 表示排除，如 -draft、-(cat OR dog)；
+//       - 词尾加 * 表示前缀匹配，如 sun*；双引号表示短语，如 "blue sky"；
+//       - tag:名称 按标签精确匹配（tag:"blue sky" 支持含空格的标签）；
+//       - name: / title: / desc: / alt: / tags: 限定在对应字段中全文匹配。
+//       标签表达式模式（随机图片 tags 参数）下每个词均为标签精确匹配，逗号与空格同为分隔符。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - 新增标签表达式模式（AND/OR/NOT 组合标签，兼容逗号分隔的标签列表）
+// ================================================================
+
+/** 字段限定符与全文索引列的对应关系（tag 为标签精确匹配，不走全文索引） */
+const FIELD_COLUMNS = {
+  tag: 'tag',
+  name: 'original_name',
+  filename: 'original_name',
+  title: 'title',
+  desc: 'description',
+  description: 'description',
+  alt: 'alt_text',
+  tags: 'tags',
+};
+
+/** 布尔运算符（仅大写视为运算符，小写按普通词处理） */
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/** 查询语句长度、词数与括号嵌套上限 */
+const MAX_QUERY_LENGTH = 500;
+const MAX_TERMS = 32;
+const MAX_DEPTH = 8;
+
+class SearchQueryService {
+  /**
+   * 方法：将查询语句切分为词法单元
+   * 参数：options.tagsOnly 为 true 时每个词均视为标签（不识别前缀 *），逗号也作为分隔符
+   * 返回：[{ type: '(' | ')' | 'AND' | 'OR' | 'NOT' | 'term' | 'tag', ... }]
+   */
+  static Tokenize(query, options = {}) {
+    const tokens = [];
+    const text = String(query);
+    const separator = options.tagsOnly ? /[\s,\uFF0C]/ : /\s/;
+    const boundary = options.tagsOnly ? /[\s,\uFF0C()"]/ : /[\s()"]/;
+    let i = 0;
+    while (i < text.length) {
+      const c = text[i];
+      if (separator.test(c)) { i++; continue; }
+      if (c === '(' || c === ')') { tokens.push({ type: c }); i++; continue; }
+
+      // 前缀 - 表示排除（单独的 - 视为普通字符）
+      let negate = false;
+      if (c === '-' && i + 1 < text.length && !separator.test(text[i + 1])) {
+        negate = true;
+        i++;
+      }
+      if (negate && text[i] === '(') {
+        tokens.push({ type: 'NOT' });
+        continue;
+      }
+
+      // 字段限定符（仅识别已知字段，其余按普通词处理）
+      let column = null;
+      const qualifier = /^([A-Za-z]+):(?=[^\s()])/.exec(text.slice(i));
+      if (qualifier && FIELD_COLUMNS[qualifier[1].toLowerCase()]) {
+        column = FIELD_COLUMNS[qualifier[1].toLowerCase()];
+        i += qualifier[0].length;
+      }
+
+      let value;
+      let quoted = false;
+      if (text[i] === '"') {
+        const end = text.indexOf('"', i + 1);
+        value = end === -1 ? text.slice(i + 1) : text.slice(i + 1, end);
+        i = end === -1 ? text.length : end + 1;
+        quoted = true;
+      } else {
+        const start = i;
+        while (i < text.length && !boundary.test(text[i])) i++;
+        value = text.slice(start, i);
+      }
+      let prefix = false;
+      if (quoted && text[i] === '*') {
+        prefix = true;
+        i++;
+      } else if (!quoted && !options.tagsOnly && /\*+$/.test(value)) {
+        prefix = true;
+        value = value.replace(/\*+$/, '');
+      }
+
+      if (!column && !quoted && !negate && !prefix && OPERATORS.includes(value)) {
+        tokens.push({ type: value });
+        continue;
+      }
+      value = value.trim().normalize('NFC');
+      if (!value) continue;
+      if (negate) tokens.push({ type: 'NOT' });
+      if (column === 'tag' || options.tagsOnly) tokens.push({ type: 'tag', name: value });
+      else tokens.push({ type: 'term', text: value, column, prefix });
+    }
+    return tokens;
+  }
+
+  /**
+   * 方法：解析查询语句为语法树
+   * 说明：节点为 { type: 'and' | 'or', items } / { type: 'not', item } /
+   *      { type: 'term', text, column, prefix } / { type: 'tag', name }。
+   * 参数：options.tagsOnly 见 Tokenize
+   * 返回：{ ast } 或 { error }
+   */
+  static Parse(query, options = {}) {
+    const text = String(query == null ? '' : query).trim();
+    if (!text) return { error: '查询语句不能为空' };
+    if (text.length > MAX_QUERY_LENGTH) return { error: `查询语句不能超过 ${MAX_QUERY_LENGTH} 个字符` };
+    const tokens = SearchQueryService.Tokenize(text, options);
+    const termCount = tokens.filter((t) => t.type === 'term' || t.type === 'tag').length;
+    if (!termCount) return { error: '查询语句不包含有效的查询词' };
+    if (termCount > MAX_TERMS) return { error: `查询词不能超过 ${MAX_TERMS} 个` };
+
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const fail = (message) => { throw new SyntaxError(message); };
+
+    const parseOr = (depth) => {
+      const items = [parseAnd(depth)];
+      while (peek() && peek().type === 'OR') {
+        pos++;
+        if (!peek() || peek().type === ')' || peek().type === 'OR' || peek().type === 'AND') fail('OR 后缺少查询词');
+        items.push(parseAnd(depth));
+      }
+      return items.length === 1 ? items[0] : { type: 'or', items };
+    };
+    const parseAnd = (depth) => {
+      const items = [parseUnary(depth)];
+      while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+        if (peek().type === 'AND') {
+          pos++;
+          if (!peek() || peek().type === ')' || peek().type === 'OR' || peek().type === 'AND') fail('AND 后缺少查询词');
+        }
+        items.push(parseUnary(depth));
+      }
+      return items.length === 1 ? items[0] : { type: 'and', items };
+    };
+    const parseUnary = (depth) => {
+      const token = peek();
+      if (!token) fail('查询语句不完整');
+      if (token.type === 'NOT') {
+        pos++;
+        if (!peek() || [')', 'AND', 'OR'].includes(peek().type)) fail('NOT 后缺少查询词');
+        return { type: 'not', item: parseUnary(depth) };
+      }
+      if (token.type === '(') {
+        if (depth >= MAX_DEPTH) fail(`括号嵌套不能超过 ${MAX_DEPTH} 层`);
+        pos++;
+        if (peek() && peek().type === ')') fail('括号内缺少查询词');
+        const node = parseOr(depth + 1);
+        if (!peek() || peek().type !== ')') fail('括号不匹配');
+        pos++;
+        return node;
+      }
+      if (token.type === 'term' || token.type === 'tag') {
+        pos++;
+        return token.type === 'tag'
+          ? { type: 'tag', name: token.name }
+          : { type: 'term', text: token.text, column: token.column, prefix: token.prefix };
+      }
+      return fail(`意外的 ${token.type}`);
+    };
+
+    try {
+      const ast = parseOr(0);
+      if (pos < tokens.length) fail(peek().type === ')' ? '括号不匹配' : `意外的 ${peek().type}`);
+      return { ast };
+    } catch (err) {
+      if (err instanceof SyntaxError) return { error: `查询语法错误：${err.message}` };
+      throw err;
+    }
+  }
+
+  /**
+   * 方法：解析随机图片的标签表达式
+   * 说明：不含括号、引号、- 排除或大写运算符时按逗号分隔的标签列表处理（需全部命中，标签可含空格）；
+   *      否则按表达式解析，如 (cat OR dog) -nsfw、"blue sky" AND NOT draft。
+   *      normalize 为标签名规范化函数（乱码修复等），作用于列表中的每个标签。
+   * 返回：{ ast }（空表达式为 null）或 { error }
+   */
+  static ParseTagExpression(expression, normalize = (names) => names) {
+    const text = String(expression == null ? '' : expression).trim();
+    if (!text) return { ast: null };
+    if (!/[()"]|(^|[\s,\uFF0C])-\S|(^|[\s,\uFF0C(])(AND|OR|NOT)($|[\s,\uFF0C)])/.test(text)) {
+      return { ast: SearchQueryService.FromTags(normalize([text])) };
+    }
+    const { ast, error } = SearchQueryService.Parse(text, { tagsOnly: true });
+    if (error) return { error };
+    const visit = (node) => {
+      if (node.type === 'tag') node.name = normalize([node.name])[0] || node.name;
+      if (node.item) visit(node.item);
+      if (node.items) node.items.forEach(visit);
+    };
+    visit(ast);
+    return { ast };
+  }
+
+  /** 方法：由标签列表构造“全部命中”的语法树（空列表返回 null） */
+  static FromTags(tagNames = []) {
+    const items = tagNames.map((name) => ({ type: 'tag', name }));
+    if (!items.length) return null;
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  }
+
+  /** 方法：以 AND 合并多棵语法树（忽略空值，全部为空时返回 null） */
+  static Combine(...nodes) {
+    const items = nodes.filter(Boolean);
+    if (!items.length) return null;
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  }
+}
+
+module.exports = { SearchQueryService };
@@ -0,0 +1,49 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 签名链接服务
+// 
+// 文件名称: SignedUrlService.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+// 
+// 描述: 为私有图片生成与校验带过期时间的 HMAC-SHA256 签名链接。
+//       签名内容为“访问令牌:过期时间戳”，密钥取 SIGNED_URL_SECRET，
+//       未配置时由 JWT 密钥派生。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const crypto = require('crypto');
+const { Config } = require('../config');
+
+class SignedUrlService {
+  /** 方法：计算签名（十六进制） */
+  static ComputeSignature(accessToken, expires) {
+    return crypto.createHmac('sha256', Config.Get().m_SignedUrlSecret)
+      .update(`${accessToken}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * 方法：生成签名链接
+   * 参数：ttlSeconds 有效期（秒）
+   * 返回：{ url, expires }（expires 为 Unix 秒）
+   */
+  static Sign(accessToken, ttlSeconds) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const sig = SignedUrlService.ComputeSignature(accessToken, expires);
+    return { url: `/api/images/${accessToken}?expires=${expires}&sig=${sig}`, expires };
+  }
+
+  /** 方法：校验签名与过期时间（常量时间比较） */
+  static Verify(accessToken, expires, sig) {
+    if (!expires || !sig) return false;
+    const exp = Number(expires);
+    if (!Number.isInteger(exp) || exp < Math.floor(Date.now() / 1000)) return false;
+    const expected = Buffer.from(SignedUrlService.ComputeSignature(accessToken, exp), 'hex');
+    const given = Buffer.from(String(sig), 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+}
+
+module.exports = { SignedUrlService };
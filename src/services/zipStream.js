@@ -0,0 +1,316 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI ZIP 流式读写
+//
+// 文件名称: ZipStream.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.1
+//
+// 描述: 不将文件整体读入内存的 ZIP 读写，用于生成与校验大体积备份。
+//       - ZipWriter：逐条目写入输出流（条目大小与 CRC 写在数据之后的数据描述符中），
+//         流式条目原样存储（图片本身已压缩），Buffer 条目可选 deflate 压缩；
+//         写入时同时计算每个条目与整个归档的 SHA-256。
+//       - ZipReader：读取中央目录后按条目分段读取文件并校验，支持存储与 deflate 两种方式；
+//         可将条目流式解压到文件（导入备份时不将图片读入内存）。
+//       不支持 ZIP64：单个归档不超过 4GB 且条目数不超过 65535。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// 2026-10-19 - ZipReader 新增流式解压条目到文件
+// ================================================================
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { once } = require('events');
+const { finished, pipeline } = require('stream/promises');
+
+/** ZIP 结构签名与格式上限 */
+const SIG_LOCAL = 0x04034b50;
+const SIG_DESCRIPTOR = 0x08074b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_END = 0x06054b50;
+const MAX_UINT32 = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+/** 通用标志：bit 3 数据描述符，bit 11 文件名为 UTF-8 */
+const FLAGS = 0x0808;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+/** CRC-32 查找表（Node 20.15 以下没有 zlib.crc32 时使用） */
+let CRC_TABLE = null;
+
+/** 方法：计算 CRC-32（crc 为此前数据的结果，用于分段累计） */
+function Crc32(buf, crc = 0) {
+  if (typeof zlib.crc32 === 'function') return zlib.crc32(buf, crc);
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c;
+    }
+  }
+  let c = ~crc;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+/** 方法：转换为 DOS 日期与时间（本地时间，秒精度为 2） */
+function DosDateTime(d) {
+  const year = Math.max(d.getFullYear(), 1980);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+class ZipWriter {
+  /**
+   * 构造函数
+   * 参数：output 为可写流（如 fs.createWriteStream），Finish 时结束该流
+   */
+  constructor(output) {
+    /** @type {import('stream').Writable} */ this.m_Output = output;
+    /** @type {number} */ this.m_Offset = 0;
+    /** @type {object[]} */ this.m_Entries = [];
+    /** @type {crypto.Hash} */ this.m_Hash = crypto.createHash('sha256');
+    /** @type {Error|null} */ this.m_Error = null;
+    // 输出流出错（如磁盘已满）时记录，下一次写入时抛出
+    output.on('error', (err) => { this.m_Error = err; });
+  }
+
+  /** 方法：写入输出流（缓冲区满时等待 drain） */
+  async Write(buf) {
+    if (this.m_Error) throw this.m_Error;
+    this.m_Hash.update(buf);
+    this.m_Offset += buf.length;
+    if (!this.m_Output.write(buf)) await once(this.m_Output, 'drain');
+  }
+
+  /**
+   * 方法：添加 Buffer 条目
+   * 参数：options.compress 为 true 时以 deflate 压缩
+   * 返回：{ name, size, sha256 }
+   */
+  async AddBuffer(name, buffer, { compress = false } = {}) {
+    const data = compress ? zlib.deflateRawSync(buffer) : buffer;
+    const entry = this.BeginEntry(name, compress ? METHOD_DEFLATE : METHOD_STORE);
+    await this.Write(entry.header);
+    entry.crc = Crc32(buffer);
+    entry.size = buffer.length;
+    entry.compressedSize = data.length;
+    await this.Write(data);
+    return await this.EndEntry(entry, crypto.createHash('sha256').update(buffer).digest('hex'));
+  }
+
+  /**
+   * 方法：添加流式条目（原样存储，边读边写，不缓存整个文件）
+   * 返回：{ name, size, sha256 }
+   */
+  async AddStream(name, readable) {
+    const entry = this.BeginEntry(name, METHOD_STORE);
+    await this.Write(entry.header);
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of readable) {
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      entry.crc = Crc32(buf, entry.crc);
+      entry.size += buf.length;
+      hash.update(buf);
+      await this.Write(buf);
+    }
+    entry.compressedSize = entry.size;
+    return await this.EndEntry(entry, hash.digest('hex'));
+  }
+
+  /** 方法：生成本地文件头（大小与 CRC 置 0，由数据描述符给出） */
+  BeginEntry(name, method) {
+    if (this.m_Entries.length >= MAX_ENTRIES) throw new Error('备份条目数超过 ZIP 格式上限（65535）');
+    const nameBuf = Buffer.from(name, 'utf8');
+    const { time, date } = DosDateTime(new Date());
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(SIG_LOCAL, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBuf.length, 26);
+    return {
+      name, nameBuf, method, time, date, offset: this.m_Offset,
+      header: Buffer.concat([header, nameBuf]), crc: 0, size: 0, compressedSize: 0,
+    };
+  }
+
+  /** 方法：写入数据描述符并登记条目 */
+  async EndEntry(entry, sha256) {
+    if (this.m_Offset > MAX_UINT32) throw new Error('备份大小超过 ZIP 格式上限（4GB），请改用增量备份');
+    const desc = Buffer.alloc(16);
+    desc.writeUInt32LE(SIG_DESCRIPTOR, 0);
+    desc.writeUInt32LE(entry.crc >>> 0, 4);
+    desc.writeUInt32LE(entry.compressedSize, 8);
+    desc.writeUInt32LE(entry.size, 12);
+    await this.Write(desc);
+    this.m_Entries.push(entry);
+    return { name: entry.name, size: entry.size, sha256 };
+  }
+
+  /**
+   * 方法：写入中央目录并结束输出流
+   * 返回：{ size, sha256 }（整个归档）
+   */
+  async Finish() {
+    const cdOffset = this.m_Offset;
+    for (const e of this.m_Entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(SIG_CENTRAL, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(FLAGS, 8);
+      header.writeUInt16LE(e.method, 10);
+      header.writeUInt16LE(e.time, 12);
+      header.writeUInt16LE(e.date, 14);
+      header.writeUInt32LE(e.crc >>> 0, 16);
+      header.writeUInt32LE(e.compressedSize, 20);
+      header.writeUInt32LE(e.size, 24);
+      header.writeUInt16LE(e.nameBuf.length, 28);
+      header.writeUInt32LE(e.offset, 42);
+      await this.Write(Buffer.concat([header, e.nameBuf]));
+    }
+    const cdSize = this.m_Offset - cdOffset;
+    if (this.m_Offset > MAX_UINT32) throw new Error('备份大小超过 ZIP 格式上限（4GB），请改用增量备份');
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(SIG_END, 0);
+    end.writeUInt16LE(this.m_Entries.length, 8);
+    end.writeUInt16LE(this.m_Entries.length, 10);
+    end.writeUInt32LE(cdSize, 12);
+    end.writeUInt32LE(cdOffset, 16);
+    await this.Write(end);
+    this.m_Output.end();
+    await finished(this.m_Output);
+    return { size: this.m_Offset, sha256: this.m_Hash.digest('hex') };
+  }
+}
+
+class ZipReader {
+  /** 构造函数：filePath 为 ZIP 文件路径 */
+  constructor(filePath) {
+    /** @type {string} */ this.m_Path = filePath;
+    /** @type {fs.promises.FileHandle|null} */ this.m_File = null;
+    /** @type {object[]} */ this.m_Entries = [];
+  }
+
+  /** 方法：按偏移读取指定字节数 */
+  async Read(position, length) {
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await this.m_File.read(buf, 0, length, position);
+    return buf.subarray(0, bytesRead);
+  }
+
+  /**
+   * 方法：打开文件并读取中央目录
+   * 说明：文件不是有效 ZIP 或使用 ZIP64 时抛出异常。
+   * 返回：[{ name, method, crc, compressedSize, size, offset }]
+   */
+  async Open() {
+    this.m_File = await fs.promises.open(this.m_Path, 'r');
+    const { size } = await this.m_File.stat();
+    const tailLength = Math.min(size, 22 + 0xffff);
+    const tail = await this.Read(size - tailLength, tailLength);
+    let pos = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === SIG_END) {
+        pos = i;
+        break;
+      }
+    }
+    if (pos < 0) throw new Error('不是有效的 ZIP 文件');
+    const count = tail.readUInt16LE(pos + 10);
+    const cdSize = tail.readUInt32LE(pos + 12);
+    const cdOffset = tail.readUInt32LE(pos + 16);
+    if (count === MAX_ENTRIES || cdOffset === MAX_UINT32) throw new Error('不支持 ZIP64 格式');
+    const cd = await this.Read(cdOffset, cdSize);
+    this.m_Entries = [];
+    let p = 0;
+    for (let i = 0; i < count; i++) {
+      if (p + 46 > cd.length || cd.readUInt32LE(p) !== SIG_CENTRAL) throw new Error('ZIP 中央目录损坏');
+      const nameLength = cd.readUInt16LE(p + 28);
+      const extraLength = cd.readUInt16LE(p + 30);
+      const commentLength = cd.readUInt16LE(p + 32);
+      this.m_Entries.push({
+        name: cd.toString('utf8', p + 46, p + 46 + nameLength),
+        method: cd.readUInt16LE(p + 10),
+        crc: cd.readUInt32LE(p + 16),
+        compressedSize: cd.readUInt32LE(p + 20),
+        size: cd.readUInt32LE(p + 24),
+        offset: cd.readUInt32LE(p + 42),
+      });
+      p += 46 + nameLength + extraLength + commentLength;
+    }
+    return this.m_Entries;
+  }
+
+  /**
+   * 方法：流式读取条目内容并计算校验值
+   * 参数：destPath 指定时同时将解压后的内容写入该文件
+   * 返回：{ size, crc, sha256 }（解压后的内容）
+   */
+  async HashEntry(entry, destPath = null) {
+    if (![METHOD_STORE, METHOD_DEFLATE].includes(entry.method)) throw new Error(`不支持的压缩方式: ${entry.method}`);
+    const local = await this.Read(entry.offset, 30);
+    if (local.length < 30 || local.readUInt32LE(0) !== SIG_LOCAL) throw new Error(`条目头损坏: ${entry.name}`);
+    const start = entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    const hash = crypto.createHash('sha256');
+    const result = { size: 0, crc: 0 };
+    const output = destPath ? fs.createWriteStream(destPath) : null;
+    const sink = async (source) => {
+      for await (const chunk of source) {
+        result.size += chunk.length;
+        result.crc = Crc32(chunk, result.crc);
+        hash.update(chunk);
+        if (output && !output.write(chunk)) await once(output, 'drain');
+      }
+    };
+    try {
+      if (entry.compressedSize > 0) {
+        const input = fs.createReadStream(this.m_Path, { start, end: start + entry.compressedSize - 1 });
+        if (entry.method === METHOD_DEFLATE) await pipeline(input, zlib.createInflateRaw(), sink);
+        else await pipeline(input, sink);
+      }
+    } finally {
+      if (output) {
+        output.end();
+        await finished(output);
+      }
+    }
+    return { ...result, sha256: hash.digest('hex') };
+  }
+
+  /**
+   * 方法：将条目流式解压到文件并校验 CRC
+   * 说明：CRC 与中央目录记录不一致时抛出异常（已写入的文件由调用方删除）。
+   * 返回：{ size, crc, sha256 }
+   */
+  async ExtractEntry(entry, destPath) {
+    const result = await this.HashEntry(entry, destPath);
+    if (result.crc !== entry.crc) throw new Error(`条目已损坏: ${entry.name}`);
+    return result;
+  }
+
+  /**
+   * 方法：读取较小条目的完整内容（如 manifest.json）
+   */
+  async ReadEntry(entry) {
+    const local = await this.Read(entry.offset, 30);
+    const start = entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    const data = await this.Read(start, entry.compressedSize);
+    return entry.method === METHOD_DEFLATE ? zlib.inflateRawSync(data) : data;
+  }
+
+  /** 方法：关闭文件 */
+  async Close() {
+    if (this.m_File) await this.m_File.close();
+    this.m_File = null;
+  }
+}
+
+module.exports = { ZipWriter, ZipReader };
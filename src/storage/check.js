@@ -0,0 +1,108 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 存储自检命令
+//
+// 文件名称: Check.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 存储驱动自检命令行工具，使用与服务相同的配置（STORAGE_DRIVER、S3_* 等环境变量）选择驱动，
+//       依次验证写入、元信息、完整读取、区间读取、移动上传与删除，结束后清理测试对象。
+//       用于切换到对象存储前检查配置，或以本地 MinIO（docker compose --profile s3）验证 S3 驱动。
+//       用法：node src/storage/check.js（或 npm run storage:check）；任一步骤失败时以退出码 1 结束。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Config } = require('../config');
+const { Storage } = require('./index');
+
+/** 方法：读取流的全部内容 */
+async function ReadAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+/** 方法：断言条件成立，否则抛出带步骤说明的异常 */
+function Expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function Main() {
+  const cfg = Config.Get();
+  const storage = Storage.Get();
+  const id = crypto.randomBytes(6).toString('hex');
+  const bufferKey = `storage-check-${id}.bin`;
+  const fileKey = `storage-check-${id}.png`;
+  const content = crypto.randomBytes(4096);
+  const location = cfg.m_StorageDriver === 's3'
+    ? `${cfg.m_S3Endpoint || 'AWS S3'} / ${cfg.m_S3Bucket}${cfg.m_S3Prefix ? ` / ${cfg.m_S3Prefix}` : ''}`
+    : cfg.m_UploadsDir;
+  console.log(`存储驱动: ${cfg.m_StorageDriver}（${location}）`);
+
+  const steps = [
+    ['写入（PutBuffer）', async () => {
+      await storage.PutBuffer(bufferKey, content, { contentType: 'application/octet-stream' });
+    }],
+    ['元信息（Stat/Exists）', async () => {
+      const stat = await storage.Stat(bufferKey);
+      Expect(stat && stat.size === content.length, `大小不一致: ${stat ? stat.size : '对象不存在'}`);
+      Expect(stat.mtime, '缺少修改时间');
+      Expect(await storage.Stat(`${bufferKey}.missing`) === null, '不存在的对象未返回 null');
+    }],
+    ['完整读取（ReadBuffer/CreateReadStream）', async () => {
+      Expect(content.equals(await storage.ReadBuffer(bufferKey)), 'ReadBuffer 内容不一致');
+      Expect(content.equals(await ReadAll(await storage.CreateReadStream(bufferKey))), '读取流内容不一致');
+    }],
+    ['区间读取（CreateReadStream range）', async () => {
+      const part = await ReadAll(await storage.CreateReadStream(bufferKey, { start: 100, end: 199 }));
+      Expect(part.equals(content.subarray(100, 200)), `区间内容不一致（${part.length} 字节）`);
+    }],
+    ['移动上传（PutFile）', async () => {
+      const localPath = path.join(cfg.m_TmpDir, `${id}.png`);
+      fs.writeFileSync(localPath, content);
+      try {
+        await storage.PutFile(fileKey, localPath, { contentType: 'image/png' });
+        Expect(!fs.existsSync(localPath), '上传后暂存文件未移除');
+        Expect(content.equals(await storage.ReadBuffer(fileKey)), '内容不一致');
+      } finally {
+        fs.rmSync(localPath, { force: true });
+      }
+    }],
+    ['删除（Delete）', async () => {
+      await storage.Delete(bufferKey);
+      await storage.Delete(fileKey);
+      Expect(!(await storage.Exists(bufferKey)) && !(await storage.Exists(fileKey)), '删除后对象仍存在');
+      await storage.Delete(`${bufferKey}.missing`); // 删除不存在的对象不报错
+    }],
+  ];
+
+  try {
+    for (const [label, run] of steps) {
+      try {
+        await run();
+        console.log(`  [通过] ${label}`);
+      } catch (err) {
+        console.error(`  [失败] ${label}: ${err.message || err}`);
+        process.exitCode = 1;
+        return;
+      }
+    }
+    console.log('存储自检通过');
+  } finally {
+    // 失败时尽量清理测试对象
+    if (process.exitCode) {
+      await storage.Delete(bufferKey).catch(() => {});
+      await storage.Delete(fileKey).catch(() => {});
+    }
+  }
+}
+
+Main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
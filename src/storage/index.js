@@ -0,0 +1,55 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 存储模块
+// 
+// 文件名称: Storage.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+// 
+// 描述: 根据配置选择存储驱动（local 本地磁盘 / s3 兼容对象存储）并提供单例。
+//       所有驱动实现相同接口：PutFile、PutBuffer、Stat、Exists、CreateReadStream、
+//       ReadBuffer、Delete、GetLocalPath；数据库中的 storage_path 为与后端无关的对象键。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const { Config } = require('../config');
+const { LocalStorageDriver } = require('./localStorageDriver');
+
+class Storage {
+  /** 方法：按配置创建存储驱动 */
+  static CreateDriver(cfg) {
+    switch (cfg.m_StorageDriver) {
+      case 'local':
+        return new LocalStorageDriver(cfg.m_UploadsDir);
+      case 's3': {
+        // 按需加载，未使用 S3 时无需初始化 SDK
+        const { S3StorageDriver } = require('./s3StorageDriver');
+        return new S3StorageDriver({
+          endpoint: cfg.m_S3Endpoint,
+          region: cfg.m_S3Region,
+          bucket: cfg.m_S3Bucket,
+          accessKeyId: cfg.m_S3AccessKeyId,
+          secretAccessKey: cfg.m_S3SecretAccessKey,
+          forcePathStyle: cfg.m_S3ForcePathStyle,
+          prefix: cfg.m_S3Prefix,
+        });
+      }
+      default:
+        throw new Error(`未知存储驱动: ${cfg.m_StorageDriver}`);
+    }
+  }
+
+  /**
+   * 方法：获取当前存储驱动单例
+   * 用法：const storage = Storage.Get();
+   */
+  static Get() {
+    if (!this.m_Instance) {
+      this.m_Instance = Storage.CreateDriver(Config.Get());
+    }
+    return this.m_Instance;
+  }
+}
+
+module.exports = { Storage };
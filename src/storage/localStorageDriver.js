@@ -0,0 +1,103 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 本地磁盘存储驱动
+// 
+// 文件名称: LocalStorageDriver.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+// 
+// 描述: 存储驱动的本地磁盘实现（默认驱动）。对象键为相对上传目录的路径；
+//       历史记录中的绝对路径在服务启动时改写为对象键（StorageKeys），无法改写的仍按绝对路径读取。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const fs = require('fs');
+const path = require('path');
+
+class LocalStorageDriver {
+  /** 构造函数：指定上传根目录 */
+  constructor(rootDir) {
+    /** @type {string} */ this.m_Name = 'local';
+    /** @type {string} */ this.m_RootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * 方法：将对象键解析为磁盘绝对路径
+   * 说明：绝对路径（启动时未能改写的历史数据）原样返回；相对键限制在上传根目录内，防止路径穿越。
+   */
+  ResolvePath(key) {
+    const k = String(key || '');
+    if (path.isAbsolute(k)) return k;
+    const full = path.resolve(this.m_RootDir, k);
+    if (full !== this.m_RootDir && !full.startsWith(this.m_RootDir + path.sep)) {
+      throw new Error(`非法存储键: ${k}`);
+    }
+    return full;
+  }
+
+  /** 方法：本地驱动可直接提供磁盘路径（供 sharp 等直接读取） */
+  GetLocalPath(key) {
+    return this.ResolvePath(key);
+  }
+
+  /** 方法：将本地文件移动到存储中（跨设备时回退为复制后删除） */
+  async PutFile(key, localPath) {
+    const dest = this.ResolvePath(key);
+    if (path.resolve(localPath) === dest) return;
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    try {
+      fs.renameSync(localPath, dest);
+    } catch (err) {
+      if (err.code !== 'EXDEV') throw err;
+      fs.copyFileSync(localPath, dest);
+      fs.unlinkSync(localPath);
+    }
+  }
+
+  /** 方法：写入内存数据 */
+  async PutBuffer(key, buffer) {
+    const dest = this.ResolvePath(key);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.writeFileSync(dest, buffer);
+  }
+
+  /** 方法：获取对象元信息，不存在时返回 null */
+  async Stat(key) {
+    try {
+      const st = fs.statSync(this.ResolvePath(key));
+      if (!st.isFile()) return null;
+      return { size: st.size, mtime: st.mtime };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /** 方法：判断对象是否存在 */
+  async Exists(key) {
+    return (await this.Stat(key)) !== null;
+  }
+
+  /** 方法：创建读取流（可选字节区间 { start, end }，含端点） */
+  async CreateReadStream(key, range = null) {
+    const opts = range ? { start: range.start, end: range.end } : undefined;
+    return fs.createReadStream(this.ResolvePath(key), opts);
+  }
+
+  /** 方法：读取完整内容为 Buffer */
+  async ReadBuffer(key) {
+    return fs.readFileSync(this.ResolvePath(key));
+  }
+
+  /** 方法：删除对象（不存在时忽略） */
+  async Delete(key) {
+    try {
+      fs.unlinkSync(this.ResolvePath(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+}
+
+module.exports = { LocalStorageDriver };
@@ -0,0 +1,121 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI S3 兼容对象存储驱动
+// 
+// 文件名称: S3StorageDriver.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+// 
+// 描述: 存储驱动的 S3 兼容实现（AWS S3、MinIO 等），基于 @aws-sdk/client-s3。
+//       对象键即数据库中的 storage_path，可配置统一前缀；自建服务建议启用路径风格访问。
+// 
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+
+class S3StorageDriver {
+  /**
+   * 构造函数：根据配置创建 S3 客户端
+   * 参数：{ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, prefix }
+   */
+  constructor(options) {
+    if (!options.bucket) throw new Error('S3 存储驱动缺少 bucket 配置');
+    /** @type {string} */ this.m_Name = 's3';
+    /** @type {string} */ this.m_Bucket = options.bucket;
+    /** @type {string} */ this.m_Prefix = String(options.prefix || '').replace(/^\/+/, '');
+    /** @type {S3Client} */ this.m_Client = new S3Client({
+      endpoint: options.endpoint || undefined,
+      region: options.region || 'us-east-1',
+      forcePathStyle: !!options.forcePathStyle,
+      credentials: options.accessKeyId
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey || '' }
+        : undefined,
+    });
+  }
+
+  /** 方法：将存储键转换为对象键（去除前导斜杠并附加前缀） */
+  ObjectKey(key) {
+    return this.m_Prefix + String(key || '').replace(/\\/g, '/').replace(/^\/+/, '');
+  }
+
+  /** 方法：对象存储无本地路径 */
+  GetLocalPath() {
+    return null;
+  }
+
+  /** 方法：判断错误是否为对象不存在 */
+  static IsNotFound(err) {
+    const status = err && err.$metadata && err.$metadata.httpStatusCode;
+    return status === 404 || (err && (err.name === 'NotFound' || err.name === 'NoSuchKey'));
+  }
+
+  /** 方法：上传本地文件，成功后删除本地文件（与本地驱动的移动语义一致） */
+  async PutFile(key, localPath, options = {}) {
+    const size = fs.statSync(localPath).size;
+    await this.m_Client.send(new PutObjectCommand({
+      Bucket: this.m_Bucket,
+      Key: this.ObjectKey(key),
+      Body: fs.createReadStream(localPath),
+      ContentLength: size,
+      ContentType: options.contentType || undefined,
+    }));
+    try { fs.unlinkSync(localPath); } catch (_) {}
+  }
+
+  /** 方法：上传内存数据 */
+  async PutBuffer(key, buffer, options = {}) {
+    await this.m_Client.send(new PutObjectCommand({
+      Bucket: this.m_Bucket,
+      Key: this.ObjectKey(key),
+      Body: buffer,
+      ContentType: options.contentType || undefined,
+    }));
+  }
+
+  /** 方法：获取对象元信息，不存在时返回 null */
+  async Stat(key) {
+    try {
+      const head = await this.m_Client.send(new HeadObjectCommand({ Bucket: this.m_Bucket, Key: this.ObjectKey(key) }));
+      return { size: Number(head.ContentLength || 0), mtime: head.LastModified || null };
+    } catch (err) {
+      if (S3StorageDriver.IsNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  /** 方法：判断对象是否存在 */
+  async Exists(key) {
+    return (await this.Stat(key)) !== null;
+  }
+
+  /** 方法：创建读取流（可选字节区间 { start, end }，含端点） */
+  async CreateReadStream(key, range = null) {
+    const out = await this.m_Client.send(new GetObjectCommand({
+      Bucket: this.m_Bucket,
+      Key: this.ObjectKey(key),
+      Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+    }));
+    return out.Body;
+  }
+
+  /** 方法：读取完整内容为 Buffer */
+  async ReadBuffer(key) {
+    const out = await this.m_Client.send(new GetObjectCommand({ Bucket: this.m_Bucket, Key: this.ObjectKey(key) }));
+    return Buffer.from(await out.Body.transformToByteArray());
+  }
+
+  /** 方法：删除对象（不存在时 S3 亦返回成功） */
+  async Delete(key) {
+    await this.m_Client.send(new DeleteObjectCommand({ Bucket: this.m_Bucket, Key: this.ObjectKey(key) }));
+  }
+}
+
+module.exports = { S3StorageDriver };
@@ -0,0 +1,75 @@
+// ================================================================
+// Copyright (c) 2025 AZUMI 存储对象键修正
+//
+// 文件名称: StorageKeys.js
+// 作者: AzumiYumeichi
+// 创建日期: 2026-10-19
+// 版本: 1.0
+//
+// 描述: 将历史记录中的绝对路径改写为与存储后端无关的对象键（相对上传目录的路径），
+//       涉及 images.storage_path 与 images.optimized_path，服务启动时执行（已改写的记录不再处理）。
+//       - 位于当前上传目录（工作目录下的 data/uploads）内的路径直接改写为相对路径；
+//       - 上传目录已迁移（或数据库来自其他系统）时，按文件名在当前上传目录中查找，找到则改写为文件名；
+//       - 其余无法对应的路径保持不变（本地驱动仍可按绝对路径读取），输出数量供排查。
+//       改写后切换到对象存储时，只需将上传目录中的文件按相对路径上传到存储桶。
+//
+// 修改历史:
+// 2026-10-19 - 初始版本
+// ================================================================
+const fs = require('fs');
+const path = require('path');
+const { Database } = require('../db/sqlite');
+const { Config } = require('../config');
+
+/** 需要改写的列 */
+const PATH_COLUMNS = ['storage_path', 'optimized_path'];
+/** 绝对路径（含 Windows 盘符与反斜杠开头的路径，数据库可能来自其他系统）的 SQL 条件 */
+const ABSOLUTE_CONDITION = (column) => `(${column} LIKE '/%' OR ${column} LIKE '\\%' OR ${column} GLOB '[A-Za-z]:*')`;
+
+class StorageKeys {
+  /**
+   * 方法：将绝对路径转换为对象键
+   * 返回：对象键（统一使用 / 分隔），无法对应到当前上传目录时返回 null
+   */
+  static ToStorageKey(value, uploadsDir) {
+    if (path.isAbsolute(value)) {
+      const relative = path.relative(uploadsDir, path.resolve(value));
+      if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+        return relative.split(path.sep).join('/');
+      }
+    }
+    const name = value.split(/[\\/]/).pop();
+    if (name && fs.existsSync(path.join(uploadsDir, name))) return name;
+    return null;
+  }
+
+  /**
+   * 方法：改写历史记录中的绝对路径（启动时执行）
+   * 返回：{ migrated, unresolved }（改写与无法对应的路径数）
+   */
+  static async MigrateLegacyPaths() {
+    const db = Database.Get();
+    const uploadsDir = path.resolve(Config.Get().m_UploadsDir);
+    let migrated = 0;
+    let unresolved = 0;
+    for (const column of PATH_COLUMNS) {
+      const rows = await db.All(`SELECT DISTINCT ${column} AS value FROM images WHERE ${ABSOLUTE_CONDITION(column)}`);
+      for (const { value } of rows) {
+        const key = StorageKeys.ToStorageKey(value, uploadsDir);
+        if (!key) {
+          unresolved++;
+          continue;
+        }
+        await db.Run(`UPDATE images SET ${column} = ? WHERE ${column} = ?`, [key, value]);
+        migrated++;
+      }
+    }
+    if (migrated) console.log(`已将 ${migrated} 个历史文件路径改写为存储对象键`);
+    if (unresolved) {
+      console.warn(`有 ${unresolved} 个历史文件路径不在上传目录 ${uploadsDir} 中，保留原绝对路径（仅本地存储驱动可读取）`);
+    }
+    return { migrated, unresolved };
+  }
+}
+
+module.exports = { StorageKeys };